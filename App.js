@@ -9,6 +9,8 @@ import RegisterScreen from './RegisterScreen';
 import HomeScreen from './components/HomeScreen';
 import MapViewScreen from './components/MapViewScreen';
 import TimelineListScreen from './components/TimelineListScreen';
+import PlacesScreen from './components/PlacesScreen';
+import SearchScreen from './components/SearchScreen';
 import HeartbeatDebugScreen from './components/HeartbeatDebugScreen';
 
 const Tab = createBottomTabNavigator();
@@ -73,6 +75,24 @@ function MainApp() {
             ),
           }}
         />
+        <Tab.Screen
+          name="Search"
+          component={SearchScreen}
+          options={{
+            tabBarIcon: ({ color, size }) => (
+              <Text style={{ color, fontSize: size }}>🔍</Text>
+            ),
+          }}
+        />
+        <Tab.Screen
+          name="Places"
+          component={PlacesScreen}
+          options={{
+            tabBarIcon: ({ color, size }) => (
+              <Text style={{ color, fontSize: size }}>📌</Text>
+            ),
+          }}
+        />
         <Tab.Screen
           name="Heartbeat"
           component={HeartbeatDebugScreen}
@@ -1,12 +1,11 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { Platform } from 'react-native';
+import { Alert } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
 import LoggingService from './services/LoggingService';
+import ApiClient, { API_URL } from './services/ApiClient';
 
 const AuthContext = createContext();
 
-const API_URL = process.env.EXPO_PUBLIC_API_URL || (__DEV__ ? 'http://localhost:3000' : 'https://haps.app');
-
 // Add network connectivity test
 const testApiConnectivity = async () => {
   try {
@@ -16,11 +15,7 @@ const testApiConnectivity = async () => {
       api_url: API_URL
     });
 
-    const response = await fetch(`${API_URL}/up`, {
-      method: 'GET',
-      headers: { 'Accept': 'application/json' },
-      timeout: 10000
-    });
+    const response = await ApiClient.request('up');
 
     LoggingService.info('API connectivity test result', {
       event_type: 'connectivity',
@@ -45,24 +40,165 @@ const testApiConnectivity = async () => {
 // Global auth token cache for background tasks
 // This prevents SecureStore access issues in background contexts
 let CACHED_AUTH_TOKEN = null;
+let CACHED_REFRESH_TOKEN = null;
+let CACHED_TOKEN_EXPIRES_AT = null;
+
+// Refresh this long before the access token expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// One refresh at a time; parallel callers share its result
+let REFRESH_IN_FLIGHT = null;
+
+// Provider callbacks for { type: 'refreshed', token } and { type: 'expired', reason }
+const sessionListeners = new Set();
+
+export function subscribeToSession(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+const notifySession = (event) => {
+  sessionListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Session listener failed:', error);
+    }
+  });
+};
+
+const tokenExpiresSoon = () =>
+  CACHED_TOKEN_EXPIRES_AT !== null && Date.now() >= CACHED_TOKEN_EXPIRES_AT - TOKEN_REFRESH_MARGIN_MS;
+
+// Store an access/refresh pair from /api/sessions, /api/registrations or a refresh
+const persistSession = async ({ token, refresh_token, expires_in }) => {
+  const expiresAt = expires_in ? Date.now() + expires_in * 1000 : null;
+  updateCachedAuthToken(token, { refreshToken: refresh_token || CACHED_REFRESH_TOKEN, expiresAt });
 
-// Helper function to safely get auth token for background tasks
-export async function getAuthTokenForBackgroundTask() {
   try {
-    // First try to use cached token
-    if (CACHED_AUTH_TOKEN) {
-      return CACHED_AUTH_TOKEN;
+    await SecureStore.setItemAsync('authToken', token);
+    if (refresh_token) {
+      await SecureStore.setItemAsync('refreshToken', refresh_token);
+    }
+    if (expiresAt) {
+      await SecureStore.setItemAsync('authTokenExpiresAt', expiresAt.toString());
+    } else {
+      await SecureStore.deleteItemAsync('authTokenExpiresAt');
+    }
+  } catch (error) {
+    // Keychain can be locked in the background; the cache still has the new pair
+    console.warn('Could not persist refreshed session:', error.message);
+  }
+};
+
+const clearStoredSession = async () => {
+  clearCachedAuthToken();
+  await SecureStore.deleteItemAsync('authToken');
+  await SecureStore.deleteItemAsync('refreshToken');
+  await SecureStore.deleteItemAsync('authTokenExpiresAt');
+  await SecureStore.deleteItemAsync('user');
+};
+
+// The refresh token is gone or was rejected: only a new login helps
+const expireSession = async (reason) => {
+  LoggingService.warn('Session expired', {
+    event_type: 'authentication',
+    action: 'session_expired',
+    reason
+  });
+
+  try {
+    await clearStoredSession();
+  } catch (error) {
+    console.warn('Could not clear expired session:', error.message);
+  }
+  notifySession({ type: 'expired', reason });
+};
+
+const performTokenRefresh = async () => {
+  let refreshToken = CACHED_REFRESH_TOKEN;
+  if (!refreshToken) {
+    refreshToken = await SecureStore.getItemAsync('refreshToken').catch(() => null);
+  }
+  if (!refreshToken) {
+    await expireSession('no_refresh_token');
+    return null;
+  }
+
+  try {
+    const response = await ApiClient.request('refreshSession', {
+      json: { refresh_token: refreshToken }
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      if (data.token) {
+        await persistSession(data);
+        notifySession({ type: 'refreshed', token: data.token });
+        LoggingService.info('Auth token refreshed', {
+          event_type: 'authentication',
+          action: 'token_refreshed'
+        });
+        return data.token;
+      }
+    }
+
+    if ([400, 401, 403].includes(response.status)) {
+      await expireSession('refresh_rejected');
+      return null;
     }
 
+    // Server trouble: keep the session and try again on the next request
+    console.warn(`Token refresh failed: HTTP ${response.status}`);
+    return null;
+  } catch (error) {
+    console.warn('Token refresh network error:', error.message);
+    return null;
+  }
+};
+
+// Exchange the refresh token for a new access token, once for all callers
+//
+// Pass the token that just got a 401: if another caller has already replaced
+// it, the new one is returned without another refresh (null once the session
+// has expired).
+export function refreshAuthToken(staleToken = null) {
+  if (staleToken && CACHED_AUTH_TOKEN !== staleToken) {
+    return Promise.resolve(CACHED_AUTH_TOKEN);
+  }
+
+  if (!REFRESH_IN_FLIGHT) {
+    REFRESH_IN_FLIGHT = performTokenRefresh().finally(() => {
+      REFRESH_IN_FLIGHT = null;
+    });
+  }
+  return REFRESH_IN_FLIGHT;
+}
+
+// Helper function to safely get auth token for background tasks
+export async function getAuthTokenForBackgroundTask() {
+  try {
     // Only try SecureStore if we're in foreground or if necessary
     // This helps avoid "User interaction is not allowed" errors
-    const token = await SecureStore.getItemAsync('authToken');
-    if (token) {
-      CACHED_AUTH_TOKEN = token; // Cache for future background use
-      return token;
+    if (!CACHED_AUTH_TOKEN) {
+      const token = await SecureStore.getItemAsync('authToken');
+      if (!token) {
+        return null;
+      }
+
+      const expiresAt = await SecureStore.getItemAsync('authTokenExpiresAt');
+      updateCachedAuthToken(token, {
+        refreshToken: await SecureStore.getItemAsync('refreshToken'),
+        expiresAt: expiresAt ? parseInt(expiresAt, 10) : null
+      });
     }
 
-    return null;
+    // Refresh ahead of expiry so background syncs don't start with a 401
+    if (tokenExpiresSoon()) {
+      return (await refreshAuthToken(CACHED_AUTH_TOKEN)) || CACHED_AUTH_TOKEN;
+    }
+
+    return CACHED_AUTH_TOKEN;
   } catch (error) {
     // Don't log SecureStore errors to Sentry as they're expected in background
     console.warn('Could not retrieve auth token for background task:', error.message);
@@ -70,14 +206,24 @@ export async function getAuthTokenForBackgroundTask() {
   }
 }
 
+// ApiClient attaches these tokens to authenticated requests and refreshes on 401
+ApiClient.setTokenProvider({
+  getToken: getAuthTokenForBackgroundTask,
+  refreshToken: refreshAuthToken
+});
+
 // Helper function to update cached auth token
-export function updateCachedAuthToken(token) {
+export function updateCachedAuthToken(token, { refreshToken = CACHED_REFRESH_TOKEN, expiresAt = null } = {}) {
   CACHED_AUTH_TOKEN = token;
+  CACHED_REFRESH_TOKEN = refreshToken;
+  CACHED_TOKEN_EXPIRES_AT = expiresAt;
 }
 
 // Helper function to clear cached auth token
 export function clearCachedAuthToken() {
   CACHED_AUTH_TOKEN = null;
+  CACHED_REFRESH_TOKEN = null;
+  CACHED_TOKEN_EXPIRES_AT = null;
 }
 
 export const AuthProvider = ({ children }) => {
@@ -88,6 +234,18 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     checkAuthState();
+
+    // Background refreshes swap the token; a failed refresh forces a new login
+    return subscribeToSession((event) => {
+      if (event.type === 'refreshed') {
+        setToken(event.token);
+      } else if (event.type === 'expired') {
+        setToken(null);
+        setUser(null);
+        setIsAuthenticated(false);
+        Alert.alert('Session expired', 'Please log in again to keep syncing your timeline.');
+      }
+    });
   }, []);
 
   const checkAuthState = async () => {
@@ -96,11 +254,17 @@ export const AuthProvider = ({ children }) => {
       const storedUser = await SecureStore.getItemAsync('user');
 
       if (storedToken && storedUser) {
+        const storedRefreshToken = await SecureStore.getItemAsync('refreshToken');
+        const storedExpiresAt = await SecureStore.getItemAsync('authTokenExpiresAt');
+
         setToken(storedToken);
         setUser(JSON.parse(storedUser));
         setIsAuthenticated(true);
         // Update the cached token for background tasks
-        updateCachedAuthToken(storedToken);
+        updateCachedAuthToken(storedToken, {
+          refreshToken: storedRefreshToken,
+          expiresAt: storedExpiresAt ? parseInt(storedExpiresAt, 10) : null
+        });
       }
     } catch (error) {
       console.error('Error checking auth state:', error);
@@ -127,20 +291,13 @@ export const AuthProvider = ({ children }) => {
         };
       }
 
-      const response = await fetch(`${API_URL}/api/sessions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'X-App-Signature': 'HapsApp-Production-v1.0',
-          'User-Agent': `HapsApp/${Platform.OS === 'ios' ? 'iOS' : 'Android'}/Production`,
-        },
-        body: JSON.stringify({
+      const response = await ApiClient.request('createSession', {
+        json: {
           user: {
             email,
             password,
           },
-        }),
+        },
       });
 
       LoggingService.info('Login API response received', {
@@ -155,16 +312,14 @@ export const AuthProvider = ({ children }) => {
       console.log('Login response data received', data);
 
       if (response.ok && data.token) {
-        await SecureStore.setItemAsync('authToken', data.token);
+        // Also caches the pair for background tasks
+        await persistSession(data);
         await SecureStore.setItemAsync('user', JSON.stringify(data.user));
 
         setToken(data.token);
         setUser(data.user);
         setIsAuthenticated(true);
 
-        // Update the cached token for background tasks
-        updateCachedAuthToken(data.token);
-
         LoggingService.info('Login successful', {
           event_type: 'authentication',
           action: 'login_success',
@@ -200,36 +355,27 @@ export const AuthProvider = ({ children }) => {
 
   const register = async (email, password, passwordConfirmation) => {
     try {
-      const response = await fetch(`${API_URL}/api/registrations`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'X-App-Signature': 'HapsApp-Production-v1.0',
-          'User-Agent': `HapsApp/${Platform.OS === 'ios' ? 'iOS' : 'Android'}/Production`,
-        },
-        body: JSON.stringify({
+      const response = await ApiClient.request('createRegistration', {
+        json: {
           user: {
             email,
             password,
             password_confirmation: passwordConfirmation,
           },
-        }),
+        },
       });
 
       const data = await response.json();
 
       if (response.ok && data.token) {
-        await SecureStore.setItemAsync('authToken', data.token);
+        // Also caches the pair for background tasks
+        await persistSession(data);
         await SecureStore.setItemAsync('user', JSON.stringify(data.user));
 
         setToken(data.token);
         setUser(data.user);
         setIsAuthenticated(true);
 
-        // Update the cached token for background tasks
-        updateCachedAuthToken(data.token);
-
         return { success: true };
       } else {
         return { success: false, error: data.error || 'Registration failed' };
@@ -244,23 +390,11 @@ export const AuthProvider = ({ children }) => {
     try {
       // Optional: Call logout endpoint
       if (token) {
-        await fetch(`${API_URL}/api/sessions`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Accept': 'application/json',
-            'X-App-Signature': 'HapsApp-Production-v1.0',
-            'User-Agent': `HapsApp/${Platform.OS === 'ios' ? 'iOS' : 'Android'}/Production`,
-          },
-        });
+        await ApiClient.request('deleteSession', { token });
       }
 
-      // Clear stored credentials
-      await SecureStore.deleteItemAsync('authToken');
-      await SecureStore.deleteItemAsync('user');
-
-      // Clear cached token for background tasks
-      clearCachedAuthToken();
+      // Clear stored credentials and the background task cache
+      await clearStoredSession();
 
       setToken(null);
       setUser(null);
@@ -268,9 +402,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
       // Even if logout API call fails, clear local state
-      await SecureStore.deleteItemAsync('authToken');
-      await SecureStore.deleteItemAsync('user');
-      clearCachedAuthToken();
+      await clearStoredSession();
       setToken(null);
       setUser(null);
       setIsAuthenticated(false);
@@ -282,23 +414,25 @@ export const AuthProvider = ({ children }) => {
       throw new Error('No authentication token available');
     }
 
-    const defaultHeaders = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'X-App-Signature': 'HapsApp-Production-v1.0',
-      'User-Agent': `HapsApp/${Platform.OS === 'ios' ? 'iOS' : 'Android'}/Production`,
-    };
-
-    const mergedOptions = {
+    // For URLs outside ApiClient's ENDPOINTS; same headers and transport
+    const send = (accessToken) => ApiClient.transport(url, {
       ...options,
       headers: {
-        ...defaultHeaders,
+        ...ApiClient.getDefaultHeaders(),
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
         ...options.headers,
       },
-    };
+    });
+
+    const response = await send(token);
+    if (response.status !== 401) {
+      return response;
+    }
 
-    return fetch(url, mergedOptions);
+    // Retry once with a refreshed token; a failed refresh ends the session
+    const refreshedToken = await refreshAuthToken(token);
+    return refreshedToken ? send(refreshedToken) : response;
   };
 
   const value = {
@@ -9,23 +9,27 @@ import {
 } from 'react-native';
 import HeartbeatService from '../services/HeartbeatService';
 import LocationService from '../services/LocationService';
+import SyncHttpClient from '../services/SyncHttpClient';
 import { Card } from './Card';
 import { Button } from './Button';
 
 const HeartbeatDebugScreen = () => {
   const [heartbeatStatus, setHeartbeatStatus] = useState(null);
   const [locationStatus, setLocationStatus] = useState(null);
+  const [circuitBreakers, setCircuitBreakers] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [lastHeartbeatResult, setLastHeartbeatResult] = useState(null);
 
   const loadStatus = async () => {
     try {
-      const [hbStatus, locStatus] = await Promise.all([
+      const [hbStatus, locStatus, breakers] = await Promise.all([
         HeartbeatService.getStatus(),
-        LocationService.getServiceStatus()
+        LocationService.getServiceStatus(),
+        SyncHttpClient.getStatus()
       ]);
       setHeartbeatStatus(hbStatus);
       setLocationStatus(locStatus);
+      setCircuitBreakers(breakers);
     } catch (error) {
       console.error('Failed to load status:', error);
     }
@@ -56,6 +60,19 @@ const HeartbeatDebugScreen = () => {
     }
   };
 
+  const resetCircuitBreakers = async () => {
+    await SyncHttpClient.reset();
+    await loadStatus();
+  };
+
+  const getBreakerColor = (state) => {
+    switch (state) {
+      case 'closed': return '#10b981';
+      case 'half_open': return '#f59e0b';
+      default: return '#ef4444';
+    }
+  };
+
   const formatTime = (timestamp) => {
     if (!timestamp) return 'Never';
     return new Date(timestamp).toLocaleString();
@@ -160,6 +177,35 @@ const HeartbeatDebugScreen = () => {
         )}
       </Card>
 
+      {/* Sync Circuit Breakers */}
+      <Card style={styles.card}>
+        <Text style={styles.cardTitle}>Sync Circuit Breakers</Text>
+        {circuitBreakers ? (
+          circuitBreakers.map(breaker => (
+            <View key={breaker.path}>
+              <View style={styles.statusRow}>
+                <Text style={styles.label}>{breaker.path}</Text>
+                <Text style={[styles.value, { color: getBreakerColor(breaker.state) }]}>
+                  {breaker.state.replace('_', '-').toUpperCase()}
+                </Text>
+              </View>
+              {breaker.state !== 'closed' && (
+                <View style={styles.statusRow}>
+                  <Text style={styles.label}>
+                    {breaker.lastStatus ? `HTTP ${breaker.lastStatus}` : breaker.lastError || 'Failed'} × {breaker.failures}
+                  </Text>
+                  <Text style={styles.value}>
+                    {breaker.retryInMs > 0 ? `Retry in ${formatDuration(breaker.retryInMs)}` : 'Next sync probes'}
+                  </Text>
+                </View>
+              )}
+            </View>
+          ))
+        ) : (
+          <Text style={styles.loading}>Loading...</Text>
+        )}
+      </Card>
+
       {/* Last Heartbeat Result */}
       {lastHeartbeatResult && (
         <Card style={styles.card}>
@@ -217,6 +263,13 @@ const HeartbeatDebugScreen = () => {
         >
           Refresh Status
         </Button>
+        <Button
+          onPress={resetCircuitBreakers}
+          variant="outline"
+          style={styles.button}
+        >
+          Reset Circuit Breakers
+        </Button>
       </Card>
 
       {/* Info */}
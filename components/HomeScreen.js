@@ -2,10 +2,15 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Text, View, ScrollView, SafeAreaView, StatusBar, Platform, StyleSheet } from 'react-native';
 import * as Device from 'expo-device';
 import * as Notifications from 'expo-notifications';
+import * as DocumentPicker from 'expo-document-picker';
 
 import LocationService from '../services/LocationService';
 import LocationSyncService from '../services/LocationSyncService';
 import LoggingService from '../services/LoggingService';
+import GoogleTakeoutImportService from '../services/GoogleTakeoutImportService';
+import { TRACKING_PROFILES } from '../services/TrackingProfileService';
+import SyncPolicyService, { SYNC_POLICIES } from '../services/SyncPolicyService';
+import { API_URL } from '../services/ApiClient';
 import Constants from 'expo-constants';
 import * as Sentry from '@sentry/react-native';
 
@@ -108,6 +113,18 @@ function onSyncUpdate(syncResult) {
 
 const LOCATION_TASK_NAME = 'background-location-task';
 
+const SYNC_DEFERRAL_LABELS = {
+  metered_network: 'waiting for Wi-Fi',
+  roaming: 'roaming',
+  not_charging: 'waiting for charger'
+};
+
+const describeDeferral = (deferral) => {
+  if (!deferral) return null;
+  const reasons = [...new Set(Object.values(deferral.categories))].map(reason => SYNC_DEFERRAL_LABELS[reason] || reason);
+  return `${Object.keys(deferral.categories).join(', ')} deferred: ${reasons.join(', ')}`;
+};
+
 // Check if location tracking is actively running
 async function getLocationTrackingStatus() {
   try {
@@ -116,7 +133,8 @@ async function getLocationTrackingStatus() {
       isTracking: status.isTracking,
       isTaskRegistered: status.isTaskRegistered,
       hasBackgroundPermission: status.permissionsGranted,
-      permissionStatus: status.permissionsGranted ? 'granted' : 'denied'
+      permissionStatus: status.permissionsGranted ? 'granted' : 'denied',
+      trackingProfile: status.trackingProfile || { active: null, override: 'auto' }
     };
   } catch (error) {
     console.error('Failed to get location tracking status:', error);
@@ -124,7 +142,8 @@ async function getLocationTrackingStatus() {
       isTracking: false,
       isTaskRegistered: false,
       hasBackgroundPermission: false,
-      permissionStatus: 'unknown'
+      permissionStatus: 'unknown',
+      trackingProfile: { active: null, override: 'auto' }
     };
   }
 }
@@ -273,9 +292,14 @@ const HomeScreen = () => {
     isTracking: false,
     isTaskRegistered: false,
     hasBackgroundPermission: false,
-    permissionStatus: 'unknown'
+    permissionStatus: 'unknown',
+    trackingProfile: { active: null, override: 'auto' }
   });
+  const [profileChanging, setProfileChanging] = useState(false);
+  const [syncPolicy, setSyncPolicy] = useState(SyncPolicyService.getSettings());
+  const [syncDeferral, setSyncDeferral] = useState(null);
   const [debugNotificationsEnabled, setDebugNotificationsEnabled] = useState(ENABLE_LOCATION_DEBUG_NOTIFICATIONS);
+  const [importProgress, setImportProgress] = useState(null);
   const { user, logout } = useAuth();
 
   useEffect(() => {
@@ -295,6 +319,8 @@ const HomeScreen = () => {
 
     if (user) {
       initializeLocationTracking();
+      SyncPolicyService.loadSettings().then(setSyncPolicy);
+      setSyncDeferral(LocationSyncService.lastDeferral);
     }
 
     // Set user context for Sentry with location tracking info
@@ -309,10 +335,107 @@ const HomeScreen = () => {
     Sentry.setContext("app_info", {
       location_permissions_requested: true,
       background_task: LOCATION_TASK_NAME,
-      api_endpoint: process.env.EXPO_PUBLIC_API_URL + '/users/locations'
+      api_endpoint: API_URL + '/users/locations'
     });
   }, [user]);
 
+  const importGoogleTakeout = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: 'application/json',
+        multiple: true,
+        copyToCacheDirectory: true
+      });
+      if (picked.canceled || !picked.assets?.length) return;
+
+      LoggingService.info('Google Takeout import started', {
+        event_type: 'user_interaction',
+        action: 'takeout_import_started',
+        file_count: picked.assets.length
+      });
+
+      setImportProgress({ phase: 'importing', bytesRead: 0, totalBytes: 0, imported: 0 });
+      const result = await GoogleTakeoutImportService.importFiles(
+        picked.assets.map(asset => asset.uri),
+        { processTimeline: true, onProgress: setImportProgress }
+      );
+
+      LoggingService.info('Google Takeout import finished', {
+        event_type: 'user_interaction',
+        action: 'takeout_import_finished',
+        ...result
+      });
+    } catch (error) {
+      LoggingService.error('Google Takeout import failed', error, {
+        event_type: 'user_interaction',
+        action: 'takeout_import_failed'
+      });
+      setImportProgress({ phase: 'error', error: error.message });
+    }
+  };
+
+  const selectTrackingProfile = async (profileName) => {
+    try {
+      setProfileChanging(true);
+      LoggingService.info('Tracking profile override changed', {
+        event_type: 'user_interaction',
+        action: 'tracking_profile_override',
+        profile: profileName
+      });
+
+      await LocationService.setTrackingProfileOverride(profileName);
+      const trackingStatus = await getLocationTrackingStatus();
+      setLocationTrackingDetails(trackingStatus);
+    } catch (error) {
+      LoggingService.error('Tracking profile override failed', error, {
+        event_type: 'user_interaction',
+        action: 'tracking_profile_override'
+      });
+    } finally {
+      setProfileChanging(false);
+    }
+  };
+
+  const updateSyncPolicy = async (changes) => {
+    try {
+      LoggingService.info('Sync policy changed', {
+        event_type: 'user_interaction',
+        action: 'sync_policy_change',
+        ...changes
+      });
+
+      setSyncPolicy(await SyncPolicyService.updateSettings(changes));
+      // Whatever was held back may be allowed now
+      await LocationSyncService.syncNow('policy_change');
+      setSyncDeferral(LocationSyncService.lastDeferral);
+    } catch (error) {
+      LoggingService.error('Sync policy change failed', error, {
+        event_type: 'user_interaction',
+        action: 'sync_policy_change'
+      });
+    }
+  };
+
+  const getImportProgressText = (progress) => {
+    switch (progress.phase) {
+      case 'importing': {
+        const percent = progress.totalBytes ? Math.round((progress.bytesRead / progress.totalBytes) * 100) : 0;
+        const fileLabel = progress.fileCount > 1 ? ` (file ${progress.fileIndex + 1}/${progress.fileCount})` : '';
+        return `Importing${fileLabel}: ${percent}% · ${progress.imported} points`;
+      }
+      case 'processing':
+        return `Building timeline: day ${progress.dayIndex + 1}/${progress.dayCount}`;
+      case 'done': {
+        const privacyLabel = progress.privacyDropped ? `, ${progress.privacyDropped} in privacy zones` : '';
+        return `Imported ${progress.imported} points (${progress.duplicates} duplicates skipped${privacyLabel}), ${progress.segments} timeline segments`;
+      }
+      case 'error':
+        return `Import failed: ${progress.error}`;
+      default:
+        return '';
+    }
+  };
+
   const getStatusBadgeVariant = (status) => {
     switch (status) {
       case 'active': return 'success';
@@ -396,7 +519,7 @@ const HomeScreen = () => {
               <View style={styles.infoRow}>
                 <Text style={styles.infoLabel}>API Endpoint</Text>
                 <Text style={[styles.infoValue, styles.apiEndpoint]} numberOfLines={1}>
-                  {process.env.EXPO_PUBLIC_API_URL || 'Not configured'}
+                  {API_URL}
                 </Text>
               </View>
               {DEBUG_NOTIFICATIONS && (
@@ -411,6 +534,74 @@ const HomeScreen = () => {
           </CardContent>
         </Card>
 
+        {/* Tracking Profile */}
+        <Card style={styles.cardMargin}>
+          <CardHeader>
+            <View style={styles.cardHeaderRow}>
+              <CardTitle>Tracking Profile</CardTitle>
+              <Badge variant="gray">
+                {TRACKING_PROFILES[locationTrackingDetails.trackingProfile.active]?.label || 'Not tracking'}
+              </Badge>
+            </View>
+          </CardHeader>
+          <CardContent>
+            <View style={styles.profileButtons}>
+              {['auto', ...Object.keys(TRACKING_PROFILES)].map(profileName => (
+                <Button
+                  key={profileName}
+                  size="sm"
+                  variant={locationTrackingDetails.trackingProfile.override === profileName ? 'primary' : 'outline'}
+                  disabled={profileChanging}
+                  onPress={() => selectTrackingProfile(profileName)}
+                >
+                  {profileName === 'auto' ? 'Auto' : TRACKING_PROFILES[profileName].label}
+                </Button>
+              ))}
+            </View>
+            <Text style={styles.profileHint}>
+              {locationTrackingDetails.trackingProfile.override === 'auto'
+                ? 'Switches automatically based on activity and battery'
+                : 'Fixed profile - automatic switching is off'}
+            </Text>
+          </CardContent>
+        </Card>
+
+        {/* Sync Policy */}
+        <Card style={styles.cardMargin}>
+          <CardHeader>
+            <View style={styles.cardHeaderRow}>
+              <CardTitle>Sync Policy</CardTitle>
+              <Badge variant={syncDeferral ? 'warning' : 'gray'}>
+                {syncDeferral ? 'Deferred' : SYNC_POLICIES[syncPolicy.policy].label}
+              </Badge>
+            </View>
+          </CardHeader>
+          <CardContent>
+            <View style={styles.profileButtons}>
+              {Object.keys(SYNC_POLICIES).map(policyName => (
+                <Button
+                  key={policyName}
+                  size="sm"
+                  variant={syncPolicy.policy === policyName ? 'primary' : 'outline'}
+                  onPress={() => updateSyncPolicy({ policy: policyName })}
+                >
+                  {SYNC_POLICIES[policyName].label}
+                </Button>
+              ))}
+              <Button
+                size="sm"
+                variant={syncPolicy.allowRoaming ? 'secondary' : 'outline'}
+                onPress={() => updateSyncPolicy({ allowRoaming: !syncPolicy.allowRoaming })}
+              >
+                Roaming: {syncPolicy.allowRoaming ? 'ON' : 'OFF'}
+              </Button>
+            </View>
+            <Text style={styles.profileHint}>
+              {describeDeferral(syncDeferral) || 'Heartbeats always sync; the policy decides when location data uploads'}
+            </Text>
+          </CardContent>
+        </Card>
+
         {/* Build Information */}
         <BuildInfo />
 
@@ -482,6 +673,18 @@ const HomeScreen = () => {
             🔄 Restart Location Tracking
           </Button>
 
+          <Button
+            variant="outline"
+            style={styles.actionButton}
+            onPress={importGoogleTakeout}
+            loading={importProgress?.phase === 'importing' || importProgress?.phase === 'processing'}
+          >
+            📥 Import Google Takeout
+          </Button>
+          {importProgress && (
+            <Text style={styles.importProgressText}>{getImportProgressText(importProgress)}</Text>
+          )}
+
           {DEBUG_NOTIFICATIONS && (
             <Button
               variant={debugNotificationsEnabled ? "secondary" : "outline"}
@@ -579,6 +782,21 @@ const styles = StyleSheet.create({
   actionButton: {
     marginBottom: 12,
   },
+  profileButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  profileHint: {
+    color: '#6b7280',
+    fontSize: 12,
+    marginTop: 12,
+  },
+  importProgressText: {
+    color: '#6b7280',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
   footer: {
     marginTop: 32,
     paddingTop: 24,
@@ -1,16 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Alert, ActivityIndicator, ScrollView, SafeAreaView } from 'react-native';
-import MapView, { Marker, Polyline } from 'react-native-maps';
+import MapView, { Marker, Polyline, Circle } from 'react-native-maps';
 import { useAuth } from '../AuthContext';
 import TimelineService from '../services/TimelineService';
+import PrivacyZoneService from '../services/PrivacyZoneService';
 import { Button } from './Button';
+import { PrivacyZoneEditor } from './PrivacyZoneEditor';
 import { Card, CardHeader, CardTitle, CardContent } from './Card';
 import { Badge } from './Badge';
+import { SyncStatus } from './SyncStatus';
+
+const SPINNER_DELAY_MS = 300;
+
+const SPANS = [
+  { span: 'day', label: 'Day' },
+  { span: 'week', label: 'Week' },
+  { span: 'month', label: 'Month' },
+];
 
 const MapViewScreen = () => {
   const [timeline, setTimeline] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [span, setSpan] = useState('day'); // 'day', 'week', 'month'
   const [mapRegion, setMapRegion] = useState({
     latitude: 37.7749,
     longitude: -122.4194,
@@ -21,18 +33,109 @@ const MapViewScreen = () => {
   const [showLocationPoints, setShowLocationPoints] = useState(false);
   const [locationPoints, setLocationPoints] = useState([]);
   const [locationPointsLoading, setLocationPointsLoading] = useState(false);
+  const [privacyZones, setPrivacyZones] = useState([]);
+  const [zoneEditing, setZoneEditing] = useState(false);
+  const [draftZone, setDraftZone] = useState(null);
+  const [zoneSaving, setZoneSaving] = useState(false);
+  const latestRequest = useRef(0);
   const { token } = useAuth();
+  const range = TimelineService.getSpanRange(selectedDate, span);
 
   useEffect(() => {
     loadTimelineData();
-  }, [selectedDate, token]);
+  }, [selectedDate, span, token]);
+
+  useEffect(() => {
+    loadPrivacyZones();
+  }, []);
+
+  const loadPrivacyZones = async () => {
+    try {
+      const zones = await PrivacyZoneService.getZones();
+      setPrivacyZones([...zones]);
+    } catch (error) {
+      console.error('Failed to load privacy zones:', error);
+    }
+  };
+
+  const handleMapLongPress = (event) => {
+    if (!zoneEditing) return;
+
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    setSelectedItem(null);
+    setDraftZone({ name: '', latitude, longitude, radius_meters: 100, mode: 'local_only' });
+  };
+
+  const saveDraftZone = async () => {
+    try {
+      setZoneSaving(true);
+      await PrivacyZoneService.saveZone(draftZone);
+      setDraftZone(null);
+      await loadPrivacyZones();
+    } catch (error) {
+      console.error('Failed to save privacy zone:', error);
+      Alert.alert('Error', 'Failed to save privacy zone');
+    } finally {
+      setZoneSaving(false);
+    }
+  };
+
+  const deleteZone = (zone) => {
+    Alert.alert(
+      'Delete privacy zone',
+      `Delete "${zone.name}"? Points already dropped or snapped stay that way.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await PrivacyZoneService.deleteZone(zone.id);
+              setDraftZone(null);
+              await loadPrivacyZones();
+            } catch (error) {
+              console.error('Failed to delete privacy zone:', error);
+              Alert.alert('Error', 'Failed to delete privacy zone');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const editZone = (zone) => {
+    setDraftZone({ ...zone });
+    setMapRegion({
+      latitude: zone.latitude,
+      longitude: zone.longitude,
+      latitudeDelta: Math.max(zone.radius_meters / 111320 * 4, 0.005),
+      longitudeDelta: Math.max(zone.radius_meters / 111320 * 4, 0.005),
+    });
+  };
+
+  const closeZoneEditor = () => {
+    setZoneEditing(false);
+    setDraftZone(null);
+  };
 
-  const loadTimelineData = async () => {
+  const loadTimelineData = async ({ force = false } = {}) => {
     if (!token) return;
 
+    // Cached days show at once; the spinner is only for waiting on the server
+    const request = ++latestRequest.current;
+    const spinner = setTimeout(() => setLoading(true), SPINNER_DELAY_MS);
+    // Background refreshes leave the map where the user moved it
+    const onUpdate = (timelineData) => {
+      if (request === latestRequest.current) setTimeline(timelineData);
+    };
+
     try {
-      setLoading(true);
-      const timelineData = await TimelineService.getTimelineForDate(selectedDate, token);
+      // Weeks and months come in one request
+      const timelineData = span === 'day'
+        ? await TimelineService.getTimelineForDate(selectedDate, token, { force, onUpdate })
+        : await TimelineService.getTimelineForDateRange(range.startDate, range.endDate, token, { force, onUpdate });
+      if (request !== latestRequest.current) return;
       setTimeline(timelineData);
 
       // Set map region to fit all timeline points
@@ -44,14 +147,21 @@ const MapViewScreen = () => {
       console.error('Failed to load timeline data:', error);
       Alert.alert('Error', 'Failed to load timeline data');
     } finally {
-      setLoading(false);
+      clearTimeout(spinner);
+      if (request === latestRequest.current) setLoading(false);
     }
   };
 
-  const changeDate = (days) => {
-    const newDate = new Date(selectedDate);
-    newDate.setDate(newDate.getDate() + days);
-    setSelectedDate(newDate);
+  const changeDate = (direction) => {
+    setSelectedDate(TimelineService.shiftDate(selectedDate, span, direction));
+  };
+
+  // GPS points are loaded per day, so other spans hide them
+  const selectSpan = (nextSpan) => {
+    setShowLocationPoints(false);
+    setLocationPoints([]);
+    setSelectedItem(null);
+    setSpan(nextSpan);
   };
 
   const formatDate = (date) => {
@@ -126,6 +236,12 @@ const MapViewScreen = () => {
     return timeline.visits.map((visit, index) => {
       if (!visit.center_latitude || !visit.center_longitude) return null;
 
+      const continuation = TimelineService.continuationLabel(visit);
+      // Weeks and months span several days, so their visits show the date
+      const when = span === 'day'
+        ? TimelineService.formatTimeRange(visit, timeline)
+        : TimelineService.formatDateTime(visit.start_time, TimelineService.displayTimeZone(visit, timeline));
+
       return (
         <Marker
           key={`visit-${visit.id}`}
@@ -135,7 +251,7 @@ const MapViewScreen = () => {
           }}
           pinColor={getVisitColor(index)}
           title={visit.location?.name || `Visit ${index + 1}`}
-          description={`${TimelineService.formatTime(visit.start_time)} - ${TimelineService.formatTime(visit.end_time)} (${TimelineService.formatDuration(visit.duration)})`}
+          description={`${when} (${TimelineService.formatDuration(visit.display_duration ?? visit.duration)})${continuation ? ` · ${continuation}` : ''}`}
           onPress={() => setSelectedItem(visit)}
         />
       );
@@ -186,7 +302,7 @@ const MapViewScreen = () => {
           longitude: point.longitude,
         }}
         title={`Location Point ${index + 1}`}
-        description={`${TimelineService.formatDateTime(point.recorded_at)} ${point.is_moving ? '(Moving)' : '(Stationary)'}`}
+        description={`${TimelineService.formatDateTime(point.recorded_at, TimelineService.displayTimeZone(point, timeline))} ${point.is_moving ? '(Moving)' : '(Stationary)'}`}
         pinColor={point.is_moving ? "#3B82F6" : "#10B981"}
         onPress={() => setSelectedItem({
           ...point,
@@ -197,12 +313,54 @@ const MapViewScreen = () => {
     ));
   };
 
+  const renderPrivacyZones = () => {
+    if (!zoneEditing) return null;
+
+    const zones = privacyZones.filter(zone => zone.id !== draftZone?.id);
+    const circles = zones.map(zone => (
+      <Circle
+        key={`zone-${zone.id}`}
+        center={{ latitude: zone.latitude, longitude: zone.longitude }}
+        radius={zone.radius_meters}
+        strokeColor="#EF4444"
+        fillColor="rgba(239, 68, 68, 0.15)"
+      />
+    ));
+
+    if (draftZone) {
+      circles.push(
+        <Circle
+          key="zone-draft"
+          center={{ latitude: draftZone.latitude, longitude: draftZone.longitude }}
+          radius={draftZone.radius_meters}
+          strokeColor="#3B82F6"
+          fillColor="rgba(59, 130, 246, 0.2)"
+        />,
+        <Marker
+          key="zone-draft-center"
+          coordinate={{ latitude: draftZone.latitude, longitude: draftZone.longitude }}
+          draggable
+          pinColor="#3B82F6"
+          onDragEnd={(event) => setDraftZone({ ...draftZone, ...event.nativeEvent.coordinate })}
+        />
+      );
+    }
+
+    return circles;
+  };
+
   const renderSelectedItemDetails = () => {
-    if (!selectedItem) return null;
+    if (!selectedItem || zoneEditing) return null;
 
     const isVisit = selectedItem.type === 'visit';
     const isTravel = selectedItem.type === 'travel';
     const isLocationPoint = selectedItem.type === 'location_point';
+    const continuation = TimelineService.continuationLabel(selectedItem);
+    const zone = TimelineService.displayTimeZone(selectedItem, timeline);
+    // Items cut at midnight show their full span, so include the dates
+    const formatBoundary = (time) => continuation
+      ? TimelineService.formatDateTime(time, zone)
+      : TimelineService.formatTime(time, zone);
 
     return (
       <Card style={styles.detailCard}>
@@ -228,7 +386,7 @@ const MapViewScreen = () => {
             <>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Recorded:</Text>
-                <Text style={styles.detailValue}>{TimelineService.formatDateTime(selectedItem.recorded_at)}</Text>
+                <Text style={styles.detailValue}>{TimelineService.formatDateTime(selectedItem.recorded_at, TimelineService.displayTimeZone(selectedItem, timeline))}</Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Status:</Text>
@@ -253,16 +411,19 @@ const MapViewScreen = () => {
             <>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Start:</Text>
-                <Text style={styles.detailValue}>{TimelineService.formatTime(selectedItem.start_time)}</Text>
+                <Text style={styles.detailValue}>{formatBoundary(selectedItem.start_time)}</Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>End:</Text>
-                <Text style={styles.detailValue}>{TimelineService.formatTime(selectedItem.end_time)}</Text>
+                <Text style={styles.detailValue}>{formatBoundary(selectedItem.end_time)}</Text>
               </View>
               <View style={styles.detailRow}>
                 <Text style={styles.detailLabel}>Duration:</Text>
                 <Text style={styles.detailValue}>{TimelineService.formatDuration(selectedItem.duration)}</Text>
               </View>
+              {continuation && (
+                <Text style={styles.continuation}>{continuation}</Text>
+              )}
               {isTravel && selectedItem.distance && (
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Distance:</Text>
@@ -310,21 +471,27 @@ const MapViewScreen = () => {
             </View>
           </View>
           <View style={styles.locationToggleContainer}>
+            {span === 'day' && (
+              <Button
+                variant={showLocationPoints ? 'primary' : 'outline'}
+                size="sm"
+                onPress={toggleLocationPoints}
+                style={styles.locationToggleButton}
+                disabled={locationPointsLoading}
+              >
+                {locationPointsLoading ? '⏳ Loading...' : showLocationPoints ? '📍 Hide GPS Points' : '📍 Show GPS Points'}
+              </Button>
+            )}
             <Button
-              variant={showLocationPoints ? 'primary' : 'outline'}
+              variant={zoneEditing ? 'primary' : 'outline'}
               size="sm"
-              onPress={toggleLocationPoints}
+              onPress={() => (zoneEditing ? closeZoneEditor() : setZoneEditing(true))}
               style={styles.locationToggleButton}
-              disabled={locationPointsLoading}
             >
-              {locationPointsLoading ? '⏳ Loading...' : showLocationPoints ? '📍 Hide GPS Points' : '📍 Show GPS Points'}
+              🛡️ Privacy Zones
             </Button>
           </View>
-          {timeline.fromCache && (
-            <Badge variant="warning" style={styles.cacheBadge}>
-              Offline Data
-            </Badge>
-          )}
+          <SyncStatus timeline={timeline} />
           {showLocationPoints && locationPoints.length > 0 && (
             <Badge variant="info" style={styles.pointsBadge}>
               {locationPoints.length} location points
@@ -357,16 +524,31 @@ const MapViewScreen = () => {
             >
               ← Previous
             </Button>
-            <Text style={styles.dateText}>{formatDate(selectedDate)}</Text>
+            <Text style={styles.dateText}>
+              {span === 'day' ? formatDate(selectedDate) : TimelineService.formatRangeLabel(range, span)}
+            </Text>
             <Button
               variant="outline"
               size="sm"
               onPress={() => changeDate(1)}
-              disabled={selectedDate.toDateString() === new Date().toDateString()}
+              disabled={range.includesToday}
             >
               Next →
             </Button>
           </View>
+          <View style={styles.spanButtons}>
+            {SPANS.map(option => (
+              <Button
+                key={option.span}
+                variant={span === option.span ? 'primary' : 'outline'}
+                size="sm"
+                onPress={() => selectSpan(option.span)}
+                style={styles.spanButton}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </View>
         </CardContent>
       </Card>
 
@@ -379,26 +561,42 @@ const MapViewScreen = () => {
           style={styles.map}
           region={mapRegion}
           onRegionChangeComplete={setMapRegion}
+          onLongPress={handleMapLongPress}
           showsUserLocation={true}
           showsMyLocationButton={true}
         >
           {renderVisitMarkers()}
           {renderTravelPaths()}
           {renderLocationPoints()}
+          {renderPrivacyZones()}
         </MapView>
       </View>
 
       {/* Selected Item Details */}
       {renderSelectedItemDetails()}
 
-      {/* Refresh Button */}
-      <Button
-        variant="primary"
-        onPress={loadTimelineData}
-        style={styles.refreshButton}
-      >
-      🔄 Refresh Data
-      </Button>
+      {/* Privacy Zone Picker */}
+      {zoneEditing ? (
+        <PrivacyZoneEditor
+          zones={privacyZones}
+          draftZone={draftZone}
+          saving={zoneSaving}
+          onChangeDraft={setDraftZone}
+          onEdit={editZone}
+          onSave={saveDraftZone}
+          onDelete={deleteZone}
+          onCancel={() => setDraftZone(null)}
+          onClose={closeZoneEditor}
+        />
+      ) : (
+        <Button
+          variant="primary"
+          onPress={() => loadTimelineData({ force: true })}
+          style={styles.refreshButton}
+        >
+        🔄 Refresh Data
+        </Button>
+      )}
     </SafeAreaView>
   );
 };
@@ -436,6 +634,15 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: 16,
   },
+  spanButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  spanButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
   statsCard: {
     marginHorizontal: 16,
     marginBottom: 8,
@@ -458,13 +665,11 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 4,
   },
-  cacheBadge: {
-    alignSelf: 'center',
-    marginTop: 8,
-  },
   locationToggleContainer: {
     marginTop: 12,
-    alignItems: 'center',
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
   },
   locationToggleButton: {
     minWidth: 140,
@@ -530,6 +735,12 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#111827',
   },
+  continuation: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    color: '#6b7280',
+    marginBottom: 8,
+  },
   closeButton: {
     marginTop: 12,
   },
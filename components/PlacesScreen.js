@@ -0,0 +1,469 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, StyleSheet, Alert, ActivityIndicator, FlatList, SafeAreaView, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import PlaceService, { PLACE_CATEGORIES } from '../services/PlaceService';
+import TimelineService from '../services/TimelineService';
+import { Button } from './Button';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { Badge } from './Badge';
+
+const RADIUS_OPTIONS = [50, 100, 150, 250, 500]; // meters
+
+const PlacesScreen = () => {
+  const [places, setPlaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [learning, setLearning] = useState(false);
+  const [draftPlace, setDraftPlace] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPlaces();
+  }, []);
+
+  const loadPlaces = async () => {
+    try {
+      setLoading(true);
+      setPlaces([...await PlaceService.getPlaces()]);
+    } catch (error) {
+      console.error('Failed to load places:', error);
+      Alert.alert('Error', 'Failed to load places');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLearn = async () => {
+    try {
+      setLearning(true);
+      const result = await PlaceService.learnPlaces();
+      setPlaces([...await PlaceService.getPlaces()]);
+      if (result.created > 0) {
+        Alert.alert('Places Learned', `Found ${result.created} new ${result.created === 1 ? 'place' : 'places'} in your history.`);
+      }
+    } catch (error) {
+      console.error('Failed to learn places:', error);
+      Alert.alert('Error', 'Failed to learn places from your history');
+    } finally {
+      setLearning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await PlaceService.updatePlace(draftPlace.id, draftPlace);
+      setPlaces([...await PlaceService.getPlaces()]);
+      setDraftPlace(null);
+    } catch (error) {
+      console.error('Failed to save place:', error);
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (place) => {
+    Alert.alert(
+      'Delete place',
+      `Delete "${place.name || 'this place'}"? It won't be learned again; visits there keep their names.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await PlaceService.deletePlace(place.id);
+              setPlaces([...await PlaceService.getPlaces()]);
+              setDraftPlace(null);
+            } catch (error) {
+              console.error('Failed to delete place:', error);
+              Alert.alert('Error', 'Failed to delete place');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleMerge = (target, source) => {
+    Alert.alert(
+      'Merge places',
+      `Merge "${source.name || 'Unnamed place'}" into "${target.name || 'this place'}"? Their visits are combined.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: async () => {
+            try {
+              const merged = await PlaceService.mergePlaces(target.id, [source.id]);
+              setPlaces([...await PlaceService.getPlaces()]);
+              setDraftPlace({ ...merged });
+            } catch (error) {
+              console.error('Failed to merge places:', error);
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const formatLastVisit = (time) => (time
+    ? new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+    : 'never');
+
+  const renderPlace = ({ item }) => {
+    const category = PLACE_CATEGORIES[item.category] || PLACE_CATEGORIES.other;
+
+    return (
+      <TouchableOpacity style={styles.placeItem} onPress={() => setDraftPlace({ ...item })} activeOpacity={0.7}>
+        <Card>
+          <CardContent>
+            <View style={styles.placeHeader}>
+              <Text style={styles.placeIcon}>{category.icon}</Text>
+              <View style={styles.placeInfo}>
+                <Text style={[styles.placeName, !item.name && styles.unnamed]}>{item.name || 'Unnamed place'}</Text>
+                {item.address && <Text style={styles.placeAddress}>{item.address}</Text>}
+              </View>
+              <Badge variant={item.user_edited ? 'primary' : 'gray'}>{category.label}</Badge>
+            </View>
+            <View style={styles.statsRow}>
+              <Text style={styles.stat}>{item.visit_count} {item.visit_count === 1 ? 'visit' : 'visits'}</Text>
+              <Text style={styles.stat}>{TimelineService.formatDuration(item.total_duration)}</Text>
+              <Text style={styles.stat}>Last {formatLastVisit(item.last_visit_at)}</Text>
+              <Text style={styles.stat}>{Math.round(item.radius_meters)} m</Text>
+            </View>
+          </CardContent>
+        </Card>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      <Text style={styles.emptyStateText}>
+        No places yet. Places you visit often are learned from your timeline.
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3B82F6" />
+        <Text style={styles.loadingText}>Loading places...</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const nearbyPlaces = draftPlace ? PlaceService.getNearbyPlaces(draftPlace) : [];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <Card style={styles.headerCard}>
+        <CardContent>
+          <View style={styles.headerRow}>
+            <Text style={styles.title}>My Places</Text>
+            <Badge variant="gray">{places.length}</Badge>
+          </View>
+          <Button variant="outline" size="sm" onPress={handleLearn} loading={learning} style={styles.learnButton}>
+            🔄 Learn from History
+          </Button>
+        </CardContent>
+      </Card>
+
+      {places.length > 0 ? (
+        <FlatList
+          data={places}
+          keyExtractor={(item) => `place-${item.id}`}
+          renderItem={renderPlace}
+          style={styles.list}
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      ) : (
+        renderEmptyState()
+      )}
+
+      {/* Edit Place Modal */}
+      <Modal
+        visible={!!draftPlace}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setDraftPlace(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>Edit Place</Text>
+              {draftPlace && (
+                <Text style={styles.modalSubtitle}>
+                  {draftPlace.latitude.toFixed(5)}, {draftPlace.longitude.toFixed(5)}
+                </Text>
+              )}
+            </View>
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => setDraftPlace(null)}
+              style={styles.closeModalButton}
+              disabled={saving}
+            >
+              ✕ Close
+            </Button>
+          </View>
+
+          {draftPlace && (
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Card style={styles.sectionCard}>
+                <CardContent>
+                  <Text style={styles.label}>Name</Text>
+                  <TextInput
+                    style={styles.input}
+                    value={draftPlace.name || ''}
+                    onChangeText={(name) => setDraftPlace({ ...draftPlace, name })}
+                    placeholder="Name (e.g. Home)"
+                    placeholderTextColor="#9ca3af"
+                  />
+
+                  <Text style={styles.label}>Category</Text>
+                  <View style={styles.optionRow}>
+                    {Object.entries(PLACE_CATEGORIES).map(([category, { label, icon }]) => (
+                      <Button
+                        key={category}
+                        size="sm"
+                        variant={draftPlace.category === category ? 'primary' : 'outline'}
+                        onPress={() => setDraftPlace({ ...draftPlace, category })}
+                      >
+                        {`${icon} ${label}`}
+                      </Button>
+                    ))}
+                  </View>
+
+                  <Text style={styles.label}>Radius</Text>
+                  <View style={styles.optionRow}>
+                    {RADIUS_OPTIONS.map(radius => (
+                      <Button
+                        key={radius}
+                        size="sm"
+                        variant={Math.round(draftPlace.radius_meters) === radius ? 'primary' : 'outline'}
+                        onPress={() => setDraftPlace({ ...draftPlace, radius_meters: radius })}
+                      >
+                        {`${radius} m`}
+                      </Button>
+                    ))}
+                  </View>
+
+                  <View style={styles.optionRow}>
+                    <Button variant="primary" size="sm" onPress={handleSave} loading={saving}>
+                      Save
+                    </Button>
+                    <Button variant="secondary" size="sm" onPress={() => handleDelete(draftPlace)} disabled={saving}>
+                      Delete
+                    </Button>
+                  </View>
+                </CardContent>
+              </Card>
+
+              {nearbyPlaces.length > 0 && (
+                <Card style={styles.sectionCard}>
+                  <CardHeader>
+                    <CardTitle>Merge Into This Place</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    {nearbyPlaces.map(place => (
+                      <TouchableOpacity
+                        key={place.id}
+                        style={styles.mergeRow}
+                        onPress={() => handleMerge(draftPlace, place)}
+                        disabled={saving}
+                      >
+                        <View style={styles.placeInfo}>
+                          <Text style={styles.mergeName}>{place.name || 'Unnamed place'}</Text>
+                          <Text style={styles.placeAddress}>
+                            {`${place.visit_count} visits · ${TimelineService.formatDistance(place.distance)} away`}
+                          </Text>
+                        </View>
+                        <Text style={styles.mergeAction}>Merge</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </CardContent>
+                </Card>
+              )}
+            </ScrollView>
+          )}
+        </SafeAreaView>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f9fafb',
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#6b7280',
+  },
+  headerCard: {
+    margin: 16,
+    marginBottom: 8,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  learnButton: {
+    marginTop: 12,
+  },
+  list: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 16,
+    paddingTop: 8,
+  },
+  placeItem: {
+    marginBottom: 12,
+  },
+  placeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  placeIcon: {
+    fontSize: 24,
+  },
+  placeInfo: {
+    flex: 1,
+  },
+  placeName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  unnamed: {
+    color: '#6b7280',
+    fontStyle: 'italic',
+  },
+  placeAddress: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 12,
+  },
+  stat: {
+    fontSize: 12,
+    color: '#6b7280',
+    fontWeight: '500',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+  // Modal styles
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  modalTitleContainer: {
+    flex: 1,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  closeModalButton: {
+    marginLeft: 16,
+  },
+  modalContent: {
+    padding: 16,
+  },
+  sectionCard: {
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    color: '#111827',
+    fontSize: 14,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  mergeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+    gap: 8,
+  },
+  mergeName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#111827',
+  },
+  mergeAction: {
+    fontSize: 14,
+    color: '#3B82F6',
+    fontWeight: '600',
+  },
+});
+
+export default PlacesScreen;
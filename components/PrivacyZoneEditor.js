@@ -0,0 +1,201 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet, ScrollView } from 'react-native';
+import { PRIVACY_ZONE_MODES } from '../services/PrivacyZoneService';
+import { Button } from './Button';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { Badge } from './Badge';
+
+const RADIUS_OPTIONS = [50, 100, 200, 500]; // meters
+
+const getModeBadgeVariant = (mode) => {
+  switch (mode) {
+    case 'drop': return 'danger';
+    case 'local_only': return 'warning';
+    default: return 'primary';
+  }
+};
+
+/**
+ * Bottom panel for MapViewScreen's privacy zone mode: lists zones and edits
+ * the draft zone placed by long-pressing the map.
+ */
+export const PrivacyZoneEditor = ({
+  zones,
+  draftZone,
+  saving,
+  onChangeDraft,
+  onEdit,
+  onSave,
+  onDelete,
+  onCancel,
+  onClose
+}) => {
+  if (!draftZone) {
+    return (
+      <Card style={styles.editorCard}>
+        <CardHeader>
+          <View style={styles.headerRow}>
+            <CardTitle>Privacy Zones</CardTitle>
+            <Badge variant="gray">{zones.length}</Badge>
+          </View>
+        </CardHeader>
+        <CardContent>
+          <Text style={styles.hint}>Long-press the map to add a zone.</Text>
+          <ScrollView style={styles.zoneList}>
+            {zones.map(zone => (
+              <View key={zone.id} style={styles.zoneRow}>
+                <View style={styles.zoneInfo}>
+                  <Text style={styles.zoneName}>{zone.name}</Text>
+                  <Text style={styles.zoneMeta}>{Math.round(zone.radius_meters)} m</Text>
+                </View>
+                <Badge variant={getModeBadgeVariant(zone.mode)}>{PRIVACY_ZONE_MODES[zone.mode].label}</Badge>
+                <Button variant="outline" size="sm" onPress={() => onEdit(zone)} style={styles.editButton}>
+                  Edit
+                </Button>
+              </View>
+            ))}
+          </ScrollView>
+          <Button variant="primary" size="sm" onPress={onClose} style={styles.footerButton}>
+            Done
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card style={styles.editorCard}>
+      <CardHeader>
+        <CardTitle>{draftZone.id ? 'Edit Privacy Zone' : 'New Privacy Zone'}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <TextInput
+          style={styles.input}
+          value={draftZone.name}
+          onChangeText={(name) => onChangeDraft({ ...draftZone, name })}
+          placeholder="Name (e.g. Home)"
+          placeholderTextColor="#9ca3af"
+        />
+
+        <Text style={styles.label}>Radius</Text>
+        <View style={styles.optionRow}>
+          {RADIUS_OPTIONS.map(radius => (
+            <Button
+              key={radius}
+              size="sm"
+              variant={draftZone.radius_meters === radius ? 'primary' : 'outline'}
+              onPress={() => onChangeDraft({ ...draftZone, radius_meters: radius })}
+            >
+              {`${radius} m`}
+            </Button>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Points inside</Text>
+        <View style={styles.optionRow}>
+          {Object.entries(PRIVACY_ZONE_MODES).map(([mode, { label }]) => (
+            <Button
+              key={mode}
+              size="sm"
+              variant={draftZone.mode === mode ? 'primary' : 'outline'}
+              onPress={() => onChangeDraft({ ...draftZone, mode })}
+            >
+              {label}
+            </Button>
+          ))}
+        </View>
+        <Text style={styles.hint}>{PRIVACY_ZONE_MODES[draftZone.mode].description}. Drag the pin to move the zone.</Text>
+
+        <View style={styles.optionRow}>
+          <Button variant="primary" size="sm" onPress={onSave} loading={saving}>
+            Save
+          </Button>
+          {draftZone.id && (
+            <Button variant="secondary" size="sm" onPress={() => onDelete(draftZone)} disabled={saving}>
+              Delete
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onPress={onCancel} disabled={saving}>
+            Cancel
+          </Button>
+        </View>
+      </CardContent>
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  editorCard: {
+    position: 'absolute',
+    bottom: 16,
+    left: 16,
+    right: 16,
+    backgroundColor: 'white',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  zoneList: {
+    maxHeight: 180,
+  },
+  zoneRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+    gap: 8,
+  },
+  zoneInfo: {
+    flex: 1,
+  },
+  zoneName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#111827',
+  },
+  zoneMeta: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  editButton: {
+    minWidth: 60,
+  },
+  footerButton: {
+    marginTop: 12,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    color: '#111827',
+    fontSize: 14,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+});
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, StyleSheet, Alert, ActivityIndicator, FlatList, SafeAreaView, TouchableOpacity, ScrollView } from 'react-native';
+import { PLACE_CATEGORIES } from '../services/PlaceService';
+import TimelineService from '../services/TimelineService';
+import { Button } from './Button';
+import { Card, CardContent } from './Card';
+import { Badge } from './Badge';
+
+const SEARCH_DELAY_MS = 300;
+
+const RANGE_OPTIONS = [
+  { days: null, label: 'Any Time' },
+  { days: 7, label: '7 Days' },
+  { days: 30, label: '30 Days' },
+  { days: 365, label: '1 Year' },
+];
+
+const DURATION_OPTIONS = [
+  { key: 'any', label: 'Any Length' },
+  { key: 'short', label: '< 30m', maxDuration: 30 * 60 },
+  { key: 'medium', label: '30m - 2h', minDuration: 30 * 60, maxDuration: 2 * 3600 },
+  { key: 'long', label: '> 2h', minDuration: 2 * 3600 },
+];
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SearchScreen = ({ navigation }) => {
+  const [query, setQuery] = useState('');
+  const [rangeDays, setRangeDays] = useState(null);
+  const [durationKey, setDurationKey] = useState('any');
+  const [weekdays, setWeekdays] = useState([]);
+  const [category, setCategory] = useState(null);
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(runSearch, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, rangeDays, durationKey, weekdays, category]);
+
+  // Days loaded and notes written since the last search show up when the tab is opened again
+  useEffect(() => navigation.addListener('focus', runSearch), [navigation, query, rangeDays, durationKey, weekdays, category]);
+
+  const runSearch = async () => {
+    const { minDuration, maxDuration } = DURATION_OPTIONS.find(option => option.key === durationKey);
+
+    try {
+      setSearching(true);
+      setResults(await TimelineService.searchVisits({
+        query,
+        days: rangeDays,
+        minDuration,
+        maxDuration,
+        weekdays,
+        category
+      }));
+    } catch (error) {
+      console.error('Failed to search timeline:', error);
+      Alert.alert('Error', 'Failed to search your timeline');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const toggleWeekday = (weekday) => {
+    setWeekdays(current => (current.includes(weekday)
+      ? current.filter(day => day !== weekday)
+      : [...current, weekday].sort()));
+  };
+
+  const openDay = (visit) => {
+    navigation.navigate('Timeline', { date: visit.date, itemKey: `visit-${visit.id}` });
+  };
+
+  const formatDay = (visit) => new Date(visit.start_time).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: TimelineService.isValidTimeZone(visit.timezone) ? visit.timezone : undefined
+  });
+
+  const renderFilters = () => {
+    const facets = results?.facets;
+
+    return (
+      <Card style={styles.filtersCard}>
+        <CardContent>
+          <TextInput
+            style={styles.input}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search places, addresses and notes"
+            placeholderTextColor="#9ca3af"
+            autoCorrect={false}
+            returnKeyType="search"
+            onSubmitEditing={runSearch}
+          />
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.optionRow}>
+            {RANGE_OPTIONS.map(({ days, label }) => (
+              <Button
+                key={label}
+                size="sm"
+                variant={rangeDays === days ? 'primary' : 'outline'}
+                onPress={() => setRangeDays(days)}
+              >
+                {label}
+              </Button>
+            ))}
+          </ScrollView>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.optionRow}>
+            {DURATION_OPTIONS.map(({ key, label }) => (
+              <Button
+                key={key}
+                size="sm"
+                variant={durationKey === key ? 'primary' : 'outline'}
+                onPress={() => setDurationKey(key)}
+              >
+                {label}
+              </Button>
+            ))}
+          </ScrollView>
+
+          <View style={styles.weekdayRow}>
+            {WEEKDAY_LABELS.map((label, weekday) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.weekday, weekdays.includes(weekday) && styles.weekdaySelected]}
+                onPress={() => toggleWeekday(weekday)}
+              >
+                <Text style={[styles.weekdayLabel, weekdays.includes(weekday) && styles.weekdayLabelSelected]}>
+                  {label}
+                </Text>
+                <Text style={[styles.weekdayCount, weekdays.includes(weekday) && styles.weekdayLabelSelected]}>
+                  {facets ? facets.weekdays[weekday] : '-'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {facets && Object.keys(facets.categories).length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.optionRow}>
+              {Object.entries(facets.categories).map(([key, count]) => {
+                const { label, icon } = PLACE_CATEGORIES[key] || PLACE_CATEGORIES.other;
+                return (
+                  <Button
+                    key={key}
+                    size="sm"
+                    variant={category === key ? 'primary' : 'outline'}
+                    onPress={() => setCategory(category === key ? null : key)}
+                  >
+                    {`${icon} ${label} (${count})`}
+                  </Button>
+                );
+              })}
+            </ScrollView>
+          )}
+        </CardContent>
+      </Card>
+    );
+  };
+
+  const renderResult = ({ item }) => {
+    const placeCategory = item.category ? PLACE_CATEGORIES[item.category] || PLACE_CATEGORIES.other : null;
+
+    return (
+      <TouchableOpacity style={styles.resultItem} onPress={() => openDay(item)} activeOpacity={0.7}>
+        <Card>
+          <CardContent>
+            <View style={styles.resultHeader}>
+              <Text style={styles.resultDay}>{formatDay(item)}</Text>
+              <Text style={styles.resultDuration}>{TimelineService.formatDuration(item.duration)}</Text>
+            </View>
+            <Text style={[styles.resultName, !item.location?.name && !item.place_name && styles.unnamed]}>
+              {item.location?.name || item.place_name || 'Unknown place'}
+            </Text>
+            {item.location?.address && <Text style={styles.resultAddress}>{item.location.address}</Text>}
+            {item.note && <Text style={styles.resultNote}>📝 {item.note}</Text>}
+            <View style={styles.resultFooter}>
+              <Text style={styles.resultTime}>{TimelineService.formatTimeRange(item, { timezone: item.timezone })}</Text>
+              {placeCategory && (
+                <Badge variant="gray">{`${placeCategory.icon} ${item.place_name || placeCategory.label}`}</Badge>
+              )}
+            </View>
+          </CardContent>
+        </Card>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyState}>
+      {searching ? (
+        <ActivityIndicator size="large" color="#3B82F6" />
+      ) : (
+        <Text style={styles.emptyStateText}>
+          No visits found. Search covers the days your timeline has loaded on this device.
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {renderFilters()}
+
+      {results && results.total > results.visits.length && (
+        <Text style={styles.resultCount}>
+          Showing the latest {results.visits.length} of {results.total} visits
+        </Text>
+      )}
+
+      {results?.visits.length > 0 ? (
+        <FlatList
+          data={results.visits}
+          keyExtractor={(item) => `visit-${item.id}`}
+          renderItem={renderResult}
+          style={styles.list}
+          contentContainerStyle={styles.listContent}
+          keyboardShouldPersistTaps="handled"
+          showsVerticalScrollIndicator={false}
+        />
+      ) : (
+        renderEmptyState()
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+  },
+  filtersCard: {
+    margin: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    color: '#111827',
+    fontSize: 14,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  weekday: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginHorizontal: 2,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  weekdaySelected: {
+    backgroundColor: '#3B82F6',
+    borderColor: '#3B82F6',
+  },
+  weekdayLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  weekdayCount: {
+    fontSize: 11,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  weekdayLabelSelected: {
+    color: 'white',
+  },
+  resultCount: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginHorizontal: 16,
+  },
+  list: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 16,
+    paddingTop: 8,
+  },
+  resultItem: {
+    marginBottom: 12,
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  resultDay: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#6b7280',
+  },
+  resultDuration: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  resultName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  unnamed: {
+    color: '#6b7280',
+    fontStyle: 'italic',
+  },
+  resultAddress: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  resultNote: {
+    fontSize: 14,
+    color: '#374151',
+    marginTop: 6,
+  },
+  resultFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  resultTime: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#6b7280',
+    textAlign: 'center',
+  },
+});
+
+export default SearchScreen;
@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import TimelineService from '../services/TimelineService';
+import { Badge } from './Badge';
+
+const TICK_MS = 60 * 1000;
+
+/**
+ * "Updated x min ago" for a timeline view from TimelineService, with its
+ * background refresh and a warning when the server couldn't be reached
+ */
+export const SyncStatus = ({ timeline, style }) => {
+  const [, setNow] = useState(Date.now());
+
+  // Keep the age current while the screen stays open
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!timeline?.syncedAt) return null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.text}>
+        {TimelineService.formatUpdatedAgo(timeline.syncedAt)}
+        {timeline.revalidating ? ' · Updating...' : ''}
+      </Text>
+      {timeline.refreshFailed && (
+        <Badge variant="warning">
+          {timeline.sessionExpired ? 'Offline - log in to refresh' : 'Offline'}
+        </Badge>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  text: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+});
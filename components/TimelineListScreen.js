@@ -1,16 +1,31 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, Alert, ActivityIndicator, FlatList, SafeAreaView, TouchableOpacity, Modal } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, StyleSheet, Alert, ActivityIndicator, FlatList, SafeAreaView, TouchableOpacity, Modal } from 'react-native';
 import MapView, { Marker } from 'react-native-maps';
 import { useAuth } from '../AuthContext';
 import TimelineService from '../services/TimelineService';
+import LocationExportService from '../services/LocationExportService';
+import VisitEditService from '../services/VisitEditService';
+import TimelineCorrectionService from '../services/TimelineCorrectionService';
 import { Button } from './Button';
 import { Card, CardHeader, CardTitle, CardContent } from './Card';
 import { Badge } from './Badge';
+import { VisitEditor } from './VisitEditor';
+import { SyncStatus } from './SyncStatus';
 
-const TimelineListScreen = () => {
+const MINUTE_MS = 60 * 1000;
+const SPINNER_DELAY_MS = 300;
+
+const SPANS = [
+  { span: 'day', label: 'Day' },
+  { span: 'week', label: 'Week' },
+  { span: 'month', label: 'Month' },
+];
+
+const TimelineListScreen = ({ route }) => {
   const [timeline, setTimeline] = useState(null);
   const [loading, setLoading] = useState(true);
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [span, setSpan] = useState('day'); // 'day', 'week', 'month'
   const [expandedItems, setExpandedItems] = useState(new Set());
   const [viewMode, setViewMode] = useState('all'); // 'all', 'visits', 'travels'
   const [mapModalVisible, setMapModalVisible] = useState(false);
@@ -18,31 +33,67 @@ const TimelineListScreen = () => {
   const [showLocationPoints, setShowLocationPoints] = useState(false);
   const [locationPoints, setLocationPoints] = useState([]);
   const [locationPointsLoading, setLocationPointsLoading] = useState(false);
+  const [exportModalVisible, setExportModalVisible] = useState(false);
+  const [exportRangeDays, setExportRangeDays] = useState(1);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [editingVisit, setEditingVisit] = useState(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [splittingItem, setSplittingItem] = useState(null);
+  const [splitAt, setSplitAt] = useState(null);
+  const [correcting, setCorrecting] = useState(false);
+  const [notingVisit, setNotingVisit] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [savingNote, setSavingNote] = useState(false);
+  const latestRequest = useRef(0);
   const { token } = useAuth();
+  const range = TimelineService.getSpanRange(selectedDate, span);
 
   useEffect(() => {
     loadTimelineData();
-  }, [selectedDate, token]);
+  }, [selectedDate, span, token]);
+
+  // Opened from a search result: show its day with the visit expanded
+  useEffect(() => {
+    if (!route?.params?.date) return;
+    setSpan('day');
+    setSelectedDate(TimelineService.dateForDayKey(route.params.date));
+    if (route.params.itemKey) {
+      setExpandedItems(new Set([route.params.itemKey]));
+    }
+  }, [route?.params]);
 
-  const loadTimelineData = async () => {
+  const loadTimelineData = async ({ force = false } = {}) => {
     if (!token) return;
 
+    // Cached days show at once; the spinner is only for waiting on the server
+    const request = ++latestRequest.current;
+    const spinner = setTimeout(() => setLoading(true), SPINNER_DELAY_MS);
+    const onUpdate = (timelineData) => {
+      if (request === latestRequest.current) setTimeline(timelineData);
+    };
+
     try {
-      setLoading(true);
-      const timelineData = await TimelineService.getTimelineForDate(selectedDate, token);
-      setTimeline(timelineData);
+      // Weeks and months come in one request
+      const timelineData = span === 'day'
+        ? await TimelineService.getTimelineForDate(selectedDate, token, { force, onUpdate })
+        : await TimelineService.getTimelineForDateRange(range.startDate, range.endDate, token, { force, onUpdate });
+      onUpdate(timelineData);
     } catch (error) {
       console.error('Failed to load timeline data:', error);
       Alert.alert('Error', 'Failed to load timeline data');
     } finally {
-      setLoading(false);
+      clearTimeout(spinner);
+      if (request === latestRequest.current) setLoading(false);
     }
   };
 
-  const changeDate = (days) => {
-    const newDate = new Date(selectedDate);
-    newDate.setDate(newDate.getDate() + days);
-    setSelectedDate(newDate);
+  const changeDate = (direction) => {
+    setSelectedDate(TimelineService.shiftDate(selectedDate, span, direction));
+  };
+
+  const openDay = (dayKey) => {
+    setSpan('day');
+    setSelectedDate(TimelineService.dateForDayKey(dayKey));
   };
 
   const formatDate = (date) => {
@@ -91,6 +142,127 @@ const TimelineListScreen = () => {
     setMapModalVisible(true);
   };
 
+  const handleExport = async (format) => {
+    // Range ends on the selected day and reaches back exportRangeDays days
+    const startDate = new Date(selectedDate);
+    startDate.setDate(startDate.getDate() - (exportRangeDays - 1));
+
+    try {
+      setExportingFormat(format);
+      const result = await LocationExportService.exportAndShare(format, startDate, selectedDate);
+      if (result.points === 0 && result.segments === 0) {
+        Alert.alert('Nothing to Export', 'No cached location history was found for this range.');
+      }
+      setExportModalVisible(false);
+    } catch (error) {
+      console.error('Failed to export location history:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const updateVisits = (update) => {
+    setTimeline(current => current && { ...current, visits: (current.visits || []).map(update) });
+  };
+
+  const syncVisitEdits = async () => {
+    const result = await VisitEditService.syncPendingEdits(token);
+    if (result.synced === 0) return;
+
+    const pendingIds = new Set((await VisitEditService.getPendingEdits()).map(edit => edit.visit_id));
+    updateVisits(visit => (visit.edit_pending && !pendingIds.has(visit.id) ? { ...visit, edit_pending: false } : visit));
+  };
+
+  const handleSaveVisitEdit = async (place, source) => {
+    try {
+      setSavingEdit(true);
+      const edited = source === 'confirmed'
+        ? await VisitEditService.confirmPlace(editingVisit)
+        : await VisitEditService.editVisit(editingVisit, place, source);
+      updateVisits(visit => (visit.id === edited.id ? { ...visit, ...edited, edit_failed: false } : visit));
+      setEditingVisit(null);
+    } catch (error) {
+      console.error('Failed to edit visit:', error);
+      Alert.alert('Edit Failed', error.message);
+      return;
+    } finally {
+      setSavingEdit(false);
+    }
+
+    // Offline edits stay queued for the next sync
+    syncVisitEdits().catch(error => console.warn('Visit edit upload postponed:', error));
+  };
+
+  const openNote = (visit) => {
+    setNoteText(visit.note || '');
+    setNotingVisit(visit);
+  };
+
+  const handleSaveNote = async () => {
+    try {
+      setSavingNote(true);
+      const note = await TimelineService.saveVisitNote(notingVisit, noteText);
+      updateVisits(visit => (visit.id === notingVisit.id ? { ...visit, note } : visit));
+      setNotingVisit(null);
+    } catch (error) {
+      console.error('Failed to save note:', error);
+      Alert.alert('Error', 'Failed to save note');
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  const applyTimelineCorrection = async (makeCorrection) => {
+    try {
+      setCorrecting(true);
+      const correction = await makeCorrection();
+      setTimeline(current => current && TimelineService.applyCorrectionToDay(current, correction));
+      setSplittingItem(null);
+    } catch (error) {
+      console.error('Failed to correct timeline:', error);
+      Alert.alert('Correction Failed', error.message);
+      return;
+    } finally {
+      setCorrecting(false);
+    }
+
+    // Offline corrections stay queued for the next sync
+    TimelineCorrectionService.syncPendingCorrections(token)
+      .catch(error => console.warn('Timeline correction upload postponed:', error));
+  };
+
+  const openSplit = (item) => {
+    const middle = (Date.parse(item.start_time) + Date.parse(item.end_time)) / 2;
+    setSplitAt(Math.round(middle / MINUTE_MS) * MINUTE_MS);
+    setSplittingItem(item);
+  };
+
+  // Keeps at least a minute on both sides of the split
+  const moveSplit = (minutes) => {
+    const start = Date.parse(splittingItem.start_time) + MINUTE_MS;
+    const end = Date.parse(splittingItem.end_time) - MINUTE_MS;
+    setSplitAt(current => Math.min(Math.max(current + minutes * MINUTE_MS, start), end));
+  };
+
+  const handleSplit = () => applyTimelineCorrection(() =>
+    TimelineCorrectionService.splitItem(splittingItem, splitAt, { timeZone: timeline.timezone }));
+
+  const handleMerge = (items) => {
+    Alert.alert(
+      'Merge timeline items',
+      `Merge these ${items.length} items into one? The longest one keeps its place.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          onPress: () => applyTimelineCorrection(() =>
+            TimelineCorrectionService.mergeItems(items, { timeZone: timeline.timezone }))
+        }
+      ]
+    );
+  };
+
   const getLocationPointsRegion = () => {
     if (!locationPoints || locationPoints.length === 0) {
       return {
@@ -132,7 +304,7 @@ const TimelineListScreen = () => {
       const visits = (timeline.visits || []).map(visit => ({
         ...visit,
         type: 'visit',
-        sortTime: new Date(visit.start_time).getTime()
+        sortTime: new Date(visit.display_start_time || visit.start_time).getTime()
       }));
       items = [...items, ...visits];
     }
@@ -141,7 +313,7 @@ const TimelineListScreen = () => {
       const travels = (timeline.travels || []).map(travel => ({
         ...travel,
         type: 'travel',
-        sortTime: new Date(travel.start_time).getTime()
+        sortTime: new Date(travel.display_start_time || travel.start_time).getTime()
       }));
       items = [...items, ...travels];
     }
@@ -150,9 +322,14 @@ const TimelineListScreen = () => {
     return items.sort((a, b) => a.sortTime - b.sortTime);
   };
 
-  const renderTimelineItem = ({ item }) => {
+  const renderTimelineItem = ({ item, index }) => {
     const isVisit = item.type === 'visit';
+    // Merging needs the neighbours of both types, so only the full list offers it
+    const previous = viewMode === 'all' ? filteredData[index - 1] : null;
+    const next = viewMode === 'all' ? filteredData[index + 1] : null;
+    const canSplit = Date.parse(item.end_time) - Date.parse(item.start_time) > 2 * MINUTE_MS;
     const isExpanded = expandedItems.has(`${item.type}-${item.id}`);
+    const continuation = TimelineService.continuationLabel(item);
 
     return (
       <TouchableOpacity
@@ -169,24 +346,36 @@ const TimelineListScreen = () => {
                   {isVisit ? '📍 Visit' : '🚗 Travel'}
                 </Badge>
                 <Text style={styles.timeRange}>
-                  {TimelineService.formatTime(item.start_time)} - {TimelineService.formatTime(item.end_time)}
+                  {TimelineService.formatTimeRange(item, timeline)}
                 </Text>
               </View>
               <Text style={styles.duration}>
-                {TimelineService.formatDuration(item.duration)}
+                {TimelineService.formatDuration(item.display_duration ?? item.duration)}
               </Text>
             </View>
 
+            {continuation && (
+              <Text style={styles.continuation}>{continuation}</Text>
+            )}
+
             {/* Location/Travel Info */}
             {isVisit && item.location && (
               <View style={styles.locationInfo}>
-                <Text style={styles.locationName}>{item.location.name}</Text>
+                <View style={styles.locationNameRow}>
+                  <Text style={styles.locationName}>{item.location.name}</Text>
+                  {item.edit_pending && <Badge variant="warning">Pending sync</Badge>}
+                  {!item.edit_pending && item.confirmed && <Badge variant="success">✓</Badge>}
+                </View>
                 {item.location.address && (
                   <Text style={styles.locationAddress}>{item.location.address}</Text>
                 )}
               </View>
             )}
 
+            {isVisit && item.note && (
+              <Text style={styles.note}>📝 {item.note}</Text>
+            )}
+
             {!isVisit && item.distance && (
               <View style={styles.travelInfo}>
                 <Text style={styles.travelDistance}>
@@ -202,13 +391,13 @@ const TimelineListScreen = () => {
                   <View style={styles.detailItem}>
                     <Text style={styles.detailLabel}>Start Time</Text>
                     <Text style={styles.detailValue}>
-                      {TimelineService.formatDateTime(item.start_time)}
+                      {TimelineService.formatDateTime(item.start_time, TimelineService.displayTimeZone(item, timeline))}
                     </Text>
                   </View>
                   <View style={styles.detailItem}>
                     <Text style={styles.detailLabel}>End Time</Text>
                     <Text style={styles.detailValue}>
-                      {TimelineService.formatDateTime(item.end_time)}
+                      {TimelineService.formatDateTime(item.end_time, TimelineService.displayTimeZone(item, timeline))}
                     </Text>
                   </View>
                   {isVisit && item.center_latitude && item.center_longitude && (
@@ -242,6 +431,76 @@ const TimelineListScreen = () => {
                     🗺️ View on Map
                   </Button>
                 )}
+                {isVisit && item.id > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onPress={(e) => {
+                      e.stopPropagation();
+                      setEditingVisit(item);
+                    }}
+                    style={styles.mapButton}
+                  >
+                    ✏️ {item.location?.name ? 'Edit Place' : 'Name This Place'}
+                  </Button>
+                )}
+                {isVisit && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onPress={(e) => {
+                      e.stopPropagation();
+                      openNote(item);
+                    }}
+                    style={styles.mapButton}
+                  >
+                    📝 {item.note ? 'Edit Note' : 'Add Note'}
+                  </Button>
+                )}
+                <View style={styles.correctionButtons}>
+                  {canSplit && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onPress={(e) => {
+                        e.stopPropagation();
+                        openSplit(item);
+                      }}
+                      disabled={correcting}
+                      style={styles.correctionButton}
+                    >
+                      ✂️ Split
+                    </Button>
+                  )}
+                  {previous && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onPress={(e) => {
+                        e.stopPropagation();
+                        handleMerge([previous, item]);
+                      }}
+                      disabled={correcting}
+                      style={styles.correctionButton}
+                    >
+                      ⤒ Merge with Previous
+                    </Button>
+                  )}
+                  {next && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onPress={(e) => {
+                        e.stopPropagation();
+                        handleMerge([item, next]);
+                      }}
+                      disabled={correcting}
+                      style={styles.correctionButton}
+                    >
+                      ⤓ Merge with Next
+                    </Button>
+                  )}
+                </View>
               </View>
             )}
 
@@ -260,40 +519,52 @@ const TimelineListScreen = () => {
   const renderViewModeSelector = () => (
     <Card style={styles.viewModeCard}>
       <CardContent>
-        <View style={styles.viewModeButtons}>
-          <Button
-            variant={viewMode === 'all' ? 'primary' : 'outline'}
-            size="sm"
-            onPress={() => setViewMode('all')}
-            style={styles.viewModeButton}
-          >
-            All
-          </Button>
-          <Button
-            variant={viewMode === 'visits' ? 'primary' : 'outline'}
-            size="sm"
-            onPress={() => setViewMode('visits')}
-            style={styles.viewModeButton}
-          >
-            Visits Only
-          </Button>
-          <Button
-            variant={viewMode === 'travels' ? 'primary' : 'outline'}
-            size="sm"
-            onPress={() => setViewMode('travels')}
-            style={styles.viewModeButton}
-          >
-            Travels Only
-          </Button>
-        </View>
-        <View style={styles.mapToggleContainer}>
+        {span === 'day' && (
+          <View style={styles.viewModeButtons}>
+            <Button
+              variant={viewMode === 'all' ? 'primary' : 'outline'}
+              size="sm"
+              onPress={() => setViewMode('all')}
+              style={styles.viewModeButton}
+            >
+              All
+            </Button>
+            <Button
+              variant={viewMode === 'visits' ? 'primary' : 'outline'}
+              size="sm"
+              onPress={() => setViewMode('visits')}
+              style={styles.viewModeButton}
+            >
+              Visits Only
+            </Button>
+            <Button
+              variant={viewMode === 'travels' ? 'primary' : 'outline'}
+              size="sm"
+              onPress={() => setViewMode('travels')}
+              style={styles.viewModeButton}
+            >
+              Travels Only
+            </Button>
+          </View>
+        )}
+        <View style={[styles.mapToggleContainer, span !== 'day' && styles.rangeToggleContainer]}>
+          {span === 'day' && (
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => handleShowMap()}
+              style={styles.mapToggleButton}
+            >
+              🗺️ View Location Points
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
-            onPress={() => handleShowMap()}
+            onPress={() => setExportModalVisible(true)}
             style={styles.mapToggleButton}
           >
-            🗺️ View Location Points
+            📤 Export
           </Button>
         </View>
       </CardContent>
@@ -325,24 +596,53 @@ const TimelineListScreen = () => {
               <Text style={styles.statLabel}>Distance</Text>
             </View>
           </View>
-          {timeline.fromCache && (
-            <Badge variant="warning" style={styles.cacheBadge}>
-              Offline Data
-            </Badge>
-          )}
+          <SyncStatus timeline={timeline} />
         </CardContent>
       </Card>
     );
   };
 
+  const selectSpan = (nextSpan) => {
+    setViewMode('all');
+    setSpan(nextSpan);
+  };
+
+  const renderDaySummary = ({ item: day }) => {
+    const distance = day.travels.reduce((sum, travel) => sum + (travel.distance || 0), 0);
+    const places = day.visits.map(visit => visit.location?.name).filter(Boolean);
+
+    return (
+      <TouchableOpacity style={styles.timelineItem} onPress={() => openDay(day.date)} activeOpacity={0.7}>
+        <Card style={styles.itemCard}>
+          <CardContent>
+            <View style={styles.itemHeader}>
+              <Text style={styles.daySummaryDate}>
+                {TimelineService.dateForDayKey(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+              </Text>
+              <Text style={styles.duration}>{TimelineService.formatDistance(distance)}</Text>
+            </View>
+            <Text style={styles.daySummaryCounts}>
+              {day.visits.length} {day.visits.length === 1 ? 'visit' : 'visits'} · {day.travels.length} {day.travels.length === 1 ? 'travel' : 'travels'}
+            </Text>
+            {places.length > 0 && (
+              <Text style={styles.daySummaryPlaces} numberOfLines={2}>
+                {[...new Set(places)].join(', ')}
+              </Text>
+            )}
+          </CardContent>
+        </Card>
+      </TouchableOpacity>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
       <Text style={styles.emptyStateText}>
-        No {viewMode === 'all' ? 'timeline data' : viewMode} found for this date
+        No {viewMode === 'all' ? 'timeline data' : viewMode} found for this {span === 'day' ? 'date' : span}
       </Text>
       <Button
         variant="outline"
-        onPress={loadTimelineData}
+        onPress={() => loadTimelineData({ force: true })}
         style={styles.emptyStateButton}
       >
         🔄 Refresh
@@ -374,16 +674,31 @@ const TimelineListScreen = () => {
             >
               ← Previous
             </Button>
-            <Text style={styles.dateText}>{formatDate(selectedDate)}</Text>
+            <Text style={styles.dateText}>
+              {span === 'day' ? formatDate(selectedDate) : TimelineService.formatRangeLabel(range, span)}
+            </Text>
             <Button
               variant="outline"
               size="sm"
               onPress={() => changeDate(1)}
-              disabled={selectedDate.toDateString() === new Date().toDateString()}
+              disabled={range.includesToday}
             >
               Next →
             </Button>
           </View>
+          <View style={styles.spanButtons}>
+            {SPANS.map(option => (
+              <Button
+                key={option.span}
+                variant={span === option.span ? 'primary' : 'outline'}
+                size="sm"
+                onPress={() => selectSpan(option.span)}
+                style={styles.viewModeButton}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </View>
         </CardContent>
       </Card>
 
@@ -394,7 +709,16 @@ const TimelineListScreen = () => {
       {renderViewModeSelector()}
 
       {/* Timeline List */}
-      {filteredData.length > 0 ? (
+      {span !== 'day' && filteredData.length > 0 ? (
+        <FlatList
+          data={timeline.days}
+          keyExtractor={(day) => day.date}
+          renderItem={renderDaySummary}
+          style={styles.list}
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      ) : filteredData.length > 0 ? (
         <FlatList
           data={filteredData}
           keyExtractor={(item) => `${item.type}-${item.id}`}
@@ -410,12 +734,223 @@ const TimelineListScreen = () => {
       {/* Refresh Button */}
       <Button
         variant="primary"
-        onPress={loadTimelineData}
+        onPress={() => loadTimelineData({ force: true })}
         style={styles.refreshButton}
       >
         🔄 Refresh Data
       </Button>
 
+      {/* Export Modal */}
+      <Modal
+        visible={exportModalVisible}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setExportModalVisible(false)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>Export Location History</Text>
+              <Text style={styles.modalSubtitle}>
+                {exportRangeDays === 1 ? formatDate(selectedDate) : `${exportRangeDays} days ending ${formatDate(selectedDate)}`}
+              </Text>
+            </View>
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => setExportModalVisible(false)}
+              style={styles.closeModalButton}
+              disabled={!!exportingFormat}
+            >
+              ✕ Close
+            </Button>
+          </View>
+
+          <Card style={styles.modalDetailsCard}>
+            <CardContent>
+              <Text style={styles.modalDetailLabel}>Range</Text>
+              <View style={styles.viewModeButtons}>
+                {[1, 7, 30].map(days => (
+                  <Button
+                    key={days}
+                    variant={exportRangeDays === days ? 'primary' : 'outline'}
+                    size="sm"
+                    onPress={() => setExportRangeDays(days)}
+                    style={styles.viewModeButton}
+                  >
+                    {days === 1 ? 'This Day' : `${days} Days`}
+                  </Button>
+                ))}
+              </View>
+            </CardContent>
+          </Card>
+
+          <Card style={styles.modalDetailsCard}>
+            <CardContent>
+              <Text style={styles.modalDetailLabel}>Format</Text>
+              {[
+                { format: 'gpx', label: 'GPX track' },
+                { format: 'kml', label: 'KML (Google Earth)' },
+                { format: 'geojson', label: 'GeoJSON timeline' },
+                { format: 'csv', label: 'CSV points' },
+              ].map(({ format, label }) => (
+                <Button
+                  key={format}
+                  variant="outline"
+                  onPress={() => handleExport(format)}
+                  loading={exportingFormat === format}
+                  disabled={!!exportingFormat}
+                  style={styles.exportFormatButton}
+                >
+                  {label}
+                </Button>
+              ))}
+            </CardContent>
+          </Card>
+        </SafeAreaView>
+      </Modal>
+
+      {/* Edit Visit Modal */}
+      <Modal
+        visible={!!editingVisit}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setEditingVisit(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>Edit Visit</Text>
+              {editingVisit && (
+                <Text style={styles.modalSubtitle}>{TimelineService.formatTimeRange(editingVisit, timeline)}</Text>
+              )}
+            </View>
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => setEditingVisit(null)}
+              style={styles.closeModalButton}
+              disabled={savingEdit}
+            >
+              ✕ Close
+            </Button>
+          </View>
+
+          {editingVisit && (
+            <VisitEditor visit={editingVisit} saving={savingEdit} onSave={handleSaveVisitEdit} />
+          )}
+        </SafeAreaView>
+      </Modal>
+
+      {/* Note Modal */}
+      <Modal
+        visible={!!notingVisit}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setNotingVisit(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>Visit Note</Text>
+              {notingVisit && (
+                <Text style={styles.modalSubtitle}>
+                  {notingVisit.location?.name || TimelineService.formatTimeRange(notingVisit, timeline)}
+                </Text>
+              )}
+            </View>
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => setNotingVisit(null)}
+              style={styles.closeModalButton}
+              disabled={savingNote}
+            >
+              ✕ Close
+            </Button>
+          </View>
+
+          <Card style={styles.modalDetailsCard}>
+            <CardContent>
+              <Text style={styles.modalDetailLabel}>Note (kept on this device, found by Search)</Text>
+              <TextInput
+                style={styles.noteInput}
+                value={noteText}
+                onChangeText={setNoteText}
+                placeholder="e.g. Check-up, bring X-rays next time"
+                placeholderTextColor="#9ca3af"
+                multiline
+              />
+              <Button variant="primary" onPress={handleSaveNote} loading={savingNote}>
+                Save Note
+              </Button>
+            </CardContent>
+          </Card>
+        </SafeAreaView>
+      </Modal>
+
+      {/* Split Modal */}
+      <Modal
+        visible={!!splittingItem}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setSplittingItem(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <View style={styles.modalTitleContainer}>
+              <Text style={styles.modalTitle}>
+                Split {splittingItem?.type === 'travel' ? 'Travel' : 'Visit'}
+              </Text>
+              {splittingItem && (
+                <Text style={styles.modalSubtitle}>{TimelineService.formatTimeRange(splittingItem, timeline)}</Text>
+              )}
+            </View>
+            <Button
+              variant="outline"
+              size="sm"
+              onPress={() => setSplittingItem(null)}
+              style={styles.closeModalButton}
+              disabled={correcting}
+            >
+              ✕ Close
+            </Button>
+          </View>
+
+          {splittingItem && (
+            <Card style={styles.modalDetailsCard}>
+              <CardContent>
+                <Text style={styles.modalDetailLabel}>Split at</Text>
+                <Text style={styles.splitTime}>
+                  {TimelineService.formatTime(new Date(splitAt).toISOString(), TimelineService.displayTimeZone(splittingItem, timeline))}
+                </Text>
+                <View style={styles.viewModeButtons}>
+                  {[-15, -5, 5, 15].map(minutes => (
+                    <Button
+                      key={minutes}
+                      variant="outline"
+                      size="sm"
+                      onPress={() => moveSplit(minutes)}
+                      style={styles.viewModeButton}
+                    >
+                      {minutes > 0 ? `+${minutes}m` : `${minutes}m`}
+                    </Button>
+                  ))}
+                </View>
+                <Button
+                  variant="primary"
+                  onPress={handleSplit}
+                  loading={correcting}
+                  style={styles.splitButton}
+                >
+                  ✂️ Split Here
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+        </SafeAreaView>
+      </Modal>
+
       {/* Map Modal */}
       <Modal
         visible={mapModalVisible}
@@ -470,7 +1005,7 @@ const TimelineListScreen = () => {
                     longitude: point.longitude,
                   }}
                   title={`Location ${index + 1}`}
-                  description={TimelineService.formatDateTime(point.recorded_at)}
+                  description={TimelineService.formatDateTime(point.recorded_at, TimelineService.displayTimeZone(point, timeline))}
                   pinColor={point.is_moving ? "#3B82F6" : "#10B981"}
                 />
               ))}
@@ -493,7 +1028,7 @@ const TimelineListScreen = () => {
                   longitude: selectedVisit.center_longitude,
                 }}
                 title={selectedVisit.location?.name || 'Visit Location'}
-                description={`${TimelineService.formatTime(selectedVisit.start_time)} - ${TimelineService.formatTime(selectedVisit.end_time)}`}
+                description={TimelineService.formatTimeRange(selectedVisit, timeline)}
                 pinColor="#10B981"
               />
             </MapView>
@@ -517,7 +1052,7 @@ const TimelineListScreen = () => {
                   <View style={styles.modalDetailColumn}>
                     <Text style={styles.modalDetailLabel}>Time</Text>
                     <Text style={styles.modalDetailValue}>
-                      {TimelineService.formatTime(selectedVisit.start_time)} - {TimelineService.formatTime(selectedVisit.end_time)}
+                      {TimelineService.formatTimeRange(selectedVisit, timeline)}
                     </Text>
                   </View>
                 </View>
@@ -575,6 +1110,26 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: 16,
   },
+  spanButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  daySummaryDate: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  daySummaryCounts: {
+    fontSize: 14,
+    color: '#374151',
+    marginTop: 4,
+  },
+  daySummaryPlaces: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 4,
+  },
   statsCard: {
     marginHorizontal: 16,
     marginBottom: 8,
@@ -597,10 +1152,6 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     marginTop: 4,
   },
-  cacheBadge: {
-    alignSelf: 'center',
-    marginTop: 8,
-  },
   viewModeCard: {
     marginHorizontal: 16,
     marginBottom: 8,
@@ -617,8 +1168,15 @@ const styles = StyleSheet.create({
     marginTop: 12,
     alignItems: 'center',
   },
+  rangeToggleContainer: {
+    marginTop: 0,
+  },
   mapToggleButton: {
     minWidth: 150,
+    marginBottom: 8,
+  },
+  exportFormatButton: {
+    marginTop: 8,
   },
   list: {
     flex: 1,
@@ -663,9 +1221,20 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111827',
   },
+  continuation: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    color: '#6b7280',
+    marginBottom: 8,
+  },
   locationInfo: {
     marginBottom: 8,
   },
+  locationNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
   locationName: {
     fontSize: 16,
     fontWeight: '600',
@@ -676,6 +1245,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6b7280',
   },
+  note: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 8,
+  },
   travelInfo: {
     marginBottom: 8,
   },
@@ -739,6 +1313,38 @@ const styles = StyleSheet.create({
   mapButton: {
     marginTop: 8,
   },
+  correctionButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8,
+  },
+  correctionButton: {
+    flexGrow: 1,
+  },
+  splitTime: {
+    fontSize: 24,
+    fontWeight: '600',
+    color: '#111827',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  noteInput: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    color: '#111827',
+    fontSize: 14,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    minHeight: 96,
+    textAlignVertical: 'top',
+    marginVertical: 12,
+  },
+  splitButton: {
+    marginTop: 16,
+  },
   // Modal styles
   modalContainer: {
     flex: 1,
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import SmartGeocodingService from '../services/SmartGeocodingService';
+import VisitEditService from '../services/VisitEditService';
+import { Button } from './Button';
+import { Card, CardHeader, CardTitle, CardContent } from './Card';
+import { Badge } from './Badge';
+
+/**
+ * Body of TimelineListScreen's edit modal: confirm a visit's place, pick a
+ * suggestion or search result, or type a custom name. `onSave(place, source)`
+ * receives a place and a VISIT_EDIT_SOURCES key.
+ */
+export const VisitEditor = ({ visit, saving, onSave }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [customName, setCustomName] = useState('');
+
+  const options = VisitEditService.getPlaceOptions(visit);
+  const currentName = visit.location?.name;
+
+  const handleSearch = async () => {
+    try {
+      setSearching(true);
+      setSearchError(null);
+      const places = await SmartGeocodingService.searchPlaces(query);
+      setResults(places);
+      if (places.length === 0) setSearchError('No places found');
+    } catch (error) {
+      console.error('Place search failed:', error);
+      setSearchError(error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const renderPlace = (place, source, key) => (
+    <TouchableOpacity
+      key={key}
+      style={styles.placeRow}
+      onPress={() => onSave(place, source)}
+      disabled={saving}
+    >
+      <View style={styles.placeInfo}>
+        <Text style={styles.placeName}>{place.name}</Text>
+        {place.address && <Text style={styles.placeAddress}>{place.address}</Text>}
+      </View>
+      {place.name === currentName && <Badge variant="success">Current</Badge>}
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+      {currentName && (
+        <Card style={styles.sectionCard}>
+          <CardContent>
+            <View style={styles.headerRow}>
+              <Text style={styles.placeName}>{currentName}</Text>
+              {visit.edit_pending && <Badge variant="warning">Pending sync</Badge>}
+              {!visit.edit_pending && visit.confirmed && <Badge variant="success">Confirmed</Badge>}
+            </View>
+            {visit.edit_failed && (
+              <Text style={styles.hint}>The server didn't accept the last edit of this visit.</Text>
+            )}
+            <Button
+              variant="primary"
+              size="sm"
+              onPress={() => onSave(visit.location, 'confirmed')}
+              loading={saving}
+              style={styles.sectionButton}
+            >
+              ✓ This is right
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      {options.length > 0 && (
+        <Card style={styles.sectionCard}>
+          <CardHeader>
+            <CardTitle>Suggested Places</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {options.map((place, index) => renderPlace(place, 'suggestion', `suggestion-${index}`))}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card style={styles.sectionCard}>
+        <CardHeader>
+          <CardTitle>Search</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.inputFlex]}
+              value={query}
+              onChangeText={setQuery}
+              onSubmitEditing={handleSearch}
+              placeholder="Place or address"
+              placeholderTextColor="#9ca3af"
+              returnKeyType="search"
+            />
+            <Button variant="outline" size="sm" onPress={handleSearch} loading={searching} disabled={!query.trim()}>
+              Search
+            </Button>
+          </View>
+          {searchError && <Text style={styles.hint}>{searchError}</Text>}
+          {results.map((place, index) => renderPlace(place, 'search', `search-${index}`))}
+        </CardContent>
+      </Card>
+
+      <Card style={styles.sectionCard}>
+        <CardHeader>
+          <CardTitle>Custom Name</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <TextInput
+            style={styles.input}
+            value={customName}
+            onChangeText={setCustomName}
+            placeholder="Name (e.g. Grandma's house)"
+            placeholderTextColor="#9ca3af"
+          />
+          <Button
+            variant="primary"
+            size="sm"
+            onPress={() => onSave({ name: customName }, 'custom')}
+            disabled={!customName.trim() || saving}
+          >
+            Save Name
+          </Button>
+        </CardContent>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 16,
+  },
+  sectionCard: {
+    marginBottom: 12,
+  },
+  sectionButton: {
+    marginTop: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 8,
+  },
+  placeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+    gap: 8,
+  },
+  placeInfo: {
+    flex: 1,
+  },
+  placeName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  placeAddress: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  inputFlex: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    color: '#111827',
+    fontSize: 14,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 12,
+  },
+});
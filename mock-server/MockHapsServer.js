@@ -0,0 +1,618 @@
+const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+// Not the global setTimeout, so latency stays real under Jest's fake timers
+const { setTimeout: sleep } = require('timers/promises');
+
+const DEFAULT_USER = { email: 'demo@haps.app', password: 'password' };
+
+// Listed on upload responses so the app sends compact bodies (see LocationSyncService)
+const UPLOAD_FORMATS = { 'X-Upload-Formats': 'delta, gzip, heartbeat_batch' };
+
+// Same token the Jest SecureStore mock starts with, so simulations work unchanged
+const DEFAULT_TOKENS = { 'simulated-auth-token': DEFAULT_USER.email };
+
+/**
+ * Undo UploadPayload's delta encoding (services/UploadPayload.js)
+ *
+ * Kept as a copy so the server runs under plain Node without Babel.
+ */
+const deltaDecode = (items, encoding) => {
+  if (encoding?.type !== 'delta') return items;
+
+  const running = {};
+  return items.map(item => {
+    const next = { ...item };
+    for (const [field, scale] of Object.entries(encoding.fields)) {
+      const delta = item[field];
+      if (delta === null || delta === undefined) continue;
+
+      running[field] = (running[field] ?? 0) + delta;
+      next[field] = running[field] / scale;
+    }
+    return next;
+  });
+};
+
+// YYYY-MM-DD of an instant in an IANA zone (en-CA formats dates that way)
+const dayKey = (time, timeZone = 'UTC') =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(time));
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidCoordinate = (location) =>
+  Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90 &&
+  Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180;
+
+const matchesFault = (fault, request) =>
+  (fault.path === '*' || fault.path === request.path) &&
+  (!fault.method || fault.method === request.method);
+
+/**
+ * MockHapsServer - In-memory stand-in for the Haps backend
+ *
+ * Features:
+ * - The endpoints the app calls (see services/ApiClient.js ENDPOINTS), with
+ *   users, sessions, uploaded locations, heartbeats and timeline segments
+ *   kept in memory
+ * - Gzip and delta-encoded upload bodies, per-uuid location acknowledgements
+ * - Fault injection per path: latency, error statuses (with Retry-After for
+ *   429/503) and truncated response bodies
+ * - Recorded requests with assertion helpers for integration tests
+ * - Control endpoints under /__mock for processes that can't call the
+ *   JavaScript API (e.g. the app on a simulator during a CI run)
+ */
+class MockHapsServer {
+  constructor({ port = 0, latencyMs = 0, tokenTtlSeconds = 3600, users = [DEFAULT_USER], tokens = DEFAULT_TOKENS } = {}) {
+    this.port = port;
+    this.latencyMs = latencyMs;
+    this.tokenTtlSeconds = tokenTtlSeconds;
+    this.seed = { users, tokens };
+    this.server = null;
+    this.reset();
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('❌ Mock server error:', error);
+        if (!res.headersSent) this.send(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Drop all recorded requests, faults and data, then re-seed users and tokens
+   */
+  reset() {
+    this.requests = [];
+    this.faults = [];
+    this.users = new Map();
+    this.accessTokens = new Map();
+    this.refreshTokens = new Map();
+    this.data = new Map();
+    this.nextId = 1;
+
+    for (const user of this.seed.users) {
+      this.createUser(user.email, user.password);
+    }
+    for (const [token, email] of Object.entries(this.seed.tokens)) {
+      this.accessTokens.set(token, { email, expiresAt: Infinity });
+    }
+  }
+
+  // ---- Fault injection ----
+
+  /**
+   * Inject a fault for matching requests
+   *
+   * `{ path, method, times, delayMs, status, body, retryAfter, truncate }`:
+   * - path: exact path or '*'
+   * - times: how many requests it affects (default 1, Infinity to keep it)
+   * - delayMs: wait before answering; combine with the others or use alone
+   * - status / body / retryAfter: answer with this status instead of handling
+   * - truncate: cut the JSON body in half
+   */
+  addFault(fault) {
+    const entry = { times: 1, ...fault, method: fault.method?.toUpperCase() };
+    this.faults.push(entry);
+    return entry;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  takeFault(request) {
+    const fault = this.faults.find(candidate => candidate.times > 0 && matchesFault(candidate, request));
+    if (!fault) return null;
+
+    fault.times--;
+    this.faults = this.faults.filter(candidate => candidate.times > 0);
+    return fault;
+  }
+
+  /**
+   * Expire every access token so the next authenticated request gets a 401
+   */
+  expireAccessTokens() {
+    for (const session of this.accessTokens.values()) {
+      session.expiresAt = 0;
+    }
+  }
+
+  // ---- Recorded requests ----
+
+  requestsTo(path, method = null) {
+    return this.requests.filter(request => request.path === path && (!method || request.method === method.toUpperCase()));
+  }
+
+  /**
+   * Throw unless `path` was requested; `times` checks the exact count
+   */
+  assertRequested(path, { method = null, times = null } = {}) {
+    const matching = this.requestsTo(path, method);
+    const label = `${method ? `${method.toUpperCase()} ` : ''}${path}`;
+
+    if (times === null ? matching.length === 0 : matching.length !== times) {
+      const seen = this.requests.map(request => `${request.method} ${request.path} -> ${request.status}`).join('\n  ');
+      throw new Error(
+        `Expected ${label} ${times === null ? 'to be requested' : `${times} time(s)`}, got ${matching.length}.\n` +
+        `Recorded requests:\n  ${seen || '(none)'}`
+      );
+    }
+    return matching;
+  }
+
+  assertNotRequested(path, options = {}) {
+    return this.assertRequested(path, { ...options, times: 0 });
+  }
+
+  // ---- Users and sessions ----
+
+  createUser(email, password) {
+    const user = { id: this.nextId++, email, password };
+    this.users.set(email, user);
+    return user;
+  }
+
+  issueSession(user) {
+    const token = `mock-access-${crypto.randomUUID()}`;
+    const refreshToken = `mock-refresh-${crypto.randomUUID()}`;
+    this.accessTokens.set(token, { email: user.email, expiresAt: Date.now() + this.tokenTtlSeconds * 1000 });
+    this.refreshTokens.set(refreshToken, user.email);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: this.tokenTtlSeconds,
+      user: { id: user.id, email: user.email }
+    };
+  }
+
+  authenticate(request) {
+    const token = request.headers.authorization?.replace(/^Bearer /, '');
+    const session = token && this.accessTokens.get(token);
+    if (!session || Date.now() >= session.expiresAt) return null;
+    return this.users.get(session.email) || null;
+  }
+
+  /**
+   * Everything uploaded for a user
+   */
+  dataFor(email) {
+    if (!this.data.has(email)) {
+      this.data.set(email, { locations: new Map(), heartbeats: [], segments: [], geocodeRequests: [] });
+    }
+    return this.data.get(email);
+  }
+
+  // ---- HTTP ----
+
+  async readRequest(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+
+    const { pathname, searchParams } = new URL(req.url, 'http://mock');
+    let body = null;
+    if (raw.length > 0) {
+      const json = req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+      try {
+        body = JSON.parse(json);
+      } catch (error) {
+        body = { unparsable: json };
+      }
+    }
+
+    return {
+      method: req.method,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      headers: req.headers,
+      body,
+      bytes: raw.length,
+      time: Date.now()
+    };
+  }
+
+  send(res, status, body, { headers = {}, truncate = false } = {}) {
+    let json = JSON.stringify(body ?? {});
+    if (truncate) {
+      json = json.slice(0, Math.floor(json.length / 2));
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(status === 304 ? undefined : json);
+  }
+
+  async handle(req, res) {
+    const request = await this.readRequest(req);
+
+    if (request.path.startsWith('/__mock/')) {
+      return this.handleControl(request, res);
+    }
+
+    this.requests.push(request);
+    const fault = this.takeFault(request);
+    const delayMs = this.latencyMs + (fault?.delayMs || 0);
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+
+    let response;
+    if (fault?.status) {
+      response = {
+        status: fault.status,
+        body: fault.body ?? { error: `Injected ${fault.status}` },
+        headers: fault.retryAfter !== undefined ? { 'Retry-After': String(fault.retryAfter) } : {}
+      };
+    } else {
+      response = this.route(request);
+    }
+
+    request.status = response.status;
+    if (res.destroyed) return;
+    this.send(res, response.status, response.body, { headers: response.headers, truncate: Boolean(fault?.truncate) });
+  }
+
+  handleControl(request, res) {
+    switch (`${request.method} ${request.path}`) {
+      case 'GET /__mock/requests':
+        return this.send(res, 200, { requests: this.requests });
+      case 'POST /__mock/faults':
+        return this.send(res, 201, { fault: this.addFault({ ...request.body, times: request.body?.times ?? 1 }) });
+      case 'DELETE /__mock/faults':
+        this.clearFaults();
+        return this.send(res, 200, { success: true });
+      case 'POST /__mock/expire_tokens':
+        this.expireAccessTokens();
+        return this.send(res, 200, { success: true });
+      case 'POST /__mock/reset':
+        this.reset();
+        return this.send(res, 200, { success: true });
+      default:
+        return this.send(res, 404, { error: 'Unknown mock control endpoint' });
+    }
+  }
+
+  route(request) {
+    switch (`${request.method} ${request.path}`) {
+      case 'GET /up':
+        return { status: 200, body: { status: 'ok' } };
+      case 'POST /api/sessions':
+        return this.createSession(request);
+      case 'POST /api/sessions/refresh':
+        return this.refreshSession(request);
+      case 'DELETE /api/sessions':
+        return this.deleteSession(request);
+      case 'POST /api/registrations':
+        return this.createRegistration(request);
+      default:
+        break;
+    }
+
+    const visitMatch = request.path.match(/^\/api\/timeline\/visits\/(\d+)$/);
+    if (visitMatch) request.params = { id: Number(visitMatch[1]) };
+
+    const authenticated = {
+      'GET /api/timeline': this.getTimeline,
+      'GET /api/timeline/location_points': this.getLocationPoints,
+      'PATCH /api/timeline/visits/:id': this.updateVisit,
+      'POST /api/timeline/corrections': this.createTimelineCorrection,
+      'POST /users/locations': this.uploadLocations,
+      'POST /users/hybrid_timeline': this.uploadHybridTimeline,
+      'POST /users/geocode_batch': this.geocodeBatch
+    }[`${request.method} ${visitMatch ? '/api/timeline/visits/:id' : request.path}`];
+
+    if (!authenticated) {
+      return { status: 404, body: { error: `No route for ${request.method} ${request.path}` } };
+    }
+
+    const user = this.authenticate(request);
+    if (!user) {
+      return { status: 401, body: { error: 'Unauthorized' } };
+    }
+    return authenticated.call(this, request, this.dataFor(user.email));
+  }
+
+  createSession({ body }) {
+    const user = this.users.get(body?.user?.email);
+    if (!user || user.password !== body.user.password) {
+      return { status: 401, body: { error: 'Invalid email or password' } };
+    }
+    return { status: 200, body: this.issueSession(user) };
+  }
+
+  refreshSession({ body }) {
+    const email = this.refreshTokens.get(body?.refresh_token);
+    if (!email) {
+      return { status: 401, body: { error: 'Invalid refresh token' } };
+    }
+
+    // Refresh tokens rotate: the old one can't be used twice
+    this.refreshTokens.delete(body.refresh_token);
+    return { status: 200, body: this.issueSession(this.users.get(email)) };
+  }
+
+  deleteSession({ headers }) {
+    const token = headers.authorization?.replace(/^Bearer /, '');
+    this.accessTokens.delete(token);
+    return { status: 200, body: { success: true } };
+  }
+
+  createRegistration({ body }) {
+    const { email, password, password_confirmation: confirmation } = body?.user || {};
+    if (!email || !password) {
+      return { status: 422, body: { error: 'Email and password are required' } };
+    }
+    if (password !== confirmation) {
+      return { status: 422, body: { error: "Password confirmation doesn't match" } };
+    }
+    if (this.users.has(email)) {
+      return { status: 422, body: { error: 'Email has already been taken' } };
+    }
+    return { status: 201, body: this.issueSession(this.createUser(email, password)) };
+  }
+
+  uploadLocations({ body }, data) {
+    if (body?.type === 'heartbeat_batch') {
+      data.heartbeats.push(...(body.heartbeats || []));
+      return { status: 200, body: { success: true, received: body.heartbeats?.length || 0 }, headers: UPLOAD_FORMATS };
+    }
+    if (body?.type === 'heartbeat') {
+      const { type, source, ...heartbeat } = body;
+      data.heartbeats.push(heartbeat);
+      return { status: 200, body: { success: true, received: 1 }, headers: UPLOAD_FORMATS };
+    }
+
+    const locations = deltaDecode(body?.locations || [], body?.encoding);
+    const accepted = [];
+    const rejected = [];
+
+    for (const location of locations) {
+      if (!location.uuid || !isValidCoordinate(location) || !Number.isFinite(location.timestamp)) {
+        rejected.push({ uuid: location.uuid, reason: 'invalid_location', retryable: false });
+        continue;
+      }
+      // Re-sent uuids are acknowledged again but stored once
+      if (!data.locations.has(location.uuid)) {
+        data.locations.set(location.uuid, { id: this.nextId++, ...location });
+      }
+      accepted.push(location.uuid);
+    }
+
+    return { status: 200, body: { accepted, rejected }, headers: UPLOAD_FORMATS };
+  }
+
+  uploadHybridTimeline({ body }, data) {
+    for (const location of deltaDecode(body?.raw_locations || [], body?.encoding)) {
+      if (location.uuid && !data.locations.has(location.uuid)) {
+        data.locations.set(location.uuid, { id: this.nextId++, ...location });
+      }
+    }
+
+    const segments = body?.client_insights?.segments || [];
+    for (const segment of segments) {
+      // Re-uploaded segments replace the ones with the same type and start
+      data.segments = data.segments.filter(existing =>
+        existing.type !== segment.type || existing.start_time !== segment.start_time
+      );
+      data.segments.push({ id: this.nextId++, ...segment });
+    }
+
+    return {
+      status: 200,
+      body: { success: true, batch: body?.batch || null, segments_received: segments.length },
+      headers: UPLOAD_FORMATS
+    };
+  }
+
+  geocodeBatch({ body }, data) {
+    const requests = body?.requests || [];
+    data.geocodeRequests.push(...requests);
+
+    return {
+      status: 200,
+      body: {
+        results: requests.map(request => ({
+          request_id: request.id,
+          location_data: {
+            place_name: `Mock Place ${request.latitude.toFixed(4)}, ${request.longitude.toFixed(4)}`,
+            place_address: 'Mock Street 1',
+            place_type: 'point_of_interest',
+            city: 'Mock City',
+            country: 'Mockland',
+            confidence: 0.9
+          }
+        }))
+      }
+    };
+  }
+
+  /**
+   * Local days in `timezone` (default UTC); segments overlapping the range are included
+   */
+  getTimeline({ query, headers }, data) {
+    const startDate = query.start_date || query.date;
+    const endDate = query.end_date || query.date;
+    const timeZone = isValidTimeZone(query.timezone) ? query.timezone : 'UTC';
+    if (!startDate || !endDate) {
+      return { status: 400, body: { error: 'date or start_date and end_date are required' } };
+    }
+
+    const timeline = data.segments
+      .filter(segment => dayKey(segment.start_time, timeZone) <= endDate && dayKey(segment.end_time, timeZone) >= startDate)
+      .sort((a, b) => a.start_time - b.start_time)
+      .map(segment => ({
+        id: segment.id,
+        type: segment.type,
+        start_time: new Date(segment.start_time).toISOString(),
+        end_time: new Date(segment.end_time).toISOString(),
+        duration: Math.round((segment.end_time - segment.start_time) / 1000),
+        center_latitude: segment.center_latitude,
+        center_longitude: segment.center_longitude,
+        confidence_score: segment.confidence_score,
+        ...(segment.type === 'visit'
+          ? {
+              location: segment.place_name ? { name: segment.place_name, address: segment.place_address } : null,
+              confirmed: Boolean(segment.confirmed)
+            }
+          : { distance: Math.round((segment.distance_km || 0) * 1000), transportation_mode: segment.transportation_mode })
+      }));
+
+    const body = query.date
+      ? { date: query.date, timezone: timeZone, timeline }
+      : { start_date: startDate, end_date: endDate, timezone: timeZone, timeline };
+
+    // Unchanged timelines answer a revalidation with 304 and no body
+    const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+    if (headers['if-none-match'] === etag) {
+      return { status: 304, body: null, headers: { ETag: etag } };
+    }
+    return { status: 200, body, headers: { ETag: etag } };
+  }
+
+  /**
+   * A user's place correction; later segment uploads with the same type and start replace it
+   */
+  updateVisit({ params, body }, data) {
+    const segment = data.segments.find(existing => existing.id === params.id && existing.type === 'visit');
+    if (!segment) {
+      return { status: 404, body: { error: 'Visit not found' } };
+    }
+
+    const location = body?.visit?.location;
+    if (!location?.name) {
+      return { status: 422, body: { error: 'Location name is required' } };
+    }
+
+    Object.assign(segment, {
+      place_name: location.name,
+      place_address: location.address || null,
+      place_source: body.visit.source || null,
+      confirmed: true
+    });
+    return { status: 200, body: { id: segment.id, location: { name: segment.place_name, address: segment.place_address }, confirmed: true } };
+  }
+
+  /**
+   * A user's split or merge: the segments it references (by id, or by type and
+   * times for items made on the device) are replaced by its result
+   */
+  createTimelineCorrection({ body }, data) {
+    const correction = body?.correction;
+    if (!correction?.items?.length || !correction?.result?.length) {
+      return { status: 422, body: { error: 'items and result are required' } };
+    }
+
+    const references = (segment, item) => segment.type === item.type && (item.id !== null && item.id !== undefined
+      ? segment.id === item.id
+      : segment.start_time === Date.parse(item.start_time) && segment.end_time === Date.parse(item.end_time));
+    const replaced = data.segments.filter(segment => correction.items.some(item => references(segment, item)));
+    if (replaced.length === 0) {
+      return { status: 404, body: { error: 'Timeline items not found' } };
+    }
+
+    data.segments = data.segments.filter(segment => !replaced.includes(segment));
+    const created = correction.result.map(item => {
+      const template = replaced.find(segment => segment.type === item.type) || {};
+      const segment = {
+        ...template,
+        id: item.id ?? this.nextId++,
+        type: item.type,
+        start_time: Date.parse(item.start_time),
+        end_time: Date.parse(item.end_time),
+        center_latitude: item.center_latitude ?? template.center_latitude,
+        center_longitude: item.center_longitude ?? template.center_longitude,
+        ...(item.type === 'visit'
+          ? { place_name: item.location?.name ?? null, place_address: item.location?.address ?? null }
+          : { distance_km: (item.distance || 0) / 1000 })
+      };
+      data.segments.push(segment);
+      return segment;
+    });
+
+    return { status: 201, body: { action: correction.action, ids: created.map(segment => segment.id) } };
+  }
+
+  /**
+   * Points of a local day; each point counts in the zone it was recorded in,
+   * so the evening of a trip stays on its day after crossing zones
+   */
+  getLocationPoints({ query }, data) {
+    const timeZone = isValidTimeZone(query.timezone) ? query.timezone : 'UTC';
+    if (!query.date) {
+      return { status: 400, body: { error: 'date is required' } };
+    }
+
+    const locationPoints = [...data.locations.values()]
+      .filter(location => dayKey(location.timestamp, isValidTimeZone(location.time_zone) ? location.time_zone : timeZone) === query.date)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(location => ({
+        id: location.id,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        recorded_at: new Date(location.timestamp).toISOString(),
+        time_zone: location.time_zone || null,
+        is_moving: Boolean(location.is_moving)
+      }));
+
+    return { status: 200, body: { date: query.date, timezone: timeZone, location_points: locationPoints } };
+  }
+}
+
+/**
+ * Create and start a server; `port: 0` picks a free port (see `server.url`)
+ */
+const startMockHapsServer = (options) => new MockHapsServer(options).start();
+
+module.exports = { MockHapsServer, startMockHapsServer, DEFAULT_USER };
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Run the mock Haps server for offline development:
+ *
+ *   npm run mock-server -- --port 3000 --latency 200
+ *
+ * then start the app with EXPO_PUBLIC_API_URL pointing at it.
+ */
+const { startMockHapsServer, DEFAULT_USER } = require('./MockHapsServer');
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : Number(process.argv[index + 1]);
+};
+
+startMockHapsServer({
+  port: option('port', 3000),
+  latencyMs: option('latency', 0),
+  tokenTtlSeconds: option('token-ttl', 3600)
+}).then(server => {
+  console.log(`🧪 Mock Haps server listening on ${server.url}`);
+  console.log(`   Log in as ${DEFAULT_USER.email} / ${DEFAULT_USER.password}`);
+  console.log('   Faults: POST /__mock/faults {"path":"/users/locations","status":429,"retryAfter":30}');
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+});
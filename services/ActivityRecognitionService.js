@@ -0,0 +1,277 @@
+import { Accelerometer } from 'expo-sensors';
+import * as Sentry from '@sentry/react-native';
+
+const SPEED_WINDOW_MS = 2 * 60 * 1000; // location history used for speed/heading
+const MOTION_WINDOW_MS = 30 * 1000; // accelerometer history used for variance
+const MOTION_STALE_MS = 10 * 1000; // JS sensors pause in the background
+const MIN_MOTION_SAMPLES = 20;
+const ACCELEROMETER_INTERVAL_MS = 250;
+const DWELL_RADIUS_METERS = 50;
+const CURRENT_TYPE_BONUS = 0.1; // hysteresis: the current type is favoured
+
+const ACTIVITY_TYPES = ['stationary', 'walking', 'cycling', 'vehicle'];
+
+// 0 at `low`, 1 at `high`, linear in between
+const rampUp = (value, low, high) => Math.min(1, Math.max(0, (value - low) / (high - low)));
+const rampDown = (value, low, high) => 1 - rampUp(value, low, high);
+// Trapezoid: rises from a to b, flat to c, falls to d
+const band = (value, a, b, c, d) => Math.min(rampUp(value, a, b), rampDown(value, c, d));
+
+/**
+ * ActivityRecognitionService - Classifies the current activity from fused signals
+ *
+ * Features:
+ * - Speed history (median and 85th percentile over the last 2 minutes)
+ * - Accelerometer magnitude variance via expo-sensors (steps vs. engine vs. still)
+ * - Heading stability (mean resultant length of recent headings)
+ * - Dwell time inside a 50 m radius
+ * - Hysteresis so one noisy fix can't flip the activity
+ *
+ * Each feature scores every activity type between 0 and 1; features that are
+ * unavailable (e.g. accelerometer while backgrounded) are left out of the
+ * weighted average instead of counting as zero.
+ */
+class ActivityRecognitionService {
+  constructor() {
+    this.accelerometerSubscription = null;
+    this.motionSamples = [];
+    this.fixes = [];
+    this.dwellAnchor = null;
+    this.currentType = 'unknown';
+    this.currentConfidence = 0;
+    this.pendingType = null;
+    this.pendingCount = 0;
+
+    // Consecutive wins a candidate needs before we switch to it
+    this.switchThresholds = {
+      stationary: 3,
+      walking: 2,
+      cycling: 3,
+      vehicle: 2
+    };
+  }
+
+  /**
+   * Start sampling the accelerometer (safe to call repeatedly)
+   */
+  async start() {
+    if (this.accelerometerSubscription) return;
+
+    try {
+      const isAvailable = await Accelerometer.isAvailableAsync();
+      if (!isAvailable) {
+        console.log('⚠️ Accelerometer unavailable, activity recognition will use location only');
+        return;
+      }
+
+      Accelerometer.setUpdateInterval(ACCELEROMETER_INTERVAL_MS);
+      this.accelerometerSubscription = Accelerometer.addListener(({ x, y, z }) => {
+        this.addMotionSample(Date.now(), Math.sqrt(x * x + y * y + z * z));
+      });
+
+      console.log('📳 Activity recognition motion sensing started');
+    } catch (error) {
+      console.error('❌ Failed to start motion sensing:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'activity_recognition', error_type: 'sensor_error' }
+      });
+    }
+  }
+
+  stop() {
+    if (this.accelerometerSubscription) {
+      this.accelerometerSubscription.remove();
+      this.accelerometerSubscription = null;
+    }
+    this.motionSamples = [];
+  }
+
+  reset() {
+    this.motionSamples = [];
+    this.fixes = [];
+    this.dwellAnchor = null;
+    this.currentType = 'unknown';
+    this.currentConfidence = 0;
+    this.pendingType = null;
+    this.pendingCount = 0;
+  }
+
+  addMotionSample(timestamp, magnitude) {
+    this.motionSamples.push({ timestamp, magnitude });
+    const cutoff = timestamp - MOTION_WINDOW_MS;
+    while (this.motionSamples.length > 0 && this.motionSamples[0].timestamp < cutoff) {
+      this.motionSamples.shift();
+    }
+  }
+
+  /**
+   * Feed a (filtered) location fix and get the current activity
+   *
+   * Returns { type, confidence } where confidence is 0-100.
+   */
+  update(location) {
+    this.addFix(location);
+
+    const features = this.getFeatures(location.timestamp);
+    const scores = this.scoreActivities(features);
+
+    if (this.currentType in scores) {
+      scores[this.currentType] = Math.min(1, scores[this.currentType] + CURRENT_TYPE_BONUS);
+    }
+
+    const candidate = ACTIVITY_TYPES.reduce((best, type) => (scores[type] > scores[best] ? type : best));
+    const total = ACTIVITY_TYPES.reduce((sum, type) => sum + scores[type], 0);
+
+    if (candidate === this.currentType) {
+      this.pendingType = null;
+      this.pendingCount = 0;
+    } else {
+      this.pendingCount = this.pendingType === candidate ? this.pendingCount + 1 : 1;
+      this.pendingType = candidate;
+
+      if (this.currentType === 'unknown' || this.pendingCount >= this.switchThresholds[candidate]) {
+        console.log(`🧭 Activity ${this.currentType} → ${candidate} (${JSON.stringify(this.roundFeatures(features))})`);
+        this.currentType = candidate;
+        this.pendingType = null;
+        this.pendingCount = 0;
+      }
+    }
+
+    this.currentConfidence = total > 0 ? Math.round((scores[this.currentType] / total) * 100) : 0;
+
+    return { type: this.currentType, confidence: this.currentConfidence };
+  }
+
+  addFix(location) {
+    const { latitude, longitude, heading } = location.coords;
+    const previous = this.fixes[this.fixes.length - 1];
+
+    // Derive speed from the previous fix when the platform doesn't report one
+    let speed = location.coords.speed;
+    if ((speed === null || speed === undefined || speed < 0) && previous) {
+      const elapsedSeconds = (location.timestamp - previous.timestamp) / 1000;
+      speed = elapsedSeconds > 0 ? this.distanceMeters(previous, location.coords) / elapsedSeconds : 0;
+    }
+
+    this.fixes.push({
+      timestamp: location.timestamp,
+      latitude,
+      longitude,
+      speed: Math.max(0, speed || 0),
+      heading: heading !== null && heading !== undefined && heading >= 0 ? heading : null
+    });
+
+    const cutoff = location.timestamp - SPEED_WINDOW_MS;
+    this.fixes = this.fixes.filter(fix => fix.timestamp >= cutoff);
+
+    if (!this.dwellAnchor || this.distanceMeters(this.dwellAnchor, location.coords) > DWELL_RADIUS_METERS) {
+      this.dwellAnchor = { latitude, longitude, since: location.timestamp };
+    }
+  }
+
+  getFeatures(now) {
+    const speeds = this.fixes.map(fix => fix.speed).sort((a, b) => a - b);
+    const percentile = (p) => speeds[Math.min(speeds.length - 1, Math.floor(p * speeds.length))];
+
+    return {
+      medianSpeed: percentile(0.5),
+      highSpeed: percentile(0.85),
+      motionVariance: this.getMotionVariance(now),
+      headingStability: this.getHeadingStability(),
+      dwellMs: now - this.dwellAnchor.since
+    };
+  }
+
+  /**
+   * Variance of accelerometer magnitude (g²), or null when there are no fresh samples
+   */
+  getMotionVariance(now) {
+    const samples = this.motionSamples;
+    if (samples.length < MIN_MOTION_SAMPLES) return null;
+    if (Math.abs(now - samples[samples.length - 1].timestamp) > MOTION_STALE_MS) return null;
+
+    const mean = samples.reduce((sum, sample) => sum + sample.magnitude, 0) / samples.length;
+    return samples.reduce((sum, sample) => sum + (sample.magnitude - mean) ** 2, 0) / samples.length;
+  }
+
+  /**
+   * Mean resultant length of headings while moving: 1 = straight line, 0 = random
+   */
+  getHeadingStability() {
+    const headings = this.fixes
+      .filter(fix => fix.heading !== null && fix.speed > 1)
+      .map(fix => fix.heading * (Math.PI / 180));
+    if (headings.length < 3) return null;
+
+    const sumSin = headings.reduce((sum, angle) => sum + Math.sin(angle), 0);
+    const sumCos = headings.reduce((sum, angle) => sum + Math.cos(angle), 0);
+    return Math.sqrt(sumSin ** 2 + sumCos ** 2) / headings.length;
+  }
+
+  scoreActivities({ medianSpeed, highSpeed, motionVariance, headingStability, dwellMs }) {
+    const hasMotion = motionVariance !== null;
+    const hasHeading = headingStability !== null;
+
+    // [score, weight] pairs; unavailable features are skipped
+    const evidence = {
+      stationary: [
+        [rampDown(medianSpeed, 0.3, 1.2), 1],
+        [rampUp(dwellMs, 60 * 1000, 5 * 60 * 1000), 1],
+        hasMotion && [rampDown(motionVariance, 0.0005, 0.005), 1.5]
+      ],
+      walking: [
+        [band(medianSpeed, 0.3, 0.7, 2.0, 2.8), 1],
+        [rampDown(highSpeed, 3, 5), 0.5],
+        hasMotion && [rampUp(motionVariance, 0.01, 0.06), 1.5]
+      ],
+      cycling: [
+        [band(medianSpeed, 2.0, 3.0, 7.0, 9.0), 1],
+        hasMotion && [band(motionVariance, 0.003, 0.01, 0.06, 0.15), 1],
+        hasHeading && [rampUp(headingStability, 0.4, 0.8), 0.5]
+      ],
+      vehicle: [
+        [rampUp(highSpeed, 5, 10), 1.5],
+        // Engine/road vibration without a step pattern, even when crawling in traffic
+        hasMotion && [band(motionVariance, 0.0005, 0.002, 0.02, 0.05), 1],
+        hasHeading && [rampUp(headingStability, 0.6, 0.9), 0.5],
+        [rampDown(dwellMs, 2 * 60 * 1000, 10 * 60 * 1000), 0.5]
+      ]
+    };
+
+    const scores = {};
+    for (const type of ACTIVITY_TYPES) {
+      const terms = evidence[type].filter(Boolean);
+      const weightSum = terms.reduce((sum, [, weight]) => sum + weight, 0);
+      scores[type] = terms.reduce((sum, [score, weight]) => sum + score * weight, 0) / weightSum;
+    }
+    return scores;
+  }
+
+  roundFeatures(features) {
+    return Object.fromEntries(Object.entries(features).map(([key, value]) => [
+      key,
+      typeof value === 'number' ? Number(value.toFixed(4)) : value
+    ]));
+  }
+
+  distanceMeters(a, b) {
+    const toRadians = (degrees) => degrees * (Math.PI / 180);
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  getStatus() {
+    return {
+      type: this.currentType,
+      confidence: this.currentConfidence,
+      pendingType: this.pendingType,
+      motionSensing: Boolean(this.accelerometerSubscription)
+    };
+  }
+}
+
+// Export singleton instance
+export default new ActivityRecognitionService();
@@ -0,0 +1,219 @@
+import { Platform } from 'react-native';
+import LoggingService from './LoggingService';
+import SyncHttpClient from './SyncHttpClient';
+
+export const API_URL = process.env.EXPO_PUBLIC_API_URL || (__DEV__ ? 'http://localhost:3000' : 'https://haps.app');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// React Native compatible timeout implementation
+export const createAbortSignalWithTimeout = (timeoutMs) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => {
+    controller.abort();
+  }, timeoutMs);
+
+  // Clean up timeout if request completes normally
+  const originalSignal = controller.signal;
+  const cleanup = () => clearTimeout(timeoutId);
+  originalSignal.addEventListener('abort', cleanup, { once: true });
+
+  return { signal: controller.signal, cleanup };
+};
+
+/**
+ * @typedef {Object} EndpointDefinition
+ * @property {'GET'|'POST'|'PATCH'|'DELETE'} method
+ * @property {string} path - `:name` segments are filled from the request's `params`
+ * @property {boolean} auth - send `Authorization: Bearer`, refresh and retry once on 401
+ * @property {number} [timeoutMs] - defaults to 30 seconds
+ * @property {boolean} [circuitBreaker] - guard with SyncHttpClient's per-endpoint breaker
+ */
+
+/** @type {Object<string, EndpointDefinition>} */
+export const ENDPOINTS = {
+  up: { method: 'GET', path: '/up', auth: false, timeoutMs: 10000 },
+  createSession: { method: 'POST', path: '/api/sessions', auth: false },
+  refreshSession: { method: 'POST', path: '/api/sessions/refresh', auth: false },
+  deleteSession: { method: 'DELETE', path: '/api/sessions', auth: true, timeoutMs: 10000 },
+  createRegistration: { method: 'POST', path: '/api/registrations', auth: false },
+  timeline: { method: 'GET', path: '/api/timeline', auth: true },
+  locationPoints: { method: 'GET', path: '/api/timeline/location_points', auth: true },
+  updateVisit: { method: 'PATCH', path: '/api/timeline/visits/:id', auth: true },
+  createTimelineCorrection: { method: 'POST', path: '/api/timeline/corrections', auth: true },
+  uploadLocations: { method: 'POST', path: '/users/locations', auth: true, timeoutMs: 30000, circuitBreaker: true },
+  uploadHeartbeats: { method: 'POST', path: '/users/locations', auth: true, timeoutMs: 10000, circuitBreaker: true },
+  uploadHybridTimeline: { method: 'POST', path: '/users/hybrid_timeline', auth: true, timeoutMs: 45000, circuitBreaker: true },
+  geocodeBatch: { method: 'POST', path: '/users/geocode_batch', auth: true, timeoutMs: 30000, circuitBreaker: true }
+};
+
+const defaultTransport = (url, options) => fetch(url, options);
+
+/**
+ * ApiClient - Single entry point for Haps API requests
+ *
+ * Features:
+ * - Endpoint definitions (ENDPOINTS) with method, path, auth and timeout
+ * - Base URL and app identification headers in one place
+ * - Auth injection: the caller's token or the background-task token, with a
+ *   single refresh-and-retry on 401 (tokens come from AuthContext via
+ *   setTokenProvider, which keeps this module free of React imports)
+ * - Timeouts via createAbortSignalWithTimeout
+ * - Request/response hooks; the default hooks report failures to LoggingService
+ * - Swappable transport and base URL so services can run against a fake server
+ */
+class ApiClient {
+  constructor() {
+    this.baseUrl = API_URL;
+    this.transport = defaultTransport;
+    this.tokenProvider = null;
+    this.hooks = [{
+      onResponse: ({ endpoint, method, path, status, durationMs }) => {
+        if (status >= 400) {
+          LoggingService.api('response_error', { endpoint, method, path, status, duration_ms: durationMs });
+        }
+      },
+      onError: ({ endpoint, method, path, error, durationMs }) => {
+        LoggingService.api('request_failed', {
+          endpoint, method, path, error: error.message, duration_ms: durationMs
+        });
+      }
+    }];
+  }
+
+  /**
+   * Override the base URL and/or transport, e.g. `configure({ baseUrl: 'http://localhost:4000' })`
+   */
+  configure({ baseUrl, transport } = {}) {
+    if (baseUrl) this.baseUrl = baseUrl.replace(/\/$/, '');
+    if (transport) this.transport = transport;
+  }
+
+  /**
+   * `{ getToken(), refreshToken(staleToken) }`, registered by AuthContext
+   */
+  setTokenProvider(provider) {
+    this.tokenProvider = provider;
+  }
+
+  /**
+   * Add `{ onRequest, onResponse, onError }` callbacks; returns a remove function
+   */
+  addHooks(hooks) {
+    this.hooks.push(hooks);
+    return () => {
+      this.hooks = this.hooks.filter(registered => registered !== hooks);
+    };
+  }
+
+  runHooks(name, event) {
+    this.hooks.forEach(hooks => {
+      try {
+        hooks[name]?.(event);
+      } catch (error) {
+        console.error(`❌ API ${name} hook failed:`, error);
+      }
+    });
+  }
+
+  getDefaultHeaders() {
+    return {
+      'Accept': 'application/json',
+      'X-App-Signature': 'HapsApp-Production-v1.0',
+      'User-Agent': `HapsApp/${Platform.OS === 'ios' ? 'iOS' : 'Android'}/Production`
+    };
+  }
+
+  buildUrl(path, query, pathParams = {}) {
+    const resolvedPath = path.replace(/:(\w+)/g, (segment, name) => {
+      if (pathParams[name] === undefined || pathParams[name] === null) {
+        throw new Error(`Missing path parameter "${name}" for ${path}`);
+      }
+      return encodeURIComponent(pathParams[name]);
+    });
+    const params = Object.entries(query || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+
+    return `${this.baseUrl}${resolvedPath}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+  }
+
+  /**
+   * Call a named endpoint and return the fetch Response for any status
+   *
+   * Options:
+   * - params: values for `:name` path segments, e.g. `{ id: 42 }`
+   * - query: query string parameters
+   * - json: body to send as JSON
+   * - body / headers: a pre-encoded body (e.g. gzipped) and its headers
+   * - token: bearer token; defaults to the background-task token for auth endpoints
+   * - timeoutMs: overrides the endpoint's timeout
+   *
+   * Throws on network errors, timeouts and (for circuit-breaker endpoints)
+   * CircuitOpenError.
+   */
+  async request(endpointName, { params, query, json, body, headers = {}, token, timeoutMs } = {}) {
+    const endpoint = ENDPOINTS[endpointName];
+    if (!endpoint) {
+      throw new Error(`Unknown API endpoint: ${endpointName}`);
+    }
+
+    const url = this.buildUrl(endpoint.path, query, params);
+    const requestHeaders = {
+      ...this.getDefaultHeaders(),
+      ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    };
+    const requestBody = json !== undefined ? JSON.stringify(json) : body;
+
+    let authToken = token;
+    if (endpoint.auth && !authToken) {
+      authToken = await this.tokenProvider?.getToken();
+    }
+
+    const send = (accessToken) => this.send(endpointName, endpoint, url, {
+      method: endpoint.method,
+      headers: accessToken ? { ...requestHeaders, 'Authorization': `Bearer ${accessToken}` } : requestHeaders,
+      body: requestBody
+    }, timeoutMs || endpoint.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    const response = await send(authToken);
+    if (!endpoint.auth || !authToken || response.status !== 401 || !this.tokenProvider) {
+      return response;
+    }
+
+    // Parallel callers hitting 401 together share a single refresh
+    const refreshedToken = await this.tokenProvider.refreshToken(authToken);
+    return refreshedToken ? send(refreshedToken) : response;
+  }
+
+  async send(endpointName, endpoint, url, options, timeoutMs) {
+    const startedAt = Date.now();
+    const event = { endpoint: endpointName, method: options.method, path: endpoint.path };
+    this.runHooks('onRequest', event);
+
+    const transmit = async () => {
+      const { signal, cleanup } = createAbortSignalWithTimeout(timeoutMs);
+      try {
+        return await this.transport(url, { ...options, signal });
+      } finally {
+        cleanup();
+      }
+    };
+
+    try {
+      const response = endpoint.circuitBreaker
+        ? await SyncHttpClient.request(endpoint.path, transmit)
+        : await transmit();
+
+      this.runHooks('onResponse', { ...event, status: response.status, durationMs: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      this.runHooks('onError', { ...event, error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export default new ApiClient();
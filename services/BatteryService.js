@@ -0,0 +1,178 @@
+import * as Battery from 'expo-battery';
+import * as Sentry from '@sentry/react-native';
+
+const POWER_STATE_CACHE_MS = 60 * 1000; // processLocation asks on every fix
+
+export const BATTERY_THRESHOLDS = {
+  low: 0.2, // 20%
+  critical: 0.1 // 10%
+};
+
+/**
+ * BatteryService - Shared battery telemetry via expo-battery
+ *
+ * Features:
+ * - Battery level (0-1), charging state and low power mode
+ * - Short-lived cache so per-fix lookups don't hit the native module
+ * - Live updates from expo-battery listeners while monitoring
+ * - Threshold status ('charging' | 'normal' | 'low' | 'critical') with
+ *   subscribers notified only when the status changes
+ */
+class BatteryService {
+  constructor() {
+    this.cachedInfo = null;
+    this.cachedAt = 0;
+    this.status = null;
+    this.listeners = new Set();
+    this.subscriptions = [];
+  }
+
+  /**
+   * Current battery info, or null when the device can't report it (simulators)
+   *
+   * Shape matches the `battery` field of location and heartbeat payloads.
+   */
+  async getBatteryInfo() {
+    if (this.cachedInfo && Date.now() - this.cachedAt < POWER_STATE_CACHE_MS) {
+      return this.cachedInfo;
+    }
+
+    try {
+      const powerState = await Battery.getPowerStateAsync();
+      return this.updateInfo(powerState);
+    } catch (error) {
+      console.error('❌ Failed to read battery state:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'battery_service', error_type: 'power_state_error' }
+      });
+      return null;
+    }
+  }
+
+  updateInfo({ batteryLevel, batteryState, lowPowerMode }) {
+    // expo-battery reports -1 when the level is unknown
+    if (batteryLevel === undefined || batteryLevel < 0) {
+      this.cachedInfo = null;
+      this.cachedAt = Date.now();
+      return null;
+    }
+
+    const info = {
+      level: Math.round(batteryLevel * 100) / 100,
+      is_charging: batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+      state: this.getStateName(batteryState),
+      low_power_mode: Boolean(lowPowerMode)
+    };
+
+    this.cachedInfo = info;
+    this.cachedAt = Date.now();
+    this.updateStatus(info);
+
+    return info;
+  }
+
+  getStateName(batteryState) {
+    switch (batteryState) {
+      case Battery.BatteryState.CHARGING: return 'charging';
+      case Battery.BatteryState.FULL: return 'full';
+      case Battery.BatteryState.UNPLUGGED: return 'unplugged';
+      default: return 'unknown';
+    }
+  }
+
+  /**
+   * Map battery info onto a threshold status
+   */
+  getBatteryStatus(info) {
+    if (!info) return 'normal';
+    if (info.is_charging) return 'charging';
+    if (info.level <= BATTERY_THRESHOLDS.critical) return 'critical';
+    if (info.level <= BATTERY_THRESHOLDS.low || info.low_power_mode) return 'low';
+    return 'normal';
+  }
+
+  updateStatus(info) {
+    const status = this.getBatteryStatus(info);
+    if (status === this.status) return;
+
+    const previous = this.status;
+    this.status = status;
+
+    // The first reading only establishes a baseline
+    if (previous === null) return;
+
+    console.log(`🔋 Battery status ${previous} → ${status} (${Math.round(info.level * 100)}%)`);
+    Sentry.addBreadcrumb({
+      message: 'Battery status changed',
+      level: 'info',
+      data: { from: previous, to: status, level: info.level, low_power_mode: info.low_power_mode }
+    });
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(status, info);
+      } catch (error) {
+        console.error('❌ Battery listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to threshold status changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Keep the cache fresh from native battery events
+   */
+  async startMonitoring() {
+    if (this.subscriptions.length > 0) return;
+
+    try {
+      const isAvailable = await Battery.isAvailableAsync();
+      if (!isAvailable) {
+        console.log('⚠️ Battery information unavailable on this device');
+        return;
+      }
+
+      await this.getBatteryInfo();
+
+      const refresh = async () => {
+        this.cachedAt = 0;
+        await this.getBatteryInfo();
+      };
+
+      this.subscriptions = [
+        Battery.addBatteryLevelListener(refresh),
+        Battery.addBatteryStateListener(refresh),
+        Battery.addLowPowerModeListener(refresh)
+      ];
+
+      console.log('🔋 Battery monitoring started');
+    } catch (error) {
+      console.error('❌ Failed to start battery monitoring:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'battery_service', error_type: 'monitoring_error' }
+      });
+    }
+  }
+
+  stopMonitoring() {
+    this.subscriptions.forEach(subscription => subscription.remove());
+    this.subscriptions = [];
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      info: this.cachedInfo,
+      monitoring: this.subscriptions.length > 0
+    };
+  }
+}
+
+// Export singleton instance
+export default new BatteryService();
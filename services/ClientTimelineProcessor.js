@@ -1,5 +1,6 @@
 import * as Sentry from '@sentry/react-native';
-import LocationCacheService from './LocationCacheService';
+import LocationCacheService, { ACCEPTED_LOCATIONS } from './LocationCacheService';
+import PlaceService from './PlaceService';
 
 /**
  * ClientTimelineProcessor - Mobile-side timeline creation
@@ -14,6 +15,7 @@ import LocationCacheService from './LocationCacheService';
 const Config = {
   // Movement detection parameters
   STATIONARY_RADIUS_THRESHOLD: 50.0, // meters
+  STATIONARY_STEP_SPEED_MAX: 1.0, // m/s; slower short steps are GPS jitter, faster ones walking
   MINIMUM_STATIONARY_DURATION: 5 * 60 * 1000, // 5 minutes in ms
   MINIMUM_MOVEMENT_DURATION: 2 * 60 * 1000, // 2 minutes in ms
   MOVEMENT_DISTANCE_THRESHOLD: 100.0, // meters
@@ -33,6 +35,11 @@ const Config = {
   // Force breaks on large gaps
   FORCE_SEGMENT_BREAK_GAP: 60 * 60 * 1000, // 1 hour in ms
   
+  // Geofence boundaries
+  GEOFENCE_MATCH_PADDING: 50.0, // meters beyond the region radius
+  GEOFENCE_BOUNDARY_WINDOW: 30 * 60 * 1000, // 30 minutes in ms
+  GEOFENCE_VISIT_CONFIDENCE: 0.95,
+  
   // Transportation thresholds
   WALKING_SPEED_MAX: 2.0, // m/s (~4.5 mph)
   CYCLING_SPEED_MAX: 8.0, // m/s (~18 mph)
@@ -59,6 +66,9 @@ class ClientTimelineProcessor {
       this.isProcessing = true;
       console.log(`🔄 Processing ${locations.length} locations into timeline`);
 
+      // finalizeSegments matches visits against the places kept in memory
+      await PlaceService.initialize();
+
       // Sort locations by timestamp
       const sortedLocations = locations.sort((a, b) => a.timestamp - b.timestamp);
       
@@ -71,8 +81,11 @@ class ClientTimelineProcessor {
       // Step 3: Classify and finalize segments
       const finalizedSegments = this.finalizeSegments(mergedSegments);
       
-      // Step 4: Store in local database
-      const timelineSegments = await this.storeTimelineSegments(finalizedSegments);
+      // Step 4: Snap visit boundaries to geofence enter/exit events
+      const boundedSegments = this.applyGeofenceBoundaries(finalizedSegments, options.geofenceEvents || []);
+      
+      // Step 5: Store in local database
+      const timelineSegments = await this.storeTimelineSegments(boundedSegments);
       
       console.log(`✅ Created ${timelineSegments.length} timeline segments`);
       
@@ -100,10 +113,13 @@ class ClientTimelineProcessor {
   detectMovementSegments(locations) {
     const segments = [];
     let currentSegment = null;
+    const stationaryResults = this.smoothStationaryResults(
+      locations.map((location, i) => this.isStationaryAtLocation(location, i, locations))
+    );
     
     for (let i = 0; i < locations.length; i++) {
       const location = locations[i];
-      const stationaryResult = this.isStationaryAtLocation(location, i, locations);
+      const stationaryResult = stationaryResults[i];
       const isStationary = stationaryResult.isStationary;
       const detectedViaNonlinear = stationaryResult.detectedViaNonlinear;
       
@@ -151,6 +167,21 @@ class ClientTimelineProcessor {
     return segments;
   }
 
+  /**
+   * A single point classified unlike both its neighbours takes their type, so
+   * one short step mid-walk doesn't cut the walk into segments too short to keep
+   */
+  smoothStationaryResults(results) {
+    return results.map((result, i) => {
+      const prev = results[i - 1];
+      const next = results[i + 1];
+      if (!prev || !next || prev.isStationary !== next.isStationary || result.isStationary === prev.isStationary) {
+        return result;
+      }
+      return { isStationary: prev.isStationary, detectedViaNonlinear: false };
+    });
+  }
+
   /**
    * Check if location indicates stationary behavior (ported from server)
    */
@@ -165,8 +196,10 @@ class ClientTimelineProcessor {
         return { isStationary: false, detectedViaNonlinear: false };
       }
       
-      // If very close to previous point, likely stationary
-      if (distanceFromPrev <= Config.STATIONARY_RADIUS_THRESHOLD) {
+      // If very close to previous point and not at walking pace, likely stationary
+      const secondsFromPrev = (location.timestamp - prevLocation.timestamp) / 1000;
+      const speedFromPrev = secondsFromPrev > 0 ? distanceFromPrev / secondsFromPrev : 0;
+      if (distanceFromPrev <= Config.STATIONARY_RADIUS_THRESHOLD && speedFromPrev <= Config.STATIONARY_STEP_SPEED_MAX) {
         return { isStationary: true, detectedViaNonlinear: false };
       }
     }
@@ -271,10 +304,14 @@ class ClientTimelineProcessor {
       }
     }
     
-    // Distance-based override for stationary segments with significant movement
+    // Distance-based override for stationary segments with significant movement;
+    // jitter adds path length over a long stay without leaving the area
     if (segment.type === 'stationary') {
       const totalDistance = this.calculateTotalDistanceKm(segment.locations);
-      if (totalDistance > 0.5) { // 500m threshold
+      const leftArea = segment.locations.some(loc => this.calculateDistanceMeters(
+        loc, { coords: { latitude: centerLat, longitude: centerLon } }
+      ) > Config.VISIT_AREA_RADIUS);
+      if (totalDistance > 0.5 && leftArea) { // 500m threshold
         finalized.type = 'movement';
         finalized.distanceKm = totalDistance;
         finalized.avgSpeedMs = duration > 0 ? (totalDistance * 1000) / (duration / 1000) : 0;
@@ -285,6 +322,143 @@ class ClientTimelineProcessor {
     return finalized;
   }
 
+  /**
+   * Final pass after merging - recompute metrics for merged segments and
+   * attach the known place a visit is in, named if the user named it
+   */
+  finalizeSegments(segments) {
+    return segments.map(segment => {
+      const finalized = this.finalizeSegment(segment);
+      if (finalized.type !== 'stationary') return finalized;
+
+      const place = PlaceService.findPlace(finalized.centerLat, finalized.centerLon);
+      return place
+        ? { ...finalized, placeId: place.id, placeName: place.name, placeAddress: place.address }
+        : finalized;
+    });
+  }
+
+  /**
+   * Use geofence enter/exit events as high-confidence visit boundaries
+   *
+   * Visits inside a region take their start/end from the matching events and
+   * neighbouring segments are trimmed to fit. An enter/exit pair with no visit
+   * between them (e.g. sparse fixes while stationary) becomes a visit itself,
+   * cut out of any travel the detector put over that time.
+   */
+  applyGeofenceBoundaries(segments, events) {
+    if (events.length === 0) return segments;
+    
+    const sortedEvents = [...events].sort((a, b) => a.timestamp - b.timestamp);
+    const usedEnters = new Set();
+    let result = segments.map(segment => ({ ...segment }));
+    
+    const isInsideRegion = (segment, event) => this.calculateDistanceMeters(
+      { coords: { latitude: segment.centerLat, longitude: segment.centerLon } },
+      { coords: { latitude: event.latitude, longitude: event.longitude } }
+    ) <= event.radius + Config.GEOFENCE_MATCH_PADDING;
+    
+    result.forEach((segment, index) => {
+      if (segment.type !== 'stationary') return;
+      
+      const regionEvents = sortedEvents.filter(event => isInsideRegion(segment, event));
+      const enter = regionEvents
+        .filter(event => event.event_type === 'enter' &&
+          event.timestamp >= segment.startTime - Config.GEOFENCE_BOUNDARY_WINDOW &&
+          event.timestamp <= segment.endTime)
+        .pop();
+      const exit = regionEvents.find(event => event.event_type === 'exit' &&
+        event.timestamp >= segment.startTime &&
+        event.timestamp <= segment.endTime + Config.GEOFENCE_BOUNDARY_WINDOW);
+      
+      if (!enter && !exit) return;
+      
+      if (enter) {
+        usedEnters.add(enter.id);
+        segment.startTime = enter.timestamp;
+      }
+      if (exit) segment.endTime = exit.timestamp;
+      
+      segment.duration = segment.endTime - segment.startTime;
+      segment.confidence = Math.max(segment.confidence || 0.5, Config.GEOFENCE_VISIT_CONFIDENCE);
+      
+      // Keep neighbouring segments from overlapping the adjusted visit
+      const previous = result[index - 1];
+      if (previous && previous.endTime > segment.startTime) {
+        previous.endTime = Math.max(previous.startTime, segment.startTime);
+        previous.duration = previous.endTime - previous.startTime;
+      }
+      const next = result[index + 1];
+      if (next && next.startTime < segment.endTime) {
+        next.startTime = Math.min(next.endTime, segment.endTime);
+        next.duration = next.endTime - next.startTime;
+      }
+    });
+    
+    // Enter/exit pairs that no detected visit accounts for
+    for (const enter of sortedEvents) {
+      if (enter.event_type !== 'enter' || usedEnters.has(enter.id)) continue;
+      
+      const exit = sortedEvents.find(event => event.event_type === 'exit' &&
+        event.identifier === enter.identifier && event.timestamp > enter.timestamp);
+      if (!exit || exit.timestamp - enter.timestamp < Config.MINIMUM_STATIONARY_DURATION) continue;
+      
+      const overlapsVisit = result.some(segment => segment.type === 'stationary' &&
+        segment.startTime < exit.timestamp && segment.endTime > enter.timestamp);
+      if (overlapsVisit) continue;
+      
+      const coords = { latitude: enter.latitude, longitude: enter.longitude, accuracy: enter.radius };
+      result = this.clipTravelSegments(result, enter.timestamp, exit.timestamp);
+      result.push({
+        type: 'stationary',
+        startTime: enter.timestamp,
+        endTime: exit.timestamp,
+        duration: exit.timestamp - enter.timestamp,
+        locations: [
+          { coords, timestamp: enter.timestamp },
+          { coords, timestamp: exit.timestamp }
+        ],
+        centerLat: enter.latitude,
+        centerLon: enter.longitude,
+        detectedViaNonlinear: false,
+        confidence: Config.GEOFENCE_VISIT_CONFIDENCE,
+        fromGeofence: true
+      });
+    }
+    
+    return result.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Cut the time between startTime and endTime out of movement segments
+   *
+   * A travel running through the whole span is split in two; pieces left
+   * without fixes are dropped.
+   */
+  clipTravelSegments(segments, startTime, endTime) {
+    return segments.flatMap(segment => {
+      if (segment.type !== 'movement' || segment.endTime <= startTime || segment.startTime >= endTime) {
+        return [segment];
+      }
+      
+      return [[segment.startTime, Math.min(segment.endTime, startTime)], [Math.max(segment.startTime, endTime), segment.endTime]]
+        .filter(([pieceStart, pieceEnd]) => pieceEnd > pieceStart)
+        .map(([pieceStart, pieceEnd]) => {
+          const locations = segment.locations.filter(location =>
+            location.timestamp >= pieceStart && location.timestamp <= pieceEnd);
+          return {
+            ...segment,
+            startTime: pieceStart,
+            endTime: pieceEnd,
+            duration: pieceEnd - pieceStart,
+            locations,
+            distanceKm: this.calculateTotalDistanceKm(locations)
+          };
+        })
+        .filter(piece => piece.locations.length > 0);
+    });
+  }
+
   /**
    * Calculate segment confidence based on various factors
    */
@@ -380,6 +554,20 @@ class ClientTimelineProcessor {
   async storeTimelineSegments(segments) {
     const stored = [];
     
+    // Earlier runs may have stored travels over a stop only the geofence saw.
+    // Clipping them first lets this run's pieces of those travels match as duplicates.
+    for (const segment of segments) {
+      if (!segment.fromGeofence || await this.overlapsCorrection(segment)) continue;
+      try {
+        await this.clipStoredTravels(segment);
+      } catch (error) {
+        console.error('❌ Failed to clip stored travels:', error);
+        Sentry.captureException(error, {
+          tags: { section: 'client_timeline', error_type: 'storage_error' }
+        });
+      }
+    }
+    
     for (const segment of segments) {
       try {
         const timelineType = segment.type === 'stationary' ? 'visit' : 'travel';
@@ -394,13 +582,20 @@ class ClientTimelineProcessor {
           console.log(`⏭️  Segment already exists, skipping: ${timelineType} ${new Date(segment.startTime).toISOString()}`);
           continue;
         }
+
+        // The user split or merged this stretch; their segments win over a redetection
+        if (await this.overlapsCorrection(segment)) {
+          console.log(`⏭️  Segment overlaps a user correction, skipping: ${timelineType} ${new Date(segment.startTime).toISOString()}`);
+          continue;
+        }
         
         const result = await LocationCacheService.db.runAsync(`
           INSERT INTO local_timeline_segments (
             type, start_time, end_time, start_latitude, start_longitude,
             end_latitude, end_longitude, center_latitude, center_longitude,
-            distance, location_count, confidence, created_at, updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'), strftime('%s', 'now'))
+            distance, location_count, confidence, place_id, place_name, place_address,
+            created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'), strftime('%s', 'now'))
         `, [
           timelineType,
           segment.startTime,
@@ -413,7 +608,10 @@ class ClientTimelineProcessor {
           segment.centerLon,
           segment.distanceKm || 0,
           segment.locations.length,
-          segment.confidence || 0.5
+          segment.confidence || 0.5,
+          segment.placeId || null,
+          segment.placeName || null,
+          segment.placeAddress || null
         ]);
         
         stored.push({
@@ -427,7 +625,10 @@ class ClientTimelineProcessor {
           locationCount: segment.locations.length,
           confidence: segment.confidence || 0.5,
           detectedViaNonlinear: segment.detectedViaNonlinear || false,
-          transportationMode: segment.transportationMode || null
+          transportationMode: segment.transportationMode || null,
+          placeId: segment.placeId || null,
+          placeName: segment.placeName || null,
+          placeAddress: segment.placeAddress || null
         });
         
         console.log(`📍 Stored ${timelineType} segment: ${new Date(segment.startTime).toISOString()} (${segment.locations.length} points)`);
@@ -443,6 +644,68 @@ class ClientTimelineProcessor {
     return stored;
   }
 
+  async overlapsCorrection(segment) {
+    const corrected = await LocationCacheService.db.getFirstAsync(`
+      SELECT id FROM local_timeline_segments
+      WHERE user_corrected = 1 AND start_time < ? AND end_time > ?
+    `, [segment.endTime, segment.startTime]);
+    return Boolean(corrected);
+  }
+
+  /**
+   * Cut a geofence visit's time out of stored travels, like clipTravelSegments
+   *
+   * Pieces keep their share of the distance and fix count and upload again.
+   */
+  async clipStoredTravels(visit) {
+    const travels = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM local_timeline_segments
+      WHERE type = 'travel' AND start_time < ? AND end_time > ?
+    `, [visit.endTime, visit.startTime]);
+    if (travels.length === 0) return 0;
+    
+    await LocationCacheService.db.withTransactionAsync(async () => {
+      for (const travel of travels) {
+        await LocationCacheService.db.runAsync(`
+          DELETE FROM local_timeline_segments WHERE id = ?
+        `, [travel.id]);
+        
+        const pieces = [
+          { start: travel.start_time, end: Math.min(travel.end_time, visit.startTime), atStart: false },
+          { start: Math.max(travel.start_time, visit.endTime), end: travel.end_time, atStart: true }
+        ].filter(piece => piece.end > piece.start);
+        
+        for (const { start, end, atStart } of pieces) {
+          const share = (end - start) / Math.max(travel.end_time - travel.start_time, 1);
+          
+          // The cut end of each piece is at the visit
+          await LocationCacheService.db.runAsync(`
+            INSERT INTO local_timeline_segments (
+              type, start_time, end_time, start_latitude, start_longitude,
+              end_latitude, end_longitude, center_latitude, center_longitude,
+              distance, location_count, confidence, synced, created_at, updated_at
+            ) VALUES ('travel', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, strftime('%s', 'now'), strftime('%s', 'now'))
+          `, [
+            start,
+            end,
+            atStart ? visit.centerLat : travel.start_latitude,
+            atStart ? visit.centerLon : travel.start_longitude,
+            atStart ? travel.end_latitude : visit.centerLat,
+            atStart ? travel.end_longitude : visit.centerLon,
+            travel.center_latitude,
+            travel.center_longitude,
+            (travel.distance || 0) * share,
+            Math.round((travel.location_count || 0) * share),
+            travel.confidence
+          ]);
+        }
+      }
+    });
+    
+    console.log(`✂️ Clipped ${travels.length} stored travels around geofence visit ${new Date(visit.startTime).toISOString()}`);
+    return travels.length;
+  }
+
   // Utility methods
 
   shouldForceSegmentBreak(currentSegment, location) {
@@ -547,6 +810,7 @@ class ClientTimelineProcessor {
         centerLon: row.center_longitude,
         distance: row.distance,
         locationCount: row.location_count,
+        placeId: row.place_id,
         placeName: row.place_name,
         placeAddress: row.place_address,
         confidence: row.confidence,
@@ -565,17 +829,29 @@ class ClientTimelineProcessor {
    */
   async processRecentLocations(hoursBack = 2) {
     const cutoffTime = Date.now() - (hoursBack * 60 * 60 * 1000);
-    
+    return await this.processTimeRange(cutoffTime, Date.now());
+  }
+
+  /**
+   * Process cached locations within a time range (milliseconds)
+   */
+  async processTimeRange(startTime, endTime) {
     await LocationCacheService.initialize();
     
-    // Get recent locations that haven't been processed yet
     const locations = await LocationCacheService.db.getAllAsync(`
       SELECT * FROM cached_locations 
-      WHERE timestamp >= ? 
+      WHERE timestamp >= ? AND timestamp <= ? AND ${ACCEPTED_LOCATIONS}
+      ORDER BY timestamp ASC
+    `, [Math.floor(startTime / 1000), Math.floor(endTime / 1000)]);
+    
+    // Geofence events just outside the range can still bound visits inside it
+    const geofenceEvents = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM geofence_events 
+      WHERE timestamp >= ? AND timestamp <= ?
       ORDER BY timestamp ASC
-    `, [Math.floor(cutoffTime / 1000)]);
+    `, [startTime - Config.GEOFENCE_BOUNDARY_WINDOW, endTime + Config.GEOFENCE_BOUNDARY_WINDOW]);
     
-    if (locations.length === 0) {
+    if (locations.length === 0 && geofenceEvents.length === 0) {
       console.log('🔍 No recent locations to process');
       return [];
     }
@@ -599,7 +875,7 @@ class ClientTimelineProcessor {
     }));
     
     console.log(`🔄 Processing ${formattedLocations.length} recent locations`);
-    return await this.processLocations(formattedLocations);
+    return await this.processLocations(formattedLocations, { geofenceEvents });
   }
 }
 
@@ -0,0 +1,117 @@
+import * as Sentry from '@sentry/react-native';
+
+/**
+ * DatabaseMigrator - Versioned schema migrations for the app's SQLite databases
+ *
+ * Each database owns an ordered list of up-migrations:
+ * - Applied versions are recorded in a `schema_version` table
+ * - Every migration runs in its own exclusive transaction together with its
+ *   version bump, so a failure rolls back to the last fully applied version
+ * - Failures are reported to Sentry and rethrown so the owning service does
+ *   not keep working against a half-migrated schema
+ *
+ * Migration shape: { version: 1, name: 'initial_schema', up: async (db) => {} }
+ */
+class DatabaseMigrator {
+  async ensureVersionTable(db) {
+    await db.execAsync(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+  }
+
+  /**
+   * Get the highest applied migration version (0 for a fresh database)
+   */
+  async getCurrentVersion(db) {
+    await this.ensureVersionTable(db);
+
+    const result = await db.getFirstAsync('SELECT MAX(version) as version FROM schema_version');
+    return result?.version || 0;
+  }
+
+  /**
+   * Apply all pending migrations in version order
+   */
+  async migrate(db, databaseName, migrations) {
+    const ordered = [...migrations].sort((a, b) => a.version - b.version);
+    const latestVersion = ordered.length > 0 ? ordered[ordered.length - 1].version : 0;
+    const startVersion = await this.getCurrentVersion(db);
+
+    if (startVersion > latestVersion) {
+      // Database was written by a newer build (e.g. after an OTA rollback)
+      console.warn(`⚠️ ${databaseName} schema v${startVersion} is newer than this build (v${latestVersion})`);
+      Sentry.addBreadcrumb({
+        message: `${databaseName} schema newer than app`,
+        level: 'warning',
+        data: { databaseName, startVersion, latestVersion }
+      });
+      return { from: startVersion, to: startVersion, applied: [] };
+    }
+
+    const pending = ordered.filter(migration => migration.version > startVersion);
+    if (pending.length === 0) {
+      return { from: startVersion, to: startVersion, applied: [] };
+    }
+
+    console.log(`🗄️ Migrating ${databaseName} from v${startVersion} to v${latestVersion} (${pending.length} pending)`);
+    const applied = [];
+
+    for (const migration of pending) {
+      try {
+        await db.withExclusiveTransactionAsync(async (txn) => {
+          // Re-check inside the transaction in case a concurrent initializer got here first
+          const current = await txn.getFirstAsync('SELECT MAX(version) as version FROM schema_version');
+          if ((current?.version || 0) >= migration.version) return;
+
+          await migration.up(txn);
+          await txn.runAsync(
+            'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+        });
+
+        applied.push(migration.version);
+        console.log(`✅ ${databaseName} migration v${migration.version} (${migration.name}) applied`);
+      } catch (error) {
+        console.error(`❌ ${databaseName} migration v${migration.version} (${migration.name}) failed:`, error);
+        Sentry.captureException(error, {
+          tags: { section: 'database_migration', error_type: 'migration_error' },
+          extra: {
+            databaseName,
+            version: migration.version,
+            name: migration.name,
+            startVersion,
+            appliedVersions: applied
+          }
+        });
+        throw new Error(`Migration ${databaseName} v${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
+
+    Sentry.addBreadcrumb({
+      message: `${databaseName} migrated to v${latestVersion}`,
+      level: 'info',
+      data: { databaseName, from: startVersion, applied }
+    });
+
+    return { from: startVersion, to: latestVersion, applied };
+  }
+
+  /**
+   * Add a column unless it already exists (SQLite has no ADD COLUMN IF NOT EXISTS)
+   */
+  async addColumnIfMissing(db, table, column, definition) {
+    const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+    if (columns.some(col => col.name === column)) return false;
+
+    await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new DatabaseMigrator();
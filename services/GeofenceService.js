@@ -0,0 +1,246 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import { Platform } from 'react-native';
+import * as Sentry from '@sentry/react-native';
+import LocationCacheService from './LocationCacheService';
+import LocationSyncService from './LocationSyncService';
+import LoggingService from './LoggingService';
+import PrivacyZoneService from './PrivacyZoneService';
+import PlaceService from './PlaceService';
+
+export const GEOFENCE_TASK_NAME = 'geofence-task';
+
+// iOS monitors at most 20 regions per app; leave headroom for the system
+const MAX_REGIONS = Platform.OS === 'ios' ? 18 : 60;
+
+const PLACE_HISTORY_DAYS = 60;
+const REGION_RADIUS = 100; // meters
+const PLACES_CACHE_MS = 6 * 60 * 60 * 1000; // 6 hours
+const ROTATION_DISTANCE = 5000; // meters moved before picking the nearest places again
+const ROTATION_MAX_AGE_MS = 60 * 60 * 1000; // 1 hour
+const DUPLICATE_EVENT_WINDOW_MS = 2 * 60 * 1000; // 2 minutes
+
+/**
+ * GeofenceService - OS geofences around frequently visited places
+ *
+ * Features:
+ * - Frequent places from the places registry (PlaceService)
+ * - Nearest places registered with Location.startGeofencingAsync, rotated as
+ *   the user moves because iOS caps the number of monitored regions
+ * - Enter/exit events stored in `geofence_events` and used by
+ *   ClientTimelineProcessor as high-confidence visit boundaries
+ * - Every event triggers an immediate sync
+ * - Events are pruned by maintenance once the timeline has been built from them
+ */
+class GeofenceService {
+  constructor() {
+    this.isActive = false;
+    this.places = [];
+    this.placesLoadedAt = 0;
+    this.regions = [];
+    this.lastRotationTime = 0;
+    this.lastRotationLocation = null;
+    this.lastEvents = new Map();
+    this.initialize();
+  }
+
+  initialize() {
+    try {
+      this.defineGeofenceTask();
+    } catch (error) {
+      console.error('❌ Failed to initialize GeofenceService:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'geofence_service', error_type: 'initialization_error' }
+      });
+    }
+  }
+
+  defineGeofenceTask() {
+    TaskManager.defineTask(GEOFENCE_TASK_NAME, async ({ data, error }) => {
+      if (error) {
+        console.error('❌ Geofence task error:', error);
+        Sentry.captureException(error, {
+          tags: { section: 'geofence_service', error_type: 'background_task_error' }
+        });
+        return;
+      }
+
+      try {
+        await this.handleGeofenceEvent(data);
+      } catch (taskError) {
+        console.error('❌ Geofence event handling error:', taskError);
+        Sentry.captureException(taskError, {
+          tags: { section: 'geofence_service', error_type: 'event_handling_error' }
+        });
+      }
+    });
+  }
+
+  /**
+   * Start monitoring the places nearest to the given location
+   */
+  async start(location = null) {
+    this.isActive = true;
+    await this.rotateRegions(location);
+  }
+
+  async stop() {
+    this.isActive = false;
+    this.lastRotationLocation = null;
+
+    try {
+      await this.stopMonitoring();
+    } catch (error) {
+      console.error('❌ Failed to stop geofencing:', error);
+    }
+  }
+
+  /**
+   * Re-pick regions once the user has moved far enough or the set is stale
+   */
+  async maybeRotate(location) {
+    if (!this.isActive) return;
+
+    const movedFar = !this.lastRotationLocation ||
+      this.distanceMeters(this.lastRotationLocation, location.coords) >= ROTATION_DISTANCE;
+    const isStale = Date.now() - this.lastRotationTime >= ROTATION_MAX_AGE_MS;
+
+    if (movedFar || isStale) {
+      await this.rotateRegions(location);
+    }
+  }
+
+  async rotateRegions(location) {
+    try {
+      const places = await this.getFrequentPlaces();
+      const origin = location?.coords || this.lastRotationLocation;
+
+      const nearest = origin
+        ? [...places].sort((a, b) => this.distanceMeters(origin, a) - this.distanceMeters(origin, b))
+        : places;
+      const regions = nearest.slice(0, MAX_REGIONS).map(place => ({
+        identifier: place.identifier,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radius: REGION_RADIUS,
+        notifyOnEnter: true,
+        notifyOnExit: true
+      }));
+
+      this.lastRotationTime = Date.now();
+      if (origin) {
+        this.lastRotationLocation = { latitude: origin.latitude, longitude: origin.longitude };
+      }
+
+      if (regions.length === 0) {
+        if (this.regions.length > 0) await this.stopMonitoring();
+        return;
+      }
+
+      // Calling startGeofencingAsync again replaces the monitored regions
+      await Location.startGeofencingAsync(GEOFENCE_TASK_NAME, regions);
+      this.regions = regions;
+
+      console.log(`📌 Monitoring ${regions.length} of ${places.length} frequent places`);
+    } catch (error) {
+      console.error('❌ Failed to rotate geofence regions:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'geofence_service', error_type: 'rotation_error' }
+      });
+    }
+  }
+
+  async stopMonitoring() {
+    if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK_NAME)) {
+      await Location.stopGeofencingAsync(GEOFENCE_TASK_NAME);
+    }
+    this.regions = [];
+  }
+
+  /**
+   * Registry places visited in the last PLACE_HISTORY_DAYS, busiest first
+   */
+  async getFrequentPlaces() {
+    if (Date.now() - this.placesLoadedAt < PLACES_CACHE_MS) {
+      return this.places;
+    }
+
+    const since = Date.now() - PLACE_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+    const places = await PlaceService.getPlaces();
+    await PrivacyZoneService.initialize();
+
+    this.places = places
+      .filter(place => place.last_visit_at >= since)
+      // Never ask the OS to watch a place the user wants no record of
+      .filter(place => PrivacyZoneService.findZone(place.latitude, place.longitude)?.mode !== 'drop')
+      .sort((a, b) => b.visit_count - a.visit_count)
+      .map(place => ({
+        latitude: place.latitude,
+        longitude: place.longitude,
+        name: place.name,
+        visitCount: place.visit_count,
+        identifier: `place_${place.id}`
+      }));
+    this.placesLoadedAt = Date.now();
+
+    return this.places;
+  }
+
+  /**
+   * Record an OS enter/exit event and sync right away
+   */
+  async handleGeofenceEvent({ eventType, region }) {
+    const type = eventType === Location.GeofencingEventType.Enter ? 'enter' : 'exit';
+    const timestamp = Date.now();
+
+    // The OS occasionally delivers the same transition twice
+    const key = `${region.identifier}:${type}`;
+    if (timestamp - (this.lastEvents.get(key) || 0) < DUPLICATE_EVENT_WINDOW_MS) {
+      console.log(`⏭️ Duplicate geofence ${type} for ${region.identifier}, skipping`);
+      return;
+    }
+    this.lastEvents.set(key, timestamp);
+
+    await LocationCacheService.initialize();
+    await LocationCacheService.db.runAsync(`
+      INSERT INTO geofence_events (identifier, event_type, latitude, longitude, radius, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [region.identifier, type, region.latitude, region.longitude, region.radius, timestamp]);
+
+    console.log(`📌 Geofence ${type}: ${region.identifier}`);
+    LoggingService.location(`geofence_${type}`, {
+      identifier: region.identifier,
+      latitude: region.latitude,
+      longitude: region.longitude
+    });
+    Sentry.addBreadcrumb({
+      message: `Geofence ${type}`,
+      level: 'info',
+      data: { identifier: region.identifier }
+    });
+
+    // Leaving a place is when the user is most likely heading out of range of the current set
+    if (type === 'exit') {
+      await this.rotateRegions({ coords: { latitude: region.latitude, longitude: region.longitude } });
+    }
+
+    await LocationSyncService.syncNow('geofence');
+  }
+
+  getStatus() {
+    return {
+      active: this.isActive,
+      regions: this.regions.length,
+      maxRegions: MAX_REGIONS,
+      frequentPlaces: this.places.length,
+      lastRotationTime: this.lastRotationTime || null
+    };
+  }
+
+  distanceMeters(from, to) {
+    return PrivacyZoneService.distanceMeters(from.latitude, from.longitude, to.latitude, to.longitude);
+  }
+}
+
+// Export singleton instance
+export default new GeofenceService();
@@ -0,0 +1,522 @@
+import { File } from 'expo-file-system/next';
+import * as Sentry from '@sentry/react-native';
+import LocationCacheService from './LocationCacheService';
+import ClientTimelineProcessor from './ClientTimelineProcessor';
+import PrivacyZoneService from './PrivacyZoneService';
+
+const TAKEOUT_SOURCE = 'google_takeout';
+const READ_CHUNK_BYTES = 512 * 1024; // 512 KB per read
+const INSERT_BATCH_SIZE = 500;
+
+// Google activity types → our activity types
+const ACTIVITY_TYPE_MAP = {
+  STILL: 'stationary',
+  TILTING: 'stationary',
+  ON_FOOT: 'walking',
+  WALKING: 'walking',
+  RUNNING: 'walking',
+  HIKING: 'walking',
+  ON_BICYCLE: 'cycling',
+  CYCLING: 'cycling',
+  IN_VEHICLE: 'vehicle',
+  IN_ROAD_VEHICLE: 'vehicle',
+  IN_RAIL_VEHICLE: 'vehicle',
+  IN_PASSENGER_VEHICLE: 'vehicle',
+  IN_CAR: 'vehicle',
+  IN_BUS: 'vehicle',
+  IN_TRAIN: 'vehicle',
+  IN_SUBWAY: 'vehicle',
+  IN_TRAM: 'vehicle',
+  IN_FERRY: 'vehicle',
+  MOTORCYCLING: 'vehicle',
+  FLYING: 'vehicle'
+};
+
+const BYTE = {
+  QUOTE: 0x22,
+  BACKSLASH: 0x5c,
+  OPEN_BRACE: 0x7b,
+  CLOSE_BRACE: 0x7d,
+  OPEN_BRACKET: 0x5b,
+  CLOSE_BRACKET: 0x5d
+};
+
+/**
+ * Decode a UTF-8 byte array (TextDecoder is not available on every Hermes build)
+ */
+const decodeUtf8 = (bytes) => {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  let result = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let codePoint;
+    if (byte < 0x80) {
+      codePoint = byte;
+    } else if (byte < 0xe0) {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte < 0xf0) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    }
+    result += String.fromCodePoint(codePoint);
+  }
+  return result;
+};
+
+const concatBytes = (parts) => {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const joined = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(part, offset);
+    offset += part.length;
+  }
+  return joined;
+};
+
+/**
+ * Incremental scanner that emits each object of a top-level array property
+ * (`{"locations": [ {...}, {...} ]}`) without parsing the whole document.
+ *
+ * Works on raw bytes: the structural characters are ASCII and never occur
+ * inside multi-byte UTF-8 sequences, so only complete items are decoded.
+ * An item that isn't valid JSON is emitted as `item: null`.
+ */
+export class JsonArrayItemScanner {
+  constructor(arrayKeys) {
+    this.arrayKeys = new Set(arrayKeys);
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.keyBytes = [];
+    this.lastKey = null;
+    this.arrayDepth = null;
+    this.itemParts = null;
+    this.itemStart = null;
+    this.activeKey = null;
+  }
+
+  /**
+   * Feed a chunk, returns [{ key, item }] for every item completed in it
+   */
+  push(chunk) {
+    const items = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (byte === BYTE.BACKSLASH) {
+          this.escaped = true;
+        } else if (byte === BYTE.QUOTE) {
+          this.inString = false;
+          if (this.depth === 1 && this.arrayDepth === null) {
+            this.lastKey = String.fromCharCode(...this.keyBytes);
+          }
+        } else if (this.depth === 1 && this.arrayDepth === null && this.keyBytes.length < 64) {
+          this.keyBytes.push(byte);
+        }
+        continue;
+      }
+
+      if (byte === BYTE.QUOTE) {
+        this.inString = true;
+        this.keyBytes = [];
+      } else if (byte === BYTE.OPEN_BRACE || byte === BYTE.OPEN_BRACKET) {
+        this.depth++;
+        if (byte === BYTE.OPEN_BRACKET && this.depth === 2 && this.arrayKeys.has(this.lastKey)) {
+          this.arrayDepth = this.depth;
+          this.activeKey = this.lastKey;
+        } else if (byte === BYTE.OPEN_BRACE && this.arrayDepth !== null && this.depth === this.arrayDepth + 1) {
+          this.itemStart = i;
+          this.itemParts = [];
+        }
+      } else if (byte === BYTE.CLOSE_BRACE || byte === BYTE.CLOSE_BRACKET) {
+        if (byte === BYTE.CLOSE_BRACE && this.itemParts && this.depth === this.arrayDepth + 1) {
+          this.itemParts.push(chunk.subarray(this.itemStart, i + 1));
+          items.push({ key: this.activeKey, item: this.parseItem(concatBytes(this.itemParts)) });
+          this.itemParts = null;
+          this.itemStart = null;
+        } else if (byte === BYTE.CLOSE_BRACKET && this.depth === this.arrayDepth) {
+          this.arrayDepth = null;
+          this.activeKey = null;
+        }
+        this.depth--;
+      }
+    }
+
+    // Carry a partially read item into the next chunk
+    if (this.itemParts) {
+      this.itemParts.push(chunk.slice(this.itemStart));
+      this.itemStart = 0;
+    }
+
+    return items;
+  }
+
+  parseItem(bytes) {
+    try {
+      return JSON.parse(decodeUtf8(bytes));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * True while an item has started but not ended, e.g. at the end of a truncated file
+   */
+  get hasPartialItem() {
+    return this.itemParts !== null;
+  }
+}
+
+/**
+ * GoogleTakeoutImportService - Imports Google Timeline history into the local cache
+ *
+ * Supports both Takeout exports:
+ * - `Records.json` raw location history (`locations` array)
+ * - Semantic location history monthly files (`timelineObjects` array of
+ *   `placeVisit` / `activitySegment` entries)
+ *
+ * Files are streamed in chunks so multi-hundred-MB exports import with bounded
+ * memory. Imported rows get `source = 'google_takeout'`, are de-duplicated
+ * against existing uuids and timestamps, and can optionally be run through
+ * ClientTimelineProcessor to backfill `local_timeline_segments`.
+ */
+class GoogleTakeoutImportService {
+  constructor() {
+    this.importInProgress = false;
+  }
+
+  /**
+   * Import one or more Takeout JSON files
+   *
+   * @param {string[]} fileUris - local file:// URIs
+   * @param {Object} options
+   * @param {boolean} options.processTimeline - backfill timeline segments per imported day
+   * @param {boolean} options.upload - queue imported points for server sync (default: false)
+   * @param {Function} options.onProgress - called with { phase, fileIndex, fileCount, bytesRead, totalBytes, imported, duplicates, invalid }
+   */
+  async importFiles(fileUris, options = {}) {
+    if (this.importInProgress) {
+      throw new Error('A Takeout import is already in progress');
+    }
+
+    const { processTimeline = false, upload = false, onProgress = () => {} } = options;
+    const stats = { imported: 0, duplicates: 0, invalid: 0, privacyDropped: 0, segments: 0, days: new Set() };
+
+    this.importInProgress = true;
+
+    try {
+      await LocationCacheService.initialize();
+      await PrivacyZoneService.initialize();
+
+      for (let fileIndex = 0; fileIndex < fileUris.length; fileIndex++) {
+        await this.importFile(fileUris[fileIndex], { upload, stats }, (fileProgress) => {
+          onProgress({
+            phase: 'importing',
+            fileIndex,
+            fileCount: fileUris.length,
+            ...fileProgress,
+            imported: stats.imported,
+            duplicates: stats.duplicates,
+            invalid: stats.invalid
+          });
+        });
+      }
+
+      if (processTimeline && stats.days.size > 0) {
+        const days = [...stats.days].sort();
+        for (let i = 0; i < days.length; i++) {
+          onProgress({ phase: 'processing', day: days[i], dayIndex: i, dayCount: days.length, imported: stats.imported });
+          const segments = await this.processDay(days[i]);
+          stats.segments += segments.length;
+        }
+      }
+
+      const result = {
+        imported: stats.imported,
+        duplicates: stats.duplicates,
+        invalid: stats.invalid,
+        privacyDropped: stats.privacyDropped,
+        segments: stats.segments,
+        days: stats.days.size
+      };
+
+      console.log(`📥 Takeout import finished: ${result.imported} imported, ${result.duplicates} duplicates, ${result.privacyDropped} in privacy zones, ${result.segments} segments`);
+
+      Sentry.addBreadcrumb({
+        message: 'Google Takeout import completed',
+        level: 'info',
+        data: { ...result, fileCount: fileUris.length }
+      });
+
+      onProgress({ phase: 'done', ...result });
+      return result;
+    } catch (error) {
+      console.error('❌ Takeout import failed:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'takeout_import', error_type: 'import_error' },
+        extra: { fileCount: fileUris.length, imported: stats.imported }
+      });
+      throw error;
+    } finally {
+      this.importInProgress = false;
+    }
+  }
+
+  async importFile(fileUri, context, onFileProgress) {
+    const file = new File(fileUri);
+    if (!file.exists) {
+      throw new Error(`File not found: ${fileUri}`);
+    }
+
+    const totalBytes = file.size || 0;
+    const scanner = new JsonArrayItemScanner(['locations', 'timelineObjects']);
+    const handle = file.open();
+    let bytesRead = 0;
+    let pending = [];
+
+    try {
+      while (true) {
+        const chunk = handle.readBytes(READ_CHUNK_BYTES);
+        if (!chunk || chunk.length === 0) break;
+        bytesRead += chunk.length;
+
+        for (const { key, item } of scanner.push(chunk)) {
+          if (!item) {
+            context.stats.invalid++;
+            continue;
+          }
+          const converted = key === 'locations'
+            ? [this.convertRecord(item)]
+            : this.convertTimelineObject(item);
+
+          for (const location of converted) {
+            if (location) {
+              pending.push(location);
+            } else {
+              context.stats.invalid++;
+            }
+          }
+        }
+
+        while (pending.length >= INSERT_BATCH_SIZE) {
+          await this.insertBatch(pending.splice(0, INSERT_BATCH_SIZE), context);
+        }
+
+        onFileProgress({ bytesRead, totalBytes });
+
+        if (chunk.length < READ_CHUNK_BYTES) break;
+      }
+
+      if (pending.length > 0) {
+        await this.insertBatch(pending, context);
+      }
+
+      // A cut-off export ends inside an item
+      if (scanner.hasPartialItem) {
+        console.warn(`📥 ${fileUri} ends in the middle of an item`);
+        context.stats.invalid++;
+      }
+    } finally {
+      handle.close();
+    }
+  }
+
+  /**
+   * Insert a batch, skipping points whose timestamp is already cached
+   */
+  async insertBatch(locations, { upload, stats }) {
+    const timestamps = locations.map(location => Math.floor(location.timestamp / 1000));
+    const existing = await LocationCacheService.getCachedTimestamps(Math.min(...timestamps), Math.max(...timestamps));
+
+    const fresh = [];
+    for (const location of locations) {
+      const ts = Math.floor(location.timestamp / 1000);
+      if (existing.has(ts)) {
+        stats.duplicates++;
+        continue;
+      }
+      existing.add(ts);
+
+      // Imported history honours privacy zones like live tracking does
+      const privateLocation = PrivacyZoneService.applyToLocation(location);
+      if (!privateLocation) {
+        stats.privacyDropped++;
+        continue;
+      }
+      fresh.push({ ...privateLocation, synced: !upload });
+    }
+
+    const inserted = await LocationCacheService.cacheLocationBatch(fresh);
+    stats.imported += inserted;
+    stats.duplicates += fresh.length - inserted; // uuid collisions from a previous import
+
+    for (const location of fresh) {
+      stats.days.add(this.getDayKey(location.timestamp));
+    }
+  }
+
+  /**
+   * Records.json entry → cached location
+   */
+  convertRecord(record) {
+    const timestamp = this.parseTimestamp(record.timestamp ?? record.timestampMs);
+    const latitude = this.parseE7(record.latitudeE7);
+    const longitude = this.parseE7(record.longitudeE7);
+    if (timestamp === null || latitude === null || longitude === null) return null;
+
+    const topActivity = record.activity?.[0]?.activity?.[0];
+    const activityType = topActivity ? (ACTIVITY_TYPE_MAP[topActivity.type] || 'unknown') : null;
+
+    return this.buildLocation({
+      timestamp,
+      latitude,
+      longitude,
+      accuracy: record.accuracy,
+      altitude: record.altitude,
+      altitudeAccuracy: record.verticalAccuracy,
+      speed: record.velocity,
+      heading: record.heading,
+      activity: activityType ? { type: activityType, confidence: topActivity.confidence } : null,
+      payload: { takeout: 'records', device_tag: record.deviceTag, source: record.source }
+    });
+  }
+
+  /**
+   * Semantic location history entry → cached locations
+   */
+  convertTimelineObject(entry) {
+    if (entry.placeVisit) {
+      const visit = entry.placeVisit;
+      const latitude = this.parseE7(visit.location?.latitudeE7 ?? visit.centerLatE7);
+      const longitude = this.parseE7(visit.location?.longitudeE7 ?? visit.centerLngE7);
+      const start = this.parseTimestamp(visit.duration?.startTimestamp ?? visit.duration?.startTimestampMs);
+      const end = this.parseTimestamp(visit.duration?.endTimestamp ?? visit.duration?.endTimestampMs);
+      if (latitude === null || longitude === null || start === null) return [null];
+
+      const payload = {
+        takeout: 'semantic_visit',
+        place_name: visit.location?.name,
+        place_address: visit.location?.address,
+        place_id: visit.location?.placeId
+      };
+      const activity = { type: 'stationary', confidence: 100 };
+
+      return [start, end]
+        .filter(timestamp => timestamp !== null)
+        .map(timestamp => this.buildLocation({ timestamp, latitude, longitude, activity, payload }));
+    }
+
+    if (entry.activitySegment) {
+      const segment = entry.activitySegment;
+      const start = this.parseTimestamp(segment.duration?.startTimestamp ?? segment.duration?.startTimestampMs);
+      const end = this.parseTimestamp(segment.duration?.endTimestamp ?? segment.duration?.endTimestampMs);
+      if (start === null || end === null) return [null];
+
+      const activity = {
+        type: ACTIVITY_TYPE_MAP[segment.activityType] || 'unknown',
+        confidence: segment.confidence === 'HIGH' ? 90 : segment.confidence === 'MEDIUM' ? 70 : 50
+      };
+      const payload = { takeout: 'semantic_activity', activity_type: segment.activityType };
+
+      // Prefer timestamped raw path points, fall back to evenly spaced waypoints
+      const rawPoints = segment.simplifiedRawPath?.points || [];
+      let path = rawPoints.map(point => ({
+        latitude: this.parseE7(point.latE7),
+        longitude: this.parseE7(point.lngE7),
+        timestamp: this.parseTimestamp(point.timestamp ?? point.timestampMs)
+      }));
+
+      if (path.length === 0) {
+        const coordinates = [
+          segment.startLocation,
+          ...(segment.waypointPath?.waypoints || []),
+          segment.endLocation
+        ].filter(Boolean);
+
+        path = coordinates.map((point, index) => ({
+          latitude: this.parseE7(point.latitudeE7 ?? point.latE7),
+          longitude: this.parseE7(point.longitudeE7 ?? point.lngE7),
+          timestamp: coordinates.length > 1
+            ? Math.round(start + ((end - start) * index) / (coordinates.length - 1))
+            : start
+        }));
+      }
+
+      return path.map(point => (
+        point.latitude === null || point.longitude === null || point.timestamp === null
+          ? null
+          : this.buildLocation({ ...point, isMoving: true, activity, payload })
+      ));
+    }
+
+    return [];
+  }
+
+  buildLocation({ timestamp, latitude, longitude, accuracy, altitude, altitudeAccuracy, speed, heading, activity, isMoving, payload }) {
+    return {
+      // Deterministic uuid so re-importing the same file is a no-op
+      uuid: `takeout-${timestamp}-${latitude.toFixed(6)}-${longitude.toFixed(6)}`,
+      coords: {
+        latitude,
+        longitude,
+        accuracy: accuracy ?? null,
+        altitude: altitude ?? null,
+        altitudeAccuracy: altitudeAccuracy ?? null,
+        speed: speed ?? null,
+        heading: heading ?? null
+      },
+      timestamp,
+      is_moving: isMoving ?? (activity ? activity.type !== 'stationary' : false),
+      activity,
+      battery: null,
+      time_zone: null,
+      source: TAKEOUT_SOURCE,
+      payload
+    };
+  }
+
+  parseE7(value) {
+    if (value === undefined || value === null) return null;
+    let number = Number(value);
+    if (!Number.isFinite(number)) return null;
+
+    // Older exports stored some values as unsigned 32-bit integers
+    if (number > 1800000000) number -= 4294967296;
+    return number / 1e7;
+  }
+
+  parseTimestamp(value) {
+    if (value === undefined || value === null) return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Backfill local timeline segments for one imported day
+   */
+  async processDay(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const start = new Date(year, month - 1, day).getTime();
+    const end = new Date(year, month - 1, day + 1).getTime() - 1;
+
+    return await ClientTimelineProcessor.processTimeRange(start, end);
+  }
+}
+
+// Export singleton instance
+export default new GoogleTakeoutImportService();
@@ -6,6 +6,7 @@ import LocationCacheService from './LocationCacheService';
 import LocationSyncService from './LocationSyncService';
 import { getAuthTokenForBackgroundTask } from '../AuthContext';
 import LoggingService from './LoggingService';
+import BatteryService from './BatteryService';
 import * as Sentry from '@sentry/react-native';
 import * as Network from 'expo-network';
 
@@ -329,14 +330,7 @@ class HeartbeatService {
   }
 
   async getBatteryInfo() {
-    try {
-      // Note: Expo doesn't have a built-in battery API
-      // This would need to be implemented with a native module
-      // For now, return null
-      return null;
-    } catch (error) {
-      return null;
-    }
+    return BatteryService.getBatteryInfo();
   }
 
   async getStatus() {
@@ -0,0 +1,146 @@
+/**
+ * LocalDay - Calendar days in a time zone
+ *
+ * Timeline days are local days: a walk at 23:30 in New York belongs to that
+ * evening, not to the next UTC day. Day keys are `YYYY-MM-DD` strings in an
+ * IANA zone - the device zone by default, or the `time_zone` a point was
+ * recorded in. Day bounds come from the zone's rules, so DST days are 23 or
+ * 25 hours long and days whose midnight is skipped start at the first
+ * instant that exists.
+ */
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const getZonedParts = (time, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(time))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  // Some engines print midnight as 24 even with h23
+  if (parts.hour === 24) parts.hour = 0;
+  return parts;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const getDeviceTimeZone = () => {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+};
+
+/**
+ * The given zone when usable, otherwise the device zone
+ */
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : getDeviceTimeZone());
+
+/**
+ * Difference between local wall-clock time and UTC at an instant
+ */
+export const getTimeZoneOffsetMs = (time, timeZone) => {
+  const instant = Math.floor(new Date(time).getTime() / 1000) * 1000;
+  const parts = getZonedParts(instant, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+};
+
+/**
+ * `YYYY-MM-DD` of a Date or timestamp (ms) in the zone; day keys pass through
+ */
+export const toDayKey = (date, timeZone = getDeviceTimeZone()) => {
+  if (typeof date === 'string' && DAY_KEY_PATTERN.test(date)) return date;
+
+  const { year, month, day } = getZonedParts(date, resolveTimeZone(timeZone));
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Day key of a recorded point, in the zone it was recorded in when known
+ */
+export const dayKeyForPoint = (point, fallbackTimeZone = getDeviceTimeZone()) =>
+  toDayKey(point.timestamp, isValidTimeZone(point.time_zone) ? point.time_zone : fallbackTimeZone);
+
+export const addDays = (dayKey, days) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Day keys from startKey to endKey, both included
+ */
+export const listDayKeys = (startKey, endKey) => {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * Whole days from startKey to endKey, negative when endKey is earlier
+ */
+export const daysBetween = (startKey, endKey) => {
+  const toUtc = (dayKey) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(endKey) - toUtc(startKey)) / (24 * 60 * 60 * 1000));
+};
+
+// 0 = Sunday, as Date#getDay
+export const getWeekday = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const getDayStart = (dayKey, timeZone) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const wallMidnight = Date.UTC(year, month - 1, day);
+
+  // Two passes settle on the offset in force at local midnight
+  const first = wallMidnight - getTimeZoneOffsetMs(wallMidnight, timeZone);
+  const second = wallMidnight - getTimeZoneOffsetMs(first, timeZone);
+
+  // When DST skips midnight one candidate lands on the previous day
+  const candidates = [first, second].filter(time => toDayKey(time, timeZone) === dayKey);
+  return candidates.length > 0 ? Math.min(...candidates) : first;
+};
+
+/**
+ * `{ start, end }` in ms for a local day; end is the next day's start (exclusive)
+ */
+export const getDayBounds = (dayKey, timeZone = getDeviceTimeZone()) => {
+  const zone = resolveTimeZone(timeZone);
+  return {
+    start: getDayStart(dayKey, zone),
+    end: getDayStart(addDays(dayKey, 1), zone)
+  };
+};
@@ -1,5 +1,21 @@
 import * as SQLite from 'expo-sqlite';
 import * as Sentry from '@sentry/react-native';
+import DatabaseMigrator from './DatabaseMigrator';
+import locationCacheMigrations from './migrations/locationCacheMigrations';
+
+// Rows LocationFilterPipeline didn't reject
+export const ACCEPTED_LOCATIONS = "(filter_status IS NULL OR filter_status != 'rejected')";
+// Accepted rows that may leave the device (not inside a 'local_only' privacy
+// zone and not quarantined after a permanent server rejection)
+export const UPLOADABLE_LOCATIONS = `${ACCEPTED_LOCATIONS} AND (privacy_mode IS NULL OR privacy_mode != 'local_only') AND quarantine_reason IS NULL`;
+const FILTER_STATS_DAYS = 7;
+
+// Per-row upload retries back off exponentially from sync_attempts
+export const UPLOAD_RETRY = {
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 6 * 60 * 60, // 6 hours
+  maxAttempts: 10 // quarantine rows the server keeps refusing
+};
 
 /**
  * LocationCacheService - Local SQLite caching for location data
@@ -40,90 +56,8 @@ class LocationCacheService {
   }
 
   async createTables() {
-    // Location cache table - stores all location points locally
-    await this.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS cached_locations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        uuid TEXT UNIQUE NOT NULL,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        accuracy REAL,
-        altitude REAL,
-        altitude_accuracy REAL,
-        speed REAL,
-        heading REAL,
-        timestamp INTEGER NOT NULL,
-        recorded_at INTEGER NOT NULL,
-        time_zone TEXT,
-        is_moving BOOLEAN DEFAULT 0,
-        activity_type TEXT,
-        activity_confidence INTEGER,
-        battery_level REAL,
-        battery_charging BOOLEAN DEFAULT 0,
-        payload TEXT, -- JSON string of full background-geolocation payload
-        synced BOOLEAN DEFAULT 0,
-        sync_attempts INTEGER DEFAULT 0,
-        last_sync_attempt INTEGER,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // Heartbeat cache table - stores heartbeat/stationary events
-    await this.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS cached_heartbeats (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        location_id INTEGER,
-        battery_level REAL,
-        battery_charging BOOLEAN DEFAULT 0,
-        activity_type TEXT,
-        activity_confidence INTEGER,
-        odometer REAL,
-        is_moving BOOLEAN DEFAULT 0,
-        tracking_enabled BOOLEAN DEFAULT 1,
-        timestamp INTEGER NOT NULL,
-        payload TEXT, -- JSON string of full heartbeat data
-        synced BOOLEAN DEFAULT 0,
-        sync_attempts INTEGER DEFAULT 0,
-        last_sync_attempt INTEGER,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        FOREIGN KEY (location_id) REFERENCES cached_locations(id)
-      )
-    `);
-
-    // Local timeline segments (for offline timeline building)
-    await this.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS local_timeline_segments (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT NOT NULL, -- 'visit' or 'travel'
-        start_time INTEGER NOT NULL,
-        end_time INTEGER,
-        start_latitude REAL,
-        start_longitude REAL,
-        end_latitude REAL,
-        end_longitude REAL,
-        center_latitude REAL,
-        center_longitude REAL,
-        distance REAL DEFAULT 0,
-        location_count INTEGER DEFAULT 0,
-        place_name TEXT,
-        place_address TEXT,
-        confidence REAL DEFAULT 0.5,
-        synced BOOLEAN DEFAULT 0,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-
-    // Create indexes for performance
-    await this.db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON cached_locations(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_locations_synced ON cached_locations(synced);
-      CREATE INDEX IF NOT EXISTS idx_locations_uuid ON cached_locations(uuid);
-      CREATE INDEX IF NOT EXISTS idx_heartbeats_timestamp ON cached_heartbeats(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_heartbeats_synced ON cached_heartbeats(synced);
-      CREATE INDEX IF NOT EXISTS idx_timeline_time_range ON local_timeline_segments(start_time, end_time);
-    `);
+    // Schema lives in versioned migrations so new columns reach existing installs
+    await DatabaseMigrator.migrate(this.db, 'haps_locations.db', locationCacheMigrations);
 
     console.log('📁 Database tables created successfully');
   }
@@ -155,8 +89,9 @@ class LocationCacheService {
           uuid, latitude, longitude, accuracy, altitude, altitude_accuracy,
           speed, heading, timestamp, recorded_at, time_zone, is_moving,
           activity_type, activity_confidence, battery_level, battery_charging,
-          payload, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+          battery_low_power, payload, source, filter_status, filter_reason,
+          raw_latitude, raw_longitude, privacy_zone_id, privacy_mode, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
       `, [
         uuid,
         coords.latitude,
@@ -172,9 +107,17 @@ class LocationCacheService {
         is_moving ? 1 : 0,
         activity?.type || null,
         activity?.confidence || null,
-        battery?.level || null,
+        battery?.level ?? null,
         battery?.is_charging ? 1 : 0,
-        JSON.stringify(locationData)
+        battery?.low_power_mode ? 1 : 0,
+        JSON.stringify(locationData),
+        extraData.source || null,
+        extraData.filter?.status || 'accepted',
+        extraData.filter?.reason || null,
+        extraData.filter?.raw_latitude ?? null,
+        extraData.filter?.raw_longitude ?? null,
+        extraData.privacy?.zone_id ?? null,
+        extraData.privacy?.mode ?? null
       ]);
 
       console.log(`📍 Cached location ${uuid} (ID: ${result.lastInsertRowId})`);
@@ -189,6 +132,85 @@ class LocationCacheService {
     }
   }
 
+  /**
+   * Cache many location points in one transaction (used by importers)
+   *
+   * Uses INSERT OR IGNORE so rows whose uuid already exists are left untouched.
+   * Returns the number of rows actually inserted.
+   */
+  async cacheLocationBatch(locations) {
+    if (!this.isInitialized) await this.initialize();
+    if (locations.length === 0) return 0;
+
+    let inserted = 0;
+
+    try {
+      await this.db.withTransactionAsync(async () => {
+        for (const location of locations) {
+          const { uuid, coords, timestamp, is_moving, activity, battery, time_zone, source, privacy } = location;
+          const unixTimestamp = Math.floor(timestamp / 1000);
+
+          const result = await this.db.runAsync(`
+            INSERT OR IGNORE INTO cached_locations (
+              uuid, latitude, longitude, accuracy, altitude, altitude_accuracy,
+              speed, heading, timestamp, recorded_at, time_zone, is_moving,
+              activity_type, activity_confidence, battery_level, battery_charging,
+              payload, source, synced, privacy_zone_id, privacy_mode
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            uuid,
+            coords.latitude,
+            coords.longitude,
+            coords.accuracy ?? null,
+            coords.altitude ?? null,
+            coords.altitudeAccuracy ?? null,
+            coords.speed ?? null,
+            coords.heading ?? null,
+            unixTimestamp,
+            unixTimestamp,
+            time_zone || null,
+            is_moving ? 1 : 0,
+            activity?.type || null,
+            activity?.confidence ?? null,
+            battery?.level ?? null,
+            battery?.is_charging ? 1 : 0,
+            location.payload ? JSON.stringify(location.payload) : null,
+            source || null,
+            location.synced ? 1 : 0,
+            privacy?.zone_id ?? null,
+            privacy?.mode ?? null
+          ]);
+
+          inserted += result.changes;
+        }
+      });
+
+      console.log(`📍 Cached ${inserted}/${locations.length} locations in batch`);
+      return inserted;
+    } catch (error) {
+      console.error('❌ Failed to cache location batch:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'location_cache', error_type: 'cache_location_batch_error' },
+        extra: { count: locations.length }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get timestamps (unix seconds) already cached within a range, for de-duplication
+   */
+  async getCachedTimestamps(startTs, endTs) {
+    if (!this.isInitialized) await this.initialize();
+
+    const rows = await this.db.getAllAsync(`
+      SELECT DISTINCT timestamp FROM cached_locations
+      WHERE timestamp >= ? AND timestamp <= ?
+    `, [startTs, endTs]);
+
+    return new Set(rows.map(row => row.timestamp));
+  }
+
   /**
    * Cache a heartbeat event locally
    */
@@ -211,18 +233,20 @@ class LocationCacheService {
 
       const result = await this.db.runAsync(`
         INSERT INTO cached_heartbeats (
-          location_id, battery_level, battery_charging, activity_type,
-          activity_confidence, odometer, is_moving, tracking_enabled,
-          timestamp, payload
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          location_id, battery_level, battery_charging, battery_low_power,
+          activity_type, activity_confidence, odometer, is_moving,
+          tracking_enabled, timestamp, payload
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         locationId,
-        battery?.level || null,
+        battery?.level ?? null,
         battery?.is_charging ? 1 : 0,
+        battery?.low_power_mode ? 1 : 0,
         activity?.type || null,
         activity?.confidence || null,
         odometer || null,
-        location && location.coords.speed > 0.5 ? 1 : 0,
+        // Guaranteed heartbeats carry a flat location, legacy ones a full fix
+        (location?.coords?.speed ?? location?.speed) > 0.5 ? 1 : 0,
         enabled ? 1 : 0,
         unixTimestamp,
         JSON.stringify(heartbeatData)
@@ -240,18 +264,37 @@ class LocationCacheService {
   }
 
   /**
-   * Get unsynced locations for batch upload
+   * Unsynced rows due for upload (rejected and local-only points stay local)
+   *
+   * Rows that failed before wait `baseDelaySeconds * 2^sync_attempts` (capped)
+   * after their last attempt, unless `ignoreBackoff` is set. With
+   * `recentWindow`, only rows among the newest `recentWindow` uploadable
+   * points qualify, synced or not, so older rows wait however often this runs.
    */
-  async getUnsyncedLocations(limit = 50) {
+  async getUnsyncedLocations(limit = 50, { ignoreBackoff = false, recentWindow = null } = {}) {
     if (!this.isInitialized) await this.initialize();
 
     try {
       const result = await this.db.getAllAsync(`
         SELECT * FROM cached_locations 
-        WHERE synced = 0 
+        WHERE synced = 0 AND ${UPLOADABLE_LOCATIONS}
+          AND (? OR last_sync_attempt IS NULL
+            OR last_sync_attempt + MIN(? * (1 << MIN(sync_attempts, 20)), ?) <= ?)
+          AND (? IS NULL OR id IN (
+            SELECT id FROM cached_locations WHERE ${UPLOADABLE_LOCATIONS}
+            ORDER BY timestamp DESC LIMIT ?
+          ))
         ORDER BY timestamp ASC 
         LIMIT ?
-      `, [limit]);
+      `, [
+        ignoreBackoff ? 1 : 0,
+        UPLOAD_RETRY.baseDelaySeconds,
+        UPLOAD_RETRY.maxDelaySeconds,
+        Math.floor(Date.now() / 1000),
+        recentWindow,
+        recentWindow ?? -1,
+        limit
+      ]);
 
       return result.map(row => ({
         id: row.id,
@@ -275,8 +318,14 @@ class LocationCacheService {
         } : null,
         battery: row.battery_level !== null ? {
           level: row.battery_level,
-          is_charging: Boolean(row.battery_charging)
+          is_charging: Boolean(row.battery_charging),
+          low_power_mode: Boolean(row.battery_low_power)
         } : null,
+        filter: {
+          status: row.filter_status,
+          reason: row.filter_reason
+        },
+        sync_attempts: row.sync_attempts || 0,
         payload: row.payload ? JSON.parse(row.payload) : null
       }));
     } catch (error) {
@@ -288,6 +337,29 @@ class LocationCacheService {
     }
   }
 
+  /**
+   * Unsynced rows older than the newest `recentWindow` uploadable points,
+   * i.e. what getUnsyncedLocations holds back with the same window
+   */
+  async countOlderUnsyncedLocations(recentWindow) {
+    if (!this.isInitialized) await this.initialize();
+
+    try {
+      const row = await this.db.getFirstAsync(`
+        SELECT COUNT(*) AS count FROM cached_locations
+        WHERE synced = 0 AND ${UPLOADABLE_LOCATIONS}
+          AND id NOT IN (
+            SELECT id FROM cached_locations WHERE ${UPLOADABLE_LOCATIONS}
+            ORDER BY timestamp DESC LIMIT ?
+          )
+      `, [recentWindow]);
+      return row?.count || 0;
+    } catch (error) {
+      console.error('❌ Failed to count unsynced backlog:', error);
+      return 0;
+    }
+  }
+
   /**
    * Get unsynced heartbeats for batch upload
    */
@@ -308,7 +380,8 @@ class LocationCacheService {
         timestamp: row.timestamp * 1000,
         battery: row.battery_level !== null ? {
           level: row.battery_level,
-          is_charging: Boolean(row.battery_charging)
+          is_charging: Boolean(row.battery_charging),
+          low_power_mode: Boolean(row.battery_low_power)
         } : null,
         activity: row.activity_type ? {
           type: row.activity_type,
@@ -348,6 +421,93 @@ class LocationCacheService {
     }
   }
 
+  /**
+   * Record a failed upload attempt so the rows back off before the next try
+   *
+   * With `countTowardsQuarantine`, rows reaching UPLOAD_RETRY.maxAttempts are
+   * quarantined. Outages and timeouts should not count: the rows are fine.
+   */
+  async recordLocationSyncFailure(locationIds, { countTowardsQuarantine = false, reason = 'retry_limit_reached' } = {}) {
+    if (!this.isInitialized) await this.initialize();
+    if (locationIds.length === 0) return 0;
+
+    try {
+      const placeholders = locationIds.map(() => '?').join(',');
+      const now = Math.floor(Date.now() / 1000);
+
+      await this.db.runAsync(`
+        UPDATE cached_locations 
+        SET sync_attempts = sync_attempts + 1, last_sync_attempt = ?, updated_at = strftime('%s', 'now')
+        WHERE id IN (${placeholders})
+      `, [now, ...locationIds]);
+
+      if (!countTowardsQuarantine) return 0;
+
+      const result = await this.db.runAsync(`
+        UPDATE cached_locations 
+        SET quarantine_reason = ?, quarantined_at = ?
+        WHERE id IN (${placeholders}) AND sync_attempts >= ? AND quarantine_reason IS NULL
+      `, [reason, now, ...locationIds, UPLOAD_RETRY.maxAttempts]);
+
+      return result.changes;
+    } catch (error) {
+      console.error('❌ Failed to record location sync failure:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'location_cache', error_type: 'record_sync_failure_error' }
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Stop uploading rows the server permanently rejected
+   *
+   * `rejections` is a list of `{ id, reason }`.
+   */
+  async quarantineLocations(rejections) {
+    if (!this.isInitialized) await this.initialize();
+    if (rejections.length === 0) return;
+
+    try {
+      const now = Math.floor(Date.now() / 1000);
+
+      await this.db.withTransactionAsync(async () => {
+        for (const { id, reason } of rejections) {
+          await this.db.runAsync(`
+            UPDATE cached_locations 
+            SET quarantine_reason = ?, quarantined_at = ?, sync_attempts = sync_attempts + 1,
+                last_sync_attempt = ?, updated_at = strftime('%s', 'now')
+            WHERE id = ?
+          `, [reason || 'rejected', now, now, id]);
+        }
+      });
+
+      console.log(`🚫 Quarantined ${rejections.length} locations rejected by the server`);
+    } catch (error) {
+      console.error('❌ Failed to quarantine locations:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'location_cache', error_type: 'quarantine_error' }
+      });
+    }
+  }
+
+  /**
+   * Put quarantined rows back in the upload queue (e.g. after a server fix)
+   */
+  async releaseQuarantinedLocations() {
+    if (!this.isInitialized) await this.initialize();
+
+    const result = await this.db.runAsync(`
+      UPDATE cached_locations 
+      SET quarantine_reason = NULL, quarantined_at = NULL, sync_attempts = 0,
+          last_sync_attempt = NULL, updated_at = strftime('%s', 'now')
+      WHERE quarantine_reason IS NOT NULL AND synced = 0
+    `);
+
+    console.log(`♻️ Released ${result.changes} quarantined locations`);
+    return result.changes;
+  }
+
   /**
    * Mark heartbeats as synced after successful upload
    */
@@ -375,11 +535,12 @@ class LocationCacheService {
     if (!this.isInitialized) await this.initialize();
 
     try {
-      const [locationStats, heartbeatStats] = await Promise.all([
+      const [locationStats, heartbeatStats, filterRows, quarantineRows] = await Promise.all([
         this.db.getFirstAsync(`
           SELECT 
             COUNT(*) as total,
-            COUNT(CASE WHEN synced = 0 THEN 1 END) as unsynced,
+            COUNT(CASE WHEN synced = 0 AND ${UPLOADABLE_LOCATIONS} THEN 1 END) as unsynced,
+            COUNT(CASE WHEN synced = 0 AND ${UPLOADABLE_LOCATIONS} AND sync_attempts > 0 THEN 1 END) as retrying,
             MIN(timestamp) as oldest,
             MAX(timestamp) as newest
           FROM cached_locations
@@ -389,6 +550,26 @@ class LocationCacheService {
             COUNT(*) as total,
             COUNT(CASE WHEN synced = 0 THEN 1 END) as unsynced
           FROM cached_heartbeats
+        `),
+        // Per-day filter outcomes for the last week (local days)
+        this.db.getAllAsync(`
+          SELECT 
+            date(timestamp, 'unixepoch', 'localtime') as day,
+            filter_status,
+            CASE WHEN filter_status = 'rejected'
+              THEN substr(filter_reason, 1, instr(filter_reason, ':') - 1)
+            END as rejected_by,
+            COUNT(*) as count
+          FROM cached_locations
+          WHERE timestamp >= ? AND filter_status IS NOT NULL
+          GROUP BY day, filter_status, rejected_by
+          ORDER BY day DESC
+        `, [Math.floor(Date.now() / 1000) - FILTER_STATS_DAYS * 24 * 60 * 60]),
+        this.db.getAllAsync(`
+          SELECT quarantine_reason as reason, COUNT(*) as count
+          FROM cached_locations
+          WHERE quarantine_reason IS NOT NULL AND synced = 0
+          GROUP BY quarantine_reason
         `)
       ]);
 
@@ -397,6 +578,9 @@ class LocationCacheService {
           total: locationStats.total || 0,
           unsynced: locationStats.unsynced || 0,
           synced: (locationStats.total || 0) - (locationStats.unsynced || 0),
+          retrying: locationStats.retrying || 0,
+          quarantined: quarantineRows.reduce((sum, row) => sum + row.count, 0),
+          quarantineReasons: Object.fromEntries(quarantineRows.map(row => [row.reason, row.count])),
           timeRange: locationStats.oldest && locationStats.newest ? {
             oldest: new Date(locationStats.oldest * 1000),
             newest: new Date(locationStats.newest * 1000),
@@ -407,19 +591,48 @@ class LocationCacheService {
           total: heartbeatStats.total || 0,
           unsynced: heartbeatStats.unsynced || 0,
           synced: (heartbeatStats.total || 0) - (heartbeatStats.unsynced || 0)
-        }
+        },
+        filtering: this.summarizeFilterStats(filterRows)
       };
 
       return stats;
     } catch (error) {
       console.error('❌ Failed to get cache stats:', error);
       return {
-        locations: { total: 0, unsynced: 0, synced: 0, timeRange: null },
-        heartbeats: { total: 0, unsynced: 0, synced: 0 }
+        locations: { total: 0, unsynced: 0, synced: 0, retrying: 0, quarantined: 0, quarantineReasons: {}, timeRange: null },
+        heartbeats: { total: 0, unsynced: 0, synced: 0 },
+        filtering: []
       };
     }
   }
 
+  /**
+   * Fold per-day filter rows into [{ date, total, accepted, smoothed, rejected, rejectionReasons }]
+   */
+  summarizeFilterStats(rows) {
+    const days = new Map();
+
+    for (const row of rows) {
+      if (!days.has(row.day)) {
+        days.set(row.day, { date: row.day, total: 0, accepted: 0, smoothed: 0, rejected: 0, rejectionReasons: {} });
+      }
+      const day = days.get(row.day);
+      day.total += row.count;
+
+      if (row.filter_status === 'rejected') {
+        day.rejected += row.count;
+        const stage = row.rejected_by || 'unknown';
+        day.rejectionReasons[stage] = (day.rejectionReasons[stage] || 0) + row.count;
+      } else if (row.filter_status === 'smoothed') {
+        day.smoothed += row.count;
+      } else {
+        day.accepted += row.count;
+      }
+    }
+
+    return Array.from(days.values());
+  }
+
   /**
    * Clean up old synced data to prevent database from growing too large
    */
@@ -430,9 +643,12 @@ class LocationCacheService {
       const cutoffTime = Math.floor((Date.now() - (retentionDays * 24 * 60 * 60 * 1000)) / 1000);
       
       const [locationsDeleted, heartbeatsDeleted] = await Promise.all([
+        // Imported history is the user's only local copy of those years, so keep it
+        // Rejected and local-only points never upload, so they are cleaned up regardless of synced
         this.db.runAsync(`
           DELETE FROM cached_locations 
-          WHERE synced = 1 AND timestamp < ?
+          WHERE (synced = 1 OR NOT (${UPLOADABLE_LOCATIONS})) AND timestamp < ?
+            AND (source IS NULL OR source != 'google_takeout')
         `, [cutoffTime]),
         this.db.runAsync(`
           DELETE FROM cached_heartbeats 
@@ -451,6 +667,32 @@ class LocationCacheService {
       return { locationsDeleted: 0, heartbeatsDeleted: 0 };
     }
   }
+
+  /**
+   * Delete geofence events the timeline has been built from
+   *
+   * Processing only looks back a few hours, so an event is done with once it
+   * is older than retentionHours and the stored timeline reaches it.
+   */
+  async cleanupGeofenceEvents(retentionHours = 24) {
+    if (!this.isInitialized) await this.initialize();
+
+    try {
+      // Geofence events and timeline segments are stored in milliseconds
+      const cutoffTime = Date.now() - (retentionHours * 60 * 60 * 1000);
+      const result = await this.db.runAsync(`
+        DELETE FROM geofence_events
+        WHERE timestamp < ?
+          AND timestamp <= (SELECT COALESCE(MAX(end_time), 0) FROM local_timeline_segments)
+      `, [cutoffTime]);
+
+      console.log(`🧹 Cleaned up ${result.changes} processed geofence events`);
+      return result.changes;
+    } catch (error) {
+      console.error('❌ Failed to cleanup geofence events:', error);
+      return 0;
+    }
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,360 @@
+import { File, Paths } from 'expo-file-system/next';
+import * as Sharing from 'expo-sharing';
+import * as Sentry from '@sentry/react-native';
+import LocationCacheService, { ACCEPTED_LOCATIONS } from './LocationCacheService';
+import PrivacyZoneService from './PrivacyZoneService';
+
+const EXPORT_PAGE_SIZE = 500; // rows read from SQLite per page
+
+const FORMATS = {
+  gpx: { writer: 'writeGpx', extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+  kml: { writer: 'writeKml', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+  geojson: { writer: 'writeGeoJson', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' },
+  csv: { writer: 'writeCsv', extension: 'csv', mimeType: 'text/csv', uti: 'public.comma-separated-values-text' }
+};
+
+const CSV_COLUMNS = [
+  'uuid', 'timestamp', 'latitude', 'longitude', 'accuracy', 'altitude',
+  'speed', 'heading', 'time_zone', 'is_moving', 'activity_type',
+  'activity_confidence', 'battery_level', 'battery_charging',
+  'filter_status', 'filter_reason'
+];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * LocationExportService - Exports cached location history to standard formats
+ *
+ * Reads `cached_locations` and `local_timeline_segments` for a date range and
+ * writes GPX, KML, GeoJSON or CSV:
+ * - Rows are read in keyset-paginated pages and appended to the file as they
+ *   arrive, so a year of points never sits in memory at once
+ * - GPX/KML carry raw points as a track plus visits as waypoints/placemarks
+ * - GeoJSON carries the timeline: visits as Points, travels as LineStrings
+ * - CSV carries raw points only, including filter-rejected ones (flagged);
+ *   the other formats leave rejected points out
+ * - Privacy zones apply: local-only points are left out and visits inside a
+ *   zone are snapped to its centre or dropped
+ */
+class LocationExportService {
+  constructor() {
+    this.exportInProgress = false;
+    this.encoder = new TextEncoder();
+  }
+
+  getSupportedFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export a date range and open the system share sheet
+   */
+  async exportAndShare(format, startDate, endDate) {
+    const result = await this.exportToFile(format, startDate, endDate);
+
+    const isAvailable = await Sharing.isAvailableAsync();
+    if (!isAvailable) {
+      throw new Error('Sharing is not available on this device');
+    }
+
+    const { mimeType, uti } = FORMATS[format];
+    await Sharing.shareAsync(result.uri, {
+      mimeType,
+      UTI: uti,
+      dialogTitle: 'Export location history'
+    });
+
+    return result;
+  }
+
+  /**
+   * Export a date range (inclusive, local days) to a file in the cache directory
+   */
+  async exportToFile(format, startDate, endDate) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (this.exportInProgress) {
+      throw new Error('An export is already in progress');
+    }
+
+    await LocationCacheService.initialize();
+    await PrivacyZoneService.initialize();
+
+    const { startMs, endMs } = this.getRangeBounds(startDate, endDate);
+    const fileName = `haps-${this.formatDateKey(startDate)}_${this.formatDateKey(endDate)}.${FORMATS[format].extension}`;
+
+    let handle = null;
+    this.exportInProgress = true;
+
+    try {
+      const file = new File(Paths.cache, fileName);
+      if (file.exists) file.delete();
+      file.create();
+      handle = file.open();
+
+      const write = (text) => handle.writeBytes(this.encoder.encode(text));
+      const counts = await this[FORMATS[format].writer](write, startMs, endMs);
+
+      console.log(`📦 Exported ${counts.points} points and ${counts.segments} segments to ${fileName}`);
+
+      Sentry.addBreadcrumb({
+        message: 'Location history exported',
+        level: 'info',
+        data: { format, ...counts }
+      });
+
+      return { uri: file.uri, fileName, format, ...counts };
+    } catch (error) {
+      console.error('❌ Failed to export location history:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'location_export', error_type: 'export_error' },
+        extra: { format }
+      });
+      throw error;
+    } finally {
+      if (handle) handle.close();
+      this.exportInProgress = false;
+    }
+  }
+
+  async writeGpx(write, startMs, endMs) {
+    let points = 0;
+    let segments = 0;
+
+    write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    write('<gpx version="1.1" creator="HapsApp" xmlns="http://www.topografix.com/GPX/1/1">\n');
+
+    // GPX requires waypoints before tracks
+    await this.forEachSegment(startMs, endMs, 'visit', (segment) => {
+      segments++;
+      write(`  <wpt lat="${segment.center_latitude}" lon="${segment.center_longitude}">\n`);
+      write(`    <time>${new Date(segment.start_time).toISOString()}</time>\n`);
+      write(`    <name>${escapeXml(segment.place_name || 'Visit')}</name>\n`);
+      if (segment.place_address) write(`    <desc>${escapeXml(segment.place_address)}</desc>\n`);
+      write('  </wpt>\n');
+    });
+
+    write('  <trk>\n    <name>Haps location history</name>\n    <trkseg>\n');
+    await this.forEachLocation(startMs, endMs, {}, (row) => {
+      points++;
+      write(`      <trkpt lat="${row.latitude}" lon="${row.longitude}">`);
+      if (row.altitude !== null) write(`<ele>${row.altitude}</ele>`);
+      write(`<time>${new Date(row.timestamp * 1000).toISOString()}</time>`);
+      write('</trkpt>\n');
+    });
+    write('    </trkseg>\n  </trk>\n</gpx>\n');
+
+    return { points, segments };
+  }
+
+  async writeKml(write, startMs, endMs) {
+    let points = 0;
+    let segments = 0;
+
+    write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    write('<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n  <name>Haps location history</name>\n');
+
+    await this.forEachSegment(startMs, endMs, 'visit', (segment) => {
+      segments++;
+      write('  <Placemark>\n');
+      write(`    <name>${escapeXml(segment.place_name || 'Visit')}</name>\n`);
+      if (segment.place_address) write(`    <description>${escapeXml(segment.place_address)}</description>\n`);
+      write(`    <TimeSpan><begin>${new Date(segment.start_time).toISOString()}</begin>`);
+      if (segment.end_time) write(`<end>${new Date(segment.end_time).toISOString()}</end>`);
+      write('</TimeSpan>\n');
+      write(`    <Point><coordinates>${segment.center_longitude},${segment.center_latitude}</coordinates></Point>\n`);
+      write('  </Placemark>\n');
+    });
+
+    write('  <Placemark>\n    <name>Track</name>\n    <LineString>\n      <tessellate>1</tessellate>\n      <coordinates>\n');
+    await this.forEachLocation(startMs, endMs, {}, (row) => {
+      points++;
+      write(`        ${row.longitude},${row.latitude}${row.altitude !== null ? `,${row.altitude}` : ''}\n`);
+    });
+    write('      </coordinates>\n    </LineString>\n  </Placemark>\n</Document>\n</kml>\n');
+
+    return { points, segments };
+  }
+
+  async writeGeoJson(write, startMs, endMs) {
+    let points = 0;
+    let segments = 0;
+
+    write('{"type":"FeatureCollection","features":[');
+
+    await this.forEachSegment(startMs, endMs, null, async (segment) => {
+      const properties = {
+        type: segment.type,
+        start_time: new Date(segment.start_time).toISOString(),
+        end_time: segment.end_time ? new Date(segment.end_time).toISOString() : null,
+        place_name: segment.place_name,
+        place_address: segment.place_address,
+        confidence: segment.confidence,
+        location_count: segment.location_count
+      };
+
+      let geometry;
+      if (segment.type === 'travel') {
+        const coordinates = await this.getTravelCoordinates(segment);
+        points += coordinates.length;
+        properties.distance_km = segment.distance;
+        geometry = { type: 'LineString', coordinates };
+      } else {
+        geometry = { type: 'Point', coordinates: [segment.center_longitude, segment.center_latitude] };
+      }
+
+      write(`${segments > 0 ? ',' : ''}\n${JSON.stringify({ type: 'Feature', geometry, properties })}`);
+      segments++;
+    });
+
+    write('\n]}\n');
+
+    return { points, segments };
+  }
+
+  async writeCsv(write, startMs, endMs) {
+    let points = 0;
+
+    write(`${CSV_COLUMNS.join(',')}\n`);
+    await this.forEachLocation(startMs, endMs, { includeRejected: true }, (row) => {
+      points++;
+      const values = CSV_COLUMNS.map(column => (
+        column === 'timestamp' ? new Date(row.timestamp * 1000).toISOString() : row[column]
+      ));
+      write(`${values.map(escapeCsv).join(',')}\n`);
+    });
+
+    return { points, segments: 0 };
+  }
+
+  /**
+   * Page through cached_locations in timestamp order without OFFSET scans
+   */
+  async forEachLocation(startMs, endMs, { includeRejected = false } = {}, callback) {
+    const startTs = Math.floor(startMs / 1000);
+    const endTs = Math.floor(endMs / 1000);
+    let lastTimestamp = startTs - 1;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await LocationCacheService.db.getAllAsync(`
+        SELECT * FROM cached_locations
+        WHERE timestamp <= ?
+          AND (timestamp > ? OR (timestamp = ? AND id > ?))
+          AND (privacy_mode IS NULL OR privacy_mode != 'local_only')
+          ${includeRejected ? '' : `AND ${ACCEPTED_LOCATIONS}`}
+        ORDER BY timestamp ASC, id ASC
+        LIMIT ?
+      `, [endTs, lastTimestamp, lastTimestamp, lastId, EXPORT_PAGE_SIZE]);
+
+      for (const row of rows) {
+        await callback(row);
+      }
+
+      if (rows.length < EXPORT_PAGE_SIZE) break;
+
+      const last = rows[rows.length - 1];
+      lastTimestamp = last.timestamp;
+      lastId = last.id;
+    }
+  }
+
+  /**
+   * Page through local_timeline_segments (times stored in milliseconds)
+   */
+  async forEachSegment(startMs, endMs, type, callback) {
+    let lastStart = startMs - 1;
+    let lastId = 0;
+
+    while (true) {
+      const rows = await LocationCacheService.db.getAllAsync(`
+        SELECT * FROM local_timeline_segments
+        WHERE start_time <= ?
+          AND (start_time > ? OR (start_time = ? AND id > ?))
+          ${type ? 'AND type = ?' : ''}
+        ORDER BY start_time ASC, id ASC
+        LIMIT ?
+      `, [endMs, lastStart, lastStart, lastId, ...(type ? [type] : []), EXPORT_PAGE_SIZE]);
+
+      for (const row of rows) {
+        const segment = this.redactSegment(row);
+        if (segment) await callback(segment);
+      }
+
+      if (rows.length < EXPORT_PAGE_SIZE) break;
+
+      const last = rows[rows.length - 1];
+      lastStart = last.start_time;
+      lastId = last.id;
+    }
+  }
+
+  /**
+   * Apply privacy zones to a segment's centre; null when it must be left out
+   */
+  redactSegment(segment) {
+    if (segment.center_latitude === null || segment.center_longitude === null) return segment;
+
+    const coords = PrivacyZoneService.redactCoordinates(segment.center_latitude, segment.center_longitude);
+    if (!coords) return null;
+
+    return { ...segment, center_latitude: coords.latitude, center_longitude: coords.longitude };
+  }
+
+  /**
+   * Build a LineString path for a travel from the raw points it covers
+   */
+  async getTravelCoordinates(segment) {
+    const coordinates = [];
+
+    if (segment.end_time) {
+      await this.forEachLocation(segment.start_time, segment.end_time, {}, (row) => {
+        coordinates.push([row.longitude, row.latitude]);
+      });
+    }
+
+    // Fall back to the segment endpoints when raw points were cleaned up
+    if (coordinates.length < 2) {
+      return [
+        [segment.start_longitude, segment.start_latitude],
+        [segment.end_longitude, segment.end_latitude]
+      ]
+        .filter(([lon, lat]) => lon !== null && lat !== null)
+        .map(([lon, lat]) => PrivacyZoneService.redactCoordinates(lat, lon))
+        .filter(Boolean)
+        .map(({ latitude, longitude }) => [longitude, latitude]);
+    }
+
+    return coordinates;
+  }
+
+  getRangeBounds(startDate, endDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    return { startMs: start.getTime(), endMs: end.getTime() };
+  }
+
+  formatDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+}
+
+// Export singleton instance
+export default new LocationExportService();
@@ -0,0 +1,202 @@
+/**
+ * LocationFilterPipeline - Cleans raw GPS fixes before they are cached
+ *
+ * Fixes pass through an ordered list of stages. Each stage returns one of:
+ * - { action: 'accept' }                      - pass the fix on unchanged
+ * - { action: 'modify', location, reason }    - pass on an adjusted fix
+ * - { action: 'reject', reason }              - stop; the fix is flagged, not dropped
+ *
+ * Stages are plain objects with a `name`, an `apply(location, context)` method
+ * and an optional `reset()`, so new stages can be added with `addStage()`.
+ * `context.lastAccepted` is the last fix that made it through the pipeline.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const distanceMeters = (a, b) => {
+  const toRadians = (degrees) => degrees * (Math.PI / 180);
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+};
+
+/**
+ * Rejects fixes whose reported horizontal accuracy is too poor to use
+ */
+export class AccuracyGateStage {
+  constructor({ maxAccuracyMeters = 150 } = {}) {
+    this.name = 'accuracy_gate';
+    this.maxAccuracyMeters = maxAccuracyMeters;
+  }
+
+  apply(location) {
+    const accuracy = location.coords.accuracy;
+    if (accuracy !== null && accuracy !== undefined && accuracy > this.maxAccuracyMeters) {
+      return { action: 'reject', reason: `accuracy_${Math.round(accuracy)}m` };
+    }
+    return { action: 'accept' };
+  }
+}
+
+/**
+ * Rejects "teleports" - fixes that imply an impossible speed from the last
+ * accepted fix. Long gaps are allowed through (flights, tunnels, phone off),
+ * and after several consecutive rejections the stage gives up and accepts so a
+ * single bad anchor point cannot lock the pipeline out.
+ */
+export class ImpossibleSpeedStage {
+  constructor({ maxSpeedMs = 90, maxGapMs = 30 * 60 * 1000, maxConsecutiveRejections = 3 } = {}) {
+    this.name = 'impossible_speed';
+    this.maxSpeedMs = maxSpeedMs; // ~325 km/h
+    this.maxGapMs = maxGapMs;
+    this.maxConsecutiveRejections = maxConsecutiveRejections;
+    this.consecutiveRejections = 0;
+  }
+
+  apply(location, context) {
+    const previous = context.lastAccepted;
+    if (!previous) return { action: 'accept' };
+
+    const elapsedMs = location.timestamp - previous.timestamp;
+    if (elapsedMs <= 0 || elapsedMs > this.maxGapMs) {
+      this.consecutiveRejections = 0;
+      return { action: 'accept' };
+    }
+
+    // Give both fixes the benefit of their accuracy radius
+    const uncertainty = (location.coords.accuracy || 0) + (previous.coords.accuracy || 0);
+    const distance = Math.max(0, distanceMeters(previous.coords, location.coords) - uncertainty);
+    const impliedSpeed = distance / (elapsedMs / 1000);
+
+    if (impliedSpeed > this.maxSpeedMs && this.consecutiveRejections < this.maxConsecutiveRejections) {
+      this.consecutiveRejections++;
+      return { action: 'reject', reason: `speed_${Math.round(impliedSpeed)}ms` };
+    }
+
+    this.consecutiveRejections = 0;
+    return { action: 'accept' };
+  }
+
+  reset() {
+    this.consecutiveRejections = 0;
+  }
+}
+
+/**
+ * Smooths accepted fixes with a simple lat/lng Kalman filter whose measurement
+ * noise is the reported accuracy and whose process noise grows with speed.
+ */
+export class KalmanSmoothingStage {
+  constructor({ minProcessNoiseMs = 3, resetGapMs = 10 * 60 * 1000 } = {}) {
+    this.name = 'kalman';
+    this.minProcessNoiseMs = minProcessNoiseMs;
+    this.resetGapMs = resetGapMs;
+    this.reset();
+  }
+
+  apply(location) {
+    const accuracy = Math.max(location.coords.accuracy || 10, 1);
+    const { latitude, longitude } = location.coords;
+
+    if (this.variance === null || location.timestamp - this.timestamp > this.resetGapMs) {
+      this.latitude = latitude;
+      this.longitude = longitude;
+      this.variance = accuracy * accuracy;
+      this.timestamp = location.timestamp;
+      return { action: 'accept' };
+    }
+
+    const elapsedSeconds = Math.max(0, (location.timestamp - this.timestamp) / 1000);
+    const processNoise = Math.max(this.minProcessNoiseMs, location.coords.speed || 0);
+    this.variance += elapsedSeconds * processNoise * processNoise;
+    this.timestamp = location.timestamp;
+
+    const gain = this.variance / (this.variance + accuracy * accuracy);
+    this.latitude += gain * (latitude - this.latitude);
+    this.longitude += gain * (longitude - this.longitude);
+    this.variance = (1 - gain) * this.variance;
+
+    return {
+      action: 'modify',
+      reason: 'kalman_smoothed',
+      location: {
+        ...location,
+        coords: {
+          ...location.coords,
+          latitude: this.latitude,
+          longitude: this.longitude,
+          accuracy: Math.sqrt(this.variance)
+        }
+      }
+    };
+  }
+
+  reset() {
+    this.latitude = null;
+    this.longitude = null;
+    this.variance = null;
+    this.timestamp = null;
+  }
+}
+
+export class LocationFilterPipeline {
+  constructor(stages = []) {
+    this.stages = stages;
+    this.context = { lastAccepted: null };
+  }
+
+  addStage(stage, index = this.stages.length) {
+    this.stages.splice(index, 0, stage);
+  }
+
+  removeStage(name) {
+    this.stages = this.stages.filter(stage => stage.name !== name);
+  }
+
+  /**
+   * Run a fix through every stage
+   *
+   * Returns { status: 'accepted' | 'smoothed' | 'rejected', reason, location, raw }
+   * where `location` is the (possibly adjusted) fix and `raw` the original coords.
+   */
+  process(location) {
+    const raw = { latitude: location.coords.latitude, longitude: location.coords.longitude };
+    let current = location;
+    const reasons = [];
+
+    for (const stage of this.stages) {
+      const result = stage.apply(current, this.context);
+
+      if (result.action === 'reject') {
+        return { status: 'rejected', reason: `${stage.name}:${result.reason}`, location: current, raw };
+      }
+      if (result.action === 'modify') {
+        current = result.location;
+        reasons.push(result.reason);
+      }
+    }
+
+    this.context.lastAccepted = current;
+
+    return {
+      status: reasons.length > 0 ? 'smoothed' : 'accepted',
+      reason: reasons.length > 0 ? reasons.join(',') : null,
+      location: current,
+      raw
+    };
+  }
+
+  reset() {
+    this.context = { lastAccepted: null };
+    this.stages.forEach(stage => stage.reset?.());
+  }
+}
+
+// Export default pipeline instance
+export default new LocationFilterPipeline([
+  new AccuracyGateStage(),
+  new ImpossibleSpeedStage(),
+  new KalmanSmoothingStage()
+]);
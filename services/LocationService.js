@@ -6,17 +6,27 @@ import LocationCacheService from './LocationCacheService';
 import LocationSyncService from './LocationSyncService';
 import HeartbeatService from './HeartbeatService';
 import LoggingService from './LoggingService';
+import LocationFilterPipeline from './LocationFilterPipeline';
+import ActivityRecognitionService from './ActivityRecognitionService';
+import TrackingProfileService from './TrackingProfileService';
+import BatteryService from './BatteryService';
+import PrivacyZoneService from './PrivacyZoneService';
+import GeofenceService from './GeofenceService';
 import * as Sentry from '@sentry/react-native';
 
 const LOCATION_TASK_NAME = 'background-location-task';
 const BACKGROUND_TASK_NAME = 'background-sync-task';
+const MIN_PROFILE_SWITCH_INTERVAL_MS = 2 * 60 * 1000; // avoid restarting updates on every wobble
 
 /**
  * LocationService - Modern location tracking using Expo Location
  * 
  * Features:
  * - Background location tracking
- * - Activity detection
+ * - Outlier filtering and Kalman smoothing before caching
+ * - Sensor-fused activity recognition
+ * - Adaptive tracking profiles (accuracy/intervals by activity and battery)
+ * - Privacy zones applied before points are cached
  * - Local caching with SQLite
  * - Intelligent sync intervals
  * - Heartbeat functionality for stationary periods
@@ -29,13 +39,12 @@ class LocationService {
     this.heartbeatInterval = null;
     this.currentActivity = 'unknown';
     this.permissionsGranted = false;
+    this.activeProfile = null;
+    this.lastProfileSwitchTime = 0;
+    this.unsubscribeBattery = null;
     
-    // Activity detection thresholds
-    this.activityThresholds = {
-      stationary: { speed: 0.5, time: 3 * 60 * 1000 }, // 3 minutes
-      walking: { speed: 7, time: 30 * 1000 }, // 30 seconds
-      vehicle: { speed: 15, time: 15 * 1000 }, // 15 seconds
-    };
+    // How long we must be stationary before legacy heartbeats kick in
+    this.stationaryHeartbeatDelay = 3 * 60 * 1000; // 3 minutes
     
     this.initialize();
   }
@@ -44,6 +53,10 @@ class LocationService {
     try {
       // Initialize cache service
       await LocationCacheService.initialize();
+
+      // Loaded once here so logs can redact coordinates; until then (or if
+      // loading fails) LoggingService strips them
+      await PrivacyZoneService.initialize().catch(() => {});
       
       // Define background tasks
       this.defineBackgroundTasks();
@@ -119,12 +132,21 @@ class LocationService {
       // Generate UUID for this location
       const uuid = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       
-      // Detect activity based on location data
-      const detectedActivity = this.detectActivity(location);
+      // Clean the fix before anything downstream sees it. Rejected fixes are
+      // still cached (flagged) but never drive activity or lastKnownLocation.
+      const filterResult = LocationFilterPipeline.process(location);
+      const isRejected = filterResult.status === 'rejected';
+      const filteredLocation = filterResult.location;
+      
+      // Detect activity from fused location and motion signals
+      const activity = isRejected
+        ? { type: this.currentActivity, confidence: null }
+        : this.detectActivity(filteredLocation);
+      const detectedActivity = activity.type;
       const isMoving = detectedActivity !== 'stationary';
       
       // Update activity tracking
-      if (this.currentActivity !== detectedActivity) {
+      if (!isRejected && this.currentActivity !== detectedActivity) {
         this.currentActivity = detectedActivity;
         LocationSyncService.updateActivity(detectedActivity);
       }
@@ -132,46 +154,78 @@ class LocationService {
       // Get battery information
       const battery = await this.getBatteryInfo();
       
+      // Adapt GPS accuracy/intervals to the new activity and battery state
+      if (!isRejected) {
+        await this.applyTrackingProfile('auto', battery);
+      }
+      
       // Create location data object
       const locationData = {
         uuid,
         coords: {
-          latitude: location.coords.latitude,
-          longitude: location.coords.longitude,
-          accuracy: location.coords.accuracy,
-          altitude: location.coords.altitude,
-          altitudeAccuracy: location.coords.altitudeAccuracy,
-          speed: location.coords.speed || 0,
-          heading: location.coords.heading,
+          latitude: filteredLocation.coords.latitude,
+          longitude: filteredLocation.coords.longitude,
+          accuracy: filteredLocation.coords.accuracy,
+          altitude: filteredLocation.coords.altitude,
+          altitudeAccuracy: filteredLocation.coords.altitudeAccuracy,
+          speed: filteredLocation.coords.speed || 0,
+          heading: filteredLocation.coords.heading,
         },
         timestamp: location.timestamp,
         is_moving: isMoving,
-        activity: {
-          type: detectedActivity,
-          confidence: this.getActivityConfidence(location)
-        },
+        activity,
         battery,
         time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-        source: isBackground ? 'background' : 'foreground'
+        source: isBackground ? 'background' : 'foreground',
+        filter: {
+          status: filterResult.status,
+          reason: filterResult.reason,
+          raw_latitude: filterResult.raw.latitude,
+          raw_longitude: filterResult.raw.longitude
+        }
       };
       
+      // Drop or snap points inside privacy zones before they touch the cache
+      await PrivacyZoneService.initialize();
+      const privateLocationData = PrivacyZoneService.applyToLocation(locationData);
+      
       // Cache location locally
-      await LocationCacheService.cacheLocation(locationData);
+      if (privateLocationData) {
+        await LocationCacheService.cacheLocation(privateLocationData);
+      } else {
+        console.log('🛡️ Dropped location inside a privacy zone');
+      }
+      
+      if (isRejected) {
+        console.log(`🚫 Rejected location (${filterResult.reason}) at ${location.coords.latitude.toFixed(6)}, ${location.coords.longitude.toFixed(6)}`);
+        LoggingService.location('location_rejected', {
+          reason: filterResult.reason,
+          accuracy: location.coords.accuracy,
+          is_background: isBackground,
+          uuid: uuid
+        });
+        return;
+      }
       
       // Update last known location
-      this.lastKnownLocation = location;
+      this.lastKnownLocation = filteredLocation;
       this.lastActivityTime = Date.now();
       
+      // Keep the nearest frequent places under geofence monitoring
+      await GeofenceService.maybeRotate(filteredLocation);
+      
       // Log the location
-      console.log(`📍 Processed location: ${detectedActivity} at ${location.coords.latitude.toFixed(6)}, ${location.coords.longitude.toFixed(6)}`);
+      console.log(`📍 Processed location: ${detectedActivity} at ${filteredLocation.coords.latitude.toFixed(6)}, ${filteredLocation.coords.longitude.toFixed(6)}`);
       
       // Log to Better Stack
       LoggingService.location('location_processed', {
         activity: detectedActivity,
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
-        accuracy: location.coords.accuracy,
-        speed: location.coords.speed,
+        activity_confidence: activity.confidence,
+        latitude: filteredLocation.coords.latitude,
+        longitude: filteredLocation.coords.longitude,
+        accuracy: filteredLocation.coords.accuracy,
+        speed: filteredLocation.coords.speed,
+        filter_status: filterResult.status,
         is_background: isBackground,
         uuid: uuid
       });
@@ -185,38 +239,12 @@ class LocationService {
   }
 
   detectActivity(location) {
-    const speed = location.coords.speed || 0;
-    const speedKmh = speed * 3.6; // Convert m/s to km/h
-    
-    if (speedKmh < this.activityThresholds.stationary.speed) {
-      return 'stationary';
-    } else if (speedKmh < this.activityThresholds.walking.speed) {
-      return 'walking';
-    } else if (speedKmh < this.activityThresholds.vehicle.speed) {
-      return 'cycling';
-    } else {
-      return 'vehicle';
-    }
-  }
-
-  getActivityConfidence(location) {
-    // Simple confidence based on accuracy
-    const accuracy = location.coords.accuracy || 100;
-    if (accuracy < 10) return 100;
-    if (accuracy < 20) return 80;
-    if (accuracy < 50) return 60;
-    return 40;
+    // Speed history, accelerometer variance, heading stability and dwell time
+    return ActivityRecognitionService.update(location);
   }
 
   async getBatteryInfo() {
-    try {
-      // Note: Expo doesn't have a built-in battery API
-      // This would need to be implemented with a native module
-      // For now, return null
-      return null;
-    } catch (error) {
-      return null;
-    }
+    return BatteryService.getBatteryInfo();
   }
 
   async requestPermissions() {
@@ -262,26 +290,35 @@ class LocationService {
         }
       }
 
-      // Configure background location tracking
-      await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-        accuracy: Location.Accuracy.Balanced,
-        timeInterval: 15000, // 15 seconds
-        distanceInterval: 10, // 10 meters
-        deferredUpdatesInterval: 30000, // 30 seconds
-        foregroundService: {
-          notificationTitle: 'Haps is tracking your location',
-          notificationBody: 'Location tracking is active for timeline features',
-          notificationColor: '#000000',
-        },
-        pausesUpdatesAutomatically: false,
-        showsBackgroundLocationIndicator: Platform.OS === 'ios',
+      // Battery thresholds feed tracking profile selection
+      await BatteryService.startMonitoring();
+      this.unsubscribeBattery?.();
+      this.unsubscribeBattery = BatteryService.subscribe((status, battery) => {
+        this.applyTrackingProfile('battery', battery);
       });
 
+      // Configure background location tracking with the current profile
+      await TrackingProfileService.loadOverride();
+      const profileName = TrackingProfileService.selectProfile({
+        activity: this.currentActivity,
+        battery: await this.getBatteryInfo()
+      });
+      await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, this.getLocationUpdateOptions(profileName));
+      this.activeProfile = profileName;
+      this.lastProfileSwitchTime = Date.now();
+      console.log(`🎛️ Tracking profile: ${profileName}`);
+
       // Register background task (minimum 15 minutes on Android)
       await BackgroundTask.registerTaskAsync(BACKGROUND_TASK_NAME, {
         minimumInterval: 15 // 15 minutes minimum
       });
 
+      // Motion sensing for activity recognition (foreground only on most devices)
+      await ActivityRecognitionService.start();
+
+      // Arrival/departure events at frequent places
+      await GeofenceService.start(this.lastKnownLocation);
+
       // Start sync service
       LocationSyncService.startAutoSync(this.currentActivity);
 
@@ -325,7 +362,17 @@ class LocationService {
       // Stop guaranteed heartbeat service
       await HeartbeatService.stopHeartbeat();
 
+      // Don't smooth the next session's first fix towards a stale position
+      LocationFilterPipeline.reset();
+      this.unsubscribeBattery?.();
+      this.unsubscribeBattery = null;
+      BatteryService.stopMonitoring();
+      ActivityRecognitionService.stop();
+      ActivityRecognitionService.reset();
+      await GeofenceService.stop();
+
       this.isTracking = false;
+      this.activeProfile = null;
       console.log('⏹️ Location tracking stopped');
 
       Sentry.addBreadcrumb({
@@ -343,6 +390,76 @@ class LocationService {
     }
   }
 
+  getLocationUpdateOptions(profileName) {
+    const { accuracy, timeInterval, distanceInterval, deferredUpdatesInterval } = TrackingProfileService.getProfile(profileName);
+
+    return {
+      accuracy,
+      timeInterval,
+      distanceInterval,
+      deferredUpdatesInterval,
+      foregroundService: {
+        notificationTitle: 'Haps is tracking your location',
+        notificationBody: 'Location tracking is active for timeline features',
+        notificationColor: '#000000',
+      },
+      pausesUpdatesAutomatically: false,
+      showsBackgroundLocationIndicator: Platform.OS === 'ios',
+    };
+  }
+
+  /**
+   * Restart location updates if the selected tracking profile changed
+   *
+   * Automatic switches are rate limited, except when leaving the stationary
+   * profile (its sparse updates would otherwise hide the start of a trip).
+   */
+  async applyTrackingProfile(reason, battery) {
+    if (!this.isTracking) return this.activeProfile;
+
+    const profileName = TrackingProfileService.selectProfile({ activity: this.currentActivity, battery });
+    if (profileName === this.activeProfile) return this.activeProfile;
+
+    const sinceLastSwitch = Date.now() - this.lastProfileSwitchTime;
+    if (reason === 'auto' && this.activeProfile !== 'stationary' && sinceLastSwitch < MIN_PROFILE_SWITCH_INTERVAL_MS) {
+      return this.activeProfile;
+    }
+
+    try {
+      // Calling start again with the same task name replaces its options
+      await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, this.getLocationUpdateOptions(profileName));
+
+      console.log(`🎛️ Tracking profile ${this.activeProfile} → ${profileName} (${reason})`);
+      LoggingService.location('tracking_profile_changed', {
+        from: this.activeProfile,
+        to: profileName,
+        reason,
+        activity: this.currentActivity,
+        battery_level: battery?.level ?? null,
+        battery_status: BatteryService.getBatteryStatus(battery)
+      });
+
+      this.activeProfile = profileName;
+      this.lastProfileSwitchTime = Date.now();
+    } catch (error) {
+      console.error('❌ Failed to switch tracking profile:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'location_service', error_type: 'tracking_profile_error' },
+        extra: { from: this.activeProfile, to: profileName, reason }
+      });
+    }
+
+    return this.activeProfile;
+  }
+
+  /**
+   * Force a tracking profile from the UI ('auto' restores automatic selection)
+   */
+  async setTrackingProfileOverride(profileName) {
+    await TrackingProfileService.setOverride(profileName);
+    return this.applyTrackingProfile('override', await this.getBatteryInfo());
+  }
+
   startHeartbeatMonitoring() {
     this.stopHeartbeatMonitoring(); // Clear any existing interval
     
@@ -364,7 +481,7 @@ class LocationService {
       // Only send heartbeat if we've been stationary for a while
       const timeSinceLastActivity = Date.now() - this.lastActivityTime;
       const isStationary = this.currentActivity === 'stationary' && 
-                          timeSinceLastActivity > this.activityThresholds.stationary.time;
+                          timeSinceLastActivity > this.stationaryHeartbeatDelay;
 
       if (isStationary) {
         const battery = await this.getBatteryInfo();
@@ -425,6 +542,13 @@ class LocationService {
         permissionsGranted: this.permissionsGranted,
         isTaskRegistered,
         currentActivity: this.currentActivity,
+        activityRecognition: ActivityRecognitionService.getStatus(),
+        battery: BatteryService.getStatus(),
+        trackingProfile: {
+          active: this.activeProfile,
+          override: TrackingProfileService.override
+        },
+        geofencing: GeofenceService.getStatus(),
         lastKnownLocation: this.lastKnownLocation,
         lastActivityTime: this.lastActivityTime,
         syncStatus,
@@ -1,32 +1,56 @@
-import LocationCacheService from './LocationCacheService';
+import LocationCacheService, { UPLOADABLE_LOCATIONS } from './LocationCacheService';
 import ClientTimelineProcessor from './ClientTimelineProcessor';
 import SmartGeocodingService from './SmartGeocodingService';
+import VisitEditService from './VisitEditService';
+import TimelineCorrectionService from './TimelineCorrectionService';
+import PlaceService from './PlaceService';
+import BatteryService from './BatteryService';
+import PrivacyZoneService from './PrivacyZoneService';
+import SyncPolicyService, { SYNC_BACKLOG_THRESHOLD } from './SyncPolicyService';
+import SyncHttpClient, { CircuitOpenError, THROTTLE_STATUSES } from './SyncHttpClient';
+import ApiClient from './ApiClient';
+import { deltaEncode, createSizeBoundedBatches, encodeRequestBody } from './UploadPayload';
 import { getAuthTokenForBackgroundTask } from '../AuthContext';
 import * as Sentry from '@sentry/react-native';
 import * as Network from 'expo-network';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 
-// React Native compatible timeout implementation
-const createAbortSignalWithTimeout = (timeoutMs) => {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => {
-    controller.abort();
-  }, timeoutMs);
-  
-  // Clean up timeout if request completes normally
-  const originalSignal = controller.signal;
-  const cleanup = () => clearTimeout(timeoutId);
-  originalSignal.addEventListener('abort', cleanup, { once: true });
-  
-  return controller.signal;
-};
+// Rows drained per sync; each request is further bounded by UploadPayload's byte budget
+const LOCATION_BACKLOG_LIMIT = 1000;
+const HEARTBEAT_BACKLOG_LIMIT = 200;
+const HYBRID_BACKLOG_LIMIT = 1000;
+const MAX_ITEMS_PER_REQUEST = 500;
+
+// Last cached_locations id the hybrid timeline endpoint has received
+const HYBRID_WATERMARK_STORAGE_KEY = 'hybrid_timeline_last_location_id';
+
+// Upload formats beyond plain JSON that the server lists on its responses,
+// e.g. "delta, gzip, heartbeat_batch"; remembered across app starts
+const UPLOAD_FORMATS_HEADER = 'X-Upload-Formats';
+const UPLOAD_FORMATS_STORAGE_KEY = 'upload_formats';
+
+// syncNow reasons the user triggered; these bypass the network policy, the
+// critical-battery cutback and per-row backoff
+const USER_INITIATED_REASONS = new Set(['manual', 'manual_location_request']);
 
 /**
  * LocationSyncService - Handles syncing cached location data to server
  * 
  * Features:
  * - Intelligent batching and retry logic
- * - Network-aware syncing (respects connectivity)
+ * - Request bodies split into size-bounded batches; gzipped, delta-encoded and
+ *   heartbeat batches only once the server has listed them in X-Upload-Formats
+ * - Network-aware syncing: connectivity plus the user's SyncPolicyService rules
+ *   for metered, roaming and charging conditions, with the deferral reason kept
+ *   for getSyncStatus()
  * - Activity-based sync intervals
+ * - Battery-aware: longer intervals when low, essentials only when critical
+ * - Respects privacy zones (local-only points and segments never upload)
+ * - Uploads queued visit edits (VisitEditService) and splits/merges
+ *   (TimelineCorrectionService) with the timeline category,
+ *   even on critical battery since they are few and the user made them
+ * - Per-endpoint circuit breakers via SyncHttpClient: throttled or failing
+ *   endpoints are skipped until their Retry-After/cool-down has passed
  * - Graceful error handling and recovery
  */
 class LocationSyncService {
@@ -46,9 +70,23 @@ class LocationSyncService {
       immediate: 0                  // Immediate sync for important events
     };
     
+    // Interval multipliers by BatteryService threshold status
+    this.batteryIntervalMultipliers = {
+      low: 2,
+      critical: 4
+    };
+    
     // Auto-sync timer
     this.syncTimer = null;
     this.currentActivity = 'unknown';
+
+    // Bytes on the wire vs. uncompressed JSON since app start
+    this.uploadStats = { requests: 0, bytes: 0, uncompressedBytes: 0 };
+    this.uploadFormats = null;
+
+    // Categories held back by the sync policy on the last attempt
+    this.lastDeferral = null;
+    this.conditionSubscriptions = [];
   }
 
   /**
@@ -57,6 +95,7 @@ class LocationSyncService {
   startAutoSync(initialActivity = 'unknown') {
     this.currentActivity = initialActivity;
     this.scheduleNextSync();
+    this.watchSyncConditions();
     console.log(`🔄 Auto-sync started with activity: ${initialActivity}`);
   }
 
@@ -68,9 +107,43 @@ class LocationSyncService {
       clearTimeout(this.syncTimer);
       this.syncTimer = null;
     }
+    this.conditionSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.conditionSubscriptions = [];
     console.log('⏹️ Auto-sync stopped');
   }
 
+  /**
+   * Sync as soon as a deferred category is allowed again (e.g. Wi-Fi joined, charger plugged in)
+   */
+  watchSyncConditions() {
+    if (this.conditionSubscriptions.length > 0) return;
+
+    const retryDeferred = async (networkState) => {
+      if (!this.lastDeferral || this.syncInProgress) return;
+
+      try {
+        const state = networkState || await Network.getNetworkStateAsync();
+        if (!state.isConnected) return;
+
+        const { categories } = await SyncPolicyService.evaluate(state);
+        if (Object.keys(this.lastDeferral.categories).some(category => categories[category]?.allowed)) {
+          console.log('📶 Sync conditions changed, syncing deferred data');
+          this.syncNow('conditions_changed');
+        }
+      } catch (error) {
+        console.error('❌ Failed to re-check deferred sync:', error);
+      }
+    };
+
+    const networkSubscription = Network.addNetworkStateListener(retryDeferred);
+    this.conditionSubscriptions = [
+      () => networkSubscription.remove(),
+      BatteryService.subscribe(status => {
+        if (status === 'charging') retryDeferred();
+      })
+    ];
+  }
+
   /**
    * Update activity and reschedule sync if needed
    */
@@ -81,7 +154,6 @@ class LocationSyncService {
       
       // Reschedule sync with new interval
       if (this.syncTimer) {
-        this.stopAutoSync();
         this.scheduleNextSync();
       }
       
@@ -100,7 +172,8 @@ class LocationSyncService {
       clearTimeout(this.syncTimer);
     }
 
-    const interval = this.syncIntervals[this.currentActivity] || this.syncIntervals.unknown;
+    const baseInterval = this.syncIntervals[this.currentActivity] || this.syncIntervals.unknown;
+    const interval = baseInterval * (this.batteryIntervalMultipliers[BatteryService.status] || 1);
     
     this.syncTimer = setTimeout(() => {
       this.syncNow('scheduled');
@@ -119,6 +192,7 @@ class LocationSyncService {
     }
 
     console.log(`🚀 Starting sync (reason: ${reason})`);
+    const userInitiated = USER_INITIATED_REASONS.has(reason);
     this.syncInProgress = true;
     this.lastSyncAttempt = Date.now();
 
@@ -137,29 +211,64 @@ class LocationSyncService {
         return { success: false, reason: 'no_auth_token' };
       }
 
+      // On critical battery only upload raw data; timeline processing and
+      // geocoding can wait until the phone is charged (manual syncs still run everything)
+      const essentialsOnly = BatteryService.status === 'critical' && !userInitiated;
+      const skipped = { synced: 0, errors: 0, skipped: 'battery_critical' };
+
+      // The user's network policy decides what may upload on this connection
+      const policy = await SyncPolicyService.evaluate(networkState, { bypass: userInitiated });
+      const { categories } = policy;
+      const deferred = (category) => ({ synced: 0, errors: 0, skipped: categories[category].reason });
+
+      if (!Object.values(categories).some(category => category.allowed)) {
+        this.recordDeferral(policy, Object.keys(categories));
+        console.log(`📶 Sync deferred by policy (${categories.heartbeats.reason})`);
+        this.scheduleNextSync();
+        return { success: false, reason: 'deferred', deferral: this.lastDeferral };
+      }
+
       const results = await Promise.all([
-        this.syncLocations(authToken),
-        this.syncHeartbeats(authToken),
-        this.syncHybridTimeline(authToken),
-        this.syncGeocodeRequests(authToken)
+        // A manual sync retries rows that are still backing off; without the
+        // backlog rule only the newest SYNC_BACKLOG_THRESHOLD points may go out
+        categories.locations.allowed
+          ? this.syncLocations(authToken, {
+            ignoreBackoff: userInitiated,
+            recentWindow: categories.backlog.allowed ? null : SYNC_BACKLOG_THRESHOLD
+          })
+          : deferred('locations'),
+        categories.heartbeats.allowed ? this.syncHeartbeats(authToken) : deferred('heartbeats'),
+        essentialsOnly ? skipped : categories.timeline.allowed ? this.syncHybridTimeline(authToken) : deferred('timeline'),
+        essentialsOnly ? skipped : categories.timeline.allowed ? this.syncGeocodeRequests(authToken) : deferred('timeline'),
+        categories.timeline.allowed ? VisitEditService.syncPendingEdits(authToken) : deferred('timeline'),
+        categories.timeline.allowed ? TimelineCorrectionService.syncPendingCorrections(authToken) : deferred('timeline')
       ]);
 
       const locationResult = results[0];
       const heartbeatResult = results[1];
       const timelineResult = results[2];
       const geocodeResult = results[3];
+      const visitEditResult = results[4];
+      const correctionResult = results[5];
+
+      // The backlog only counts as deferred when there was more than the trickle limit
+      const deferredCategories = Object.keys(categories).filter(category => !categories[category].allowed &&
+        (category !== 'backlog' || !categories.locations.allowed || locationResult.hasMore));
+      this.recordDeferral(policy, deferredCategories);
 
-      const totalSynced = locationResult.synced + heartbeatResult.synced + timelineResult.synced + geocodeResult.synced;
-      const hasErrors = locationResult.errors > 0 || heartbeatResult.errors > 0 || timelineResult.errors > 0 || geocodeResult.errors > 0;
+      const totalSynced = locationResult.synced + heartbeatResult.synced + timelineResult.synced + geocodeResult.synced + visitEditResult.synced +
+        correctionResult.synced;
+      const hasErrors = locationResult.errors > 0 || heartbeatResult.errors > 0 || timelineResult.errors > 0 ||
+        geocodeResult.errors > 0 || visitEditResult.errors > 0 || correctionResult.errors > 0;
 
       if (totalSynced > 0) {
         this.consecutiveFailures = 0;
-        console.log(`✅ Sync completed: ${locationResult.synced} locations, ${heartbeatResult.synced} heartbeats, ${timelineResult.synced} timeline insights, ${geocodeResult.synced} geocodes`);
+        console.log(`✅ Sync completed: ${locationResult.synced} locations, ${heartbeatResult.synced} heartbeats, ${timelineResult.synced} timeline insights, ${geocodeResult.synced} geocodes, ${visitEditResult.synced} visit edits, ${correctionResult.synced} timeline corrections`);
         
         Sentry.addBreadcrumb({
           message: `Hybrid sync completed: ${totalSynced} items`,
           level: 'info',
-          data: { reason, locationResult, heartbeatResult, timelineResult, geocodeResult }
+          data: { reason, locationResult, heartbeatResult, timelineResult, geocodeResult, visitEditResult, correctionResult }
         });
       }
 
@@ -169,10 +278,13 @@ class LocationSyncService {
       return {
         success: !hasErrors,
         reason: 'completed',
+        deferral: this.lastDeferral,
         locationResult,
         heartbeatResult,
         timelineResult,
         geocodeResult,
+        visitEditResult,
+        correctionResult,
         totalSynced
       };
 
@@ -202,127 +314,343 @@ class LocationSyncService {
 
   /**
    * Sync cached locations to server
+   *
+   * The backlog is sent in size-bounded batches until it is drained or a
+   * batch fails. The server acknowledges each uuid:
+   *   { accepted: [uuid], rejected: [{ uuid, reason, retryable }] }
+   * Uploads are idempotent by uuid, so a re-sent point comes back as accepted.
+   * Accepted rows are marked synced, permanent rejections quarantined, and
+   * everything else backs off via sync_attempts/last_sync_attempt.
+   * `recentWindow` holds back everything older than the newest points while
+   * the policy defers the backlog.
    */
-  async syncLocations(authToken) {
-    const result = { synced: 0, errors: 0, details: [] };
+  async syncLocations(authToken, { ignoreBackoff = false, limit = LOCATION_BACKLOG_LIMIT, recentWindow = null } = {}) {
+    const result = { synced: 0, errors: 0, retrying: 0, quarantined: 0, batches: 0, hasMore: false, details: [] };
 
     try {
-      const unsyncedLocations = await LocationCacheService.getUnsyncedLocations(50);
+      if (await SyncHttpClient.isOpen('/users/locations')) {
+        return { ...result, skipped: 'circuit_open' };
+      }
+
+      // Older rows held back by the window still count as more to send
+      const heldBack = recentWindow ? await LocationCacheService.countOlderUnsyncedLocations(recentWindow) : 0;
+      const unsyncedLocations = await LocationCacheService.getUnsyncedLocations(limit, { ignoreBackoff, recentWindow });
+      result.hasMore = heldBack > 0 || unsyncedLocations.length === limit;
       if (unsyncedLocations.length === 0) {
         return result;
       }
 
-      console.log(`📤 Syncing ${unsyncedLocations.length} locations...`);
+      const batches = createSizeBoundedBatches(
+        unsyncedLocations.map(loc => ({ row: loc, upload: this.formatUploadLocation(loc) })),
+        { maxItems: MAX_ITEMS_PER_REQUEST, sizeOf: ({ upload }) => JSON.stringify(upload).length }
+      );
+
+      console.log(`📤 Syncing ${unsyncedLocations.length} locations in ${batches.length} batches...`);
+
+      for (const batch of batches) {
+        const completed = await this.uploadLocationBatch(authToken, batch, result);
+        result.batches++;
+        if (!completed) break;
+      }
+
+    } catch (error) {
+      result.errors++;
+      result.details.push(`Exception: ${error.message}`);
+      console.error('📤 Location sync exception:', error);
+    }
+
+    return result;
+  }
+
+  formatUploadLocation(loc) {
+    return {
+      uuid: loc.uuid,
+      latitude: loc.coords.latitude,
+      longitude: loc.coords.longitude,
+      accuracy: loc.coords.accuracy,
+      altitude: loc.coords.altitude,
+      altitude_accuracy: loc.coords.altitudeAccuracy,
+      speed: loc.coords.speed,
+      heading: loc.coords.heading,
+      timestamp: loc.timestamp,
+      time_zone: loc.time_zone,
+      is_moving: loc.is_moving,
+      activity: loc.activity,
+      battery: loc.battery,
+      payload: loc.payload
+    };
+  }
 
-      // Batch upload locations
+  /**
+   * Upload one batch of locations; false when the rest of the backlog should wait
+   */
+  async uploadLocationBatch(authToken, batch, result) {
+    const locations = batch.map(({ row }) => row);
+    const { encoding, items } = await this.encodeLocations(batch.map(({ upload }) => upload));
+
+    try {
       const batchData = {
         type: 'location_batch',
         source: 'location_cache_sync',
-        count: unsyncedLocations.length,
-        locations: unsyncedLocations.map(loc => ({
-          uuid: loc.uuid,
-          latitude: loc.coords.latitude,
-          longitude: loc.coords.longitude,
-          accuracy: loc.coords.accuracy,
-          altitude: loc.coords.altitude,
-          altitude_accuracy: loc.coords.altitudeAccuracy,
-          speed: loc.coords.speed,
-          heading: loc.coords.heading,
-          recorded_at: loc.recorded_at,
-          time_zone: loc.time_zone,
-          is_moving: loc.is_moving,
-          activity: loc.activity,
-          battery: loc.battery,
-          payload: loc.payload
-        }))
+        ack: 'uuid',
+        encoding,
+        count: items.length,
+        locations: items
       };
 
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_URL}/users/locations`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify(batchData),
-        signal: createAbortSignalWithTimeout(30000) // 30 second timeout
-      });
+      const response = await this.postPayload(authToken, 'uploadLocations', batchData);
+
+      const responseText = await response.text().catch(() => '');
+      const acknowledgement = this.parseLocationAcknowledgement(responseText);
+
+      if (acknowledgement) {
+        await this.applyLocationAcknowledgement(locations, acknowledgement, result);
+        return true;
+      }
+
+      if (response.ok && !encoding) {
+        // Servers without per-uuid acknowledgements accept the whole batch
+        await LocationCacheService.markLocationsSynced(locations.map(loc => loc.id));
+        result.synced += locations.length;
+        result.details.push(`Successfully synced ${locations.length} locations`);
+        return true;
+      }
 
       if (response.ok) {
-        const syncedIds = unsyncedLocations.map(loc => loc.id);
-        await LocationCacheService.markLocationsSynced(syncedIds);
-        result.synced = unsyncedLocations.length;
-        result.details.push(`Successfully synced ${unsyncedLocations.length} locations`);
-      } else {
-        const errorText = await response.text().catch(() => 'Unknown error');
+        // Only servers that acknowledge per uuid list delta; without one there's no
+        // telling whether the deltas were decoded, so the rows are sent again later
         result.errors++;
-        result.details.push(`HTTP ${response.status}: ${errorText}`);
-        console.warn(`📤 Location sync failed: HTTP ${response.status}`, errorText);
+        result.details.push(`HTTP ${response.status} without an acknowledgement for an encoded batch`);
+        console.error('📤 Location sync: encoded batch answered without an acknowledgement');
+        await LocationCacheService.recordLocationSyncFailure(locations.map(loc => loc.id));
+        result.retrying += locations.length;
+        return false;
+      }
+
+      result.errors++;
+      result.details.push(`HTTP ${response.status}: ${responseText || 'Unknown error'}`);
+      console.warn(`📤 Location sync failed: HTTP ${response.status}`, responseText);
+
+      // An expired token or a throttled server says nothing about the rows themselves
+      if (response.status !== 401 && !THROTTLE_STATUSES.includes(response.status)) {
+        await LocationCacheService.recordLocationSyncFailure(locations.map(loc => loc.id));
+        result.retrying += locations.length;
       }
+      return false;
 
     } catch (error) {
+      // Another sync tripped the breaker mid-drain; the rows were never sent
+      if (error instanceof CircuitOpenError) {
+        result.details.push(error.message);
+        return false;
+      }
+
       result.errors++;
       result.details.push(`Exception: ${error.message}`);
       console.error('📤 Location sync exception:', error);
+
+      // Timeouts and dropped connections: back off, but never quarantine
+      await LocationCacheService.recordLocationSyncFailure(locations.map(loc => loc.id));
+      result.retrying += locations.length;
+      return false;
     }
+  }
 
-    return result;
+  /**
+   * POST a JSON payload to an ApiClient endpoint, gzipped when large enough to benefit
+   */
+  async postPayload(authToken, endpointName, payload) {
+    const formats = await this.getUploadFormats();
+    const { body, headers, bytes, uncompressedBytes } = encodeRequestBody(payload, { gzip: formats.has('gzip') });
+
+    this.uploadStats.requests++;
+    this.uploadStats.bytes += bytes;
+    this.uploadStats.uncompressedBytes += uncompressedBytes;
+
+    const response = await ApiClient.request(endpointName, { token: authToken, body, headers });
+    await this.recordUploadFormats(response);
+    return response;
+  }
+
+  /**
+   * Locations as sent: delta-encoded when the server accepts it, else absolute
+   */
+  async encodeLocations(uploads) {
+    const formats = await this.getUploadFormats();
+    return formats.has('delta') ? deltaEncode(uploads) : { encoding: undefined, items: uploads };
+  }
+
+  /**
+   * Upload formats the server has listed (see UPLOAD_FORMATS_HEADER); none until it has
+   */
+  async getUploadFormats() {
+    if (!this.uploadFormats) {
+      try {
+        const stored = await AsyncStorage.getItem(UPLOAD_FORMATS_STORAGE_KEY);
+        this.uploadFormats = new Set(stored ? JSON.parse(stored) : []);
+      } catch (error) {
+        console.error('❌ Failed to load upload formats:', error);
+        this.uploadFormats = new Set();
+      }
+    }
+    return this.uploadFormats;
+  }
+
+  /**
+   * Remember the formats a successful upload response lists; a server that
+   * lists none gets plain JSON again
+   */
+  async recordUploadFormats(response) {
+    if (!response.ok) return;
+
+    const header = response.headers?.get(UPLOAD_FORMATS_HEADER);
+    const formats = (header || '').split(',').map(format => format.trim()).filter(Boolean);
+    const current = await this.getUploadFormats();
+    if (formats.length === current.size && formats.every(format => current.has(format))) return;
+
+    this.uploadFormats = new Set(formats);
+    console.log(`📦 Server upload formats: ${formats.join(', ') || 'plain JSON'}`);
+    try {
+      await AsyncStorage.setItem(UPLOAD_FORMATS_STORAGE_KEY, JSON.stringify(formats));
+    } catch (error) {
+      console.error('❌ Failed to save upload formats:', error);
+    }
+  }
+
+  /**
+   * Per-uuid acknowledgement from a location upload response, or null
+   */
+  parseLocationAcknowledgement(responseText) {
+    try {
+      const body = JSON.parse(responseText);
+      if (!Array.isArray(body?.accepted)) return null;
+
+      return {
+        accepted: body.accepted,
+        rejected: Array.isArray(body.rejected) ? body.rejected : []
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async applyLocationAcknowledgement(locations, { accepted, rejected }, result) {
+    const idsByUuid = new Map(locations.map(loc => [loc.uuid, loc.id]));
+    const acceptedUuids = new Set(accepted.filter(uuid => idsByUuid.has(uuid)));
+    const permanentRejections = rejected.filter(rejection =>
+      idsByUuid.has(rejection.uuid) && !acceptedUuids.has(rejection.uuid) && !rejection.retryable
+    );
+    const quarantinedUuids = new Set(permanentRejections.map(rejection => rejection.uuid));
+
+    // Retryable rejections and uuids the server didn't mention are tried again later
+    const retryIds = locations
+      .filter(loc => !acceptedUuids.has(loc.uuid) && !quarantinedUuids.has(loc.uuid))
+      .map(loc => loc.id);
+
+    if (acceptedUuids.size > 0) {
+      await LocationCacheService.markLocationsSynced([...acceptedUuids].map(uuid => idsByUuid.get(uuid)));
+    }
+    await LocationCacheService.quarantineLocations(permanentRejections.map(rejection => ({
+      id: idsByUuid.get(rejection.uuid),
+      reason: rejection.reason
+    })));
+    const exhausted = await LocationCacheService.recordLocationSyncFailure(retryIds, { countTowardsQuarantine: true });
+
+    const quarantined = permanentRejections.length + exhausted;
+    const retrying = retryIds.length - exhausted;
+
+    result.synced += acceptedUuids.size;
+    result.quarantined += quarantined;
+    result.retrying += retrying;
+    result.details.push(`Server accepted ${acceptedUuids.size}, quarantined ${quarantined}, retrying ${retrying} locations`);
+
+    if (quarantined > 0) {
+      console.warn(`🚫 ${quarantined} locations quarantined after server rejection`);
+      Sentry.addBreadcrumb({
+        message: 'Locations quarantined',
+        level: 'warning',
+        data: {
+          count: quarantined,
+          reasons: [...new Set(permanentRejections.map(rejection => rejection.reason))]
+        }
+      });
+    }
+    if (retryIds.length > 0) {
+      result.errors++;
+    }
   }
 
   /**
-   * Sync cached heartbeats to server
+   * Sync cached heartbeats to server in size-bounded batches
    */
   async syncHeartbeats(authToken) {
-    const result = { synced: 0, errors: 0, details: [] };
+    const result = { synced: 0, errors: 0, batches: 0, details: [] };
 
     try {
-      const unsyncedHeartbeats = await LocationCacheService.getUnsyncedHeartbeats(20);
+      if (await SyncHttpClient.isOpen('/users/locations')) {
+        return { ...result, skipped: 'circuit_open' };
+      }
+
+      const unsyncedHeartbeats = await LocationCacheService.getUnsyncedHeartbeats(HEARTBEAT_BACKLOG_LIMIT);
       if (unsyncedHeartbeats.length === 0) {
         return result;
       }
 
-      console.log(`💓 Syncing ${unsyncedHeartbeats.length} heartbeats...`);
+      await PrivacyZoneService.initialize();
 
-      for (const heartbeat of unsyncedHeartbeats) {
-        try {
-          const heartbeatData = {
-            type: 'heartbeat',
-            source: 'heartbeat_cache_sync',
+      const batches = createSizeBoundedBatches(
+        unsyncedHeartbeats.map(heartbeat => ({
+          id: heartbeat.id,
+          upload: {
             timestamp: new Date(heartbeat.timestamp).toISOString(),
             battery: heartbeat.battery,
             activity: heartbeat.activity,
             odometer: heartbeat.odometer,
             is_moving: heartbeat.is_moving,
             tracking_enabled: heartbeat.tracking_enabled,
-            payload: heartbeat.payload
-          };
-
-          const response = await fetch(`${process.env.EXPO_PUBLIC_API_URL}/users/locations`, {
-            method: 'POST',
-            headers: {
-              'Accept': 'application/json',
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${authToken}`
-            },
-            body: JSON.stringify(heartbeatData),
-            signal: createAbortSignalWithTimeout(10000) // 10 second timeout
-          });
-
-          if (response.ok) {
-            await LocationCacheService.markHeartbeatsSynced([heartbeat.id]);
-            result.synced++;
-          } else {
-            result.errors++;
-            const errorText = await response.text().catch(() => 'Unknown error');
-            console.warn(`💓 Heartbeat sync failed: HTTP ${response.status}`, errorText);
+            payload: this.redactHeartbeatPayload(heartbeat.payload)
           }
-        } catch (error) {
+        })),
+        { maxItems: MAX_ITEMS_PER_REQUEST, sizeOf: ({ upload }) => JSON.stringify(upload).length }
+      );
+
+      // Servers that haven't listed heartbeat_batch get one heartbeat per request
+      const batched = (await this.getUploadFormats()).has('heartbeat_batch');
+      const requests = batched ? batches : batches.flat().map(heartbeat => [heartbeat]);
+
+      console.log(`💓 Syncing ${unsyncedHeartbeats.length} heartbeats in ${requests.length} requests...`);
+
+      for (const batch of requests) {
+        const heartbeatData = batched
+          ? {
+              type: 'heartbeat_batch',
+              source: 'heartbeat_cache_sync',
+              count: batch.length,
+              heartbeats: batch.map(({ upload }) => upload)
+            }
+          : { type: 'heartbeat', source: 'heartbeat_cache_sync', ...batch[0].upload };
+
+        const response = await this.postPayload(authToken, 'uploadHeartbeats', heartbeatData);
+        result.batches++;
+
+        if (!response.ok) {
           result.errors++;
-          console.error('💓 Heartbeat sync exception:', error);
+          const errorText = await response.text().catch(() => 'Unknown error');
+          result.details.push(`HTTP ${response.status}: ${errorText}`);
+          console.warn(`💓 Heartbeat sync failed: HTTP ${response.status}`, errorText);
+          break;
         }
+
+        await LocationCacheService.markHeartbeatsSynced(batch.map(({ id }) => id));
+        result.synced += batch.length;
       }
 
     } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        result.skipped = 'circuit_open';
+        return result;
+      }
+
       result.errors++;
       result.details.push(`Exception: ${error.message}`);
       console.error('💓 Heartbeat sync exception:', error);
@@ -331,6 +659,24 @@ class LocationSyncService {
     return result;
   }
 
+  /**
+   * Remember which categories the policy held back, or clear it when none were
+   */
+  recordDeferral({ policy, conditions, categories }, deferredCategories) {
+    if (deferredCategories.length === 0) {
+      this.lastDeferral = null;
+      return;
+    }
+
+    this.lastDeferral = {
+      at: Date.now(),
+      policy,
+      conditions,
+      // e.g. { backlog: 'metered_network', timeline: 'metered_network' }
+      categories: Object.fromEntries(deferredCategories.map(category => [category, categories[category].reason]))
+    };
+  }
+
   /**
    * Get sync status and statistics
    */
@@ -343,115 +689,179 @@ class LocationSyncService {
       consecutiveFailures: this.consecutiveFailures,
       currentActivity: this.currentActivity,
       nextSyncInterval: this.syncIntervals[this.currentActivity] || this.syncIntervals.unknown,
+      uploadStats: { ...this.uploadStats },
+      circuitBreakers: await SyncHttpClient.getStatus(),
+      syncPolicy: await SyncPolicyService.loadSettings(),
+      deferral: this.lastDeferral,
       cacheStats
     };
   }
 
+  /**
+   * Strip or snap the location embedded in a heartbeat payload per privacy zones
+   */
+  redactHeartbeatPayload(payload) {
+    const location = payload?.location;
+    if (!location) return payload;
+
+    // HeartbeatService stores flat coordinates, LocationService an Expo location object
+    const coords = location.coords || location;
+    const redacted = PrivacyZoneService.redactCoordinates(coords.latitude, coords.longitude);
+    if (!redacted) return { ...payload, location: null };
+
+    return {
+      ...payload,
+      location: location.coords
+        ? { ...location, coords: { ...location.coords, ...redacted } }
+        : { ...location, ...redacted }
+    };
+  }
+
   /**
    * Sync hybrid timeline insights to server
+   *
+   * Only raw locations the endpoint hasn't received yet are sent, tracked by
+   * a cached_locations id watermark. They go out in size-bounded batches and
+   * the segments ride along with the last one. Segments go until marked
+   * synced: recent ones a later run finalised and the user's splits and
+   * merges are sent even when no new raw locations came in.
    */
   async syncHybridTimeline(authToken) {
-    const result = { synced: 0, errors: 0, details: [] };
+    const result = { synced: 0, errors: 0, batches: 0, details: [] };
 
     try {
+      if (await SyncHttpClient.isOpen('/users/hybrid_timeline')) {
+        return { ...result, skipped: 'circuit_open' };
+      }
+
       // Process recent locations into timeline segments
-      const recentSegments = await ClientTimelineProcessor.processRecentLocations(2); // Last 2 hours
-      
+      const cutoffTime = Date.now() - (2 * 60 * 60 * 1000); // 2 hours ago
+      const detected = await ClientTimelineProcessor.processRecentLocations(2);
+      const recentSegments = await this.getPendingSegments(cutoffTime, detected);
+
       if (recentSegments.length === 0) {
         return result;
       }
 
-      console.log(`🧠 Syncing ${recentSegments.length} client timeline insights...`);
-
-      // Get recent raw locations for context
-      const cutoffTime = Date.now() - (2 * 60 * 60 * 1000); // 2 hours ago
+      // New raw locations for context
+      const watermark = await this.getHybridWatermark();
       const rawLocations = await LocationCacheService.db.getAllAsync(`
         SELECT * FROM cached_locations 
-        WHERE timestamp >= ? 
-        ORDER BY timestamp ASC
-      `, [Math.floor(cutoffTime / 1000)]);
+        WHERE timestamp >= ? AND id > ? AND ${UPLOADABLE_LOCATIONS}
+        ORDER BY id ASC
+        LIMIT ?
+      `, [Math.floor(cutoffTime / 1000), watermark, HYBRID_BACKLOG_LIMIT]);
 
-      if (rawLocations.length === 0) {
-        return result;
-      }
+      console.log(`🧠 Syncing ${recentSegments.length} client timeline insights...`);
 
-      // Build hybrid payload
-      const hybridPayload = {
-        type: 'hybrid_timeline_batch',
-        source: 'client_timeline_processor',
-        timestamp: Date.now(),
-        raw_locations: rawLocations.slice(0, 200).map(row => ({ // Limit to 200 locations
-          uuid: row.uuid,
-          latitude: row.latitude,
-          longitude: row.longitude,
-          accuracy: row.accuracy,
-          speed: row.speed,
-          timestamp: row.timestamp * 1000,
-          is_moving: Boolean(row.is_moving),
-          activity: row.activity_type ? {
-            type: row.activity_type,
-            confidence: row.activity_confidence
-          } : null
+      // Segments centred in a privacy zone are snapped or left out
+      await PrivacyZoneService.initialize();
+      const uploadableSegments = recentSegments
+        .map(segment => {
+          if (segment.centerLat === null || segment.centerLat === undefined) return segment;
+          const coords = PrivacyZoneService.redactCoordinates(segment.centerLat, segment.centerLon);
+          return coords ? { ...segment, centerLat: coords.latitude, centerLon: coords.longitude } : null;
+        })
+        .filter(Boolean);
+
+      const clientInsights = {
+        segments: uploadableSegments.map(segment => ({
+          type: segment.type,
+          start_time: segment.startTime,
+          end_time: segment.endTime,
+          center_latitude: segment.centerLat,
+          center_longitude: segment.centerLon,
+          confidence_score: segment.confidence,
+          location_count: segment.locationCount,
+          distance_km: segment.distance || 0,
+          detection_method: segment.detectedViaNonlinear ? 'nonlinear_area' : 'area_based',
+          transportation_mode: segment.transportationMode || null,
+          place_name: segment.placeName || null,
+          place_address: segment.placeAddress || null
         })),
-        client_insights: {
-          segments: recentSegments.map(segment => ({
-            type: segment.type,
-            start_time: segment.startTime,
-            end_time: segment.endTime,
-            center_latitude: segment.centerLat,
-            center_longitude: segment.centerLon,
-            confidence_score: segment.confidence,
-            location_count: segment.locationCount,
-            distance_km: segment.distance || 0,
-            detection_method: segment.detectedViaNonlinear ? 'nonlinear_area' : 'area_based',
-            transportation_mode: segment.transportationMode || null,
-            place_name: segment.placeName || null,
-            place_address: segment.placeAddress || null
-          })),
-          processing_stats: {
-            total_locations_processed: rawLocations.length,
-            segments_created: recentSegments.length,
-            visits: recentSegments.filter(s => s.type === 'visit').length,
-            travels: recentSegments.filter(s => s.type === 'travel').length,
-            avg_confidence: recentSegments.reduce((sum, s) => sum + s.confidence, 0) / recentSegments.length,
-            processing_time_range: {
-              start: Math.min(...rawLocations.map(r => r.timestamp * 1000)),
-              end: Math.max(...rawLocations.map(r => r.timestamp * 1000))
-            }
+        processing_stats: {
+          total_locations_processed: rawLocations.length,
+          segments_created: uploadableSegments.length,
+          visits: uploadableSegments.filter(s => s.type === 'visit').length,
+          travels: uploadableSegments.filter(s => s.type === 'travel').length,
+          avg_confidence: uploadableSegments.length > 0
+            ? uploadableSegments.reduce((sum, s) => sum + s.confidence, 0) / uploadableSegments.length
+            : 0,
+          processing_time_range: rawLocations.length > 0 ? {
+            start: Math.min(...rawLocations.map(r => r.timestamp * 1000)),
+            end: Math.max(...rawLocations.map(r => r.timestamp * 1000))
+          } : {
+            start: Math.min(...uploadableSegments.map(s => s.startTime)),
+            end: Math.max(...uploadableSegments.map(s => s.endTime))
           }
         }
       };
 
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_URL}/users/hybrid_timeline`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify(hybridPayload),
-        signal: createAbortSignalWithTimeout(45000) // 45 second timeout for larger payload
-      });
+      const batches = createSizeBoundedBatches(
+        rawLocations.map(row => ({
+          id: row.id,
+          upload: {
+            uuid: row.uuid,
+            latitude: row.latitude,
+            longitude: row.longitude,
+            accuracy: row.accuracy,
+            speed: row.speed,
+            timestamp: row.timestamp * 1000,
+            is_moving: Boolean(row.is_moving),
+            activity: row.activity_type ? {
+              type: row.activity_type,
+              confidence: row.activity_confidence
+            } : null
+          }
+        })),
+        { maxItems: MAX_ITEMS_PER_REQUEST, sizeOf: ({ upload }) => JSON.stringify(upload).length }
+      );
+      // Changed segments without new raw locations still need a request
+      if (batches.length === 0) batches.push([]);
 
-      if (response.ok) {
-        // Mark timeline segments as synced
-        const segmentIds = recentSegments.map(s => s.id).filter(id => id);
-        if (segmentIds.length > 0) {
-          await LocationCacheService.db.runAsync(`
-            UPDATE local_timeline_segments 
-            SET synced = 1, updated_at = strftime('%s', 'now')
-            WHERE id IN (${segmentIds.map(() => '?').join(',')})
-          `, segmentIds);
+      for (const [index, batch] of batches.entries()) {
+        const isLast = index === batches.length - 1;
+        const { encoding, items } = await this.encodeLocations(batch.map(({ upload }) => upload));
+
+        const hybridPayload = {
+          type: 'hybrid_timeline_batch',
+          source: 'client_timeline_processor',
+          timestamp: Date.now(),
+          batch: { index, count: batches.length },
+          encoding,
+          raw_locations: items,
+          client_insights: isLast ? clientInsights : null
+        };
+
+        const response = await this.postPayload(authToken, 'uploadHybridTimeline', hybridPayload);
+        result.batches++;
+
+        if (!response.ok) {
+          const errorText = await response.text().catch(() => 'Unknown error');
+          result.errors++;
+          result.details.push(`HTTP ${response.status}: ${errorText}`);
+          console.warn(`🧠 Hybrid timeline sync failed: HTTP ${response.status}`, errorText);
+          return result;
         }
-        
-        result.synced = recentSegments.length;
-        result.details.push(`Successfully synced ${recentSegments.length} timeline insights`);
-      } else {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        result.errors++;
-        result.details.push(`HTTP ${response.status}: ${errorText}`);
-        console.warn(`🧠 Hybrid timeline sync failed: HTTP ${response.status}`, errorText);
+
+        // Rows are ordered by id, so the last one is the batch's highest
+        if (batch.length > 0) {
+          await this.setHybridWatermark(batch[batch.length - 1].id);
+        }
+      }
+
+      // Mark timeline segments as synced
+      const segmentIds = recentSegments.map(s => s.id).filter(id => id);
+      if (segmentIds.length > 0) {
+        await LocationCacheService.db.runAsync(`
+          UPDATE local_timeline_segments 
+          SET synced = 1, updated_at = strftime('%s', 'now')
+          WHERE id IN (${segmentIds.map(() => '?').join(',')})
+        `, segmentIds);
       }
+      
+      result.synced = recentSegments.length;
+      result.details.push(`Successfully synced ${recentSegments.length} timeline insights`);
 
     } catch (error) {
       result.errors++;
@@ -462,6 +872,53 @@ class LocationSyncService {
     return result;
   }
 
+  /**
+   * Unsynced segments to upload: those ending after `cutoffTime` (ms) and any
+   * the user corrected, oldest first. Freshly detected ones keep the detector's
+   * extra fields (detection method, transportation mode).
+   */
+  async getPendingSegments(cutoffTime, detected = []) {
+    const rows = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM local_timeline_segments
+      WHERE synced = 0 AND (end_time >= ? OR user_corrected = 1)
+      ORDER BY start_time ASC
+      LIMIT ?
+    `, [cutoffTime, HYBRID_BACKLOG_LIMIT]);
+
+    const detectedById = new Map(detected.map(segment => [segment.id, segment]));
+    return rows.map(row => detectedById.get(row.id) || {
+      id: row.id,
+      type: row.type,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      centerLat: row.center_latitude,
+      centerLon: row.center_longitude,
+      distance: row.distance,
+      locationCount: row.location_count,
+      confidence: row.confidence,
+      placeName: row.place_name,
+      placeAddress: row.place_address
+    });
+  }
+
+  async getHybridWatermark() {
+    try {
+      const stored = await AsyncStorage.getItem(HYBRID_WATERMARK_STORAGE_KEY);
+      return stored ? parseInt(stored, 10) : 0;
+    } catch (error) {
+      console.error('❌ Failed to load hybrid timeline watermark:', error);
+      return 0;
+    }
+  }
+
+  async setHybridWatermark(locationId) {
+    try {
+      await AsyncStorage.setItem(HYBRID_WATERMARK_STORAGE_KEY, locationId.toString());
+    } catch (error) {
+      console.error('❌ Failed to save hybrid timeline watermark:', error);
+    }
+  }
+
   /**
    * Sync pending geocoding requests to server
    */
@@ -469,6 +926,10 @@ class LocationSyncService {
     const result = { synced: 0, errors: 0, details: [] };
 
     try {
+      if (await SyncHttpClient.isOpen('/users/geocode_batch')) {
+        return { ...result, skipped: 'circuit_open' };
+      }
+
       const pendingRequests = await SmartGeocodingService.getPendingGeocodeRequests(10);
       
       if (pendingRequests.length === 0) {
@@ -492,16 +953,7 @@ class LocationSyncService {
         }))
       };
 
-      const response = await fetch(`${process.env.EXPO_PUBLIC_API_URL}/users/geocode_batch`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
-        },
-        body: JSON.stringify(geocodePayload),
-        signal: createAbortSignalWithTimeout(30000)
-      });
+      const response = await ApiClient.request('geocodeBatch', { token: authToken, json: geocodePayload });
 
       if (response.ok) {
         const responseData = await response.json();
@@ -553,23 +1005,29 @@ class LocationSyncService {
       
       // Clean up old synced data (keep 30 days)
       const cleanupResult = await LocationCacheService.cleanupOldData(30);
+      const geofenceEventsDeleted = await LocationCacheService.cleanupGeofenceEvents();
       
       // Clean up geocoding cache
       const geocodeCleanup = await SmartGeocodingService.cleanupExpiredData();
+
+      // Fold recent visits into the places registry
+      const placesResult = await PlaceService.learnPlaces();
       
-      console.log(`🧹 Maintenance completed: cleaned ${cleanupResult.locationsDeleted + cleanupResult.heartbeatsDeleted} location records, ${geocodeCleanup.geocodesDeleted + geocodeCleanup.requestsDeleted} geocoding records`);
+      console.log(`🧹 Maintenance completed: cleaned ${cleanupResult.locationsDeleted + cleanupResult.heartbeatsDeleted} location records, ${geofenceEventsDeleted} geofence events, ${geocodeCleanup.geocodesDeleted + geocodeCleanup.requestsDeleted} geocoding records, learned ${placesResult.created} places`);
       
       return {
         ...cleanupResult,
+        geofenceEventsDeleted,
         geocodesDeleted: geocodeCleanup.geocodesDeleted,
-        geocodeRequestsDeleted: geocodeCleanup.requestsDeleted
+        geocodeRequestsDeleted: geocodeCleanup.requestsDeleted,
+        placesLearned: placesResult.created
       };
     } catch (error) {
       console.error('🧹 Maintenance failed:', error);
       Sentry.captureException(error, {
         tags: { section: 'location_sync', error_type: 'maintenance_error' }
       });
-      return { locationsDeleted: 0, heartbeatsDeleted: 0, geocodesDeleted: 0, geocodeRequestsDeleted: 0 };
+      return { locationsDeleted: 0, heartbeatsDeleted: 0, geofenceEventsDeleted: 0, geocodesDeleted: 0, geocodeRequestsDeleted: 0, placesLearned: 0 };
     }
   }
 
@@ -584,10 +1042,10 @@ class LocationSyncService {
       // Process recent locations into timeline segments
       const segments = await ClientTimelineProcessor.processRecentLocations(hoursBack);
       
-      // Geocode visits for better place recognition
+      // Geocode visits for better place recognition; visits at a named place already have one
       const geocodedSegments = [];
       for (const segment of segments) {
-        if (segment.type === 'visit') {
+        if (segment.type === 'visit' && !segment.placeName) {
           const geocoded = await SmartGeocodingService.geocodeTimelineSegment(segment);
           geocodedSegments.push(geocoded);
         } else {
@@ -1,5 +1,6 @@
 import { Platform } from 'react-native';
 import Constants from 'expo-constants';
+import PrivacyZoneService from './PrivacyZoneService';
 
 class LoggingService {
   constructor() {
@@ -114,7 +115,7 @@ class LoggingService {
         level: level.toUpperCase(),
         message,
         ...this.getBaseContext(),
-        ...data
+        ...this.redactCoordinates(data)
       };
 
       console.log('📤 Sending to Better Stack:', { 
@@ -158,6 +159,22 @@ class LoggingService {
     }
   }
 
+  // Snap or strip latitude/longitude fields that fall inside a privacy zone
+  // (stripped entirely if the zones couldn't be loaded)
+  redactCoordinates(data) {
+    if (data?.latitude === undefined || data?.longitude === undefined) return data;
+
+    const coords = PrivacyZoneService.isInitialized
+      ? PrivacyZoneService.redactCoordinates(data.latitude, data.longitude)
+      : null;
+    return {
+      ...data,
+      latitude: coords ? coords.latitude : null,
+      longitude: coords ? coords.longitude : null,
+      privacy_redacted: !coords || coords.latitude !== data.latitude
+    };
+  }
+
   info(message, data = {}) {
     console.log(`[INFO] ${message}`, data);
     this.sendToLogtail('info', message, data);
@@ -207,6 +224,17 @@ class LoggingService {
     this.info(`Sync: ${event}`, logData);
   }
 
+  // API client request/response logs
+  api(event, requestData) {
+    const logData = {
+      event_type: 'api',
+      event,
+      ...requestData
+    };
+
+    this.warn(`API: ${event}`, logData);
+  }
+
   // Background task logs
   backgroundTask(event, taskData) {
     const logData = {
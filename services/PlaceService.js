@@ -0,0 +1,528 @@
+import * as Sentry from '@sentry/react-native';
+import LocationCacheService from './LocationCacheService';
+import TimelineDatabase from './TimelineDatabase';
+import PrivacyZoneService from './PrivacyZoneService';
+import SmartGeocodingService from './SmartGeocodingService';
+import { toDayKey } from './LocalDay';
+
+export const PLACE_CATEGORIES = {
+  home: { label: 'Home', icon: '🏠' },
+  work: { label: 'Work', icon: '💼' },
+  gym: { label: 'Gym', icon: '🏋️' },
+  food: { label: 'Food & Drink', icon: '🍽️' },
+  shopping: { label: 'Shopping', icon: '🛍️' },
+  education: { label: 'Education', icon: '🎓' },
+  health: { label: 'Health', icon: '🏥' },
+  other: { label: 'Other', icon: '📍' }
+};
+
+// Categories for SmartGeocodingService.inferPlaceType results
+const CATEGORY_BY_PLACE_TYPE = {
+  residence: 'home',
+  workplace: 'work',
+  education: 'education',
+  healthcare: 'health',
+  restaurant: 'food',
+  retail: 'shopping'
+};
+
+const PLACE_HISTORY_DAYS = 365;
+const PLACE_CLUSTER_RADIUS = 150; // meters
+const MIN_PLACE_VISITS = 3;
+const MIN_PLACE_RADIUS = 100; // meters
+const MAX_PLACE_RADIUS = 250; // meters
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] ?? null;
+};
+
+const visitStats = (visits) => ({
+  visit_count: visits.length,
+  total_duration: Math.round(visits.reduce((sum, visit) => sum + Math.max(visit.end - visit.start, 0), 0) / 1000),
+  first_visit_at: Math.min(...visits.map(visit => visit.start)),
+  last_visit_at: Math.max(...visits.map(visit => visit.end))
+});
+
+/**
+ * PlaceService - The user's places, learned from where they spend time
+ *
+ * Features:
+ * - Visit centres from the cached server timeline (TimelineDatabase) and the
+ *   detector's local_timeline_segments are clustered into places with a
+ *   name, category, radius and visit statistics
+ * - Places stored in haps_locations.db (`places`), mirrored in memory so
+ *   ClientTimelineProcessor can tag new visits synchronously
+ * - Cached server visits are tagged with their place in timeline.db, where
+ *   the visit search index picks up the place's name and category
+ * - Naming a place names its visits and caches a manual geocode, so visits
+ *   there aren't geocoded again
+ * - Edit, merge and delete; edited places keep their centre and radius when
+ *   places are relearned, and deleted ones are not learned again
+ *
+ * Learning runs with LocationSyncService.performMaintenance and from the
+ * Places tab.
+ */
+class PlaceService {
+  constructor() {
+    this.places = [];
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      // places is created by the haps_locations.db migrations
+      await LocationCacheService.initialize();
+      await this.loadPlaces();
+      this.isInitialized = true;
+      console.log(`✅ PlaceService initialized (${this.places.length} places)`);
+    } catch (error) {
+      console.error('❌ Failed to initialize PlaceService:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'places', error_type: 'initialization_error' }
+      });
+      throw error;
+    }
+  }
+
+  async loadPlaces() {
+    this.places = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM places WHERE deleted_at IS NULL ORDER BY visit_count DESC, name ASC
+    `);
+    return this.places;
+  }
+
+  /**
+   * Places, most visited first
+   */
+  async getPlaces() {
+    if (!this.isInitialized) await this.initialize();
+    return this.places;
+  }
+
+  /**
+   * The nearest place whose radius contains a point, or null
+   */
+  findPlace(latitude, longitude) {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+      return null;
+    }
+
+    let match = null;
+    let matchDistance = Infinity;
+    for (const place of this.places) {
+      const distance = this.distanceMeters(latitude, longitude, place.latitude, place.longitude);
+      if (distance <= place.radius_meters && distance < matchDistance) {
+        match = place;
+        matchDistance = distance;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Cluster visit history into places
+   *
+   * Visits within an existing place's radius count towards it, the rest are
+   * clustered around a running mean and become places once a cluster has
+   * MIN_PLACE_VISITS. Deleted places still take their visits, so they stay
+   * deleted.
+   */
+  async learnPlaces() {
+    if (!this.isInitialized) await this.initialize();
+
+    try {
+      const visits = await this.collectVisits();
+      const rows = await LocationCacheService.db.getAllAsync('SELECT * FROM places');
+      const clusters = rows.map(place => ({
+        place,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radius: place.radius_meters,
+        visits: []
+      }));
+
+      for (const visit of visits) {
+        const cluster = this.nearestCluster(clusters, visit);
+        if (!cluster) {
+          clusters.push({
+            place: null,
+            latitude: visit.latitude,
+            longitude: visit.longitude,
+            radius: PLACE_CLUSTER_RADIUS,
+            visits: [visit]
+          });
+          continue;
+        }
+
+        cluster.visits.push(visit);
+        if (!cluster.place) {
+          // Running mean keeps the centre on the most common spot
+          cluster.latitude += (visit.latitude - cluster.latitude) / cluster.visits.length;
+          cluster.longitude += (visit.longitude - cluster.longitude) / cluster.visits.length;
+        }
+      }
+
+      let created = 0;
+      let updated = 0;
+      await LocationCacheService.db.withTransactionAsync(async () => {
+        for (const cluster of clusters) {
+          if (cluster.place && cluster.visits.length > 0) {
+            await this.updateLearnedPlace(cluster);
+            updated++;
+          } else if (!cluster.place && cluster.visits.length >= MIN_PLACE_VISITS) {
+            await this.insertLearnedPlace(cluster);
+            created++;
+          }
+        }
+      });
+
+      await this.loadPlaces();
+      const tagged = await this.tagSegments() + await this.tagVisits();
+
+      console.log(`📌 Learned places from ${visits.length} visits: ${created} new, ${updated} updated, ${tagged} visits tagged`);
+      Sentry.addBreadcrumb({
+        message: 'Places learned',
+        level: 'info',
+        data: { visits: visits.length, created, updated, tagged }
+      });
+
+      return { created, updated, tagged, places: this.places.length };
+    } catch (error) {
+      console.error('❌ Failed to learn places:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'places', error_type: 'learning_error' }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Visits of the last PLACE_HISTORY_DAYS as `{ latitude, longitude, start, end, name, address }`
+   *
+   * Local segments the server also has (uploaded with the hybrid timeline)
+   * are counted once, from the server's copy.
+   */
+  async collectVisits() {
+    const since = Date.now() - PLACE_HISTORY_DAYS * 24 * 60 * 60 * 1000;
+
+    const serverVisits = (await TimelineDatabase.getVisitsSince(toDayKey(since)))
+      .map(visit => ({
+        latitude: visit.latitude,
+        longitude: visit.longitude,
+        start: Date.parse(visit.start_time),
+        end: Date.parse(visit.end_time),
+        name: visit.location_name,
+        address: visit.location_address
+      }))
+      .filter(visit => !Number.isNaN(visit.start) && !Number.isNaN(visit.end));
+
+    const segments = await LocationCacheService.db.getAllAsync(`
+      SELECT start_time, end_time, center_latitude, center_longitude, place_name, place_address
+      FROM local_timeline_segments
+      WHERE type = 'visit' AND start_time >= ? AND center_latitude IS NOT NULL
+      ORDER BY start_time ASC
+    `, [since]);
+    const localVisits = segments
+      .filter(segment => !serverVisits.some(visit => visit.start < segment.end_time && visit.end > segment.start_time))
+      .map(segment => ({
+        latitude: segment.center_latitude,
+        longitude: segment.center_longitude,
+        start: segment.start_time,
+        end: segment.end_time,
+        name: segment.place_name,
+        address: segment.place_address
+      }));
+
+    return [...serverVisits, ...localVisits].sort((a, b) => a.start - b.start);
+  }
+
+  nearestCluster(clusters, visit) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const cluster of clusters) {
+      const distance = this.distanceMeters(visit.latitude, visit.longitude, cluster.latitude, cluster.longitude);
+      if (distance <= cluster.radius && distance < nearestDistance) {
+        nearest = cluster;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Radius covering a cluster's visits, within MIN_PLACE_RADIUS..MAX_PLACE_RADIUS
+   */
+  fitRadius(latitude, longitude, visits) {
+    const spread = Math.max(...visits.map(visit => this.distanceMeters(latitude, longitude, visit.latitude, visit.longitude)));
+    return Math.round(Math.min(Math.max(spread, MIN_PLACE_RADIUS), MAX_PLACE_RADIUS));
+  }
+
+  /**
+   * Name, address and category from the name the visits had most often
+   */
+  describeCluster(visits) {
+    const name = mostCommon(visits.map(visit => visit.name));
+    const address = name ? visits.find(visit => visit.name === name && visit.address)?.address ?? null : null;
+    const category = name ? CATEGORY_BY_PLACE_TYPE[SmartGeocodingService.inferPlaceType({ name })] || 'other' : 'other';
+    return { name, address, category };
+  }
+
+  async insertLearnedPlace(cluster) {
+    const { name, address, category } = this.describeCluster(cluster.visits);
+    const stats = visitStats(cluster.visits);
+
+    await LocationCacheService.db.runAsync(`
+      INSERT INTO places (
+        name, address, category, latitude, longitude, radius_meters,
+        visit_count, total_duration, first_visit_at, last_visit_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      name,
+      address,
+      category,
+      cluster.latitude,
+      cluster.longitude,
+      this.fitRadius(cluster.latitude, cluster.longitude, cluster.visits),
+      stats.visit_count,
+      stats.total_duration,
+      stats.first_visit_at,
+      stats.last_visit_at
+    ]);
+  }
+
+  /**
+   * Refresh a place's statistics; learned places also follow their visits' centre and spread
+   */
+  async updateLearnedPlace({ place, visits }) {
+    const stats = visitStats(visits);
+    const described = this.describeCluster(visits);
+    const isLearned = !place.user_edited && !place.deleted_at;
+
+    const latitude = isLearned ? visits.reduce((sum, visit) => sum + visit.latitude, 0) / visits.length : place.latitude;
+    const longitude = isLearned ? visits.reduce((sum, visit) => sum + visit.longitude, 0) / visits.length : place.longitude;
+
+    await LocationCacheService.db.runAsync(`
+      UPDATE places
+      SET name = ?, address = ?, category = ?, latitude = ?, longitude = ?, radius_meters = ?,
+          visit_count = ?, total_duration = ?, first_visit_at = ?, last_visit_at = ?,
+          updated_at = strftime('%s', 'now')
+      WHERE id = ?
+    `, [
+      place.name ?? described.name,
+      place.address ?? described.address,
+      isLearned && place.category === 'other' ? described.category : place.category,
+      latitude,
+      longitude,
+      isLearned ? this.fitRadius(latitude, longitude, visits) : place.radius_meters,
+      stats.visit_count,
+      stats.total_duration,
+      stats.first_visit_at,
+      stats.last_visit_at,
+      place.id
+    ]);
+  }
+
+  /**
+   * Point local visit segments at the place they're in
+   *
+   * Segments keep a geocoded name unless the user named the place.
+   */
+  async tagSegments() {
+    const segments = await LocationCacheService.db.getAllAsync(`
+      SELECT id, center_latitude, center_longitude, place_id, place_name, place_address
+      FROM local_timeline_segments
+      WHERE type = 'visit' AND center_latitude IS NOT NULL
+    `);
+
+    let tagged = 0;
+    await LocationCacheService.db.withTransactionAsync(async () => {
+      for (const segment of segments) {
+        const place = this.findPlace(segment.center_latitude, segment.center_longitude);
+        const placeName = place?.user_edited && place.name ? place.name : segment.place_name || place?.name || null;
+        const placeAddress = segment.place_address || place?.address || null;
+        if ((place?.id ?? null) === segment.place_id && placeName === segment.place_name &&
+          placeAddress === segment.place_address) continue;
+
+        await LocationCacheService.db.runAsync(`
+          UPDATE local_timeline_segments
+          SET place_id = ?, place_name = ?, place_address = ?, updated_at = strftime('%s', 'now')
+          WHERE id = ?
+        `, [place?.id ?? null, placeName, placeAddress, segment.id]);
+        tagged++;
+      }
+    });
+
+    return tagged;
+  }
+
+  /**
+   * Tag cached server visits (TimelineDatabase), all or of the days
+   * startDate..endDate, with the place they were at, so search finds them by
+   * place name and category
+   */
+  async tagVisits(startDate = null, endDate = startDate) {
+    if (!this.isInitialized) await this.initialize();
+
+    const visits = await TimelineDatabase.getVisitsToTag(startDate, endDate);
+    const tags = [];
+    for (const visit of visits) {
+      const place = this.findPlace(visit.latitude, visit.longitude);
+      const tag = {
+        visitId: visit.id,
+        placeId: place?.id ?? null,
+        placeName: place?.name ?? null,
+        category: place?.category ?? null
+      };
+      if (tag.placeId === visit.place_id && tag.placeName === visit.place_name && tag.category === visit.category) {
+        continue;
+      }
+      tags.push(tag);
+    }
+
+    await TimelineDatabase.setVisitPlaces(tags);
+    return tags.length;
+  }
+
+  /**
+   * Rename, recategorise or resize a place
+   */
+  async updatePlace(id, { name, category, radius_meters }) {
+    if (!this.isInitialized) await this.initialize();
+
+    const place = this.places.find(existing => existing.id === id);
+    if (!place) {
+      throw new Error('Place not found');
+    }
+    if (!PLACE_CATEGORIES[category]) {
+      throw new Error(`Unknown place category: ${category}`);
+    }
+    if (!(radius_meters > 0)) {
+      throw new Error('Place radius must be positive');
+    }
+
+    const trimmedName = name?.trim() || null;
+    await LocationCacheService.db.runAsync(`
+      UPDATE places
+      SET name = ?, category = ?, radius_meters = ?, user_edited = 1, updated_at = strftime('%s', 'now')
+      WHERE id = ?
+    `, [trimmedName, category, radius_meters, id]);
+
+    await this.loadPlaces();
+    await this.tagSegments();
+    await this.tagVisits();
+
+    if (trimmedName) {
+      await SmartGeocodingService.cacheManualPlace(place.latitude, place.longitude, {
+        name: trimmedName,
+        address: place.address
+      });
+    }
+
+    console.log(`📌 Updated place ${id}: ${trimmedName || 'unnamed'} (${category}, ${radius_meters}m)`);
+    return this.places.find(existing => existing.id === id);
+  }
+
+  /**
+   * Fold places into `targetId`: visits and statistics are combined and the
+   * radius grows to cover the merged places
+   */
+  async mergePlaces(targetId, sourceIds) {
+    if (!this.isInitialized) await this.initialize();
+
+    const target = this.places.find(place => place.id === targetId);
+    const sources = this.places.filter(place => place.id !== targetId && sourceIds.includes(place.id));
+    if (!target || sources.length === 0) {
+      throw new Error('Merging needs a place and at least one other place');
+    }
+
+    const merged = [target, ...sources];
+    const weight = (place) => Math.max(place.visit_count, 1);
+    const totalWeight = merged.reduce((sum, place) => sum + weight(place), 0);
+    const latitude = merged.reduce((sum, place) => sum + place.latitude * weight(place), 0) / totalWeight;
+    const longitude = merged.reduce((sum, place) => sum + place.longitude * weight(place), 0) / totalWeight;
+    const radius = Math.round(Math.max(...merged.map(place =>
+      this.distanceMeters(latitude, longitude, place.latitude, place.longitude) + place.radius_meters)));
+    const firstVisits = merged.map(place => place.first_visit_at).filter(time => time !== null);
+    const lastVisits = merged.map(place => place.last_visit_at).filter(time => time !== null);
+    const sourcePlaceholders = sources.map(() => '?').join(',');
+
+    await LocationCacheService.db.withTransactionAsync(async () => {
+      await LocationCacheService.db.runAsync(`
+        UPDATE places
+        SET name = ?, address = ?, latitude = ?, longitude = ?, radius_meters = ?,
+            visit_count = ?, total_duration = ?, first_visit_at = ?, last_visit_at = ?,
+            user_edited = 1, updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `, [
+        target.name ?? sources.find(place => place.name)?.name ?? null,
+        target.address ?? sources.find(place => place.address)?.address ?? null,
+        latitude,
+        longitude,
+        radius,
+        merged.reduce((sum, place) => sum + place.visit_count, 0),
+        merged.reduce((sum, place) => sum + place.total_duration, 0),
+        firstVisits.length > 0 ? Math.min(...firstVisits) : null,
+        lastVisits.length > 0 ? Math.max(...lastVisits) : null,
+        targetId
+      ]);
+      // The merged place covers theirs, so relearning won't split them off again
+      await LocationCacheService.db.runAsync(`
+        UPDATE local_timeline_segments SET place_id = ? WHERE place_id IN (${sourcePlaceholders})
+      `, [targetId, ...sources.map(place => place.id)]);
+      await LocationCacheService.db.runAsync(`
+        DELETE FROM places WHERE id IN (${sourcePlaceholders})
+      `, sources.map(place => place.id));
+    });
+
+    await this.loadPlaces();
+    await this.tagSegments();
+    await this.tagVisits();
+
+    console.log(`📌 Merged ${sources.length} places into place ${targetId}`);
+    return this.places.find(place => place.id === targetId);
+  }
+
+  /**
+   * Remove a place; it is kept hidden so learning doesn't recreate it
+   */
+  async deletePlace(id) {
+    if (!this.isInitialized) await this.initialize();
+
+    await LocationCacheService.db.runAsync(`
+      UPDATE places SET deleted_at = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+    `, [Date.now(), id]);
+    await LocationCacheService.db.runAsync(`
+      UPDATE local_timeline_segments SET place_id = NULL WHERE place_id = ?
+    `, [id]);
+
+    await this.loadPlaces();
+    await this.tagVisits();
+    console.log(`📌 Deleted place ${id}`);
+  }
+
+  /**
+   * Other places by distance from a place, nearest first
+   */
+  getNearbyPlaces(place, limit = 5) {
+    return this.places
+      .filter(other => other.id !== place.id)
+      .map(other => ({
+        ...other,
+        distance: this.distanceMeters(place.latitude, place.longitude, other.latitude, other.longitude)
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  distanceMeters(lat1, lon1, lat2, lon2) {
+    return PrivacyZoneService.distanceMeters(lat1, lon1, lat2, lon2);
+  }
+}
+
+// Export singleton instance
+export default new PlaceService();
@@ -0,0 +1,243 @@
+import * as Sentry from '@sentry/react-native';
+import LocationCacheService from './LocationCacheService';
+
+export const PRIVACY_ZONE_MODES = {
+  drop: { label: 'Drop points', description: 'Points inside are never recorded' },
+  snap: { label: 'Snap to centre', description: 'Points are moved to the zone centre' },
+  local_only: { label: 'Keep on device', description: 'Points are recorded but never uploaded' }
+};
+
+// When zones overlap, the strictest one wins
+const MODE_PRIORITY = { drop: 3, local_only: 2, snap: 1 };
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+/**
+ * PrivacyZoneService - User-defined circles around sensitive places
+ *
+ * Features:
+ * - Zones stored in haps_locations.db (`privacy_zones`), mirrored in memory so
+ *   per-fix and per-log checks stay synchronous
+ * - Three modes: drop, snap to the zone centre, or keep local (never uploaded)
+ * - New or edited zones are applied retroactively to cached points
+ * - Helpers for uploads, exports and logging to redact coordinates
+ *
+ * Removing a zone does not restore points that were dropped or snapped.
+ */
+class PrivacyZoneService {
+  constructor() {
+    this.zones = [];
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      // privacy_zones is created by the haps_locations.db migrations
+      await LocationCacheService.initialize();
+      await this.loadZones();
+      this.isInitialized = true;
+      console.log(`✅ PrivacyZoneService initialized (${this.zones.length} zones)`);
+    } catch (error) {
+      console.error('❌ Failed to initialize PrivacyZoneService:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'privacy_zones', error_type: 'initialization_error' }
+      });
+      throw error;
+    }
+  }
+
+  async loadZones() {
+    this.zones = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM privacy_zones ORDER BY name ASC
+    `);
+    return this.zones;
+  }
+
+  async getZones() {
+    if (!this.isInitialized) await this.initialize();
+    return this.zones;
+  }
+
+  /**
+   * Create or update a zone, then apply it to already cached points
+   */
+  async saveZone({ id, name, latitude, longitude, radius_meters, mode }) {
+    if (!this.isInitialized) await this.initialize();
+
+    if (!PRIVACY_ZONE_MODES[mode]) {
+      throw new Error(`Unknown privacy zone mode: ${mode}`);
+    }
+    if (!(radius_meters > 0)) {
+      throw new Error('Privacy zone radius must be positive');
+    }
+
+    try {
+      let zoneId = id;
+
+      if (zoneId) {
+        await LocationCacheService.db.runAsync(`
+          UPDATE privacy_zones
+          SET name = ?, latitude = ?, longitude = ?, radius_meters = ?, mode = ?,
+              updated_at = strftime('%s', 'now')
+          WHERE id = ?
+        `, [name || 'Private place', latitude, longitude, radius_meters, mode, zoneId]);
+      } else {
+        const result = await LocationCacheService.db.runAsync(`
+          INSERT INTO privacy_zones (name, latitude, longitude, radius_meters, mode)
+          VALUES (?, ?, ?, ?, ?)
+        `, [name || 'Private place', latitude, longitude, radius_meters, mode]);
+        zoneId = result.lastInsertRowId;
+      }
+
+      await this.loadZones();
+      const zone = this.zones.find(z => z.id === zoneId);
+      const affected = await this.applyZoneToCache(zone);
+
+      console.log(`🛡️ Saved privacy zone "${zone.name}" (${mode}, ${radius_meters}m), ${affected} cached points updated`);
+      Sentry.addBreadcrumb({
+        message: 'Privacy zone saved',
+        level: 'info',
+        data: { id: zoneId, mode, radius_meters, affected }
+      });
+
+      return zone;
+    } catch (error) {
+      console.error('❌ Failed to save privacy zone:', error);
+      Sentry.captureException(error, {
+        tags: { section: 'privacy_zones', error_type: 'save_zone_error' }
+      });
+      throw error;
+    }
+  }
+
+  async deleteZone(id) {
+    if (!this.isInitialized) await this.initialize();
+
+    await LocationCacheService.db.runAsync('DELETE FROM privacy_zones WHERE id = ?', [id]);
+    await this.loadZones();
+    console.log(`🛡️ Deleted privacy zone ${id}`);
+  }
+
+  /**
+   * Find the zone containing a point (strictest mode wins), or null
+   */
+  findZone(latitude, longitude) {
+    let match = null;
+
+    for (const zone of this.zones) {
+      if (this.distanceMeters(latitude, longitude, zone.latitude, zone.longitude) > zone.radius_meters) continue;
+      if (!match || MODE_PRIORITY[zone.mode] > MODE_PRIORITY[match.mode]) {
+        match = zone;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Apply zones to a location about to be cached
+   *
+   * Returns null when the point must be dropped, otherwise the (possibly
+   * snapped) location with `privacy: { zone_id, mode }` set.
+   */
+  applyToLocation(locationData) {
+    const zone = this.findZone(locationData.coords.latitude, locationData.coords.longitude);
+    if (!zone) return locationData;
+    if (zone.mode === 'drop') return null;
+
+    const privacy = { zone_id: zone.id, mode: zone.mode };
+    if (zone.mode === 'local_only') {
+      return { ...locationData, privacy };
+    }
+
+    return {
+      ...locationData,
+      coords: { ...locationData.coords, latitude: zone.latitude, longitude: zone.longitude },
+      // Don't keep the precise position around in the pre-filter columns either
+      filter: locationData.filter ? { ...locationData.filter, raw_latitude: null, raw_longitude: null } : undefined,
+      // Imported visits carry the place's name and address, as applyZoneToCache clears
+      payload: undefined,
+      privacy
+    };
+  }
+
+  /**
+   * Coordinates safe to leave the device, or null when they must not be sent
+   */
+  redactCoordinates(latitude, longitude) {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+      return null;
+    }
+
+    const zone = this.findZone(latitude, longitude);
+    if (!zone) return { latitude, longitude };
+    if (zone.mode === 'snap') return { latitude: zone.latitude, longitude: zone.longitude };
+    return null;
+  }
+
+  isUploadBlocked(latitude, longitude) {
+    return this.redactCoordinates(latitude, longitude) === null;
+  }
+
+  /**
+   * Update cached points inside a zone to match its mode
+   */
+  async applyZoneToCache(zone) {
+    const latDelta = zone.radius_meters / METERS_PER_DEGREE_LATITUDE;
+    const lngDelta = latDelta / Math.max(Math.cos(zone.latitude * (Math.PI / 180)), 0.01);
+
+    // Bounding box in SQL, exact circle in JS
+    const candidates = await LocationCacheService.db.getAllAsync(`
+      SELECT id, latitude, longitude FROM cached_locations
+      WHERE latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+    `, [zone.latitude - latDelta, zone.latitude + latDelta, zone.longitude - lngDelta, zone.longitude + lngDelta]);
+
+    const ids = candidates
+      .filter(row => this.distanceMeters(row.latitude, row.longitude, zone.latitude, zone.longitude) <= zone.radius_meters)
+      .map(row => row.id);
+    if (ids.length === 0) return 0;
+
+    await LocationCacheService.db.withTransactionAsync(async () => {
+      for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const placeholders = chunk.map(() => '?').join(',');
+
+        if (zone.mode === 'drop') {
+          await LocationCacheService.db.runAsync(`
+            DELETE FROM cached_locations WHERE id IN (${placeholders})
+          `, chunk);
+        } else if (zone.mode === 'snap') {
+          await LocationCacheService.db.runAsync(`
+            UPDATE cached_locations
+            SET latitude = ?, longitude = ?, raw_latitude = NULL, raw_longitude = NULL,
+                payload = NULL, privacy_zone_id = ?, privacy_mode = 'snap',
+                updated_at = strftime('%s', 'now')
+            WHERE id IN (${placeholders})
+          `, [zone.latitude, zone.longitude, zone.id, ...chunk]);
+        } else {
+          await LocationCacheService.db.runAsync(`
+            UPDATE cached_locations
+            SET privacy_zone_id = ?, privacy_mode = 'local_only', updated_at = strftime('%s', 'now')
+            WHERE id IN (${placeholders})
+          `, [zone.id, ...chunk]);
+        }
+      }
+    });
+
+    return ids.length;
+  }
+
+  distanceMeters(lat1, lon1, lat2, lon2) {
+    const toRadians = (degrees) => degrees * (Math.PI / 180);
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+// Export singleton instance
+export default new PrivacyZoneService();
@@ -1,6 +1,7 @@
 import * as Location from 'expo-location';
 import * as Sentry from '@sentry/react-native';
 import LocationCacheService from './LocationCacheService';
+import PrivacyZoneService from './PrivacyZoneService';
 
 /**
  * SmartGeocodingService - Intelligent geocoding with local caching
@@ -10,8 +11,14 @@ import LocationCacheService from './LocationCacheService';
  * 2. Rate-limited client geocoding using Expo Location
  * 3. Queue for server-side geocoding with rich APIs
  * 4. Smart proximity caching to avoid redundant requests
+ *
+ * Places the user picks for a visit are cached with source 'manual': they
+ * never expire and win over automatic geocodes within the proximity radius.
  */
 
+// Search results to reverse geocode for names and addresses
+const MAX_SEARCH_RESULTS = 5;
+
 class SmartGeocodingService {
   constructor() {
     this.isInitialized = false;
@@ -25,8 +32,8 @@ class SmartGeocodingService {
     if (this.isInitialized) return;
 
     try {
+      // geocode_cache and geocoding_queue are created by the haps_locations.db migrations
       await LocationCacheService.initialize();
-      await this.createGeocodeCache();
       this.isInitialized = true;
       console.log('✅ SmartGeocodingService initialized');
       
@@ -43,53 +50,6 @@ class SmartGeocodingService {
     }
   }
 
-  async createGeocodeCache() {
-    // Create geocode cache table
-    await LocationCacheService.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS geocode_cache (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        place_name TEXT,
-        place_address TEXT,
-        place_type TEXT,
-        country TEXT,
-        region TEXT,
-        city TEXT,
-        postal_code TEXT,
-        street TEXT,
-        confidence REAL DEFAULT 0.5,
-        source TEXT DEFAULT 'expo_location', -- 'expo_location', 'server', 'manual'
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        expires_at INTEGER, -- Optional expiration for geocodes
-        UNIQUE(latitude, longitude) ON CONFLICT REPLACE
-      )
-    `);
-
-    // Create spatial index for proximity searches
-    await LocationCacheService.db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_geocode_spatial ON geocode_cache(latitude, longitude);
-      CREATE INDEX IF NOT EXISTS idx_geocode_expires ON geocode_cache(expires_at);
-    `);
-
-    // Create geocoding queue table for server requests
-    await LocationCacheService.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS geocoding_queue (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        latitude REAL NOT NULL,
-        longitude REAL NOT NULL,
-        timeline_segment_id INTEGER,
-        priority INTEGER DEFAULT 1, -- 1=low, 2=medium, 3=high
-        requested_at INTEGER DEFAULT (strftime('%s', 'now')),
-        attempts INTEGER DEFAULT 0,
-        last_attempt_at INTEGER,
-        status TEXT DEFAULT 'pending' -- 'pending', 'processing', 'completed', 'failed'
-      )
-    `);
-
-    console.log('📍 Geocoding cache tables created');
-  }
-
   /**
    * Main geocoding method - tries cache, then client, then queues for server
    */
@@ -161,9 +121,9 @@ class SmartGeocodingService {
           ((longitude - ?) * 111000 * COS(? * 3.14159 / 180)) * ((longitude - ?) * 111000 * COS(? * 3.14159 / 180)) as distance_squared
         FROM geocode_cache
         WHERE (expires_at IS NULL OR expires_at > strftime('%s', 'now'))
-        ORDER BY distance_squared ASC
+        ORDER BY CASE WHEN source = 'manual' AND distance_squared <= ? THEN 0 ELSE 1 END, distance_squared ASC
         LIMIT 1
-      `, [latitude, latitude, longitude, latitude, longitude, latitude]);
+      `, [latitude, latitude, longitude, latitude, longitude, latitude, this.proximityRadius * this.proximityRadius]);
 
       if (cached.length > 0) {
         const result = cached[0];
@@ -256,9 +216,9 @@ class SmartGeocodingService {
    */
   async cacheGeocode(latitude, longitude, locationData, source = 'expo_location') {
     try {
-      // Set expiration time (30 days for client geocodes, longer for server)
+      // Set expiration time (30 days for client geocodes, longer for server, never for manual)
       const expirationHours = source === 'server' ? 24 * 90 : 24 * 30; // 90 days for server, 30 for client
-      const expiresAt = Math.floor(Date.now() / 1000) + (expirationHours * 60 * 60);
+      const expiresAt = source === 'manual' ? null : Math.floor(Date.now() / 1000) + (expirationHours * 60 * 60);
 
       await LocationCacheService.db.runAsync(`
         INSERT OR REPLACE INTO geocode_cache (
@@ -288,11 +248,65 @@ class SmartGeocodingService {
     }
   }
 
+  /**
+   * Remember the place the user chose for a visit at these coordinates
+   */
+  async cacheManualPlace(latitude, longitude, place) {
+    if (!this.isInitialized) await this.initialize();
+
+    await this.cacheGeocode(latitude, longitude, {
+      place_name: place.name,
+      place_address: place.address || null,
+      place_type: this.inferPlaceType({ name: place.name }),
+      confidence: 1.0
+    }, 'manual');
+  }
+
+  /**
+   * Forward geocode a search query into `{ name, address, latitude, longitude }` places
+   */
+  async searchPlaces(query) {
+    const text = query?.trim();
+    if (!text) return [];
+
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      throw new Error('Location permission not granted');
+    }
+
+    console.log(`🔍 Searching places: ${text}`);
+    const matches = await Location.geocodeAsync(text);
+
+    const places = [];
+    for (const match of matches.slice(0, MAX_SEARCH_RESULTS)) {
+      const [address] = await Location.reverseGeocodeAsync({
+        latitude: match.latitude,
+        longitude: match.longitude
+      });
+
+      places.push({
+        name: address ? this.buildPlaceName(address) : text,
+        address: address ? this.buildAddress(address) : null,
+        latitude: match.latitude,
+        longitude: match.longitude
+      });
+    }
+
+    return places;
+  }
+
   /**
    * Queue location for server-side geocoding
    */
   async queueServerGeocode(latitude, longitude, options = {}) {
     try {
+      // Never send coordinates inside a drop/local-only privacy zone to the server
+      await PrivacyZoneService.initialize();
+      if (PrivacyZoneService.isUploadBlocked(latitude, longitude)) {
+        console.log('🛡️ Skipping server geocode inside a privacy zone');
+        return;
+      }
+
       // Check if already queued
       const existing = await LocationCacheService.db.getFirstAsync(`
         SELECT id FROM geocoding_queue 
@@ -521,6 +535,7 @@ class SmartGeocodingService {
             COUNT(*) as total,
             COUNT(CASE WHEN source = 'expo_location' THEN 1 END) as client_geocodes,
             COUNT(CASE WHEN source = 'server' THEN 1 END) as server_geocodes,
+            COUNT(CASE WHEN source = 'manual' THEN 1 END) as manual_places,
             COUNT(CASE WHEN expires_at IS NULL OR expires_at > strftime('%s', 'now') THEN 1 END) as valid
           FROM geocode_cache
         `),
@@ -539,6 +554,7 @@ class SmartGeocodingService {
           total: cacheStats.total || 0,
           clientGeocodes: cacheStats.client_geocodes || 0,
           serverGeocodes: cacheStats.server_geocodes || 0,
+          manualPlaces: cacheStats.manual_places || 0,
           valid: cacheStats.valid || 0,
           expired: (cacheStats.total || 0) - (cacheStats.valid || 0)
         },
@@ -552,7 +568,7 @@ class SmartGeocodingService {
     } catch (error) {
       console.error('❌ Failed to get geocoding stats:', error);
       return {
-        cache: { total: 0, clientGeocodes: 0, serverGeocodes: 0, valid: 0, expired: 0 },
+        cache: { total: 0, clientGeocodes: 0, serverGeocodes: 0, manualPlaces: 0, valid: 0, expired: 0 },
         queue: { total: 0, pending: 0, completed: 0, failed: 0 }
       };
     }
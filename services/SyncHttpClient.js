@@ -0,0 +1,237 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Sentry from '@sentry/react-native';
+
+const BREAKER_STORAGE_KEY = '@haps_sync_circuit_breakers';
+
+export const SYNC_ENDPOINTS = ['/users/locations', '/users/hybrid_timeline', '/users/geocode_batch'];
+
+export const CIRCUIT_BREAKER = {
+  failureThreshold: 3, // consecutive failures before opening
+  baseCooldownMs: 60 * 1000, // 1 minute, doubled every time the breaker re-opens
+  maxCooldownMs: 30 * 60 * 1000, // 30 minutes
+  maxRetryAfterMs: 60 * 60 * 1000 // ignore Retry-After beyond 1 hour
+};
+
+// Statuses that mean "slow down" and usually carry Retry-After
+export const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Thrown instead of sending a request while an endpoint's breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(path, retryAt) {
+    super(`Circuit open for ${path} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.path = path;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Seconds or HTTP-date from a Retry-After header, as milliseconds from now
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const closedBreaker = () => ({
+  state: 'closed',
+  failures: 0,
+  openCount: 0,
+  retryAt: null,
+  lastStatus: null,
+  lastError: null,
+  lastFailureAt: null
+});
+
+/**
+ * SyncHttpClient - Circuit breakers for the sync endpoints
+ *
+ * ApiClient sends requests to endpoints marked `circuitBreaker` through
+ * request(), which decides whether they may go out at all.
+ *
+ * Features:
+ * - Circuit breaker per endpoint: opens after repeated server/network
+ *   failures, or right away on 429/503 for as long as Retry-After asks
+ * - Half-open probing: once the cool-down has passed, a single request is
+ *   let through and decides whether the breaker closes or re-opens
+ * - Breaker state persisted in AsyncStorage so a restart doesn't reset a
+ *   throttle the server asked for
+ */
+class SyncHttpClient {
+  constructor() {
+    this.breakers = Object.fromEntries(SYNC_ENDPOINTS.map(path => [path, closedBreaker()]));
+    this.probesInFlight = new Set();
+    this.isLoaded = false;
+  }
+
+  async loadState() {
+    if (this.isLoaded) return;
+
+    try {
+      const stored = JSON.parse(await AsyncStorage.getItem(BREAKER_STORAGE_KEY));
+      for (const [path, breaker] of Object.entries(stored || {})) {
+        // A probe can't survive a restart; let the next request probe again
+        this.breakers[path] = { ...closedBreaker(), ...breaker, state: breaker.state === 'half_open' ? 'open' : breaker.state };
+      }
+    } catch (error) {
+      console.error('❌ Failed to load circuit breaker state:', error);
+    }
+
+    this.isLoaded = true;
+  }
+
+  async saveState() {
+    try {
+      await AsyncStorage.setItem(BREAKER_STORAGE_KEY, JSON.stringify(this.breakers));
+    } catch (error) {
+      console.error('❌ Failed to save circuit breaker state:', error);
+    }
+  }
+
+  getBreaker(path) {
+    if (!this.breakers[path]) {
+      this.breakers[path] = closedBreaker();
+    }
+    return this.breakers[path];
+  }
+
+  /**
+   * Whether requests to the endpoint are currently held back
+   */
+  async isOpen(path) {
+    await this.loadState();
+    const breaker = this.getBreaker(path);
+
+    if (breaker.state === 'closed') return false;
+    if (this.probesInFlight.has(path)) return true;
+    return Date.now() < breaker.retryAt;
+  }
+
+  /**
+   * Run `send()` (which performs the fetch) through the endpoint's breaker
+   *
+   * Returns the response for any HTTP status; throws CircuitOpenError while
+   * the breaker is open and rethrows network errors after recording them.
+   */
+  async request(path, send) {
+    if (await this.isOpen(path)) {
+      throw new CircuitOpenError(path, this.getBreaker(path).retryAt);
+    }
+
+    const isProbe = this.getBreaker(path).state !== 'closed';
+    if (isProbe) {
+      this.getBreaker(path).state = 'half_open';
+      this.probesInFlight.add(path);
+    }
+
+    try {
+      let response;
+      try {
+        response = await send();
+      } catch (error) {
+        await this.recordFailure(path, { error: error.message });
+        throw error;
+      }
+
+      if (THROTTLE_STATUSES.includes(response.status)) {
+        const retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+        await this.recordFailure(path, { status: response.status, retryAfter });
+      } else if (response.status >= 500) {
+        await this.recordFailure(path, { status: response.status });
+      } else {
+        // Any other answer, 4xx included, means the endpoint itself is up
+        await this.recordSuccess(path);
+      }
+
+      return response;
+    } finally {
+      this.probesInFlight.delete(path);
+    }
+  }
+
+  async recordSuccess(path) {
+    const breaker = this.getBreaker(path);
+    if (breaker.state === 'closed' && breaker.failures === 0) return;
+
+    if (breaker.state !== 'closed') {
+      console.log(`🟢 Circuit closed for ${path}`);
+      Sentry.addBreadcrumb({ message: 'Sync circuit closed', level: 'info', data: { path } });
+    }
+
+    this.breakers[path] = closedBreaker();
+    await this.saveState();
+  }
+
+  async recordFailure(path, { status = null, error = null, retryAfter } = {}) {
+    const breaker = this.getBreaker(path);
+    breaker.failures++;
+    breaker.lastStatus = status;
+    breaker.lastError = error;
+    breaker.lastFailureAt = Date.now();
+
+    // Throttling opens immediately; other failures only once they repeat,
+    // and a failed probe re-opens with a longer cool-down
+    const throttled = retryAfter !== undefined;
+    if (throttled || breaker.state === 'half_open' || breaker.failures >= CIRCUIT_BREAKER.failureThreshold) {
+      this.open(path, breaker, retryAfter);
+    }
+
+    await this.saveState();
+  }
+
+  open(path, breaker, retryAfter) {
+    breaker.openCount++;
+    const cooldown = Math.min(
+      CIRCUIT_BREAKER.baseCooldownMs * Math.pow(2, breaker.openCount - 1),
+      CIRCUIT_BREAKER.maxCooldownMs
+    );
+    const delay = retryAfter !== null && retryAfter !== undefined
+      ? Math.min(retryAfter, CIRCUIT_BREAKER.maxRetryAfterMs)
+      : cooldown;
+
+    breaker.state = 'open';
+    breaker.retryAt = Date.now() + delay;
+
+    console.warn(`🔴 Circuit open for ${path} for ${Math.round(delay / 1000)}s (${breaker.lastStatus || breaker.lastError})`);
+    Sentry.addBreadcrumb({
+      message: 'Sync circuit opened',
+      level: 'warning',
+      data: { path, status: breaker.lastStatus, failures: breaker.failures, delay_ms: delay }
+    });
+  }
+
+  /**
+   * Close every breaker (debug screen)
+   */
+  async reset() {
+    this.breakers = Object.fromEntries(SYNC_ENDPOINTS.map(path => [path, closedBreaker()]));
+    this.probesInFlight.clear();
+    this.isLoaded = true;
+    await this.saveState();
+  }
+
+  async getStatus() {
+    await this.loadState();
+    const now = Date.now();
+
+    return Object.entries(this.breakers).map(([path, breaker]) => ({
+      path,
+      ...breaker,
+      // 'open' past its retry time is waiting for the next request to probe
+      state: breaker.state === 'open' && now >= breaker.retryAt ? 'half_open' : breaker.state,
+      retryInMs: breaker.retryAt ? Math.max(0, breaker.retryAt - now) : 0
+    }));
+  }
+}
+
+// Export singleton instance
+export default new SyncHttpClient();
@@ -0,0 +1,153 @@
+import * as Network from 'expo-network';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import BatteryService from './BatteryService';
+
+const POLICY_STORAGE_KEY = '@haps_sync_policy';
+
+// Unsynced locations older than the newest this many points are a backlog and
+// follow the `backlog` rule
+export const SYNC_BACKLOG_THRESHOLD = 100;
+
+const ANY_NETWORK = { network: 'any', charging: false };
+const UNMETERED = { network: 'unmetered', charging: false };
+const UNMETERED_CHARGING = { network: 'unmetered', charging: true };
+
+/**
+ * Rules per upload category:
+ * - heartbeats: liveness pings, a few hundred bytes each
+ * - locations: unsynced points among the newest SYNC_BACKLOG_THRESHOLD
+ * - backlog: older unsynced points
+ * - timeline: hybrid timeline insights, geocoding requests, visit edits and
+ *   timeline corrections
+ */
+export const SYNC_POLICIES = {
+  always: {
+    label: 'Always',
+    rules: { heartbeats: ANY_NETWORK, locations: ANY_NETWORK, backlog: ANY_NETWORK, timeline: ANY_NETWORK }
+  },
+  bulk_on_wifi: {
+    label: 'Bulk on Wi-Fi',
+    rules: { heartbeats: ANY_NETWORK, locations: ANY_NETWORK, backlog: UNMETERED, timeline: ANY_NETWORK }
+  },
+  wifi_only: {
+    label: 'Wi-Fi only',
+    rules: { heartbeats: ANY_NETWORK, locations: UNMETERED, backlog: UNMETERED, timeline: UNMETERED }
+  },
+  wifi_and_charging: {
+    label: 'Wi-Fi + charging',
+    rules: { heartbeats: ANY_NETWORK, locations: UNMETERED_CHARGING, backlog: UNMETERED_CHARGING, timeline: UNMETERED_CHARGING }
+  }
+};
+
+export const DEFAULT_SYNC_POLICY = 'bulk_on_wifi';
+
+// Connections that don't bill per byte
+const UNMETERED_NETWORK_TYPES = [Network.NetworkStateType.WIFI, Network.NetworkStateType.ETHERNET];
+
+/**
+ * SyncPolicyService - Decides what may upload on the current connection
+ *
+ * Features:
+ * - Persisted user policy (see SYNC_POLICIES) and roaming opt-in
+ * - Conditions from expo-network (type) and BatteryService (charging)
+ * - Per-category decisions with a reason when a category is deferred:
+ *   'metered_network', 'roaming' or 'not_charging'
+ *
+ * expo-network doesn't report roaming or metered Wi-Fi; `isRoaming` and
+ * `details.isConnectionExpensive` are honoured when a platform provides them,
+ * otherwise every non Wi-Fi/Ethernet connection counts as metered and
+ * never as roaming.
+ */
+class SyncPolicyService {
+  constructor() {
+    this.policy = DEFAULT_SYNC_POLICY;
+    this.allowRoaming = false;
+    this.isLoaded = false;
+  }
+
+  async loadSettings() {
+    if (this.isLoaded) return this.getSettings();
+
+    try {
+      const stored = JSON.parse(await AsyncStorage.getItem(POLICY_STORAGE_KEY));
+      if (stored && SYNC_POLICIES[stored.policy]) {
+        this.policy = stored.policy;
+        this.allowRoaming = Boolean(stored.allowRoaming);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load sync policy:', error);
+    }
+
+    this.isLoaded = true;
+    return this.getSettings();
+  }
+
+  async updateSettings({ policy = this.policy, allowRoaming = this.allowRoaming }) {
+    if (!SYNC_POLICIES[policy]) {
+      throw new Error(`Unknown sync policy: ${policy}`);
+    }
+
+    this.policy = policy;
+    this.allowRoaming = Boolean(allowRoaming);
+    this.isLoaded = true;
+
+    try {
+      await AsyncStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(this.getSettings()));
+    } catch (error) {
+      console.error('❌ Failed to save sync policy:', error);
+    }
+
+    return this.getSettings();
+  }
+
+  getSettings() {
+    return { policy: this.policy, allowRoaming: this.allowRoaming };
+  }
+
+  /**
+   * Network and power conditions that the rules are checked against
+   */
+  async getConditions(networkState) {
+    const battery = await BatteryService.getBatteryInfo();
+    const expensive = networkState.details?.isConnectionExpensive;
+
+    return {
+      networkType: networkState.type || Network.NetworkStateType.UNKNOWN,
+      metered: typeof expensive === 'boolean' ? expensive : !UNMETERED_NETWORK_TYPES.includes(networkState.type),
+      roaming: Boolean(networkState.isRoaming ?? networkState.details?.isRoaming),
+      // Unknown battery (simulators) shouldn't block charging-only rules forever
+      charging: battery ? battery.is_charging : true
+    };
+  }
+
+  /**
+   * Decide per category; `bypass` allows everything (manual syncs)
+   */
+  async evaluate(networkState, { bypass = false } = {}) {
+    await this.loadSettings();
+    const conditions = await this.getConditions(networkState);
+    const { rules } = SYNC_POLICIES[this.policy];
+
+    const categories = {};
+    for (const [category, rule] of Object.entries(rules)) {
+      const reason = bypass ? null : this.checkRule(category, rule, conditions);
+      categories[category] = { allowed: !reason, reason };
+    }
+
+    return { policy: this.policy, conditions, categories };
+  }
+
+  /**
+   * Reason the rule blocks uploads right now, or null
+   */
+  checkRule(category, rule, conditions) {
+    // Heartbeats are tiny; everything else waits for the home network when roaming
+    if (conditions.roaming && !this.allowRoaming && category !== 'heartbeats') return 'roaming';
+    if (rule.network === 'unmetered' && conditions.metered) return 'metered_network';
+    if (rule.charging && !conditions.charging) return 'not_charging';
+    return null;
+  }
+}
+
+// Export singleton instance
+export default new SyncPolicyService();
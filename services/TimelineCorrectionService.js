@@ -0,0 +1,260 @@
+import * as Sentry from '@sentry/react-native';
+import TimelineDatabase from './TimelineDatabase';
+import LocationCacheService, { ACCEPTED_LOCATIONS } from './LocationCacheService';
+import ClientTimelineProcessor from './ClientTimelineProcessor';
+import ApiClient from './ApiClient';
+import { applyCorrections, createMerge, createSplit } from './TimelineCorrections';
+
+// Client errors worth retrying; any other 4xx means the server won't take the correction
+const RETRYABLE_CLIENT_STATUSES = [401, 408, 429];
+
+// The server only knows positive ids; device-made items are sent by time alone
+const toServerReference = (item) => ({
+  id: item.id > 0 ? item.id : null,
+  type: item.type,
+  start_time: item.start_time,
+  end_time: item.end_time
+});
+
+/**
+ * TimelineCorrectionService - Splits and merges of timeline items made by the user
+ *
+ * Features:
+ * - Split a visit or travel at a time, or merge adjacent items, with
+ *   durations recomputed and travel distances measured from cached points
+ *   when the device has them
+ * - Applied at once to the cached server rows (TimelineDatabase) and to the
+ *   detector's local_timeline_segments, which are marked user_corrected so
+ *   reprocessing doesn't bring the old segments back
+ * - Corrections wait in timeline.db's `timeline_corrections` queue until the
+ *   server has them, and are laid over timelines fetched in the meantime
+ *
+ * Uploads run with LocationSyncService.syncNow (timeline policy category)
+ * and right after a correction when the screen has a token.
+ */
+class TimelineCorrectionService {
+  /**
+   * Split an item at `splitAt` (ms); returns the correction
+   */
+  async splitItem(item, splitAt, { timeZone } = {}) {
+    const newId = await TimelineDatabase.nextLocalItemId();
+
+    let distances = null;
+    if (item.type === 'travel') {
+      const first = await this.measureRange(Date.parse(item.start_time), splitAt);
+      const second = await this.measureRange(splitAt, Date.parse(item.end_time));
+      if (first && second) {
+        distances = [Math.round(first.distanceKm * 1000), Math.round(second.distanceKm * 1000)];
+      }
+    }
+
+    const correction = createSplit(item, splitAt, { newId, distances });
+    return this.record(correction, { timeZone });
+  }
+
+  /**
+   * Merge adjacent items into one; returns the correction
+   */
+  async mergeItems(items, { timeZone } = {}) {
+    const start = Math.min(...items.map(item => Date.parse(item.start_time)));
+    const end = Math.max(...items.map(item => Date.parse(item.end_time)));
+    const measured = await this.measureRange(start, end);
+
+    const correction = createMerge(items, {
+      distance: measured ? Math.round(measured.distanceKm * 1000) : null
+    });
+    return this.record(correction, { timeZone });
+  }
+
+  async record(correction, { timeZone } = {}) {
+    const saved = await TimelineDatabase.saveTimelineCorrection(correction);
+    await TimelineDatabase.applyCorrection(saved, timeZone);
+    await this.applyToLocalSegments(saved);
+
+    console.log(`✂️ Timeline ${saved.action}: ${saved.items.length} item(s) -> ${saved.result.length}`);
+    return saved;
+  }
+
+  /**
+   * Distance (km), point count, centre and end points of the accepted cached
+   * points between two times (ms), or null with fewer than two points
+   */
+  async measureRange(startTime, endTime) {
+    await LocationCacheService.initialize();
+
+    const rows = await LocationCacheService.db.getAllAsync(`
+      SELECT latitude, longitude FROM cached_locations
+      WHERE timestamp >= ? AND timestamp <= ? AND ${ACCEPTED_LOCATIONS}
+      ORDER BY timestamp ASC
+    `, [Math.floor(startTime / 1000), Math.ceil(endTime / 1000)]);
+    if (rows.length < 2) return null;
+
+    const points = rows.map(row => ({ coords: { latitude: row.latitude, longitude: row.longitude } }));
+    return {
+      distanceKm: ClientTimelineProcessor.calculateTotalDistanceKm(points),
+      count: rows.length,
+      centerLat: rows.reduce((sum, row) => sum + row.latitude, 0) / rows.length,
+      centerLon: rows.reduce((sum, row) => sum + row.longitude, 0) / rows.length,
+      first: rows[0],
+      last: rows[rows.length - 1]
+    };
+  }
+
+  /**
+   * Mirror a correction onto the detector's segments (times in ms, distance in km)
+   */
+  async applyToLocalSegments(correction) {
+    await LocationCacheService.initialize();
+
+    const [result] = correction.result;
+    const isSplit = correction.action === 'split';
+    const start = Date.parse(result.start_time);
+    const end = Math.max(...correction.result.map(item => Date.parse(item.end_time)));
+
+    // A split cuts the segments running through its time; a merge replaces all it covers
+    const segments = await LocationCacheService.db.getAllAsync(`
+      SELECT * FROM local_timeline_segments WHERE start_time < ? AND end_time > ?
+    `, isSplit ? [correction.split_at, correction.split_at] : [end, start]);
+    if (segments.length === 0) return 0;
+
+    const longest = segments.reduce((best, segment) =>
+      (segment.end_time - segment.start_time > best.end_time - best.start_time ? segment : best));
+    const pieces = isSplit
+      ? segments.flatMap(segment => [
+          { segment, start: segment.start_time, end: correction.split_at },
+          { segment, start: correction.split_at, end: segment.end_time }
+        ])
+      : [{
+          segment: { ...longest, type: result.type },
+          start: Math.min(start, ...segments.map(segment => segment.start_time)),
+          end: Math.max(end, ...segments.map(segment => segment.end_time))
+        }];
+
+    // Measured up front so the replacement below runs as one short transaction
+    const measurements = await Promise.all(pieces.map(piece => this.measureRange(piece.start, piece.end)));
+
+    await LocationCacheService.db.withTransactionAsync(async () => {
+      await LocationCacheService.db.runAsync(`
+        DELETE FROM local_timeline_segments WHERE id IN (${segments.map(() => '?').join(',')})
+      `, segments.map(segment => segment.id));
+
+      for (const [index, { segment, start: pieceStart, end: pieceEnd }] of pieces.entries()) {
+        const measured = measurements[index];
+        const share = (pieceEnd - pieceStart) / Math.max(segment.end_time - segment.start_time, 1);
+
+        await LocationCacheService.db.runAsync(`
+          INSERT INTO local_timeline_segments (
+            type, start_time, end_time, start_latitude, start_longitude,
+            end_latitude, end_longitude, center_latitude, center_longitude,
+            distance, location_count, place_name, place_address, confidence,
+            synced, user_corrected, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1.0, 0, 1, strftime('%s', 'now'), strftime('%s', 'now'))
+        `, [
+          segment.type,
+          pieceStart,
+          pieceEnd,
+          measured ? measured.first.latitude : segment.start_latitude,
+          measured ? measured.first.longitude : segment.start_longitude,
+          measured ? measured.last.latitude : segment.end_latitude,
+          measured ? measured.last.longitude : segment.end_longitude,
+          measured ? measured.centerLat : segment.center_latitude,
+          measured ? measured.centerLon : segment.center_longitude,
+          measured ? measured.distanceKm : (segment.distance || 0) * share,
+          measured ? measured.count : Math.round((segment.location_count || 0) * share),
+          segment.type === 'visit' ? segment.place_name : null,
+          segment.type === 'visit' ? segment.place_address : null
+        ]);
+      }
+    });
+
+    return pieces.length;
+  }
+
+  async getPendingCorrections() {
+    return TimelineDatabase.getTimelineCorrections('pending');
+  }
+
+  /**
+   * Lay queued corrections over items from the server (API shape, with `type`)
+   */
+  async applyPendingCorrections(items = []) {
+    const corrections = await this.getPendingCorrections();
+    return corrections.length > 0 ? applyCorrections(items, corrections) : items;
+  }
+
+  /**
+   * Upload queued corrections in the order they were made
+   *
+   * Accepted corrections leave the queue. Corrections the server refuses
+   * (4xx other than auth, timeout or throttling) are kept as 'failed' and not
+   * retried. A network error, 5xx or retryable status stops the run, since
+   * later corrections may build on the one that didn't go through.
+   */
+  async syncPendingCorrections(authToken) {
+    const result = { synced: 0, errors: 0, failed: 0, details: [] };
+    const corrections = await this.getPendingCorrections();
+
+    for (const correction of corrections) {
+      try {
+        const response = await ApiClient.request('createTimelineCorrection', {
+          token: authToken,
+          json: {
+            correction: {
+              action: correction.action,
+              split_at: correction.split_at ? new Date(correction.split_at).toISOString() : null,
+              items: correction.items.map(toServerReference),
+              result: correction.result.map(item => ({
+                ...toServerReference(item),
+                duration: item.duration,
+                distance: item.type === 'travel' ? item.distance : undefined,
+                center_latitude: item.center_latitude,
+                center_longitude: item.center_longitude,
+                location: item.type === 'visit' ? item.location : undefined
+              })),
+              corrected_at: new Date(correction.created_at).toISOString()
+            }
+          }
+        });
+
+        if (response.ok) {
+          await TimelineDatabase.deleteTimelineCorrection(correction);
+          result.synced++;
+          continue;
+        }
+
+        const permanent = response.status >= 400 && response.status < 500 &&
+          !RETRYABLE_CLIENT_STATUSES.includes(response.status);
+        await TimelineDatabase.recordTimelineCorrectionFailure(correction, `HTTP ${response.status}`, { permanent });
+        result.details.push(`Correction ${correction.id}: HTTP ${response.status}`);
+
+        if (permanent) {
+          result.failed++;
+          console.warn(`✂️ Timeline correction ${correction.id} rejected: HTTP ${response.status}`);
+          continue;
+        }
+
+        result.errors++;
+        break;
+      } catch (error) {
+        await TimelineDatabase.recordTimelineCorrectionFailure(correction, error.message);
+        result.errors++;
+        result.details.push(`Correction ${correction.id}: ${error.message}`);
+        console.error('✂️ Timeline correction sync exception:', error);
+        Sentry.captureException(error, {
+          tags: { section: 'timeline_corrections', error_type: 'sync_error' },
+          extra: { correctionId: correction.id, action: correction.action, attempts: correction.attempts }
+        });
+        break;
+      }
+    }
+
+    if (result.synced > 0) {
+      console.log(`✂️ Synced ${result.synced} timeline corrections`);
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+export default new TimelineCorrectionService();
@@ -0,0 +1,132 @@
+/**
+ * TimelineCorrections - Splits and merges of timeline items
+ *
+ * A correction lists the items it replaces and the items replacing them, in
+ * the API's item shape (`type`, `id`, `start_time`, `end_time`, ...). Applying
+ * it drops every item with one of those ids and adds the results, so the same
+ * correction can be laid over a fresh server timeline, the cached rows or a
+ * list it was already applied to, with the same outcome.
+ *
+ * Ids are per type. Items created on the device get negative ids until the
+ * server has the correction and returns the day again.
+ */
+
+// Day view fields from TimelineService.splitForDay, VisitEditService and the screens
+const VIEW_FIELDS = [
+  'display_start_time',
+  'display_end_time',
+  'display_duration',
+  'continued_from_previous_day',
+  'continues_next_day',
+  'edit_pending',
+  'edit_failed',
+  'sortTime'
+];
+
+export const itemKey = (item) => `${item.type}-${item.id}`;
+
+const toIso = (time) => new Date(time).toISOString();
+
+const withoutViewFields = (item) => {
+  const stripped = { ...item };
+  VIEW_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+};
+
+const reference = ({ type, id, start_time, end_time }) => ({ type, id, start_time, end_time });
+
+const durationMs = (item) => Date.parse(item.end_time) - Date.parse(item.start_time);
+
+/**
+ * Split an item at `splitAt` (ms) into two of its type
+ *
+ * The first part keeps the id and the second gets `newId`. `distances` are
+ * the travel parts' distances in meters; without them the distance is shared
+ * by duration.
+ */
+export const createSplit = (item, splitAt, { newId, distances = null } = {}) => {
+  const start = Date.parse(item.start_time);
+  const end = Date.parse(item.end_time);
+  if (!(splitAt > start && splitAt < end)) {
+    throw new Error('The split time must be inside the item');
+  }
+
+  const part = (id, from, to, index) => ({
+    ...withoutViewFields(item),
+    id,
+    start_time: toIso(from),
+    end_time: toIso(to),
+    duration: Math.round((to - from) / 1000),
+    ...(item.type === 'travel'
+      ? { distance: distances ? distances[index] : Math.round((item.distance || 0) * (to - from) / (end - start)) }
+      : {})
+  });
+
+  return {
+    action: 'split',
+    split_at: splitAt,
+    items: [reference(item)],
+    result: [part(item.id, start, splitAt, 0), part(newId, splitAt, end, 1)]
+  };
+};
+
+/**
+ * Merge adjacent items into one
+ *
+ * The longest item decides the type, id and place; the centre is weighted by
+ * duration. A merged travel's `distance` (meters) defaults to the sum of the
+ * travels merged.
+ */
+export const createMerge = (items, { distance = null } = {}) => {
+  if (items.length < 2) {
+    throw new Error('Merging needs at least two items');
+  }
+
+  const sorted = [...items].sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time));
+  const longest = sorted.reduce((best, item) => (durationMs(item) > durationMs(best) ? item : best));
+  const start = Date.parse(sorted[0].start_time);
+  const end = Math.max(...sorted.map(item => Date.parse(item.end_time)));
+
+  const centred = sorted.filter(item => Number.isFinite(item.center_latitude) && Number.isFinite(item.center_longitude));
+  const weight = (item) => Math.max(durationMs(item), 1);
+  const totalWeight = centred.reduce((sum, item) => sum + weight(item), 0);
+  const centre = (field) => (totalWeight > 0
+    ? centred.reduce((sum, item) => sum + item[field] * weight(item), 0) / totalWeight
+    : longest[field]);
+
+  const merged = {
+    ...withoutViewFields(longest),
+    start_time: toIso(start),
+    end_time: toIso(end),
+    duration: Math.round((end - start) / 1000),
+    center_latitude: centre('center_latitude'),
+    center_longitude: centre('center_longitude')
+  };
+  if (merged.type === 'travel') {
+    merged.distance = distance ?? sorted
+      .filter(item => item.type === 'travel')
+      .reduce((sum, item) => sum + (item.distance || 0), 0);
+  }
+
+  return {
+    action: 'merge',
+    split_at: null,
+    items: sorted.map(reference),
+    result: [merged]
+  };
+};
+
+/**
+ * Items with a correction applied; lists without any of its items are returned as they are
+ */
+export const applyCorrection = (items, correction) => {
+  const replaced = new Set([...correction.items, ...correction.result].map(itemKey));
+  if (!items.some(item => replaced.has(itemKey(item)))) return items;
+
+  return [
+    ...items.filter(item => !replaced.has(itemKey(item))),
+    ...correction.result.map(item => ({ ...item }))
+  ].sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time));
+};
+
+export const applyCorrections = (items, corrections) => corrections.reduce(applyCorrection, items);
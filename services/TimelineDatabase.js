@@ -1,4 +1,39 @@
 import * as SQLite from 'expo-sqlite';
+import DatabaseMigrator from './DatabaseMigrator';
+import timelineMigrations from './migrations/timelineMigrations';
+import { getDayBounds, listDayKeys, toDayKey } from './LocalDay';
+
+// Cached rows use the API's item shape; `id` is the backend id when known
+const toTravel = (row) => ({ ...row, id: row.backend_id ?? row.id, type: 'travel' });
+
+const toVisit = (row) => ({
+  ...toTravel(row),
+  type: 'visit',
+  location: row.location_name || row.location_latitude !== null
+    ? {
+        name: row.location_name,
+        address: row.location_address,
+        latitude: row.location_latitude,
+        longitude: row.location_longitude
+      }
+    : null,
+  suggested_locations: row.suggested_locations ? JSON.parse(row.suggested_locations) : [],
+  confirmed: Boolean(row.confirmed)
+});
+
+const toVisitEdit = (row) => ({ ...row, place: JSON.parse(row.place) });
+
+const toCorrection = (row) => ({ ...row, items: JSON.parse(row.items), result: JSON.parse(row.result) });
+
+const ITEM_TABLES = { visit: 'visits', travel: 'travels' };
+
+const SEARCH_LIMIT = 100;
+
+// Search text as an FTS5 query: every word has to match the start of an indexed word
+const toMatchQuery = (text) => {
+  const words = String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+};
 
 class TimelineDatabase {
   constructor() {
@@ -8,138 +43,539 @@ class TimelineDatabase {
   async init() {
     if (this.db) return this.db;
 
-    this.db = await SQLite.openDatabaseAsync('timeline.db');
-    await this.createTables();
-    return this.db;
+    const db = await SQLite.openDatabaseAsync('timeline.db');
+    this.db = db;
+    try {
+      await this.createTables();
+    } catch (error) {
+      // Leave db unset so the next init() retries the migration
+      this.db = null;
+      throw error;
+    }
+    return db;
   }
 
   async createTables() {
-    // Visits table
-    await this.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS visits (
-        id INTEGER PRIMARY KEY,
-        backend_id INTEGER UNIQUE,
-        date TEXT NOT NULL,
-        start_time TEXT NOT NULL,
-        end_time TEXT NOT NULL,
-        duration INTEGER,
-        center_latitude REAL,
-        center_longitude REAL,
-        location_name TEXT,
-        location_address TEXT,
-        location_latitude REAL,
-        location_longitude REAL,
-        suggested_locations TEXT, -- JSON string
-        synced_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+    await DatabaseMigrator.migrate(this.db, 'timeline.db', timelineMigrations);
+  }
 
-    // Travels table
-    await this.db.execAsync(`
-      CREATE TABLE IF NOT EXISTS travels (
-        id INTEGER PRIMARY KEY,
-        backend_id INTEGER UNIQUE,
-        date TEXT NOT NULL,
-        start_time TEXT NOT NULL,
-        end_time TEXT NOT NULL,
-        duration INTEGER,
-        distance REAL,
-        center_latitude REAL,
-        center_longitude REAL,
-        synced_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+  /**
+   * Replace the cached timeline of a local day (YYYY-MM-DD in `timelineData.timezone`)
+   */
+  async saveTimelineData(date, timelineData, validators = {}) {
+    return this.saveTimelineRange(date, date, timelineData, validators);
+  }
 
-    // Create indexes for better query performance
-    await this.db.execAsync(`
-      CREATE INDEX IF NOT EXISTS idx_visits_date ON visits(date);
-      CREATE INDEX IF NOT EXISTS idx_travels_date ON travels(date);
-      CREATE INDEX IF NOT EXISTS idx_visits_backend_id ON visits(backend_id);
-      CREATE INDEX IF NOT EXISTS idx_travels_backend_id ON travels(backend_id);
-    `);
+  /**
+   * Replace the cached timeline of the local days startDate..endDate
+   *
+   * Each visit or travel is one row, filed under the day it starts on. An
+   * overnight item returned for both days is updated in place rather than
+   * stored twice, and getTimelineForDate finds it from either day. Every day
+   * of the range is recorded in timeline_days with the zone and sync time,
+   * empty days included, so they count as loaded. The response's `etag` and
+   * `lastModified` are kept for single days only, as they describe the whole
+   * response. Returns the sync time.
+   */
+  async saveTimelineRange(startDate, endDate, timelineData, { etag = null, lastModified = null } = {}) {
+    await this.init();
+
+    const syncedAt = new Date().toISOString();
+    const singleDay = startDate === endDate;
+    const corrections = await this.getTimelineCorrections('pending');
+    const edits = await this.getVisitEdits('pending');
+
+    // All or nothing, with the days recorded last: a day only counts as
+    // loaded once its items are in
+    await this.db.withTransactionAsync(async () => {
+      await this.db.runAsync('DELETE FROM visits WHERE date >= ? AND date <= ?', [startDate, endDate]);
+      await this.db.runAsync('DELETE FROM travels WHERE date >= ? AND date <= ?', [startDate, endDate]);
+
+      for (const visit of timelineData.visits || []) {
+        await this.upsertVisit(visit, this.startDay(visit, startDate, timelineData.timezone), syncedAt);
+      }
+
+      for (const travel of timelineData.travels || []) {
+        await this.upsertTravel(travel, this.startDay(travel, startDate, timelineData.timezone), syncedAt);
+      }
+
+      // Corrections and edits the server hasn't received yet still win over its answer
+      for (const correction of corrections) {
+        await this.applyCorrection(correction, timelineData.timezone);
+      }
+      for (const edit of edits) {
+        await this.updateVisitPlace(edit.visit_id, edit.place);
+      }
+
+      for (const date of listDayKeys(startDate, endDate)) {
+        await this.db.runAsync(`
+          INSERT OR REPLACE INTO timeline_days (date, timezone, synced_at, etag, last_modified) VALUES (?, ?, ?, ?, ?)
+        `, [date, timelineData.timezone || null, syncedAt, singleDay ? etag : null, singleDay ? lastModified : null]);
+      }
+    });
+
+    return syncedAt;
   }
 
-  async saveTimelineData(date, timelineData) {
+  /**
+   * Record that the server confirmed a cached day unchanged (a 304); returns the new sync time
+   */
+  async markTimelineDaySynced(date) {
     await this.init();
 
     const syncedAt = new Date().toISOString();
+    await this.db.runAsync('UPDATE timeline_days SET synced_at = ? WHERE date = ?', [syncedAt, date]);
+    return syncedAt;
+  }
 
-    // Clear existing data for this date
-    await this.db.runAsync('DELETE FROM visits WHERE date = ?', [date]);
-    await this.db.runAsync('DELETE FROM travels WHERE date = ?', [date]);
+  startDay(item, fallbackDate, timeZone) {
+    const startAt = Date.parse(item.start_time);
+    return Number.isNaN(startAt) ? fallbackDate : toDayKey(startAt, timeZone);
+  }
 
-    // Insert visits
-    for (const visit of timelineData.visits) {
-      await this.db.runAsync(`
-        INSERT INTO visits (
-          backend_id, date, start_time, end_time, duration,
-          center_latitude, center_longitude,
-          location_name, location_address, location_latitude, location_longitude,
-          suggested_locations, synced_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        visit.id,
-        date,
-        visit.start_time,
-        visit.end_time,
-        visit.duration,
-        visit.center_latitude,
-        visit.center_longitude,
-        visit.location?.name,
-        visit.location?.address,
-        visit.location?.latitude,
-        visit.location?.longitude,
-        JSON.stringify(visit.suggested_locations || []),
-        syncedAt
-      ]);
-    }
+  async upsertVisit(visit, date, syncedAt) {
+    await this.db.runAsync(`
+      INSERT INTO visits (
+        backend_id, date, start_time, end_time, duration,
+        center_latitude, center_longitude,
+        location_name, location_address, location_latitude, location_longitude,
+        suggested_locations, confirmed, synced_at, start_at, end_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(backend_id) DO UPDATE SET
+        date = excluded.date, start_time = excluded.start_time, end_time = excluded.end_time,
+        duration = excluded.duration, center_latitude = excluded.center_latitude,
+        center_longitude = excluded.center_longitude, location_name = excluded.location_name,
+        location_address = excluded.location_address, location_latitude = excluded.location_latitude,
+        location_longitude = excluded.location_longitude, suggested_locations = excluded.suggested_locations,
+        confirmed = excluded.confirmed, synced_at = excluded.synced_at,
+        start_at = excluded.start_at, end_at = excluded.end_at
+    `, [
+      visit.id,
+      date,
+      visit.start_time,
+      visit.end_time,
+      visit.duration,
+      visit.center_latitude,
+      visit.center_longitude,
+      visit.location?.name,
+      visit.location?.address,
+      visit.location?.latitude,
+      visit.location?.longitude,
+      JSON.stringify(visit.suggested_locations || []),
+      visit.confirmed ? 1 : 0,
+      syncedAt,
+      Date.parse(visit.start_time) || null,
+      Date.parse(visit.end_time) || null
+    ]);
+  }
 
-    // Insert travels
-    for (const travel of timelineData.travels) {
-      await this.db.runAsync(`
-        INSERT INTO travels (
-          backend_id, date, start_time, end_time, duration, distance,
-          center_latitude, center_longitude, synced_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        travel.id,
-        date,
-        travel.start_time,
-        travel.end_time,
-        travel.duration,
-        travel.distance,
-        travel.center_latitude,
-        travel.center_longitude,
-        syncedAt
-      ]);
-    }
+  async upsertTravel(travel, date, syncedAt) {
+    await this.db.runAsync(`
+      INSERT INTO travels (
+        backend_id, date, start_time, end_time, duration, distance,
+        center_latitude, center_longitude, synced_at, start_at, end_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(backend_id) DO UPDATE SET
+        date = excluded.date, start_time = excluded.start_time, end_time = excluded.end_time,
+        duration = excluded.duration, distance = excluded.distance,
+        center_latitude = excluded.center_latitude, center_longitude = excluded.center_longitude,
+        synced_at = excluded.synced_at, start_at = excluded.start_at, end_at = excluded.end_at
+    `, [
+      travel.id,
+      date,
+      travel.start_time,
+      travel.end_time,
+      travel.duration,
+      travel.distance,
+      travel.center_latitude,
+      travel.center_longitude,
+      syncedAt,
+      Date.parse(travel.start_time) || null,
+      Date.parse(travel.end_time) || null
+    ]);
   }
 
+  /**
+   * Cached items of a local day, including ones filed under an earlier day
+   * that run past its midnight
+   */
   async getTimelineForDate(date) {
+    const { visits, travels, days } = await this.getTimelineForRange(date, date);
+    return { visits, travels, timezone: days[0]?.timezone || null };
+  }
+
+  /**
+   * timeline_days row of a loaded day (zone, sync time and validators), or null
+   */
+  async getTimelineDay(date) {
+    await this.init();
+
+    return this.db.getFirstAsync('SELECT * FROM timeline_days WHERE date = ?', [date]);
+  }
+
+  /**
+   * Cached items of the local days startDate..endDate, including ones filed
+   * under an earlier day that run into the range, and the timeline_days rows
+   * (date, timezone, synced_at) of the days that were loaded
+   */
+  async getTimelineForRange(startDate, endDate) {
     await this.init();
 
+    const days = await this.db.getAllAsync(`
+      SELECT date, timezone, synced_at FROM timeline_days WHERE date >= ? AND date <= ? ORDER BY date
+    `, [startDate, endDate]);
+    const zoneOf = (date) => days.find(day => day.date === date)?.timezone;
+    const start = getDayBounds(startDate, zoneOf(startDate)).start;
+    const end = getDayBounds(endDate, zoneOf(endDate)).end;
+
     const visits = await this.db.getAllAsync(`
-      SELECT * FROM visits WHERE date = ? ORDER BY start_time
-    `, [date]);
+      SELECT * FROM visits WHERE (date >= ? AND date <= ?) OR (start_at < ? AND end_at > ?) ORDER BY start_time
+    `, [startDate, endDate, end, start]);
 
     const travels = await this.db.getAllAsync(`
-      SELECT * FROM travels WHERE date = ? ORDER BY start_time
+      SELECT * FROM travels WHERE (date >= ? AND date <= ?) OR (start_at < ? AND end_at > ?) ORDER BY start_time
+    `, [startDate, endDate, end, start]);
+
+    return {
+      visits: visits.map(toVisit),
+      travels: travels.map(toTravel),
+      days
+    };
+  }
+
+  /**
+   * Visits on or after a date key (YYYY-MM-DD), used to learn places (PlaceService)
+   */
+  async getVisitsSince(date) {
+    await this.init();
+
+    return this.db.getAllAsync(`
+      SELECT
+        COALESCE(location_latitude, center_latitude) as latitude,
+        COALESCE(location_longitude, center_longitude) as longitude,
+        location_name, location_address, start_time, end_time
+      FROM visits
+      WHERE date >= ? AND COALESCE(location_latitude, center_latitude) IS NOT NULL
+      ORDER BY start_time
     `, [date]);
+  }
+
+  /**
+   * Cached visits with the My Places tag they have now, all or of the days startDate..endDate
+   */
+  async getVisitsToTag(startDate = null, endDate = startDate) {
+    await this.init();
+
+    return this.db.getAllAsync(`
+      SELECT
+        v.backend_id as id,
+        COALESCE(v.location_latitude, v.center_latitude) as latitude,
+        COALESCE(v.location_longitude, v.center_longitude) as longitude,
+        a.place_id, a.place_name, a.category
+      FROM visits v LEFT JOIN visit_annotations a ON a.visit_id = v.backend_id
+      WHERE v.backend_id IS NOT NULL AND (? IS NULL OR v.date BETWEEN ? AND ?)
+    `, [startDate, startDate, endDate]);
+  }
+
+  /**
+   * Tag visits with the place (PlaceService) they were at; `tags` holds
+   * { visitId, placeId, placeName, category }, with nulls to untag
+   */
+  async setVisitPlaces(tags) {
+    await this.init();
+
+    for (const { visitId, placeId, placeName, category } of tags) {
+      await this.db.runAsync(`
+        INSERT INTO visit_annotations (visit_id, place_id, place_name, category, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(visit_id) DO UPDATE SET
+          place_id = excluded.place_id, place_name = excluded.place_name,
+          category = excluded.category, updated_at = excluded.updated_at
+      `, [visitId, placeId ?? null, placeName ?? null, category ?? null, Date.now()]);
+    }
+  }
+
+  /**
+   * Set or clear (empty note) the user's note on a visit; notes stay on the device
+   */
+  async saveVisitNote(visitId, note) {
+    await this.init();
+
+    const text = note?.trim() || null;
+    await this.db.runAsync(`
+      INSERT INTO visit_annotations (visit_id, note, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(visit_id) DO UPDATE SET note = excluded.note, updated_at = excluded.updated_at
+    `, [visitId, text, Date.now()]);
+    return text;
+  }
+
+  /**
+   * Notes and place tags of the given visits, keyed by backend id
+   */
+  async getVisitAnnotations(visitIds) {
+    await this.init();
+    if (visitIds.length === 0) return new Map();
+
+    const rows = await this.db.getAllAsync(`
+      SELECT * FROM visit_annotations WHERE visit_id IN (${visitIds.map(() => '?').join(',')})
+    `, visitIds);
+    return new Map(rows.map(row => [row.visit_id, row]));
+  }
+
+  /**
+   * Search cached visits, newest first
+   *
+   * `query` matches the start of words in place names and addresses, notes,
+   * My Places names and categories. Filters: `startDate` and `endDate` (day
+   * keys, inclusive), `minDuration` and `maxDuration` (seconds), `weekdays`
+   * (0 = Sunday) and `category`. `facets` counts the matches per category and
+   * weekday, each without its own filter, so the other choices stay visible.
+   * Visits carry the `timezone` of the day they are filed under.
+   */
+  async searchVisits(filters = {}) {
+    await this.init();
+
+    const matches = this.buildSearch(filters);
+    const rows = await this.db.getAllAsync(`
+      SELECT v.*, a.note, a.place_id, a.place_name, a.category, d.timezone ${matches.sql}
+      ORDER BY v.start_time DESC LIMIT ?
+    `, [...matches.params, filters.limit ?? SEARCH_LIMIT]);
+    const total = await this.db.getFirstAsync(`SELECT COUNT(*) as count ${matches.sql}`, matches.params);
+
+    const byCategory = this.buildSearch({ ...filters, category: null });
+    const categories = await this.db.getAllAsync(`
+      SELECT a.category, COUNT(*) as count ${byCategory.sql} AND a.category IS NOT NULL GROUP BY a.category
+    `, byCategory.params);
+
+    const byWeekday = this.buildSearch({ ...filters, weekdays: null });
+    const weekdays = await this.db.getAllAsync(`
+      SELECT CAST(strftime('%w', v.date) AS INTEGER) as weekday, COUNT(*) as count ${byWeekday.sql} GROUP BY weekday
+    `, byWeekday.params);
 
-    // Parse suggested_locations JSON
-    const parsedVisits = visits.map(visit => ({
-      ...visit,
-      suggested_locations: visit.suggested_locations ? JSON.parse(visit.suggested_locations) : []
-    }));
+    const weekdayCounts = [0, 0, 0, 0, 0, 0, 0];
+    for (const { weekday, count } of weekdays) weekdayCounts[weekday] = count;
 
     return {
-      visits: parsedVisits,
-      travels
+      visits: rows.map(toVisit),
+      total: total?.count ?? 0,
+      facets: {
+        categories: Object.fromEntries(categories.map(({ category, count }) => [category, count])),
+        weekdays: weekdayCounts
+      }
     };
   }
 
+  /**
+   * FROM/WHERE clause and parameters of a search (see searchVisits)
+   */
+  buildSearch({ query, startDate, endDate, minDuration, maxDuration, weekdays, category } = {}) {
+    const conditions = ['v.backend_id IS NOT NULL'];
+    const params = [];
+
+    const matchQuery = toMatchQuery(query);
+    if (matchQuery) {
+      conditions.push('v.backend_id IN (SELECT rowid FROM visit_search WHERE visit_search MATCH ?)');
+      params.push(matchQuery);
+    }
+    if (startDate) {
+      conditions.push('v.date >= ?');
+      params.push(startDate);
+    }
+    if (endDate) {
+      conditions.push('v.date <= ?');
+      params.push(endDate);
+    }
+    if (minDuration !== null && minDuration !== undefined) {
+      conditions.push('v.duration >= ?');
+      params.push(minDuration);
+    }
+    if (maxDuration !== null && maxDuration !== undefined) {
+      conditions.push('v.duration <= ?');
+      params.push(maxDuration);
+    }
+    if (weekdays && weekdays.length > 0) {
+      conditions.push(`CAST(strftime('%w', v.date) AS INTEGER) IN (${weekdays.map(() => '?').join(',')})`);
+      params.push(...weekdays);
+    }
+    if (category) {
+      conditions.push('a.category = ?');
+      params.push(category);
+    }
+
+    return {
+      sql: `
+        FROM visits v
+        LEFT JOIN visit_annotations a ON a.visit_id = v.backend_id
+        LEFT JOIN timeline_days d ON d.date = v.date
+        WHERE ${conditions.join(' AND ')}
+      `,
+      params
+    };
+  }
+
+  /**
+   * Set a cached visit's place and mark it confirmed
+   */
+  async updateVisitPlace(visitId, place) {
+    await this.init();
+
+    await this.db.runAsync(`
+      UPDATE visits SET
+        location_name = ?, location_address = ?, location_latitude = ?, location_longitude = ?, confirmed = 1
+      WHERE backend_id = ?
+    `, [place.name, place.address ?? null, place.latitude ?? null, place.longitude ?? null, visitId]);
+  }
+
+  /**
+   * Queue a visit edit for upload; a newer edit of the same visit replaces
+   * the queued one, failed or not
+   */
+  async saveVisitEdit(visitId, place, source) {
+    await this.init();
+
+    await this.db.runAsync(`
+      INSERT INTO visit_edits (visit_id, place, source, status, attempts, last_error, created_at)
+      VALUES (?, ?, ?, 'pending', 0, NULL, ?)
+      ON CONFLICT(visit_id) DO UPDATE SET
+        place = excluded.place, source = excluded.source, status = 'pending',
+        revision = revision + 1, attempts = 0, last_error = NULL, created_at = excluded.created_at
+    `, [visitId, JSON.stringify(place), source, Date.now()]);
+
+    return toVisitEdit(await this.db.getFirstAsync('SELECT * FROM visit_edits WHERE visit_id = ?', [visitId]));
+  }
+
+  /**
+   * Queued visit edits, oldest first; `status` is 'pending' or 'failed' (both when omitted)
+   */
+  async getVisitEdits(status = null) {
+    await this.init();
+
+    const rows = status
+      ? await this.db.getAllAsync('SELECT * FROM visit_edits WHERE status = ? ORDER BY created_at', [status])
+      : await this.db.getAllAsync('SELECT * FROM visit_edits ORDER BY created_at');
+    return rows.map(toVisitEdit);
+  }
+
+  /**
+   * Drop an uploaded edit, unless the visit was edited again in the meantime
+   */
+  async deleteVisitEdit(edit) {
+    await this.init();
+    await this.db.runAsync('DELETE FROM visit_edits WHERE id = ? AND revision = ?', [edit.id, edit.revision]);
+  }
+
+  /**
+   * Count a failed upload; `permanent` failures stay queued as 'failed' and aren't retried
+   */
+  async recordVisitEditFailure(edit, error, { permanent = false } = {}) {
+    await this.init();
+
+    await this.db.runAsync(`
+      UPDATE visit_edits SET attempts = attempts + 1, last_error = ?, status = ?
+      WHERE id = ? AND revision = ?
+    `, [error, permanent ? 'failed' : 'pending', edit.id, edit.revision]);
+  }
+
+  /**
+   * Apply a split or merge (see TimelineCorrections) to the cached rows
+   *
+   * Rows of the replaced and resulting items are swapped for the results,
+   * filed under their start day in `timeZone`. Returns false when none of the
+   * items is cached.
+   */
+  async applyCorrection(correction, timeZone) {
+    await this.init();
+
+    const references = [...correction.items, ...correction.result];
+    let cached = 0;
+    for (const { type, id } of references) {
+      const row = await this.db.getFirstAsync(`SELECT id FROM ${ITEM_TABLES[type]} WHERE backend_id = ?`, [id]);
+      if (row) cached++;
+    }
+    if (cached === 0) return false;
+
+    for (const { type, id } of references) {
+      await this.db.runAsync(`DELETE FROM ${ITEM_TABLES[type]} WHERE backend_id = ?`, [id]);
+    }
+
+    const syncedAt = new Date().toISOString();
+    const today = toDayKey(Date.now(), timeZone);
+    for (const item of correction.result) {
+      const date = this.startDay(item, today, timeZone);
+      if (item.type === 'visit') {
+        await this.upsertVisit(item, date, syncedAt);
+      } else {
+        await this.upsertTravel(item, date, syncedAt);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Next id for an item created on the device; these are negative so they never clash with backend ids
+   */
+  async nextLocalItemId() {
+    await this.init();
+
+    const result = await this.db.getFirstAsync(`
+      SELECT MIN(backend_id) as min_id FROM (
+        SELECT backend_id FROM visits
+        UNION ALL
+        SELECT backend_id FROM travels
+      )
+    `);
+    return Math.min(0, result?.min_id ?? 0) - 1;
+  }
+
+  /**
+   * Queue a split or merge for upload
+   */
+  async saveTimelineCorrection(correction) {
+    await this.init();
+
+    const { lastInsertRowId } = await this.db.runAsync(`
+      INSERT INTO timeline_corrections (action, items, result, split_at, status, created_at)
+      VALUES (?, ?, ?, ?, 'pending', ?)
+    `, [
+      correction.action,
+      JSON.stringify(correction.items),
+      JSON.stringify(correction.result),
+      correction.split_at ?? null,
+      Date.now()
+    ]);
+
+    return toCorrection(await this.db.getFirstAsync('SELECT * FROM timeline_corrections WHERE id = ?', [lastInsertRowId]));
+  }
+
+  /**
+   * Queued corrections in the order they were made; `status` is 'pending' or 'failed' (both when omitted)
+   */
+  async getTimelineCorrections(status = null) {
+    await this.init();
+
+    const rows = status
+      ? await this.db.getAllAsync('SELECT * FROM timeline_corrections WHERE status = ? ORDER BY id', [status])
+      : await this.db.getAllAsync('SELECT * FROM timeline_corrections ORDER BY id');
+    return rows.map(toCorrection);
+  }
+
+  async deleteTimelineCorrection(correction) {
+    await this.init();
+    await this.db.runAsync('DELETE FROM timeline_corrections WHERE id = ?', [correction.id]);
+  }
+
+  /**
+   * Count a failed upload; `permanent` failures stay queued as 'failed' and aren't retried
+   */
+  async recordTimelineCorrectionFailure(correction, error, { permanent = false } = {}) {
+    await this.init();
+
+    await this.db.runAsync(`
+      UPDATE timeline_corrections SET attempts = attempts + 1, last_error = ?, status = ?
+      WHERE id = ?
+    `, [error, permanent ? 'failed' : 'pending', correction.id]);
+  }
+
   async getLastSyncDate() {
     await this.init();
 
@@ -158,6 +594,11 @@ class TimelineDatabase {
     await this.init();
     await this.db.runAsync('DELETE FROM visits');
     await this.db.runAsync('DELETE FROM travels');
+    await this.db.runAsync('DELETE FROM timeline_days');
+    await this.db.runAsync('DELETE FROM visit_edits');
+    await this.db.runAsync('DELETE FROM timeline_corrections');
+    await this.db.runAsync('DELETE FROM visit_annotations');
+    await this.db.runAsync('DELETE FROM visit_search');
   }
 }
 
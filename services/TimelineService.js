@@ -1,138 +1,509 @@
 import TimelineDatabase from './TimelineDatabase';
+import ApiClient from './ApiClient';
+import VisitEditService from './VisitEditService';
+import TimelineCorrectionService from './TimelineCorrectionService';
+import PlaceService from './PlaceService';
+import { applyCorrection } from './TimelineCorrections';
+import { addDays, daysBetween, getDayBounds, getDeviceTimeZone, getWeekday, isValidTimeZone, listDayKeys, toDayKey } from './LocalDay';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * How long a cached day is shown before the server is asked again, by how
+ * many days ago it was. Today is still being recorded, recent days get late
+ * uploads and processing, and old days only change when they're edited.
+ */
+export const FRESHNESS_RULES = [
+  { maxDaysAgo: 0, maxAgeMs: 5 * MINUTE_MS },
+  { maxDaysAgo: 1, maxAgeMs: 30 * MINUTE_MS },
+  { maxDaysAgo: 7, maxAgeMs: 6 * HOUR_MS },
+  { maxDaysAgo: 30, maxAgeMs: DAY_MS },
+  { maxDaysAgo: 365, maxAgeMs: 7 * DAY_MS },
+  { maxDaysAgo: Infinity, maxAgeMs: 30 * DAY_MS }
+];
 
 class TimelineService {
   constructor() {
-    this.API_URL = process.env.EXPO_PUBLIC_API_URL || (__DEV__
-      ? 'http://localhost:3000'
-      : 'https://haps.app'
-    );
+    // Background refetches in flight, by day or range
+    this.revalidations = new Map();
+  }
+
+  /**
+   * GET an ApiClient endpoint with the user's token and parse the JSON
+   *
+   * ApiClient retries once with a refreshed token on 401; if that fails too
+   * the session has ended (AuthContext asks the user to log in). The error
+   * carries `status` so callers can tell auth failures apart.
+   */
+  async getJson(endpointName, query, authToken, errorLabel) {
+    const response = await ApiClient.request(endpointName, { query, token: authToken });
+
+    if (!response.ok) {
+      throw this.apiError(errorLabel, response);
+    }
+
+    return response.json();
   }
 
+  apiError(errorLabel, response) {
+    const error = new Error(`${errorLabel} API error: ${response.status}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Timeline of a local day
+   *
+   * `date` is a Date (its day in the device zone) or a YYYY-MM-DD key. The
+   * server is asked for that day in the device zone and answers with the zone
+   * it used, which is cached with the day.
+   *
+   * A cached day is revalidated with its ETag / Last-Modified; on 304 the
+   * cached copy is kept and only its sync time moves. When the request fails
+   * the cached day is returned with `refreshFailed`.
+   */
   async fetchTimelineForDate(date, authToken) {
+    const timeZone = getDeviceTimeZone();
+    const dateString = toDayKey(date, timeZone);
+    const cachedDay = await TimelineDatabase.getTimelineDay(dateString);
+
     try {
-      const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-
-      const response = await fetch(`${this.API_URL}/api/timeline?date=${dateString}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
+      const response = await ApiClient.request('timeline', {
+        query: { date: dateString, timezone: timeZone },
+        token: authToken,
+        headers: this.validatorHeaders(cachedDay)
       });
 
+      if (response.status === 304 && cachedDay) {
+        const syncedAt = await TimelineDatabase.markTimelineDaySynced(dateString);
+        return { ...(await this.getCachedDayView(dateString)), syncedAt };
+      }
       if (!response.ok) {
-        throw new Error(`Timeline API error: ${response.status}`);
+        throw this.apiError('Timeline', response);
       }
 
-      const data = await response.json();
+      const timelineData = this.toTimelineData(await response.json(), timeZone);
 
-      // Handle new API format with combined timeline
-      if (data.timeline) {
-        // Convert combined timeline to separate visits and travels for backward compatibility
-        const visits = data.timeline.filter(item => item.type === 'visit');
-        const travels = data.timeline.filter(item => item.type === 'travel');
-
-        const convertedData = {
-          ...data,
-          visits: visits,
-          travels: travels
-        };
-
-        // Save to local database
-        await TimelineDatabase.saveTimelineData(dateString, convertedData);
-
-        return convertedData;
-      } else {
-        // Save to local database (old format)
-        await TimelineDatabase.saveTimelineData(dateString, data);
+      // Save to local database
+      const syncedAt = await TimelineDatabase.saveTimelineData(dateString, timelineData, {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+      });
+      await this.tagPlaces(dateString);
 
-        return data;
-      }
+      return { ...(await this.buildDayView(timelineData, dateString)), syncedAt };
     } catch (error) {
       console.error('Failed to fetch timeline from API:', error);
 
       // Fallback to local data if API fails
-      const dateString = date.toISOString().split('T')[0];
-      const localData = await TimelineDatabase.getTimelineForDate(dateString);
-      if (localData.visits.length > 0 || localData.travels.length > 0) {
-        console.log('Using cached timeline data');
-        return {
-          date: dateString,
-          timezone: 'UTC', // Default since we don't have this info locally
-          ...localData,
-          fromCache: true
-        };
-      }
+      const cached = await this.getCachedDayView(dateString);
+      if (!cached) throw error;
 
-      throw error;
+      console.log('Using cached timeline data');
+      return {
+        ...cached,
+        refreshFailed: true,
+        // The refresh failed too; AuthContext has already asked the user to log in
+        sessionExpired: error.status === 401
+      };
     }
   }
 
-  async fetchTimelineForDateRange(startDate, endDate, authToken) {
-    try {
-      const startDateString = startDate.toISOString().split('T')[0];
-      const endDateString = endDate.toISOString().split('T')[0];
-
-      const response = await fetch(`${this.API_URL}/api/timeline?start_date=${startDateString}&end_date=${endDateString}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-      });
+  /**
+   * Conditional request headers for a cached timeline_days row
+   */
+  validatorHeaders(cachedDay) {
+    const headers = {};
+    if (cachedDay?.etag) headers['If-None-Match'] = cachedDay.etag;
+    if (cachedDay?.last_modified) headers['If-Modified-Since'] = cachedDay.last_modified;
+    return headers;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Timeline API error: ${response.status}`);
-      }
+  /**
+   * Cached view of a day (`fromCache`) with the time it was last synced, or
+   * null when nothing of it is cached
+   */
+  async getCachedDayView(dateString) {
+    const day = await TimelineDatabase.getTimelineDay(dateString);
+    const localData = await TimelineDatabase.getTimelineForDate(dateString);
+    if (!day && localData.visits.length === 0 && localData.travels.length === 0) return null;
 
-      const data = await response.json();
+    const zone = localData.timezone || getDeviceTimeZone();
+    return {
+      date: dateString,
+      ...localData,
+      ...(await this.withLocalChanges(localData.visits, localData.travels, dateString, zone)),
+      // Days cached before time zones were stored were requested in the device zone
+      timezone: zone,
+      syncedAt: day?.synced_at ?? null,
+      fromCache: true
+    };
+  }
 
-      // Handle new API format with combined timeline
-      if (data.timeline) {
-        // Convert combined timeline to separate visits and travels for backward compatibility
-        const visits = data.timeline.filter(item => item.type === 'visit');
-        const travels = data.timeline.filter(item => item.type === 'travel');
+  /**
+   * How long a cached day stays fresh (see FRESHNESS_RULES); days ahead of
+   * today count as today
+   */
+  getMaxAge(dateString) {
+    const daysAgo = daysBetween(dateString, toDayKey(Date.now(), getDeviceTimeZone()));
+    return FRESHNESS_RULES.find(rule => daysAgo <= rule.maxDaysAgo).maxAgeMs;
+  }
 
-        return {
-          ...data,
-          visits: visits,
-          travels: travels
-        };
-      } else {
-        return data;
-      }
+  isDayFresh(dateString, syncedAt) {
+    const syncedAtMs = Date.parse(syncedAt);
+    return Number.isFinite(syncedAtMs) && Date.now() - syncedAtMs < this.getMaxAge(dateString);
+  }
+
+  /**
+   * Refetch in the background, once per key at a time, and hand the view to
+   * onUpdate; a failed refetch only leaves the cached view showing
+   */
+  revalidate(key, fetchView, onUpdate) {
+    if (!this.revalidations.has(key)) {
+      this.revalidations.set(key, fetchView().finally(() => this.revalidations.delete(key)));
+    }
+
+    this.revalidations.get(key)
+      .then(view => onUpdate?.(view))
+      .catch(error => console.warn(`Failed to revalidate timeline ${key}:`, error.message));
+  }
+
+  /**
+   * Visits and travels of a response, with the zone the server used
+   */
+  toTimelineData(data, timeZone) {
+    // Handle new API format with combined timeline
+    if (data.timeline) {
+      // Convert combined timeline to separate visits and travels for backward compatibility
+      return {
+        ...data,
+        timezone: data.timezone || timeZone,
+        visits: data.timeline.filter(item => item.type === 'visit'),
+        travels: data.timeline.filter(item => item.type === 'travel')
+      };
+    }
+
+    // Old format with separate lists
+    return { ...data, timezone: data.timezone || timeZone, visits: data.visits || [], travels: data.travels || [] };
+  }
+
+  /**
+   * Tag saved days' visits with My Places for search; failing only costs search hits
+   */
+  async tagPlaces(startDate, endDate = startDate) {
+    try {
+      await PlaceService.tagVisits(startDate, endDate);
     } catch (error) {
-      console.error('Failed to fetch timeline range from API:', error);
-      throw error;
+      console.warn('Failed to tag visits with places:', error.message);
     }
   }
 
-  async getTimelineForDate(date, authToken) {
-    const dateString = date.toISOString().split('T')[0];
+  /**
+   * Day view of a server response: items that started on an earlier day and
+   * run into this one (cached from that day's fetch) are added, then the
+   * local changes are laid over them (see withLocalChanges)
+   */
+  async buildDayView(data, dateString) {
+    const cached = await TimelineDatabase.getTimelineForDate(dateString);
+    const withCarryOver = (items = [], cachedItems) => {
+      const ids = new Set(items.map(item => item.id));
+      return [...cachedItems.filter(item => item.date < dateString && !ids.has(item.id)), ...items];
+    };
+
+    return {
+      ...data,
+      ...(await this.withLocalChanges(
+        withCarryOver(data.visits, cached.visits),
+        withCarryOver(data.travels, cached.travels),
+        dateString,
+        data.timezone
+      ))
+    };
+  }
+
+  /**
+   * Visits and travels of a day with the local changes (see applyLocalChanges),
+   * split at the day's bounds
+   */
+  async withLocalChanges(visits = [], travels = [], dateString, timeZone) {
+    const changed = await this.applyLocalChanges(visits, travels);
+
+    return {
+      visits: this.splitForDay(changed.visits, dateString, timeZone),
+      travels: this.splitForDay(changed.travels, dateString, timeZone)
+    };
+  }
+
+  /**
+   * Visits and travels with the splits, merges and visit edits the server
+   * doesn't have yet; visits carry the user's `note`
+   */
+  async applyLocalChanges(visits = [], travels = []) {
+    const items = await TimelineCorrectionService.applyPendingCorrections([
+      ...visits.map(visit => ({ ...visit, type: 'visit' })),
+      ...travels.map(travel => ({ ...travel, type: 'travel' }))
+    ]);
+    const correctedVisits = await VisitEditService.applyPendingEdits(items.filter(item => item.type === 'visit'));
+    const annotations = await TimelineDatabase.getVisitAnnotations(correctedVisits.map(visit => visit.id));
+
+    return {
+      visits: correctedVisits.map(visit => ({ ...visit, note: annotations.get(visit.id)?.note ?? null })),
+      travels: items.filter(item => item.type === 'travel')
+    };
+  }
+
+  /**
+   * A displayed day with a correction just made, without refetching it
+   */
+  applyCorrectionToDay(timeline, correction) {
+    const items = applyCorrection([...timeline.visits, ...timeline.travels], correction);
+
+    return {
+      ...timeline,
+      visits: this.splitForDay(items.filter(item => item.type === 'visit'), timeline.date, timeline.timezone),
+      travels: this.splitForDay(items.filter(item => item.type === 'travel'), timeline.date, timeline.timezone)
+    };
+  }
+
+  /**
+   * Search cached visits (see TimelineDatabase.searchVisits); `days` limits
+   * the search to the last days up to today in the device zone
+   */
+  async searchVisits({ days = null, ...filters } = {}) {
+    const startDate = days ? addDays(toDayKey(Date.now(), getDeviceTimeZone()), 1 - days) : filters.startDate;
+    return TimelineDatabase.searchVisits({ ...filters, startDate });
+  }
+
+  /**
+   * Set or clear the user's note on a visit; notes are kept on the device
+   */
+  async saveVisitNote(visit, note) {
+    return TimelineDatabase.saveVisitNote(visit.id, note);
+  }
+
+  /**
+   * The Date the timeline screen shows for a day key: noon of that day in the device zone
+   */
+  dateForDayKey(dayKey) {
+    const { start, end } = getDayBounds(dayKey, getDeviceTimeZone());
+    return new Date((start + end) / 2);
+  }
+
+  /**
+   * Clip items to a local day for display
+   *
+   * Items keep their real id, start_time and end_time, so edits and sync
+   * still see one entity. `display_start_time`, `display_end_time` and
+   * `display_duration` cover the part on this day, and
+   * `continued_from_previous_day` / `continues_next_day` mark a cut at midnight.
+   * Items that don't touch the day are left out.
+   */
+  splitForDay(items, dateString, timeZone) {
+    const { start, end } = getDayBounds(dateString, timeZone);
+
+    return items.flatMap(item => {
+      const itemStart = Date.parse(item.start_time);
+      const itemEnd = Date.parse(item.end_time);
+      if (Number.isNaN(itemStart) || Number.isNaN(itemEnd)) return [item];
+
+      const displayStart = Math.max(itemStart, start);
+      const displayEnd = Math.min(itemEnd, end);
+      if (displayEnd < displayStart) return [];
+
+      return [{
+        ...item,
+        display_start_time: new Date(displayStart).toISOString(),
+        display_end_time: new Date(displayEnd).toISOString(),
+        display_duration: Math.round((displayEnd - displayStart) / 1000),
+        continued_from_previous_day: itemStart < start,
+        continues_next_day: itemEnd > end
+      }];
+    });
+  }
+
+  /**
+   * Timeline of the local days startDate..endDate (Dates or YYYY-MM-DD keys)
+   * in one request
+   *
+   * Every day of the response is cached with its sync time. When the request
+   * fails the cached days are returned (`fromCache`, `refreshFailed`), or the
+   * error is thrown if none of them was loaded before. The result has the range's `visits`
+   * and `travels` and `days`, one day view per day with the `synced_at` of its
+   * cached copy (null when it was never loaded).
+   */
+  async fetchTimelineForDateRange(startDate, endDate, authToken) {
+    const timeZone = getDeviceTimeZone();
+    const startDateString = toDayKey(startDate, timeZone);
+    const endDateString = toDayKey(endDate, timeZone);
 
     try {
-      // Try to get fresh data from API
-      return await this.fetchTimelineForDate(date, authToken);
+      const data = await this.getJson(
+        'timeline',
+        { start_date: startDateString, end_date: endDateString, timezone: timeZone },
+        authToken,
+        'Timeline'
+      );
+      const timelineData = this.toTimelineData(data, timeZone);
+
+      const syncedAt = await TimelineDatabase.saveTimelineRange(startDateString, endDateString, timelineData);
+      await this.tagPlaces(startDateString, endDateString);
+
+      return { ...(await this.buildRangeView(timelineData, startDateString, endDateString)), syncedAt };
     } catch (error) {
-      // If API fails, try local cache
-      console.log('API failed, checking local cache...');
-      const localData = await TimelineDatabase.getTimelineForDate(dateString);
+      console.error('Failed to fetch timeline range from API:', error);
+
+      const cached = await this.getCachedRangeView(startDateString, endDateString);
+      if (!cached) throw error;
+
+      console.log(`Using cached timeline for ${cached.days.filter(day => day.synced_at).length} of the days`);
+      return {
+        ...cached,
+        refreshFailed: true,
+        // The refresh failed too; AuthContext has already asked the user to log in
+        sessionExpired: error.status === 401
+      };
+    }
+  }
 
-      if (localData.visits.length > 0 || localData.travels.length > 0) {
+  /**
+   * Cached view of a range (`fromCache`), or null when none of its days was
+   * loaded; `syncedAt` is that of its least recently synced day
+   */
+  async getCachedRangeView(startDate, endDate) {
+    const cached = await TimelineDatabase.getTimelineForRange(startDate, endDate);
+    if (cached.days.length === 0) return null;
+
+    return {
+      ...(await this.buildRangeView({
+        visits: cached.visits,
+        travels: cached.travels,
+        timezone: cached.days[0].timezone || getDeviceTimeZone()
+      }, startDate, endDate)),
+      syncedAt: cached.days.map(day => day.synced_at).sort()[0] ?? null,
+      fromCache: true
+    };
+  }
+
+  /**
+   * Range view of a server response or cached range: items that started
+   * before the range and run into it are added from the cache, local changes
+   * are laid over them and each day gets its own view (see buildDayView)
+   */
+  async buildRangeView(data, startDate, endDate) {
+    const cached = await TimelineDatabase.getTimelineForRange(startDate, endDate);
+    const withCarryOver = (items = [], cachedItems) => {
+      const ids = new Set(items.map(item => item.id));
+      return [...cachedItems.filter(item => item.date < startDate && !ids.has(item.id)), ...items];
+    };
+    const { visits, travels } = await this.applyLocalChanges(
+      withCarryOver(data.visits, cached.visits),
+      withCarryOver(data.travels, cached.travels)
+    );
+    const byStart = (a, b) => Date.parse(a.start_time) - Date.parse(b.start_time);
+    const cachedDays = new Map(cached.days.map(day => [day.date, day]));
+
+    return {
+      ...data,
+      start_date: startDate,
+      end_date: endDate,
+      visits: visits.sort(byStart),
+      travels: travels.sort(byStart),
+      days: listDayKeys(startDate, endDate).map(date => {
+        const zone = cachedDays.get(date)?.timezone || data.timezone;
         return {
-          date: dateString,
-          timezone: 'UTC',
-          ...localData,
-          fromCache: true
+          date,
+          timezone: zone,
+          synced_at: cachedDays.get(date)?.synced_at ?? null,
+          visits: this.splitForDay(visits, date, zone),
+          travels: this.splitForDay(travels, date, zone)
         };
-      }
+      })
+    };
+  }
+
+  /**
+   * First and last day key (device zone) of the day, week (Monday to Sunday)
+   * or month around `date`; the range stops at today
+   */
+  getSpanRange(date, span = 'day') {
+    const timeZone = getDeviceTimeZone();
+    const day = toDayKey(date, timeZone);
+    const today = toDayKey(Date.now(), timeZone);
+
+    let startDate = day;
+    let endDate = day;
+    if (span === 'week') {
+      startDate = addDays(day, -((getWeekday(day) + 6) % 7));
+      endDate = addDays(startDate, 6);
+    } else if (span === 'month') {
+      startDate = `${day.slice(0, 8)}01`;
+      // The 28th plus four days is always in the next month
+      endDate = addDays(`${addDays(`${day.slice(0, 8)}28`, 4).slice(0, 8)}01`, -1);
+    }
+
+    return {
+      startDate,
+      endDate: endDate < today ? endDate : today,
+      includesToday: startDate <= today && endDate >= today
+    };
+  }
+
+  /**
+   * `date` moved by one day, week or month
+   */
+  shiftDate(date, span, direction) {
+    const shifted = new Date(date);
+    if (span === 'month') {
+      shifted.setDate(1);
+      shifted.setMonth(shifted.getMonth() + direction);
+    } else {
+      shifted.setDate(shifted.getDate() + direction * (span === 'week' ? 7 : 1));
+    }
+    return shifted;
+  }
+
+  /**
+   * Heading for a week or month range (see getSpanRange)
+   */
+  formatRangeLabel({ startDate, endDate }, span) {
+    const format = (dayKey, options) => this.dateForDayKey(dayKey).toLocaleDateString('en-US', options);
+    if (span === 'month') {
+      return format(startDate, { month: 'long', year: 'numeric' });
+    }
+    return `${format(startDate, { month: 'short', day: 'numeric' })} - ${format(endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  /**
+   * Timeline of a local day, cache first
+   *
+   * A day loaded before comes straight from the cache. Once it is past its
+   * freshness (see FRESHNESS_RULES) it is returned with `revalidating` and
+   * refetched in the background, and `onUpdate` gets the refetched view (or
+   * the cached one with `refreshFailed`). Days never loaded, and `force`,
+   * wait for the server.
+   */
+  async getTimelineForDate(date, authToken, { force = false, onUpdate = null } = {}) {
+    const timeZone = getDeviceTimeZone();
+    const dateString = toDayKey(date, timeZone);
+
+    const cached = force ? null : await this.getCachedDayView(dateString);
+    if (cached?.syncedAt) {
+      if (this.isDayFresh(dateString, cached.syncedAt)) return cached;
+
+      this.revalidate(dateString, () => this.fetchTimelineForDate(dateString, authToken), onUpdate);
+      return { ...cached, revalidating: true };
+    }
 
+    try {
+      // fetchTimelineForDate falls back to the cache itself
+      return await this.fetchTimelineForDate(dateString, authToken);
+    } catch (error) {
       // No data available
       return {
         date: dateString,
-        timezone: 'UTC',
+        timezone: timeZone,
         visits: [],
         travels: [],
         fromCache: false,
@@ -141,42 +512,59 @@ class TimelineService {
     }
   }
 
-  async syncRecentTimeline(authToken, daysBack = 7) {
-    const promises = [];
+  /**
+   * Timeline of the local days startDate..endDate, cache first as
+   * getTimelineForDate: a range whose days were all loaded comes from the
+   * cache and is refetched in one request when any of its days is stale
+   */
+  async getTimelineForDateRange(startDate, endDate, authToken, { force = false, onUpdate = null } = {}) {
+    const timeZone = getDeviceTimeZone();
+    const startDateString = toDayKey(startDate, timeZone);
+    const endDateString = toDayKey(endDate, timeZone);
+    const fetchRange = () => this.fetchTimelineForDateRange(startDateString, endDateString, authToken);
+
+    const cached = force ? null : await this.getCachedRangeView(startDateString, endDateString);
+    if (cached?.days.every(day => day.synced_at)) {
+      if (cached.days.every(day => this.isDayFresh(day.date, day.synced_at))) return cached;
+
+      this.revalidate(`${startDateString}..${endDateString}`, fetchRange, onUpdate);
+      return { ...cached, revalidating: true };
+    }
 
-    for (let i = 0; i < daysBack; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
+    return fetchRange();
+  }
 
-      promises.push(
-        this.fetchTimelineForDate(date, authToken).catch(error => {
-          console.warn(`Failed to sync timeline for ${date.toISOString().split('T')[0]}:`, error);
-        })
-      );
-    }
+  /**
+   * "Updated 5 min ago" for a view's `syncedAt`
+   */
+  formatUpdatedAgo(syncedAt) {
+    const ageMs = Date.now() - Date.parse(syncedAt);
+    if (!Number.isFinite(ageMs)) return 'Not updated yet';
+    if (ageMs < MINUTE_MS) return 'Updated just now';
+    if (ageMs < HOUR_MS) return `Updated ${Math.floor(ageMs / MINUTE_MS)} min ago`;
+    if (ageMs < DAY_MS) return `Updated ${Math.floor(ageMs / HOUR_MS)}h ago`;
+    return `Updated ${Math.floor(ageMs / DAY_MS)}d ago`;
+  }
 
-    await Promise.all(promises);
+  /**
+   * Refresh the cache of the last `daysBack` days, today included, in one request
+   */
+  async syncRecentTimeline(authToken, daysBack = 7) {
+    const today = toDayKey(Date.now(), getDeviceTimeZone());
+
+    try {
+      await this.fetchTimelineForDateRange(addDays(today, 1 - daysBack), today, authToken);
+    } catch (error) {
+      console.warn(`Failed to sync the last ${daysBack} days of timeline:`, error);
+    }
   }
 
   async fetchLocationPointsForDate(date, authToken) {
     try {
-      const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-
-      const response = await fetch(`${this.API_URL}/api/timeline/location_points?date=${dateString}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`Location points API error: ${response.status}`);
-      }
+      const timeZone = getDeviceTimeZone();
+      const dateString = toDayKey(date, timeZone);
 
-      const data = await response.json();
-      return data;
+      return await this.getJson('locationPoints', { date: dateString, timezone: timeZone }, authToken, 'Location points');
     } catch (error) {
       console.error('Failed to fetch location points from API:', error);
       throw error;
@@ -205,18 +593,18 @@ class TimelineService {
   }
 
   isValidTimeZone(timezone) {
-    if (!timezone || typeof timezone !== 'string') {
-      return false;
+    const valid = isValidTimeZone(timezone);
+    if (!valid && timezone) {
+      console.warn('Invalid timezone:', timezone);
     }
+    return valid;
+  }
 
-    try {
-      // Test if the timezone is valid by trying to use it
-      Intl.DateTimeFormat(undefined, { timeZone: timezone });
-      return true;
-    } catch (error) {
-      console.warn('Invalid timezone:', timezone, error);
-      return false;
-    }
+  /**
+   * Zone to show an item's times in: its own recorded zone, else the day's
+   */
+  displayTimeZone(item, timeline) {
+    return item?.time_zone || timeline?.timezone || null;
   }
 
   formatTime(isoString, timezone = null) {
@@ -231,6 +619,27 @@ class TimelineService {
     return date.toLocaleTimeString([], options);
   }
 
+  /**
+   * Start - end on the displayed day (see splitForDay)
+   */
+  formatTimeRange(item, timeline) {
+    const timezone = this.displayTimeZone(item, timeline);
+    const start = this.formatTime(item.display_start_time || item.start_time, timezone);
+    const end = this.formatTime(item.display_end_time || item.end_time, timezone);
+    return `${start} - ${end}`;
+  }
+
+  /**
+   * Marker for an item cut at midnight, or null
+   */
+  continuationLabel(item) {
+    const labels = [
+      item.continued_from_previous_day && 'Continued from yesterday',
+      item.continues_next_day && 'Continues tomorrow'
+    ].filter(Boolean);
+    return labels.length > 0 ? labels.join(' · ') : null;
+  }
+
   formatDateTime(isoString, timezone = null) {
     const date = new Date(isoString);
     const options = {
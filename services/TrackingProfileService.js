@@ -0,0 +1,120 @@
+import * as Location from 'expo-location';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import BatteryService from './BatteryService';
+
+const OVERRIDE_STORAGE_KEY = '@haps_tracking_profile_override';
+const HIGH_FIDELITY_BATTERY_LEVEL = 0.5;
+
+export const TRACKING_PROFILES = {
+  high_fidelity: {
+    label: 'High fidelity',
+    accuracy: Location.Accuracy.BestForNavigation,
+    timeInterval: 5000, // 5 seconds
+    distanceInterval: 5, // 5 meters
+    deferredUpdatesInterval: 10000 // 10 seconds
+  },
+  balanced: {
+    label: 'Balanced',
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 15000, // 15 seconds
+    distanceInterval: 10, // 10 meters
+    deferredUpdatesInterval: 30000 // 30 seconds
+  },
+  battery_saver: {
+    label: 'Battery saver',
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 60000, // 1 minute
+    distanceInterval: 50, // 50 meters
+    deferredUpdatesInterval: 2 * 60 * 1000 // 2 minutes
+  },
+  stationary: {
+    label: 'Stationary',
+    accuracy: Location.Accuracy.Low,
+    timeInterval: 5 * 60 * 1000, // 5 minutes
+    distanceInterval: 100, // wake up once we actually leave
+    deferredUpdatesInterval: 5 * 60 * 1000 // 5 minutes
+  }
+};
+
+/**
+ * TrackingProfileService - Picks GPS accuracy and update intervals
+ *
+ * Features:
+ * - Named profiles (high fidelity, balanced, battery saver, stationary)
+ * - Automatic selection from detected activity and battery state
+ * - Persisted user override ('auto' lets the automatic selection decide)
+ */
+class TrackingProfileService {
+  constructor() {
+    this.override = 'auto';
+    this.isLoaded = false;
+  }
+
+  async loadOverride() {
+    if (this.isLoaded) return this.override;
+
+    try {
+      const stored = await AsyncStorage.getItem(OVERRIDE_STORAGE_KEY);
+      if (stored && (stored === 'auto' || TRACKING_PROFILES[stored])) {
+        this.override = stored;
+      }
+    } catch (error) {
+      console.error('❌ Failed to load tracking profile override:', error);
+    }
+
+    this.isLoaded = true;
+    return this.override;
+  }
+
+  async setOverride(profileName) {
+    if (profileName !== 'auto' && !TRACKING_PROFILES[profileName]) {
+      throw new Error(`Unknown tracking profile: ${profileName}`);
+    }
+
+    this.override = profileName;
+    this.isLoaded = true;
+
+    try {
+      await AsyncStorage.setItem(OVERRIDE_STORAGE_KEY, profileName);
+    } catch (error) {
+      console.error('❌ Failed to save tracking profile override:', error);
+    }
+  }
+
+  /**
+   * Choose a profile name for the current activity and battery state
+   *
+   * `battery` comes from BatteryService.getBatteryInfo() and may be null.
+   */
+  selectProfile({ activity, battery }) {
+    if (this.override !== 'auto') return this.override;
+
+    if (activity === 'stationary') return 'stationary';
+
+    const batteryStatus = BatteryService.getBatteryStatus(battery);
+    const level = typeof battery?.level === 'number' ? battery.level : null;
+
+    // Low power mode counts as 'low' so we honour the user's own battery choice
+    if (batteryStatus === 'low' || batteryStatus === 'critical') return 'battery_saver';
+    if (activity === 'unknown') return 'balanced';
+    if (batteryStatus === 'charging') return 'high_fidelity';
+
+    // Walks and rides produce wiggly paths that need dense fixes; vehicles follow roads
+    if ((activity === 'walking' || activity === 'cycling') && level !== null && level >= HIGH_FIDELITY_BATTERY_LEVEL) {
+      return 'high_fidelity';
+    }
+
+    return 'balanced';
+  }
+
+  getProfile(profileName) {
+    return TRACKING_PROFILES[profileName] || TRACKING_PROFILES.balanced;
+  }
+
+  getProfileNames() {
+    return Object.keys(TRACKING_PROFILES);
+  }
+}
+
+// Export singleton instance
+export default new TrackingProfileService();
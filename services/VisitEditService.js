@@ -0,0 +1,189 @@
+import * as Sentry from '@sentry/react-native';
+import TimelineDatabase from './TimelineDatabase';
+import SmartGeocodingService from './SmartGeocodingService';
+import ApiClient from './ApiClient';
+
+export const VISIT_EDIT_SOURCES = {
+  confirmed: 'Confirmed',
+  suggestion: 'Suggested place',
+  search: 'Search result',
+  custom: 'Custom name'
+};
+
+// Client errors worth retrying; any other 4xx means the server won't take the edit
+const RETRYABLE_CLIENT_STATUSES = [401, 408, 429];
+
+/**
+ * VisitEditService - User corrections to the place of a visit
+ *
+ * Features:
+ * - Confirm the visit's place, pick one of its suggested_locations, a search
+ *   result or a custom name
+ * - Edits apply to the cached timeline at once and wait in timeline.db's
+ *   `visit_edits` queue until the server has them, so they work offline
+ * - Queued edits are laid over timelines fetched before they uploaded
+ * - The chosen place is cached by SmartGeocodingService as a 'manual'
+ *   geocode, so later visits at the same spot are named the same way
+ *
+ * Uploads run with LocationSyncService.syncNow (timeline policy category)
+ * and right after an edit when the screen has a token.
+ */
+class VisitEditService {
+  /**
+   * Places to offer for a visit: its current place, then suggestions not already listed
+   */
+  getPlaceOptions(visit) {
+    const options = [];
+    const seen = new Set();
+
+    for (const place of [visit.location, ...(visit.suggested_locations || [])]) {
+      const key = place?.name?.trim().toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      options.push(place);
+    }
+
+    return options;
+  }
+
+  /**
+   * Set the place of a visit and queue the change for upload
+   *
+   * `place` is `{ name, address, latitude, longitude }`; missing coordinates
+   * default to the visit's centre. Returns the updated visit.
+   */
+  async editVisit(visit, place, source) {
+    if (!(visit?.id > 0)) {
+      throw new Error('Only visits from the server can be edited');
+    }
+    if (!VISIT_EDIT_SOURCES[source]) {
+      throw new Error(`Unknown visit edit source: ${source}`);
+    }
+
+    const name = place?.name?.trim();
+    if (!name) {
+      throw new Error('A place needs a name');
+    }
+
+    const editedPlace = {
+      name,
+      address: place.address?.trim() || null,
+      latitude: place.latitude ?? visit.center_latitude ?? null,
+      longitude: place.longitude ?? visit.center_longitude ?? null
+    };
+
+    await TimelineDatabase.updateVisitPlace(visit.id, editedPlace);
+    await TimelineDatabase.saveVisitEdit(visit.id, editedPlace, source);
+    console.log(`✏️ Visit ${visit.id} set to ${name} (${source})`);
+
+    // Key the manual geocode by where the visit happened, which is what later visits are looked up by
+    const latitude = visit.center_latitude ?? editedPlace.latitude;
+    const longitude = visit.center_longitude ?? editedPlace.longitude;
+    if (latitude !== null && longitude !== null) {
+      await SmartGeocodingService.cacheManualPlace(latitude, longitude, editedPlace);
+    }
+
+    return { ...visit, location: editedPlace, confirmed: true, edit_pending: true };
+  }
+
+  /**
+   * Keep the visit's current place, marking it as right
+   */
+  async confirmPlace(visit) {
+    if (!visit?.location?.name) {
+      throw new Error('This visit has no place to confirm');
+    }
+    return this.editVisit(visit, visit.location, 'confirmed');
+  }
+
+  async getPendingEdits() {
+    return TimelineDatabase.getVisitEdits('pending');
+  }
+
+  /**
+   * Lay queued edits over visits from the server
+   *
+   * Pending edits replace the place; edits the server rejected only mark the
+   * visit with `edit_failed`.
+   */
+  async applyPendingEdits(visits = []) {
+    const edits = new Map((await TimelineDatabase.getVisitEdits()).map(edit => [edit.visit_id, edit]));
+    if (edits.size === 0) return visits;
+
+    return visits.map(visit => {
+      const edit = edits.get(visit.id);
+      if (!edit) return visit;
+      if (edit.status === 'failed') return { ...visit, edit_failed: true };
+      return { ...visit, location: edit.place, confirmed: true, edit_pending: true };
+    });
+  }
+
+  /**
+   * Upload queued edits, oldest first
+   *
+   * Accepted edits leave the queue. Edits the server refuses (4xx other than
+   * auth, timeout or throttling) are kept as 'failed' and not retried. A
+   * network error, 5xx or retryable status stops the run; the rest wait for
+   * the next sync.
+   */
+  async syncPendingEdits(authToken) {
+    const result = { synced: 0, errors: 0, failed: 0, details: [] };
+    const edits = await this.getPendingEdits();
+
+    for (const edit of edits) {
+      try {
+        const response = await ApiClient.request('updateVisit', {
+          params: { id: edit.visit_id },
+          token: authToken,
+          json: {
+            visit: {
+              location: edit.place,
+              source: edit.source,
+              confirmed: true,
+              edited_at: new Date(edit.created_at).toISOString()
+            }
+          }
+        });
+
+        if (response.ok) {
+          await TimelineDatabase.deleteVisitEdit(edit);
+          result.synced++;
+          continue;
+        }
+
+        const permanent = response.status >= 400 && response.status < 500 &&
+          !RETRYABLE_CLIENT_STATUSES.includes(response.status);
+        await TimelineDatabase.recordVisitEditFailure(edit, `HTTP ${response.status}`, { permanent });
+        result.details.push(`Visit ${edit.visit_id}: HTTP ${response.status}`);
+
+        if (permanent) {
+          result.failed++;
+          console.warn(`✏️ Visit edit ${edit.visit_id} rejected: HTTP ${response.status}`);
+          continue;
+        }
+
+        result.errors++;
+        break;
+      } catch (error) {
+        await TimelineDatabase.recordVisitEditFailure(edit, error.message);
+        result.errors++;
+        result.details.push(`Visit ${edit.visit_id}: ${error.message}`);
+        console.error('✏️ Visit edit sync exception:', error);
+        Sentry.captureException(error, {
+          tags: { section: 'visit_edits', error_type: 'sync_error' },
+          extra: { visitId: edit.visit_id, attempts: edit.attempts }
+        });
+        break;
+      }
+    }
+
+    if (result.synced > 0) {
+      console.log(`✏️ Synced ${result.synced} visit edits`);
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+export default new VisitEditService();
@@ -6,4 +6,18 @@ export { default as ClientTimelineProcessor } from './ClientTimelineProcessor';
 export { default as SmartGeocodingService } from './SmartGeocodingService';
 export { default as HeartbeatService } from './HeartbeatService';
 export { default as LoggingService } from './LoggingService';
-export { default as TimelineService } from './TimelineService';
\ No newline at end of file
+export { default as TimelineService } from './TimelineService';
+export { default as LocationExportService } from './LocationExportService';
+export { default as GoogleTakeoutImportService } from './GoogleTakeoutImportService';
+export { default as LocationFilterPipeline } from './LocationFilterPipeline';
+export { default as ActivityRecognitionService } from './ActivityRecognitionService';
+export { default as TrackingProfileService } from './TrackingProfileService';
+export { default as BatteryService } from './BatteryService';
+export { default as PrivacyZoneService } from './PrivacyZoneService';
+export { default as GeofenceService } from './GeofenceService';
+export { default as SyncPolicyService } from './SyncPolicyService';
+export { default as SyncHttpClient } from './SyncHttpClient';
+export { default as ApiClient } from './ApiClient';
+export { default as VisitEditService } from './VisitEditService';
+export { default as TimelineCorrectionService } from './TimelineCorrectionService';
+export { default as PlaceService } from './PlaceService';
\ No newline at end of file
@@ -0,0 +1,275 @@
+import DatabaseMigrator from '../DatabaseMigrator';
+
+/**
+ * Schema migrations for haps_locations.db (LocationCacheService)
+ *
+ * Append new migrations with the next version number. Never edit a migration
+ * that has shipped - existing installs have already recorded it as applied.
+ */
+const locationCacheMigrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: async (db) => {
+      // Location cache table - stores all location points locally
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS cached_locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          uuid TEXT UNIQUE NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          accuracy REAL,
+          altitude REAL,
+          altitude_accuracy REAL,
+          speed REAL,
+          heading REAL,
+          timestamp INTEGER NOT NULL,
+          recorded_at INTEGER NOT NULL,
+          time_zone TEXT,
+          is_moving BOOLEAN DEFAULT 0,
+          activity_type TEXT,
+          activity_confidence INTEGER,
+          battery_level REAL,
+          battery_charging BOOLEAN DEFAULT 0,
+          payload TEXT, -- JSON string of full background-geolocation payload
+          synced BOOLEAN DEFAULT 0,
+          sync_attempts INTEGER DEFAULT 0,
+          last_sync_attempt INTEGER,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      // Heartbeat cache table - stores heartbeat/stationary events
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS cached_heartbeats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          location_id INTEGER,
+          battery_level REAL,
+          battery_charging BOOLEAN DEFAULT 0,
+          activity_type TEXT,
+          activity_confidence INTEGER,
+          odometer REAL,
+          is_moving BOOLEAN DEFAULT 0,
+          tracking_enabled BOOLEAN DEFAULT 1,
+          timestamp INTEGER NOT NULL,
+          payload TEXT, -- JSON string of full heartbeat data
+          synced BOOLEAN DEFAULT 0,
+          sync_attempts INTEGER DEFAULT 0,
+          last_sync_attempt INTEGER,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          FOREIGN KEY (location_id) REFERENCES cached_locations(id)
+        )
+      `);
+
+      // Local timeline segments (for offline timeline building)
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS local_timeline_segments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL, -- 'visit' or 'travel'
+          start_time INTEGER NOT NULL,
+          end_time INTEGER,
+          start_latitude REAL,
+          start_longitude REAL,
+          end_latitude REAL,
+          end_longitude REAL,
+          center_latitude REAL,
+          center_longitude REAL,
+          distance REAL DEFAULT 0,
+          location_count INTEGER DEFAULT 0,
+          place_name TEXT,
+          place_address TEXT,
+          confidence REAL DEFAULT 0.5,
+          synced BOOLEAN DEFAULT 0,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+      `);
+
+      // Create indexes for performance
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON cached_locations(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_locations_synced ON cached_locations(synced);
+        CREATE INDEX IF NOT EXISTS idx_locations_uuid ON cached_locations(uuid);
+        CREATE INDEX IF NOT EXISTS idx_heartbeats_timestamp ON cached_heartbeats(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_heartbeats_synced ON cached_heartbeats(synced);
+        CREATE INDEX IF NOT EXISTS idx_timeline_time_range ON local_timeline_segments(start_time, end_time);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'geocoding_tables',
+    up: async (db) => {
+      // Previously created lazily by SmartGeocodingService.createGeocodeCache()
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS geocode_cache (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          place_name TEXT,
+          place_address TEXT,
+          place_type TEXT,
+          country TEXT,
+          region TEXT,
+          city TEXT,
+          postal_code TEXT,
+          street TEXT,
+          confidence REAL DEFAULT 0.5,
+          source TEXT DEFAULT 'expo_location', -- 'expo_location', 'server', 'manual'
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          expires_at INTEGER, -- Optional expiration for geocodes
+          UNIQUE(latitude, longitude) ON CONFLICT REPLACE
+        )
+      `);
+
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_geocode_spatial ON geocode_cache(latitude, longitude);
+        CREATE INDEX IF NOT EXISTS idx_geocode_expires ON geocode_cache(expires_at);
+      `);
+
+      // Geocoding queue table for server requests
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS geocoding_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          timeline_segment_id INTEGER,
+          priority INTEGER DEFAULT 1, -- 1=low, 2=medium, 3=high
+          requested_at INTEGER DEFAULT (strftime('%s', 'now')),
+          attempts INTEGER DEFAULT 0,
+          last_attempt_at INTEGER,
+          status TEXT DEFAULT 'pending' -- 'pending', 'processing', 'completed', 'failed'
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'cached_locations_source',
+    up: async (db) => {
+      // Distinguishes app-recorded points from imported history (e.g. 'google_takeout')
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'source', 'TEXT');
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_locations_source ON cached_locations(source);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'cached_locations_filtering',
+    up: async (db) => {
+      // LocationFilterPipeline outcome; rejected points are kept for auditing
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'filter_status', "TEXT DEFAULT 'accepted'");
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'filter_reason', 'TEXT');
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'raw_latitude', 'REAL');
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'raw_longitude', 'REAL');
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_locations_filter_status ON cached_locations(filter_status, timestamp);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'battery_low_power_mode',
+    up: async (db) => {
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'battery_low_power', 'INTEGER DEFAULT 0');
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_heartbeats', 'battery_low_power', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 6,
+    name: 'privacy_zones',
+    up: async (db) => {
+      // User-defined circles around sensitive places (PrivacyZoneService)
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS privacy_zones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius_meters REAL NOT NULL,
+          mode TEXT NOT NULL CHECK (mode IN ('drop', 'snap', 'local_only')),
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+      `);
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'privacy_zone_id', 'INTEGER');
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'privacy_mode', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    name: 'geofence_events',
+    up: async (db) => {
+      // Enter/exit events from GeofenceService, used as visit boundaries
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS geofence_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          identifier TEXT NOT NULL,
+          event_type TEXT NOT NULL CHECK (event_type IN ('enter', 'exit')),
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius REAL NOT NULL,
+          timestamp INTEGER NOT NULL, -- milliseconds, like local_timeline_segments
+          created_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_geofence_events_timestamp ON geofence_events(timestamp);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'location_upload_quarantine',
+    up: async (db) => {
+      // Rows the server permanently rejected are kept but never uploaded again
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'quarantine_reason', 'TEXT');
+      await DatabaseMigrator.addColumnIfMissing(db, 'cached_locations', 'quarantined_at', 'INTEGER');
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_locations_upload_queue
+          ON cached_locations(synced, quarantine_reason, last_sync_attempt);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'corrected_timeline_segments',
+    up: async (db) => {
+      // Segments the user split or merged; the detector doesn't overwrite them
+      await DatabaseMigrator.addColumnIfMissing(db, 'local_timeline_segments', 'user_corrected', 'INTEGER DEFAULT 0');
+    }
+  },
+  {
+    version: 10,
+    name: 'places',
+    up: async (db) => {
+      // Places learned from visit history or edited by the user (PlaceService)
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS places (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT,
+          address TEXT,
+          category TEXT NOT NULL DEFAULT 'other',
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius_meters REAL NOT NULL,
+          visit_count INTEGER DEFAULT 0,
+          total_duration INTEGER DEFAULT 0, -- seconds
+          first_visit_at INTEGER, -- milliseconds, like local_timeline_segments
+          last_visit_at INTEGER,
+          user_edited INTEGER DEFAULT 0,
+          deleted_at INTEGER, -- kept so relearning doesn't bring a deleted place back
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+      `);
+      await DatabaseMigrator.addColumnIfMissing(db, 'local_timeline_segments', 'place_id', 'INTEGER');
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_timeline_place ON local_timeline_segments(place_id);
+      `);
+    }
+  }
+];
+
+export default locationCacheMigrations;
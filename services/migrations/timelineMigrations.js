@@ -0,0 +1,265 @@
+import DatabaseMigrator from '../DatabaseMigrator';
+
+/**
+ * Schema migrations for timeline.db (TimelineDatabase)
+ *
+ * Append new migrations with the next version number. Never edit a migration
+ * that has shipped - existing installs have already recorded it as applied.
+ */
+const timelineMigrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: async (db) => {
+      // Visits table
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS visits (
+          id INTEGER PRIMARY KEY,
+          backend_id INTEGER UNIQUE,
+          date TEXT NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          duration INTEGER,
+          center_latitude REAL,
+          center_longitude REAL,
+          location_name TEXT,
+          location_address TEXT,
+          location_latitude REAL,
+          location_longitude REAL,
+          suggested_locations TEXT, -- JSON string
+          synced_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Travels table
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS travels (
+          id INTEGER PRIMARY KEY,
+          backend_id INTEGER UNIQUE,
+          date TEXT NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          duration INTEGER,
+          distance REAL,
+          center_latitude REAL,
+          center_longitude REAL,
+          synced_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Create indexes for better query performance
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_visits_date ON visits(date);
+        CREATE INDEX IF NOT EXISTS idx_travels_date ON travels(date);
+        CREATE INDEX IF NOT EXISTS idx_visits_backend_id ON visits(backend_id);
+        CREATE INDEX IF NOT EXISTS idx_travels_backend_id ON travels(backend_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'timeline_day_timezones',
+    up: async (db) => {
+      // Time zone the server used for each cached local day
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS timeline_days (
+          date TEXT PRIMARY KEY,
+          timezone TEXT,
+          synced_at TEXT
+        );
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'timeline_item_bounds',
+    up: async (db) => {
+      // Epoch ms bounds so items spanning midnight can be found from either day
+      for (const table of ['visits', 'travels']) {
+        await DatabaseMigrator.addColumnIfMissing(db, table, 'start_at', 'INTEGER');
+        await DatabaseMigrator.addColumnIfMissing(db, table, 'end_at', 'INTEGER');
+
+        const rows = await db.getAllAsync(`SELECT id, start_time, end_time FROM ${table}`);
+        for (const row of rows) {
+          await db.runAsync(`UPDATE ${table} SET start_at = ?, end_at = ? WHERE id = ?`, [
+            Date.parse(row.start_time) || null,
+            Date.parse(row.end_time) || null,
+            row.id
+          ]);
+        }
+
+        await db.execAsync(`CREATE INDEX IF NOT EXISTS idx_${table}_bounds ON ${table}(start_at, end_at);`);
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'visit_edits',
+    up: async (db) => {
+      await DatabaseMigrator.addColumnIfMissing(db, 'visits', 'confirmed', 'INTEGER DEFAULT 0');
+
+      // Offline queue of place corrections; one pending edit per visit
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS visit_edits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          visit_id INTEGER NOT NULL UNIQUE, -- backend id
+          place TEXT NOT NULL, -- JSON: name, address, latitude, longitude
+          source TEXT NOT NULL, -- confirmed, suggestion, search or custom
+          status TEXT NOT NULL DEFAULT 'pending', -- pending or failed
+          revision INTEGER NOT NULL DEFAULT 0, -- bumped when the visit is edited again
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          created_at INTEGER NOT NULL -- epoch ms
+        );
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'timeline_corrections',
+    up: async (db) => {
+      // Offline queue of split/merge corrections (see TimelineCorrections)
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS timeline_corrections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL, -- split or merge
+          items TEXT NOT NULL, -- JSON: the items replaced
+          result TEXT NOT NULL, -- JSON: the items replacing them
+          split_at INTEGER, -- epoch ms, splits only
+          status TEXT NOT NULL DEFAULT 'pending', -- pending or failed
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          created_at INTEGER NOT NULL -- epoch ms
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'visit_search',
+    up: async (db) => {
+      // What the device knows about a visit that the server doesn't: the
+      // user's note and the place (PlaceService) it was at. Kept apart from
+      // visits, whose rows are replaced on every fetch.
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS visit_annotations (
+          visit_id INTEGER PRIMARY KEY, -- backend id
+          note TEXT,
+          place_id INTEGER, -- places.id in haps_locations.db
+          place_name TEXT,
+          category TEXT, -- PLACE_CATEGORIES key
+          updated_at INTEGER -- epoch ms
+        );
+      `);
+
+      // Full-text index of visits, one row per visit with rowid = backend id
+      await db.execAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS visit_search USING fts5(
+          location_name, location_address, note, place_name, category,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+      `);
+
+      // Triggers keep the index in step with both tables
+      const indexVisit = (visitId) => `
+        DELETE FROM visit_search WHERE rowid = ${visitId};
+        INSERT INTO visit_search (rowid, location_name, location_address, note, place_name, category)
+        SELECT v.backend_id, v.location_name, v.location_address, a.note, a.place_name, a.category
+        FROM visits v LEFT JOIN visit_annotations a ON a.visit_id = v.backend_id
+        WHERE v.backend_id = ${visitId};
+      `;
+      await db.execAsync(`
+        CREATE TRIGGER IF NOT EXISTS visit_search_insert AFTER INSERT ON visits BEGIN
+          ${indexVisit('new.backend_id')}
+        END;
+        CREATE TRIGGER IF NOT EXISTS visit_search_update AFTER UPDATE ON visits BEGIN
+          DELETE FROM visit_search WHERE rowid = old.backend_id;
+          ${indexVisit('new.backend_id')}
+        END;
+        CREATE TRIGGER IF NOT EXISTS visit_search_delete AFTER DELETE ON visits BEGIN
+          DELETE FROM visit_search WHERE rowid = old.backend_id;
+        END;
+        CREATE TRIGGER IF NOT EXISTS visit_annotation_insert AFTER INSERT ON visit_annotations BEGIN
+          ${indexVisit('new.visit_id')}
+        END;
+        CREATE TRIGGER IF NOT EXISTS visit_annotation_update AFTER UPDATE ON visit_annotations BEGIN
+          ${indexVisit('new.visit_id')}
+        END;
+        CREATE TRIGGER IF NOT EXISTS visit_annotation_delete AFTER DELETE ON visit_annotations BEGIN
+          ${indexVisit('old.visit_id')}
+        END;
+      `);
+
+      await db.execAsync(`
+        DELETE FROM visit_search;
+        INSERT INTO visit_search (rowid, location_name, location_address)
+        SELECT backend_id, location_name, location_address FROM visits WHERE backend_id IS NOT NULL;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'timeline_day_validators',
+    up: async (db) => {
+      // ETag and Last-Modified of a day's response, sent back to revalidate it
+      await DatabaseMigrator.addColumnIfMissing(db, 'timeline_days', 'etag', 'TEXT');
+      await DatabaseMigrator.addColumnIfMissing(db, 'timeline_days', 'last_modified', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    name: 'visit_search_skip_local_visits',
+    up: async (db) => {
+      // The index is keyed by backend id, so visits without one (and
+      // annotations of no visit) must not touch it, as in the backfill above
+      const indexVisit = (visitId) => `
+        DELETE FROM visit_search WHERE rowid = ${visitId};
+        INSERT INTO visit_search (rowid, location_name, location_address, note, place_name, category)
+        SELECT v.backend_id, v.location_name, v.location_address, a.note, a.place_name, a.category
+        FROM visits v LEFT JOIN visit_annotations a ON a.visit_id = v.backend_id
+        WHERE v.backend_id = ${visitId};
+      `;
+      await db.execAsync(`
+        DROP TRIGGER IF EXISTS visit_search_insert;
+        DROP TRIGGER IF EXISTS visit_search_update;
+        DROP TRIGGER IF EXISTS visit_search_delete;
+        DROP TRIGGER IF EXISTS visit_annotation_insert;
+        DROP TRIGGER IF EXISTS visit_annotation_update;
+        DROP TRIGGER IF EXISTS visit_annotation_delete;
+
+        CREATE TRIGGER visit_search_insert AFTER INSERT ON visits
+        WHEN new.backend_id IS NOT NULL BEGIN
+          ${indexVisit('new.backend_id')}
+        END;
+        CREATE TRIGGER visit_search_update AFTER UPDATE ON visits
+        WHEN old.backend_id IS NOT NULL OR new.backend_id IS NOT NULL BEGIN
+          DELETE FROM visit_search WHERE rowid = old.backend_id;
+          ${indexVisit('new.backend_id')}
+        END;
+        CREATE TRIGGER visit_search_delete AFTER DELETE ON visits
+        WHEN old.backend_id IS NOT NULL BEGIN
+          DELETE FROM visit_search WHERE rowid = old.backend_id;
+        END;
+        CREATE TRIGGER visit_annotation_insert AFTER INSERT ON visit_annotations
+        WHEN new.visit_id IS NOT NULL BEGIN
+          ${indexVisit('new.visit_id')}
+        END;
+        CREATE TRIGGER visit_annotation_update AFTER UPDATE ON visit_annotations
+        WHEN new.visit_id IS NOT NULL BEGIN
+          ${indexVisit('new.visit_id')}
+        END;
+        CREATE TRIGGER visit_annotation_delete AFTER DELETE ON visit_annotations
+        WHEN old.visit_id IS NOT NULL BEGIN
+          ${indexVisit('old.visit_id')}
+        END;
+
+        DELETE FROM visit_search
+        WHERE rowid NOT IN (SELECT backend_id FROM visits WHERE backend_id IS NOT NULL);
+      `);
+    }
+  }
+];
+
+export default timelineMigrations;
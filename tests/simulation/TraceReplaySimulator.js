@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { installFakeApi } from './fakeApi';
+
+const TRACES_DIR = path.join(__dirname, 'traces');
+
+// GPX has no accuracy field; HDOP times a typical UERE is a common estimate
+const METERS_PER_HDOP = 5;
+const DEFAULT_ACCURACY = 10; // meters
+const MINUTE = 60 * 1000;
+
+/**
+ * Controllable clock on top of Jest's modern fake timers
+ *
+ * Advancing the clock fires every timer due in between, so sync schedules,
+ * heartbeat intervals and timeouts run exactly as they would on a device.
+ */
+export class SimulatedClock {
+  constructor(startTime) {
+    this.startTime = startTime;
+  }
+
+  install() {
+    // Promises and native I/O must keep running while time stands still
+    jest.useFakeTimers({ now: this.startTime, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  }
+
+  uninstall() {
+    jest.useRealTimers();
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  async advanceTo(time) {
+    const delta = time - Date.now();
+    if (delta > 0) {
+      await jest.advanceTimersByTimeAsync(delta);
+    }
+  }
+
+  async advanceBy(ms) {
+    await this.advanceTo(Date.now() + ms);
+  }
+}
+
+const toFix = ({ timestamp, latitude, longitude, accuracy, altitude, speed, heading }) => ({
+  coords: {
+    latitude,
+    longitude,
+    accuracy: accuracy ?? DEFAULT_ACCURACY,
+    altitude: altitude ?? null,
+    altitudeAccuracy: null,
+    // Missing speed/heading stay null so services derive them like on device
+    speed: speed ?? null,
+    heading: heading ?? null
+  },
+  timestamp
+});
+
+/**
+ * Parse a JSON trace: `{ name, startTime, fixes: [{ offset, latitude, ... }] }`
+ * where `offset` is seconds since `startTime`.
+ */
+export const parseJsonTrace = (json) => {
+  const startTime = Date.parse(json.startTime);
+
+  return {
+    name: json.name,
+    description: json.description,
+    startTime,
+    fixes: json.fixes.map(fix => toFix({ ...fix, timestamp: startTime + fix.offset * 1000 }))
+  };
+};
+
+/**
+ * Parse the track points of a GPX 1.1 file
+ */
+export const parseGpxTrace = (xml, name) => {
+  const readTag = (source, tag) => source.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+  const readAttribute = (source, attribute) => parseFloat(source.match(new RegExp(`${attribute}="([^"]+)"`))[1]);
+
+  const fixes = [...xml.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g)].map(([, attributes, body]) => {
+    const hdop = readTag(body, 'hdop');
+    const elevation = readTag(body, 'ele');
+
+    return toFix({
+      timestamp: Date.parse(readTag(body, 'time')),
+      latitude: readAttribute(attributes, 'lat'),
+      longitude: readAttribute(attributes, 'lon'),
+      accuracy: hdop ? parseFloat(hdop) * METERS_PER_HDOP : undefined,
+      altitude: elevation ? parseFloat(elevation) : undefined
+    });
+  });
+
+  return {
+    name: readTag(xml, 'name') || name,
+    description: readTag(xml, 'desc'),
+    startTime: fixes[0]?.timestamp,
+    fixes
+  };
+};
+
+/**
+ * Load a fixture from tests/simulation/traces by name (`commute`) or file name
+ */
+export const loadTrace = (name) => {
+  const fileName = fs.readdirSync(TRACES_DIR).find(file => file === name || path.parse(file).name === name);
+  if (!fileName) {
+    throw new Error(`Unknown trace: ${name}`);
+  }
+
+  const contents = fs.readFileSync(path.join(TRACES_DIR, fileName), 'utf8');
+  return fileName.endsWith('.gpx')
+    ? parseGpxTrace(contents, path.parse(fileName).name)
+    : parseJsonTrace(JSON.parse(contents));
+};
+
+/**
+ * Replays traces through LocationService.processLocation on a simulated clock
+ */
+export class TraceReplaySimulator {
+  constructor({ clock, services }) {
+    this.clock = clock;
+    this.services = services;
+    this.Location = require('expo-location');
+  }
+
+  async startTracking() {
+    const started = await this.services.LocationService.startTracking();
+    if (!started) {
+      throw new Error('LocationService failed to start tracking');
+    }
+  }
+
+  async stopTracking() {
+    await this.services.LocationService.stopTracking();
+  }
+
+  /**
+   * Deliver each fix at its own timestamp, firing any timers due in between
+   */
+  async replay(trace, { isBackground = true } = {}) {
+    for (const fix of trace.fixes) {
+      await this.clock.advanceTo(fix.timestamp);
+      // Heartbeats ask the OS for the current position
+      this.Location.__setCurrentPosition(fix);
+      await this.services.LocationService.processLocation(fix, isBackground);
+    }
+  }
+
+  /**
+   * Cache a trace while offline, so only the test's own syncs upload
+   */
+  async replayOffline(trace) {
+    const Network = require('expo-network');
+
+    Network.__setNetworkState({ isConnected: false });
+    await this.replay(trace);
+    // Drop sync timers scheduled during the replay (clearing resets the clock too)
+    const now = Date.now();
+    jest.clearAllTimers();
+    jest.setSystemTime(now);
+    Network.__setNetworkState({ isConnected: true });
+  }
+
+  /**
+   * Rebuild the local timeline for the replayed period in a single pass
+   *
+   * Segments stored by syncs during the replay only saw part of the trace,
+   * so they are cleared first.
+   */
+  async processTimeline(trace) {
+    const { ClientTimelineProcessor, LocationCacheService } = this.services;
+    const endTime = trace.fixes[trace.fixes.length - 1].timestamp;
+
+    await LocationCacheService.db.runAsync(`
+      DELETE FROM local_timeline_segments WHERE start_time >= ? AND start_time <= ?
+    `, [trace.startTime, endTime]);
+    await ClientTimelineProcessor.processTimeRange(trace.startTime, endTime);
+    return ClientTimelineProcessor.getLocalTimelineSegments(trace.startTime, endTime);
+  }
+
+  async getCachedLocations() {
+    return this.services.LocationCacheService.db.getAllAsync(`
+      SELECT * FROM cached_locations ORDER BY timestamp ASC
+    `);
+  }
+}
+
+/**
+ * Fresh services, fake API and clock for one scenario
+ *
+ * Modules are re-required after resetting the registry so every simulation
+ * starts from empty singletons and an empty database.
+ */
+export const createSimulation = async ({ startTime }) => {
+  jest.resetModules();
+
+  const clock = new SimulatedClock(startTime);
+  clock.install();
+  const api = installFakeApi();
+
+  const services = {
+    LocationService: require('../../services/LocationService').default,
+    LocationCacheService: require('../../services/LocationCacheService').default,
+    LocationSyncService: require('../../services/LocationSyncService').default,
+    HeartbeatService: require('../../services/HeartbeatService').default,
+    ClientTimelineProcessor: require('../../services/ClientTimelineProcessor').default,
+    SyncPolicyService: require('../../services/SyncPolicyService').default
+  };
+  await services.LocationCacheService.initialize();
+
+  return {
+    clock,
+    api,
+    services,
+    simulator: new TraceReplaySimulator({ clock, services })
+  };
+};
+
+/**
+ * Simulation with a trace cached offline, so only the test's own syncs upload
+ *
+ * `setup(simulation)` runs before the replay, e.g. to seed stored credentials;
+ * whatever it returns (modules the test needs from the fresh registry) is
+ * merged into the result.
+ */
+export const cacheTrace = async (name, { setup } = {}) => {
+  const trace = loadTrace(name);
+  const simulation = await createSimulation({ startTime: trace.startTime - MINUTE });
+
+  const extras = await setup?.(simulation);
+  await simulation.simulator.replayOffline(trace);
+  return { trace, ...simulation, ...extras };
+};
@@ -0,0 +1,82 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const START = Date.parse('2025-03-06T08:00:00Z');
+
+const setup = async () => {
+  const simulation = await createSimulation({ startTime: START });
+  const SecureStore = require('expo-secure-store');
+  await SecureStore.setItemAsync('refreshToken', 'refresh-1');
+  // Like a signed-in app: AuthProvider has cached the stored session
+  await require('../../AuthContext').getAuthTokenForBackgroundTask();
+
+  return {
+    ...simulation,
+    ApiClient: require('../../services/ApiClient').default,
+    TimelineService: require('../../services/TimelineService').default
+  };
+};
+
+describe('ApiClient', () => {
+  let simulation;
+
+  afterEach(() => {
+    simulation.clock.uninstall();
+  });
+
+  test('builds URLs from the configured base and sends the app headers', async () => {
+    simulation = await setup();
+    const { ApiClient } = simulation;
+    ApiClient.configure({ baseUrl: 'http://mock.test:4000/' });
+
+    await ApiClient.request('timeline', { query: { start_date: '2025-03-01', end_date: '2025-03-07', page: null } });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://mock.test:4000/api/timeline?start_date=2025-03-01&end_date=2025-03-07');
+    expect(options.method).toBe('GET');
+    expect(options.headers['X-App-Signature']).toBe('HapsApp-Production-v1.0');
+    expect(options.headers.Authorization).toBe('Bearer simulated-auth-token');
+  });
+
+  test('retries a 401 once with the refreshed token', async () => {
+    simulation = await setup();
+    const { api, TimelineService } = simulation;
+    api.respondWith(({ path, headers }) => {
+      if (path === '/api/sessions/refresh') {
+        return { status: 200, body: { token: 'fresh-token', refresh_token: 'refresh-2', expires_in: 3600 } };
+      }
+      if (headers.Authorization !== 'Bearer fresh-token') return { status: 401, body: { error: 'token expired' } };
+      return { status: 200, body: { date: '2025-03-06', visits: [], travels: [] } };
+    });
+
+    const data = await TimelineService.fetchLocationPointsForDate(new Date(START), 'simulated-auth-token');
+
+    expect(data.date).toBe('2025-03-06');
+    expect(api.requests.map(request => request.path)).toEqual([
+      '/api/timeline/location_points',
+      '/api/sessions/refresh',
+      '/api/timeline/location_points'
+    ]);
+  });
+
+  test('reports responses and failures to hooks', async () => {
+    simulation = await setup();
+    const { api, ApiClient } = simulation;
+    const events = [];
+    ApiClient.addHooks({
+      onResponse: ({ endpoint, status }) => events.push({ endpoint, status }),
+      onError: ({ endpoint, error }) => events.push({ endpoint, error: error.message })
+    });
+
+    api.respondWith(() => ({ status: 500, body: { error: 'boom' } }));
+    const response = await ApiClient.request('up');
+
+    global.fetch.mockImplementationOnce(async () => { throw new Error('Network request failed'); });
+    await expect(ApiClient.request('up')).rejects.toThrow('Network request failed');
+
+    expect(response.status).toBe(500);
+    expect(events).toEqual([
+      { endpoint: 'up', status: 500 },
+      { endpoint: 'up', error: 'Network request failed' }
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { cacheTrace } from './TraceReplaySimulator';
+
+// A stored refresh token, so expired sessions can be renewed
+const withSession = {
+  setup: async () => {
+    const SecureStore = require('expo-secure-store');
+    await SecureStore.setItemAsync('refreshToken', 'refresh-1');
+    return { SecureStore, Auth: require('../../AuthContext') };
+  }
+};
+
+// Accepts only the refreshed token and hands it out on /api/sessions/refresh
+const expiringServer = (refresh = { status: 200, body: { token: 'fresh-token', refresh_token: 'refresh-2', expires_in: 3600 } }) =>
+  ({ path, headers, body }) => {
+    if (path === '/api/sessions/refresh') return refresh;
+    if (headers.Authorization !== 'Bearer fresh-token') return { status: 401, body: { error: 'token expired' } };
+    return { status: 200, body: { accepted: (body?.locations || []).map(location => location.uuid) } };
+  };
+
+describe('token refresh', () => {
+  let simulation;
+
+  afterEach(() => {
+    simulation.clock.uninstall();
+  });
+
+  test('refreshes once for parallel syncs and retries with the new token', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSession);
+    const { api, services, SecureStore } = simulation;
+    api.respondWith(expiringServer());
+
+    const result = await services.LocationSyncService.syncNow('scheduled');
+
+    expect(api.requestsTo('/api/sessions/refresh')).toHaveLength(1);
+    expect(api.requestsTo('/api/sessions/refresh')[0].body).toEqual({ refresh_token: 'refresh-1' });
+    expect(result.locationResult.synced).toBeGreaterThan(0);
+    expect(result.locationResult.errors).toBe(0);
+    expect(await SecureStore.getItemAsync('authToken')).toBe('fresh-token');
+    expect(await SecureStore.getItemAsync('refreshToken')).toBe('refresh-2');
+  });
+
+  test('refreshes ahead of expiry before a background sync', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSession);
+    const { api, services, SecureStore } = simulation;
+    await SecureStore.setItemAsync('authTokenExpiresAt', String(Date.now() + 30 * 1000));
+    api.respondWith(expiringServer());
+
+    await services.LocationSyncService.syncNow('scheduled');
+
+    const uploads = api.requestsTo('/users/locations');
+    expect(api.requests[0].path).toBe('/api/sessions/refresh');
+    expect(uploads.every(request => request.headers.Authorization === 'Bearer fresh-token')).toBe(true);
+  });
+
+  test('ends the session when the refresh token is rejected', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSession);
+    const { api, services, SecureStore, Auth } = simulation;
+    const events = [];
+    Auth.subscribeToSession(event => events.push(event));
+    api.respondWith(expiringServer({ status: 401, body: { error: 'invalid_grant' } }));
+
+    const result = await services.LocationSyncService.syncNow('scheduled');
+    const afterExpiry = await services.LocationSyncService.syncNow('scheduled');
+    const rows = await simulation.simulator.getCachedLocations();
+
+    expect(api.requestsTo('/api/sessions/refresh')).toHaveLength(1);
+    expect(result.locationResult.synced).toBe(0);
+    expect(events).toEqual([{ type: 'expired', reason: 'refresh_rejected' }]);
+    expect(await SecureStore.getItemAsync('authToken')).toBeNull();
+    expect(afterExpiry.reason).toBe('no_auth_token');
+    expect(rows.some(row => row.quarantine_reason)).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+import { cacheTrace } from './TraceReplaySimulator';
+import { CIRCUIT_BREAKER, parseRetryAfter } from '../../services/SyncHttpClient';
+
+const MINUTE = 60 * 1000;
+
+const withSyncHttpClient = {
+  setup: () => ({ SyncHttpClient: require('../../services/SyncHttpClient').default })
+};
+
+describe('sync circuit breaker', () => {
+  let simulation;
+
+  afterEach(() => {
+    simulation?.clock.uninstall();
+    simulation = null;
+  });
+
+  test('parses Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2025-03-06T16:00:00Z');
+
+    expect(parseRetryAfter('120', now)).toBe(120 * 1000);
+    expect(parseRetryAfter('Thu, 06 Mar 2025 16:05:00 GMT', now)).toBe(5 * MINUTE);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(null, now)).toBeNull();
+  });
+
+  test('stops calling a throttled endpoint until Retry-After has passed', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSyncHttpClient);
+    const { api, clock, services, SyncHttpClient } = simulation;
+
+    api.respondWith(({ path }) => path === '/users/locations'
+      ? { status: 429, body: { error: 'slow down' }, headers: { 'Retry-After': '120' } }
+      : { status: 200, body: { success: true } });
+
+    await services.LocationSyncService.syncNow('scheduled');
+    const throttledRequests = api.requestsTo('/users/locations').length;
+    const second = await services.LocationSyncService.syncNow('scheduled');
+
+    expect(throttledRequests).toBe(1);
+    expect(api.requestsTo('/users/locations')).toHaveLength(1);
+    expect(second.locationResult.skipped).toBe('circuit_open');
+    expect(second.heartbeatResult.skipped).toBe('circuit_open');
+    expect(await SyncHttpClient.isOpen('/users/hybrid_timeline')).toBe(false);
+
+    const rows = await simulation.simulator.getCachedLocations();
+    expect(rows.every(row => !row.sync_attempts)).toBe(true);
+
+    api.respondWith(({ body }) => ({ status: 200, body: { accepted: (body.locations || []).map(location => location.uuid) } }));
+    await clock.advanceBy(2 * MINUTE);
+    const recovered = await services.LocationSyncService.syncNow('scheduled');
+
+    expect(recovered.locationResult.synced).toBeGreaterThan(0);
+    expect((await SyncHttpClient.getStatus()).every(breaker => breaker.state === 'closed')).toBe(true);
+  });
+
+  test('opens after repeated failures and doubles the cool-down when a probe fails', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSyncHttpClient);
+    const { api, clock, services, SyncHttpClient } = simulation;
+
+    api.respondWith(() => ({ status: 500, body: { error: 'internal' } }));
+    for (let attempt = 0; attempt < CIRCUIT_BREAKER.failureThreshold; attempt++) {
+      await services.LocationSyncService.syncLocations('token', { ignoreBackoff: true });
+    }
+
+    const opened = (await SyncHttpClient.getStatus()).find(breaker => breaker.path === '/users/locations');
+    expect(opened).toEqual(expect.objectContaining({ state: 'open', lastStatus: 500, retryInMs: CIRCUIT_BREAKER.baseCooldownMs }));
+
+    await clock.advanceBy(CIRCUIT_BREAKER.baseCooldownMs);
+    const before = api.requests.length;
+    await services.LocationSyncService.syncLocations('token', { ignoreBackoff: true });
+    await services.LocationSyncService.syncLocations('token', { ignoreBackoff: true });
+
+    const reopened = (await SyncHttpClient.getStatus()).find(breaker => breaker.path === '/users/locations');
+    expect(api.requests.length - before).toBe(1);
+    expect(reopened.retryInMs).toBe(2 * CIRCUIT_BREAKER.baseCooldownMs);
+  });
+
+  test('keeps breaker state across app restarts', async () => {
+    simulation = await cacheTrace('tunnel_gap', withSyncHttpClient);
+    const { api, services, SyncHttpClient } = simulation;
+
+    api.respondWith(() => ({ status: 503, body: {}, headers: { 'Retry-After': '600' } }));
+    await services.LocationSyncService.syncLocations('token');
+
+    // A fresh instance reads what the previous one persisted
+    const restarted = new SyncHttpClient.constructor();
+
+    expect(await restarted.isOpen('/users/locations')).toBe(true);
+    expect((await restarted.getStatus()).find(breaker => breaker.path === '/users/locations').retryInMs).toBe(10 * MINUTE);
+  });
+});
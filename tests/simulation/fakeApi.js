@@ -0,0 +1,70 @@
+import zlib from 'zlib';
+import { deltaDecode } from '../../services/UploadPayload';
+
+// Undo gzip and delta encoding so tests see plain location objects
+const decodeBody = (body, headers = {}) => {
+  if (!body) return null;
+
+  const json = headers['Content-Encoding'] === 'gzip'
+    ? zlib.gunzipSync(Buffer.from(body)).toString('utf8')
+    : body;
+  const decoded = JSON.parse(json);
+
+  for (const key of ['locations', 'raw_locations']) {
+    if (Array.isArray(decoded[key])) {
+      decoded[key] = deltaDecode(decoded[key], decoded.encoding);
+    }
+  }
+  return decoded;
+};
+
+/**
+ * Records requests made through `fetch` and answers like a healthy server
+ */
+export const installFakeApi = () => {
+  const requests = [];
+  // Like the real server, list the compact upload formats it decodes
+  const headers = { 'X-Upload-Formats': 'delta, gzip, heartbeat_batch' };
+  let respond = (request) => {
+    // Location batches are acknowledged per uuid
+    if (request.body?.locations) {
+      return { status: 200, body: { accepted: request.body.locations.map(location => location.uuid), rejected: [] }, headers };
+    }
+    return { status: 200, body: { success: true }, headers };
+  };
+
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const request = {
+      method: options.method || 'GET',
+      path: pathname,
+      headers: options.headers || {},
+      body: decodeBody(options.body, options.headers),
+      bytes: options.body ? (options.body.byteLength ?? options.body.length) : 0,
+      time: Date.now()
+    };
+    requests.push(request);
+
+    const { status, body, headers = {} } = respond(request);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: {
+        get: (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1] ?? null
+      },
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  });
+
+  return {
+    requests,
+    // Override responses, e.g. to simulate outages: (request) => ({ status, body, headers })
+    respondWith(handler) {
+      respond = handler;
+    },
+    requestsTo(path) {
+      return requests.filter(request => request.path === path);
+    }
+  };
+};
@@ -0,0 +1,135 @@
+import { createSimulation } from './TraceReplaySimulator';
+import { dayKeyForPoint, getDayBounds, toDayKey } from '../../services/LocalDay';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('local day keys', () => {
+  test('an evening in New York stays on its local day', () => {
+    const evening = Date.parse('2025-03-06T03:30:00Z');
+
+    expect(toDayKey(evening, 'America/New_York')).toBe('2025-03-05');
+    expect(toDayKey(evening, 'UTC')).toBe('2025-03-06');
+    expect(toDayKey('2025-03-05', 'Asia/Tokyo')).toBe('2025-03-05');
+  });
+
+  test('DST days are 23 and 25 hours long', () => {
+    const spring = getDayBounds('2025-03-09', 'America/New_York');
+    const autumn = getDayBounds('2025-11-02', 'America/New_York');
+
+    expect(spring.start).toBe(Date.parse('2025-03-09T05:00:00Z'));
+    expect(spring.end - spring.start).toBe(23 * HOUR);
+    expect(autumn.end - autumn.start).toBe(25 * HOUR);
+  });
+
+  test('a day whose midnight is skipped starts at the first local instant', () => {
+    // Santiago moves from 00:00 straight to 01:00 on this day
+    const { start, end } = getDayBounds('2024-09-08', 'America/Santiago');
+
+    expect(start).toBe(Date.parse('2024-09-08T04:00:00Z'));
+    expect(end - start).toBe(23 * HOUR);
+    expect(toDayKey(start - 1, 'America/Santiago')).toBe('2024-09-07');
+  });
+
+  test('points count on the day of the zone they were recorded in', () => {
+    // 23:30 in Tokyo; 06:30 the same day in Los Angeles, the next morning in Kiritimati
+    const point = { timestamp: Date.parse('2025-03-06T14:30:00Z'), time_zone: 'Asia/Tokyo' };
+
+    expect(dayKeyForPoint(point, 'Pacific/Kiritimati')).toBe('2025-03-06');
+    expect(dayKeyForPoint({ ...point, time_zone: null }, 'America/Los_Angeles')).toBe('2025-03-06');
+    expect(dayKeyForPoint({ ...point, time_zone: 'Not/AZone' }, 'Pacific/Kiritimati')).toBe('2025-03-07');
+  });
+});
+
+describe('TimelineService days', () => {
+  let simulation;
+
+  afterEach(() => {
+    simulation?.clock.uninstall();
+    simulation = null;
+    jest.restoreAllMocks();
+  });
+
+  test('requests the device-local day and caches the zone the server used', async () => {
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-06T03:30:00Z') });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'America/New_York' });
+    const TimelineService = require('../../services/TimelineService').default;
+    const { api } = simulation;
+
+    api.respondWith(() => ({
+      status: 200,
+      body: {
+        date: '2025-03-05',
+        timezone: 'America/Chicago',
+        timeline: [{
+          id: 1,
+          type: 'visit',
+          start_time: '2025-03-06T01:00:00Z',
+          end_time: '2025-03-06T03:00:00Z',
+          duration: 7200
+        }]
+      }
+    }));
+    await TimelineService.fetchTimelineForDate(new Date(), 'simulated-auth-token');
+
+    api.respondWith(() => ({ status: 500, body: { error: 'down' } }));
+    const cached = await TimelineService.getTimelineForDate(new Date(), 'simulated-auth-token');
+
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.searchParams.get('date')).toBe('2025-03-05');
+    expect(url.searchParams.get('timezone')).toBe('America/New_York');
+    expect(cached.fromCache).toBe(true);
+    expect(cached.date).toBe('2025-03-05');
+    expect(cached.timezone).toBe('America/Chicago');
+    expect(cached.visits).toHaveLength(1);
+  });
+
+  test('an overnight visit shows on both days but stays one cached entity', async () => {
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-06T12:00:00Z') });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'Europe/Berlin' });
+    const TimelineService = require('../../services/TimelineService').default;
+    const TimelineDatabase = require('../../services/TimelineDatabase').default;
+    const { api } = simulation;
+
+    // Home from 21:00 to 07:30 Berlin time
+    const night = {
+      id: 7,
+      type: 'visit',
+      start_time: '2025-03-05T20:00:00Z',
+      end_time: '2025-03-06T06:30:00Z',
+      duration: 37800,
+      location: { name: 'Home' }
+    };
+    const serverDays = [[night], [], [night]];
+    api.respondWith(() => ({ status: 200, body: { timezone: 'Europe/Berlin', timeline: serverDays.shift() } }));
+
+    const evening = await TimelineService.fetchTimelineForDate('2025-03-05', 'simulated-auth-token');
+    // This server lists the visit on its start day only; the cached one carries over
+    const morning = await TimelineService.fetchTimelineForDate('2025-03-06', 'simulated-auth-token');
+    // Servers that list it on both days update the same row
+    await TimelineService.fetchTimelineForDate('2025-03-06', 'simulated-auth-token');
+
+    api.respondWith(() => ({ status: 503, body: {} }));
+    const cachedMorning = await TimelineService.getTimelineForDate('2025-03-06', 'simulated-auth-token');
+    const rows = await TimelineDatabase.db.getAllAsync('SELECT backend_id, date FROM visits');
+
+    expect(evening.visits[0]).toMatchObject({
+      id: 7,
+      continued_from_previous_day: false,
+      continues_next_day: true,
+      display_end_time: '2025-03-05T23:00:00.000Z',
+      display_duration: 3 * 3600
+    });
+    expect(morning.visits).toHaveLength(1);
+    expect(morning.visits[0]).toMatchObject({
+      id: 7,
+      start_time: night.start_time,
+      continued_from_previous_day: true,
+      display_start_time: '2025-03-05T23:00:00.000Z',
+      display_duration: 7.5 * 3600
+    });
+    expect(TimelineService.continuationLabel(morning.visits[0])).toBe('Continued from yesterday');
+    expect(cachedMorning.fromCache).toBe(true);
+    expect(cachedMorning.visits[0]).toMatchObject({ id: 7, continued_from_previous_day: true, location: { name: 'Home' } });
+    expect(rows).toEqual([{ backend_id: 7, date: '2025-03-05' }]);
+  });
+});
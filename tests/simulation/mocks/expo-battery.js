@@ -0,0 +1,28 @@
+/**
+ * expo-battery mock with a settable power state
+ */
+
+export const BatteryState = {
+  UNKNOWN: 0,
+  UNPLUGGED: 1,
+  CHARGING: 2,
+  FULL: 3
+};
+
+let powerState = {
+  batteryLevel: 0.8,
+  batteryState: BatteryState.UNPLUGGED,
+  lowPowerMode: false
+};
+
+export const __setPowerState = (state) => {
+  powerState = { ...powerState, ...state };
+};
+
+const subscription = () => ({ remove: jest.fn() });
+
+export const isAvailableAsync = jest.fn(async () => true);
+export const getPowerStateAsync = jest.fn(async () => powerState);
+export const addBatteryLevelListener = jest.fn(subscription);
+export const addBatteryStateListener = jest.fn(subscription);
+export const addLowPowerModeListener = jest.fn(subscription);
@@ -0,0 +1,52 @@
+/**
+ * expo-location mock whose "current position" follows the replayed trace
+ */
+
+let currentPosition = null;
+let geofencingStarted = false;
+
+export const Accuracy = {
+  Lowest: 1,
+  Low: 2,
+  Balanced: 3,
+  High: 4,
+  Highest: 5,
+  BestForNavigation: 6
+};
+
+export const GeofencingEventType = {
+  Enter: 1,
+  Exit: 2
+};
+
+export const __setCurrentPosition = (location) => {
+  currentPosition = location;
+};
+
+const granted = async () => ({ status: 'granted', granted: true });
+
+export const requestForegroundPermissionsAsync = jest.fn(granted);
+export const requestBackgroundPermissionsAsync = jest.fn(granted);
+export const getForegroundPermissionsAsync = jest.fn(granted);
+export const getBackgroundPermissionsAsync = jest.fn(granted);
+
+export const getCurrentPositionAsync = jest.fn(async () => {
+  if (!currentPosition) throw new Error('Current location is unavailable');
+  return currentPosition;
+});
+
+export const getLastKnownPositionAsync = jest.fn(async () => currentPosition);
+
+export const startLocationUpdatesAsync = jest.fn(async () => {});
+export const stopLocationUpdatesAsync = jest.fn(async () => {});
+
+export const startGeofencingAsync = jest.fn(async () => {
+  geofencingStarted = true;
+});
+export const stopGeofencingAsync = jest.fn(async () => {
+  geofencingStarted = false;
+});
+export const hasStartedGeofencingAsync = jest.fn(async () => geofencingStarted);
+
+export const reverseGeocodeAsync = jest.fn(async () => []);
+export const geocodeAsync = jest.fn(async () => []);
@@ -0,0 +1,30 @@
+/**
+ * expo-network mock with a switchable connection state
+ */
+
+let networkState = {
+  type: 'WIFI',
+  isConnected: true,
+  isInternetReachable: true
+};
+const listeners = new Set();
+
+export const NetworkStateType = {
+  NONE: 'NONE',
+  UNKNOWN: 'UNKNOWN',
+  CELLULAR: 'CELLULAR',
+  WIFI: 'WIFI',
+  ETHERNET: 'ETHERNET'
+};
+
+export const __setNetworkState = (state) => {
+  networkState = { ...networkState, ...state };
+  listeners.forEach(listener => listener(networkState));
+};
+
+export const getNetworkStateAsync = jest.fn(async () => networkState);
+
+export const addNetworkStateListener = jest.fn((listener) => {
+  listeners.add(listener);
+  return { remove: () => listeners.delete(listener) };
+});
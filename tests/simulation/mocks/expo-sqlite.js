@@ -0,0 +1,77 @@
+import Database from 'better-sqlite3';
+
+/**
+ * In-memory stand-in for the expo-sqlite async API, backed by better-sqlite3
+ * so migrations and queries run against a real SQLite engine.
+ */
+
+const databases = new Map();
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+const bindValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+};
+
+const bindParams = (params) => {
+  const values = params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+  return values.map(bindValue);
+};
+
+class MockSQLiteDatabase {
+  constructor(databaseName) {
+    this.databaseName = databaseName;
+    this.db = new Database(':memory:');
+    this.transactionQueue = Promise.resolve();
+  }
+
+  async execAsync(source) {
+    this.db.exec(source);
+  }
+
+  async runAsync(source, ...params) {
+    const result = this.db.prepare(source).run(...bindParams(params));
+    return { lastInsertRowId: Number(result.lastInsertRowid), changes: result.changes };
+  }
+
+  async getFirstAsync(source, ...params) {
+    return this.db.prepare(source).get(...bindParams(params)) ?? null;
+  }
+
+  async getAllAsync(source, ...params) {
+    return this.db.prepare(source).all(...bindParams(params));
+  }
+
+  // Transactions are serialized so concurrent callers don't nest BEGINs
+  async withTransactionAsync(task) {
+    const run = this.transactionQueue.then(async () => {
+      this.db.exec('BEGIN');
+      try {
+        await task(this);
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  async withExclusiveTransactionAsync(task) {
+    return this.withTransactionAsync(task);
+  }
+
+  async closeAsync() {
+    this.db.close();
+    databases.delete(this.databaseName);
+  }
+}
+
+export const openDatabaseAsync = async (databaseName) => {
+  if (!databases.has(databaseName)) {
+    databases.set(databaseName, new MockSQLiteDatabase(databaseName));
+  }
+  return databases.get(databaseName);
+};
@@ -0,0 +1,18 @@
+/**
+ * expo-task-manager mock that keeps task executors so tests can invoke them
+ */
+
+const tasks = new Map();
+
+export const defineTask = jest.fn((taskName, executor) => {
+  tasks.set(taskName, executor);
+});
+
+export const isTaskDefined = jest.fn((taskName) => tasks.has(taskName));
+export const isTaskRegisteredAsync = jest.fn(async (taskName) => tasks.has(taskName));
+
+export const __runTask = (taskName, body = {}) => {
+  const executor = tasks.get(taskName);
+  if (!executor) throw new Error(`Task '${taskName}' is not defined`);
+  return executor({ data: null, error: null, ...body });
+};
@@ -0,0 +1,133 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const CAFE = { latitude: 52.52, longitude: 13.405 };
+const GYM = { latitude: 52.5, longitude: 13.37 };
+const HOUR = 60 * 60 * 1000;
+const at = (day, hour) => Date.parse(`2025-03-0${day}T${String(hour).padStart(2, '0')}:00:00Z`);
+
+describe('places', () => {
+  let simulation;
+  let PlaceService;
+  let TimelineDatabase;
+
+  const seedServerVisit = (id, day, { latitude, longitude }, name) => TimelineDatabase.saveTimelineData(`2025-03-0${day}`, {
+    timezone: 'UTC',
+    visits: [{
+      id,
+      start_time: new Date(at(day, 9)).toISOString(),
+      end_time: new Date(at(day, 10)).toISOString(),
+      duration: 3600,
+      center_latitude: latitude,
+      center_longitude: longitude,
+      location: { name, address: 'Rathausstr. 1, Berlin' }
+    }],
+    travels: []
+  });
+
+  const seedLocalVisit = (start, { latitude, longitude }) => simulation.services.LocationCacheService.db.runAsync(`
+    INSERT INTO local_timeline_segments (type, start_time, end_time, center_latitude, center_longitude, location_count)
+    VALUES ('visit', ?, ?, ?, ?, 20)
+  `, [start, start + HOUR, latitude, longitude]);
+
+  const localVisits = () => simulation.services.LocationCacheService.db.getAllAsync(`
+    SELECT start_time, place_id, place_name FROM local_timeline_segments ORDER BY start_time
+  `);
+
+  const stationaryAt = ({ latitude, longitude }, start) => ({
+    type: 'stationary',
+    startTime: start,
+    endTime: start + HOUR,
+    locations: [
+      { coords: { latitude: latitude + 0.0001, longitude, accuracy: 10 }, timestamp: start },
+      { coords: { latitude, longitude: longitude + 0.0001, accuracy: 10 }, timestamp: start + HOUR }
+    ]
+  });
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: at(9, 12) });
+    PlaceService = require('../../services/PlaceService').default;
+    TimelineDatabase = require('../../services/TimelineDatabase').default;
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+  });
+
+  test('visits from both sources become places that new visits are tagged with', async () => {
+    const { ClientTimelineProcessor } = simulation.services;
+    const SmartGeocodingService = require('../../services/SmartGeocodingService').default;
+
+    for (const day of [2, 3, 4]) {
+      await seedServerVisit(day, day, CAFE, 'Cafe Anna');
+      await seedLocalVisit(at(day, 18), GYM);
+    }
+    // The detector's copy of a visit the server has, and a one-off visit
+    await seedLocalVisit(at(4, 9), CAFE);
+    await seedLocalVisit(at(5, 9), { latitude: 52.6, longitude: 13.5 });
+
+    const learned = await PlaceService.learnPlaces();
+    const places = await PlaceService.getPlaces();
+    const cafe = places.find(place => place.name === 'Cafe Anna');
+    const gym = places.find(place => place.name === null);
+    const [beforeNaming] = ClientTimelineProcessor.finalizeSegments([stationaryAt(GYM, at(8, 18))]);
+
+    await PlaceService.updatePlace(gym.id, { name: ' Gym ', category: 'gym', radius_meters: 150 });
+    const [afterNaming] = ClientTimelineProcessor.finalizeSegments([stationaryAt(GYM, at(9, 7))]);
+    const [stored] = await ClientTimelineProcessor.storeTimelineSegments([afterNaming]);
+    const segments = await localVisits();
+    const geocode = await SmartGeocodingService.getCachedGeocode(GYM.latitude, GYM.longitude);
+
+    expect(learned).toMatchObject({ created: 2, places: 2 });
+    expect(cafe).toMatchObject({
+      name: 'Cafe Anna',
+      category: 'food',
+      visit_count: 3,
+      total_duration: 3 * 3600,
+      first_visit_at: at(2, 9),
+      last_visit_at: at(4, 10)
+    });
+    expect(gym).toMatchObject({ name: null, category: 'other', visit_count: 3 });
+    expect(beforeNaming).toMatchObject({ placeId: gym.id, placeName: null });
+    expect(afterNaming).toMatchObject({ placeId: gym.id, placeName: 'Gym' });
+    expect(stored).toMatchObject({ type: 'visit', placeId: gym.id, placeName: 'Gym' });
+    expect(segments.map(segment => [segment.place_id, segment.place_name])).toEqual([
+      [gym.id, 'Gym'],
+      [gym.id, 'Gym'],
+      [cafe.id, 'Cafe Anna'],
+      [gym.id, 'Gym'],
+      [null, null],
+      [gym.id, 'Gym']
+    ]);
+    expect(geocode).toMatchObject({ place_name: 'Gym', source: 'manual' });
+  });
+
+  test('merged places stay merged and deleted places are not learned again', async () => {
+    // Two spots about 200 m apart, e.g. both ends of a campus
+    const north = { latitude: 52.5018, longitude: 13.37 };
+    for (const day of [2, 3, 4]) {
+      await seedLocalVisit(at(day, 9), GYM);
+      await seedLocalVisit(at(day, 14), north);
+    }
+
+    await PlaceService.learnPlaces();
+    const [first, second] = await PlaceService.getPlaces();
+    const merged = await PlaceService.mergePlaces(first.id, [second.id]);
+    const relearned = await PlaceService.learnPlaces();
+    const afterMerge = await PlaceService.getPlaces();
+    const mergedSegments = await localVisits();
+
+    await PlaceService.deletePlace(merged.id);
+    const afterDelete = await PlaceService.learnPlaces();
+
+    expect(merged).toMatchObject({ visit_count: 6, user_edited: 1 });
+    expect(merged.radius_meters).toBeGreaterThanOrEqual(200);
+    expect(relearned.created).toBe(0);
+    expect(afterMerge).toHaveLength(1);
+    expect(afterMerge[0]).toMatchObject({ id: merged.id, visit_count: 6 });
+    expect(mergedSegments.every(segment => segment.place_id === merged.id)).toBe(true);
+    expect(afterDelete).toMatchObject({ created: 0, places: 0 });
+    expect(PlaceService.findPlace(GYM.latitude, GYM.longitude)).toBeNull();
+    expect((await localVisits()).every(segment => segment.place_id === null)).toBe(true);
+  });
+});
@@ -0,0 +1,53 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const CLINIC = { latitude: 52.52, longitude: 13.405 };
+const e7 = (degrees) => Math.round(degrees * 1e7);
+
+describe('privacy zones', () => {
+  let simulation;
+  let PrivacyZoneService;
+  let GoogleTakeoutImportService;
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-09T12:00:00Z') });
+    PrivacyZoneService = require('../../services/PrivacyZoneService').default;
+    GoogleTakeoutImportService = require('../../services/GoogleTakeoutImportService').default;
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+  });
+
+  test('imported visits snapped into a zone upload without their place', async () => {
+    const { api, services } = simulation;
+    await PrivacyZoneService.saveZone({ name: 'Clinic', ...CLINIC, radius_meters: 200, mode: 'snap' });
+
+    const visit = GoogleTakeoutImportService.convertTimelineObject({
+      placeVisit: {
+        location: {
+          latitudeE7: e7(CLINIC.latitude + 0.0005),
+          longitudeE7: e7(CLINIC.longitude),
+          name: 'Praxis Dr. Weber',
+          address: 'Torstr. 1, Berlin',
+          placeId: 'ChIJ-clinic'
+        },
+        duration: { startTimestamp: '2025-03-08T09:00:00Z', endTimestamp: '2025-03-08T10:00:00Z' }
+      }
+    });
+    const stats = { imported: 0, duplicates: 0, invalid: 0, privacyDropped: 0, days: new Set() };
+    await GoogleTakeoutImportService.insertBatch(visit, { upload: true, stats });
+
+    await services.LocationSyncService.syncLocations('simulated-auth-token');
+    const uploaded = api.requestsTo('/users/locations').flatMap(request => request.body.locations || []);
+    const rows = await services.LocationCacheService.db.getAllAsync('SELECT latitude, payload, privacy_mode FROM cached_locations');
+
+    expect(stats.imported).toBe(2);
+    expect(uploaded).toHaveLength(2);
+    expect(uploaded.every(location => !location.payload)).toBe(true);
+    expect(rows).toEqual([
+      { ...rows[0], latitude: CLINIC.latitude, payload: null, privacy_mode: 'snap' },
+      { ...rows[1], latitude: CLINIC.latitude, payload: null, privacy_mode: 'snap' }
+    ]);
+  });
+});
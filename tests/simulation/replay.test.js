@@ -0,0 +1,216 @@
+import { createSimulation, loadTrace } from './TraceReplaySimulator';
+
+const MINUTE = 60 * 1000;
+
+const replayTrace = async (name) => {
+  const trace = loadTrace(name);
+  const simulation = await createSimulation({ startTime: trace.startTime - MINUTE });
+
+  await simulation.simulator.startTracking();
+  await simulation.simulator.replay(trace);
+
+  return { trace, ...simulation };
+};
+
+// Heartbeats are posted to the same endpoint without a `locations` batch
+const uploadedLocationUuids = (api) => api.requestsTo('/users/locations')
+  .flatMap(request => request.body.locations || [])
+  .map(location => location.uuid);
+
+const summarize = (segments) => segments.map(segment => segment.type);
+
+describe('trace replay', () => {
+  let simulation;
+
+  afterEach(async () => {
+    await simulation?.simulator.stopTracking();
+    simulation?.clock.uninstall();
+    simulation = null;
+  });
+
+  describe('commute', () => {
+    beforeEach(async () => {
+      simulation = await replayTrace('commute');
+    });
+
+    test('caches every fix and uploads each one exactly once', async () => {
+      const { simulator, services, api } = simulation;
+
+      await services.LocationSyncService.syncNow('manual');
+
+      const rows = await simulator.getCachedLocations();
+      const uploaded = uploadedLocationUuids(api);
+
+      expect(rows).toHaveLength(simulation.trace.fixes.length);
+      expect(rows.every(row => row.synced === 1)).toBe(true);
+      expect(new Set(uploaded).size).toBe(uploaded.length);
+      expect(uploaded.sort()).toEqual(rows.map(row => row.uuid).sort());
+    });
+
+    test('recognises walking and vehicle legs and ends stationary', async () => {
+      const rows = await simulation.simulator.getCachedLocations();
+      const activities = rows.map(row => row.activity_type);
+
+      expect(activities).toEqual(expect.arrayContaining(['stationary', 'walking', 'vehicle']));
+      expect(rows[rows.length - 1].activity_type).toBe('stationary');
+      expect(simulation.services.LocationService.activeProfile).toBe('stationary');
+    });
+
+    test('finds the home and office visits around the journey', async () => {
+      const segments = await simulation.simulator.processTimeline(simulation.trace);
+
+      expect(summarize(segments)).toEqual(['visit', 'travel', 'visit']);
+    });
+  });
+
+  describe('commute past a geofenced stop', () => {
+    const STOP = { identifier: 'place-7', latitude: 52.5249, longitude: 13.3716, radius: 100 };
+    const ENTER_AT = Date.parse('2025-03-04T07:54:05Z');
+    const MID_STOP = Date.parse('2025-03-04T07:58:00Z');
+    const EXIT_AT = Date.parse('2025-03-04T08:00:05Z');
+
+    const overlapsStop = (segment) => segment.startTime < EXIT_AT && segment.endTime > ENTER_AT;
+
+    // The fixes keep moving through the stop, so only the geofence sees it.
+    // A sync before leaving stores the ride so far as one travel.
+    beforeEach(async () => {
+      const trace = loadTrace('commute');
+      simulation = { trace, ...await createSimulation({ startTime: trace.startTime - MINUTE }) };
+      const { clock, simulator, services } = simulation;
+      const Location = require('expo-location');
+      const GeofenceService = require('../../services/GeofenceService').default;
+
+      const between = (from, to) => ({ ...trace, fixes: trace.fixes.filter(fix => fix.timestamp >= from && fix.timestamp < to) });
+      const cross = async (eventType, time) => {
+        await clock.advanceTo(time);
+        await GeofenceService.handleGeofenceEvent({ eventType, region: STOP });
+      };
+
+      await simulator.replayOffline(between(0, ENTER_AT));
+      await cross(Location.GeofencingEventType.Enter, ENTER_AT);
+      await simulator.replayOffline(between(ENTER_AT, MID_STOP));
+      await services.LocationSyncService.syncNow('manual');
+      await simulator.replayOffline(between(MID_STOP, EXIT_AT));
+      await cross(Location.GeofencingEventType.Exit, EXIT_AT);
+      await simulator.replayOffline(between(EXIT_AT, Infinity));
+    });
+
+    test('cuts the stop out of the travel stored before leaving it', async () => {
+      const { trace, services } = simulation;
+      const stored = await services.ClientTimelineProcessor.getLocalTimelineSegments(trace.startTime, Date.now());
+
+      expect(stored.filter(overlapsStop)).toEqual([
+        expect.objectContaining({ type: 'visit', startTime: ENTER_AT, endTime: EXIT_AT })
+      ]);
+    });
+
+    test('rebuilds the journey as two travels around the stop', async () => {
+      const segments = await simulation.simulator.processTimeline(simulation.trace);
+
+      expect(summarize(segments)).toEqual(['visit', 'travel', 'visit', 'travel', 'visit']);
+      expect(segments[2]).toMatchObject({ startTime: ENTER_AT, endTime: EXIT_AT });
+      segments.slice(1).forEach((segment, index) => {
+        expect(segment.startTime).toBeGreaterThanOrEqual(segments[index].endTime);
+      });
+    });
+
+    test('maintenance prunes the events once they are a day old', async () => {
+      const { clock, services } = simulation;
+      const countEvents = async () => (await services.LocationCacheService.db.getFirstAsync(`
+        SELECT COUNT(*) AS count FROM geofence_events
+      `)).count;
+
+      expect(await services.LocationSyncService.performMaintenance()).toMatchObject({ geofenceEventsDeleted: 0 });
+      await clock.advanceBy(25 * 60 * MINUTE);
+      expect(await services.LocationSyncService.performMaintenance()).toMatchObject({ geofenceEventsDeleted: 2 });
+      expect(await countEvents()).toBe(0);
+    });
+  });
+
+  describe('overnight home stay', () => {
+    beforeEach(async () => {
+      simulation = await replayTrace('overnight_home');
+    });
+
+    test('flags coarse fixes and never uploads them', async () => {
+      const { simulator, services, api } = simulation;
+
+      await services.LocationSyncService.syncNow('manual');
+
+      const rows = await simulator.getCachedLocations();
+      const rejected = rows.filter(row => row.filter_status === 'rejected');
+      const uploaded = new Set(uploadedLocationUuids(api));
+
+      expect(rejected).toHaveLength(3);
+      expect(rejected.every(row => row.filter_reason.startsWith('accuracy'))).toBe(true);
+      expect(rejected.some(row => uploaded.has(row.uuid))).toBe(false);
+    });
+
+    test('sends a guaranteed heartbeat at least every 30 minutes', async () => {
+      const heartbeats = (await simulation.services.LocationCacheService.db.getAllAsync(`
+        SELECT * FROM cached_heartbeats ORDER BY timestamp ASC
+      `)).map(row => JSON.parse(row.payload)).filter(payload => payload.type === 'guaranteed_heartbeat');
+
+      const { trace } = simulation;
+      const expected = Math.floor((trace.fixes[trace.fixes.length - 1].timestamp - trace.startTime) / (30 * MINUTE));
+      // The first heartbeat fires on start, before the trace has produced a fix
+      const duringTrace = heartbeats.filter(heartbeat => heartbeat.timestamp >= trace.startTime);
+
+      expect(duringTrace.length).toBeGreaterThanOrEqual(expected);
+      expect(duringTrace.every(heartbeat => heartbeat.location_source === 'fresh_location')).toBe(true);
+    });
+
+    test('switches to the stationary tracking profile', () => {
+      expect(simulation.services.LocationService.currentActivity).toBe('stationary');
+      expect(simulation.services.LocationService.activeProfile).toBe('stationary');
+    });
+
+    test('keeps the whole night as a single visit', async () => {
+      const segments = await simulation.simulator.processTimeline(simulation.trace);
+
+      expect(summarize(segments)).toEqual(['visit']);
+    });
+  });
+
+  describe('flight', () => {
+    beforeEach(async () => {
+      simulation = await replayTrace('flight');
+    });
+
+    test('accepts the first fix after landing', async () => {
+      const rows = await simulation.simulator.getCachedLocations();
+      const arrival = rows.find(row => row.latitude < 50);
+
+      expect(arrival.filter_status).not.toBe('rejected');
+    });
+
+    test('splits departure and arrival into two visits without a travel between them', async () => {
+      const segments = await simulation.simulator.processTimeline(simulation.trace);
+
+      expect(summarize(segments)).toEqual(['visit', 'visit']);
+      expect(segments[0].centerLat).toBeCloseTo(52.36, 1);
+      expect(segments[1].centerLat).toBeCloseTo(48.35, 1);
+    });
+  });
+
+  describe('tunnel gap', () => {
+    beforeEach(async () => {
+      simulation = await replayTrace('tunnel_gap');
+    });
+
+    test('rejects the coarse fix on leaving the tunnel', async () => {
+      const rows = await simulation.simulator.getCachedLocations();
+      const rejected = rows.filter(row => row.filter_status === 'rejected');
+
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].filter_reason).toMatch(/^accuracy/);
+    });
+
+    test('keeps the drive through the tunnel as one travel', async () => {
+      const segments = await simulation.simulator.processTimeline(simulation.trace);
+
+      expect(summarize(segments)).toEqual(['visit', 'travel', 'visit']);
+      expect(segments[1].distance).toBeGreaterThan(10);
+    });
+  });
+});
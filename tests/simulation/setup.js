@@ -0,0 +1,55 @@
+/**
+ * Jest setup for trace replay: native expo modules are replaced with
+ * in-memory fakes so services run unchanged under Node.
+ */
+
+process.env.EXPO_PUBLIC_API_URL = 'https://api.haps.test';
+
+jest.mock('expo-sqlite', () => require('./mocks/expo-sqlite'));
+jest.mock('expo-location', () => require('./mocks/expo-location'));
+jest.mock('expo-task-manager', () => require('./mocks/expo-task-manager'));
+jest.mock('expo-network', () => require('./mocks/expo-network'));
+jest.mock('expo-battery', () => require('./mocks/expo-battery'));
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-background-task', () => ({
+  BackgroundTaskResult: { Success: 1, Failed: 2 },
+  registerTaskAsync: jest.fn(async () => {}),
+  unregisterTaskAsync: jest.fn(async () => {})
+}));
+
+// No accelerometer: activity recognition falls back to location only
+jest.mock('expo-sensors', () => ({
+  Accelerometer: {
+    isAvailableAsync: jest.fn(async () => false),
+    setUpdateInterval: jest.fn(),
+    addListener: jest.fn(() => ({ remove: jest.fn() }))
+  }
+}));
+
+jest.mock('expo-secure-store', () => {
+  const store = new Map([['authToken', 'simulated-auth-token']]);
+  return {
+    getItemAsync: jest.fn(async (key) => store.get(key) ?? null),
+    setItemAsync: jest.fn(async (key, value) => { store.set(key, value); }),
+    deleteItemAsync: jest.fn(async (key) => { store.delete(key); })
+  };
+});
+
+// Logging to Better Stack stays disabled without a token
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: { extra: {} } }
+}));
+
+jest.mock('@sentry/react-native', () => ({
+  captureException: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn()
+}));
+
+// Services log every fix; keep test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -0,0 +1,104 @@
+import { cacheTrace } from './TraceReplaySimulator';
+import { SYNC_BACKLOG_THRESHOLD } from '../../services/SyncPolicyService';
+
+const uploadedLocationCount = (api) => api.requestsTo('/users/locations')
+  .reduce((count, request) => count + (request.body.locations || []).length, 0);
+
+describe('sync policy', () => {
+  let simulation;
+  let Network;
+
+  beforeEach(async () => {
+    // Commute has more accepted fixes than SYNC_BACKLOG_THRESHOLD
+    simulation = await cacheTrace('commute');
+    Network = require('expo-network');
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+  });
+
+  test('trickles recent points on cellular and defers the backlog to Wi-Fi', async () => {
+    const { api, services, simulator } = simulation;
+    Network.__setNetworkState({ type: 'CELLULAR' });
+
+    const result = await services.LocationSyncService.syncNow('scheduled');
+    const status = await services.LocationSyncService.getSyncStatus();
+    // Later cellular syncs must not work their way back through the backlog
+    await services.LocationSyncService.syncNow('scheduled');
+    await services.LocationSyncService.syncNow('scheduled');
+
+    const accepted = (await simulator.getCachedLocations()).filter(row => row.filter_status !== 'rejected');
+    const newest = accepted.slice(-SYNC_BACKLOG_THRESHOLD);
+    const uploaded = new Set(api.requestsTo('/users/locations').flatMap(request => request.body.locations || []).map(location => location.uuid));
+
+    expect(accepted.length).toBeGreaterThan(SYNC_BACKLOG_THRESHOLD);
+    expect(uploadedLocationCount(api)).toBe(SYNC_BACKLOG_THRESHOLD);
+    expect(newest.every(row => uploaded.has(row.uuid) && row.synced === 1)).toBe(true);
+    expect(accepted.slice(0, -SYNC_BACKLOG_THRESHOLD).every(row => row.synced === 0)).toBe(true);
+    expect(result.heartbeatResult.skipped).toBeUndefined();
+    expect(result.deferral.categories).toEqual({ backlog: 'metered_network' });
+    expect(status.deferral.conditions).toEqual(expect.objectContaining({ networkType: 'CELLULAR', metered: true }));
+  });
+
+  test('syncs the deferred backlog as soon as Wi-Fi is back', async () => {
+    const { api, services, simulator } = simulation;
+    Network.__setNetworkState({ type: 'CELLULAR' });
+    services.LocationSyncService.startAutoSync('stationary');
+    await services.LocationSyncService.syncNow('scheduled');
+    await services.LocationSyncService.syncNow('scheduled');
+    const onCellular = uploadedLocationCount(api);
+
+    Network.__setNetworkState({ type: 'WIFI' });
+    await simulation.clock.advanceBy(1000);
+
+    const rows = await simulator.getCachedLocations();
+    const accepted = rows.filter(row => row.filter_status !== 'rejected');
+
+    expect(onCellular).toBe(SYNC_BACKLOG_THRESHOLD);
+    expect(uploadedLocationCount(api)).toBe(accepted.length);
+    expect(services.LocationSyncService.lastDeferral).toBeNull();
+  });
+
+  test('holds location data for the charger but still sends heartbeats', async () => {
+    const { api, services } = simulation;
+    await services.SyncPolicyService.updateSettings({ policy: 'wifi_and_charging' });
+
+    const result = await services.LocationSyncService.syncNow('scheduled');
+
+    expect(uploadedLocationCount(api)).toBe(0);
+    expect(result.heartbeatResult.skipped).toBeUndefined();
+    expect(result.locationResult.skipped).toBe('not_charging');
+    expect(result.deferral.categories).toEqual({
+      locations: 'not_charging',
+      backlog: 'not_charging',
+      timeline: 'not_charging'
+    });
+  });
+
+  test('only sends heartbeats while roaming unless roaming is allowed', async () => {
+    const { api, services } = simulation;
+    Network.__setNetworkState({ type: 'CELLULAR', isRoaming: true });
+
+    const roaming = await services.LocationSyncService.syncNow('scheduled');
+    expect(uploadedLocationCount(api)).toBe(0);
+    expect(roaming.deferral.categories.locations).toBe('roaming');
+
+    await services.SyncPolicyService.updateSettings({ policy: 'always', allowRoaming: true });
+    const allowed = await services.LocationSyncService.syncNow('scheduled');
+
+    expect(allowed.deferral).toBeNull();
+    expect(uploadedLocationCount(api)).toBeGreaterThan(SYNC_BACKLOG_THRESHOLD);
+  });
+
+  test.each(['manual', 'manual_location_request'])('user-initiated syncs (%s) ignore the policy', async (reason) => {
+    const { api, services } = simulation;
+    Network.__setNetworkState({ type: 'CELLULAR', isRoaming: true });
+
+    const result = await services.LocationSyncService.syncNow(reason);
+
+    expect(result.deferral).toBeNull();
+    expect(uploadedLocationCount(api)).toBeGreaterThan(SYNC_BACKLOG_THRESHOLD);
+  });
+});
@@ -0,0 +1,140 @@
+import { createSimulation } from './TraceReplaySimulator';
+import { JsonArrayItemScanner } from '../../services/GoogleTakeoutImportService';
+
+const mockFiles = new Map();
+
+// Reads a registered file back in fixed-size chunks, like expo-file-system
+jest.mock('expo-file-system/next', () => ({
+  File: class {
+    constructor(uri) {
+      this.bytes = mockFiles.get(uri);
+      this.exists = Boolean(this.bytes);
+      this.size = this.bytes?.length;
+    }
+
+    open() {
+      let offset = 0;
+      return {
+        readBytes: (length) => {
+          const chunk = this.bytes.subarray(offset, offset + length);
+          offset += chunk.length;
+          return chunk;
+        },
+        close: () => {}
+      };
+    }
+  }
+}));
+
+const CLINIC = { latitude: 52.52, longitude: 13.405 };
+const e7 = (degrees) => Math.round(degrees * 1e7);
+
+const RECORDS = JSON.stringify({
+  locations: [
+    { latitudeE7: e7(52.5), longitudeE7: e7(13.4), timestamp: '2025-03-01T08:00:00Z', source: 'Café "Ecke"\\\\' },
+    { latitudeE7: e7(52.51), longitudeE7: e7(13.41), timestamp: '2025-03-01T08:05:00Z', activity: [{ activity: [{ type: 'WALKING' }] }] },
+    { latitudeE7: e7(52.52), longitudeE7: e7(13.42), timestamp: '2025-03-01T08:10:00Z', note: '\u{1F6B2} {not: [an item]}' }
+  ]
+});
+
+const SEMANTIC = JSON.stringify({
+  timelineObjects: [
+    {
+      placeVisit: {
+        location: { latitudeE7: e7(52.5), longitudeE7: e7(13.4), name: 'Bäckerei "Mehl"', address: 'Kastanienallee 1' },
+        duration: { startTimestamp: '2025-03-02T09:00:00Z', endTimestamp: '2025-03-02T09:30:00Z' }
+      }
+    },
+    {
+      activitySegment: {
+        startLocation: { latitudeE7: e7(52.5), longitudeE7: e7(13.4) },
+        endLocation: { latitudeE7: e7(52.53), longitudeE7: e7(13.43) },
+        duration: { startTimestamp: '2025-03-02T09:30:00Z', endTimestamp: '2025-03-02T09:50:00Z' },
+        activityType: 'IN_BUS'
+      }
+    }
+  ]
+});
+
+const encode = (text) => new TextEncoder().encode(text);
+
+// Feed the bytes cut at the given offsets
+const scan = (bytes, cuts) => {
+  const scanner = new JsonArrayItemScanner(['locations', 'timelineObjects']);
+  const bounds = [0, ...cuts, bytes.length];
+  const items = bounds.slice(1).flatMap((end, index) => scanner.push(bytes.subarray(bounds[index], end)));
+  return { scanner, items };
+};
+
+describe('Google Takeout import', () => {
+  test('items come out whole however the chunks are cut', () => {
+    const records = encode(RECORDS);
+    const semantic = encode(SEMANTIC);
+    const at = (bytes, text, offset = 0) => Buffer.from(bytes).indexOf(text) + offset;
+
+    const cuts = {
+      midString: [at(records, 'Caf', 2)],
+      midEscape: [at(records, '\\"', 1), at(records, '\\\\\\\\', 1)],
+      midMultiByte: [at(records, 'é', 1), at(records, '\u{1F6B2}', 2)],
+      midObject: [at(records, '"activity"'), at(records, '[an item]', 1)],
+      everyByte: Array.from({ length: records.length - 1 }, (_, index) => index + 1)
+    };
+
+    for (const [name, offsets] of Object.entries(cuts)) {
+      expect({ name, items: scan(records, offsets).items }).toEqual({
+        name,
+        items: JSON.parse(RECORDS).locations.map(item => ({ key: 'locations', item }))
+      });
+    }
+
+    const semanticCuts = [at(semantic, 'Mehl', -1), at(semantic, '"activitySegment"', 3), at(semantic, 'IN_BUS')];
+    expect(scan(semantic, semanticCuts).items).toEqual(
+      JSON.parse(SEMANTIC).timelineObjects.map(item => ({ key: 'timelineObjects', item }))
+    );
+  });
+
+  test('a malformed item is emitted as null and a cut-off tail stays pending', () => {
+    const bytes = encode(`{"locations": [{"latitudeE7": 1, "timestamp": }, {"latitudeE7": 2}, {"latitudeE7": 3, "times`);
+    const { scanner, items } = scan(bytes, [20, 60]);
+
+    expect(items).toEqual([{ key: 'locations', item: null }, { key: 'locations', item: { latitudeE7: 2 } }]);
+    expect(scanner.hasPartialItem).toBe(true);
+    expect(scan(encode(RECORDS), []).scanner.hasPartialItem).toBe(false);
+  });
+
+  describe('importFiles', () => {
+    let simulation;
+    let GoogleTakeoutImportService;
+    let PrivacyZoneService;
+
+    beforeEach(async () => {
+      simulation = await createSimulation({ startTime: Date.parse('2025-03-09T12:00:00Z') });
+      GoogleTakeoutImportService = require('../../services/GoogleTakeoutImportService').default;
+      PrivacyZoneService = require('../../services/PrivacyZoneService').default;
+      mockFiles.clear();
+    });
+
+    afterEach(() => {
+      simulation.services.LocationSyncService.stopAutoSync();
+      simulation.clock.uninstall();
+    });
+
+    test('reports invalid items, a truncated tail and points dropped by privacy zones', async () => {
+      await PrivacyZoneService.saveZone({ name: 'Clinic', ...CLINIC, radius_meters: 200, mode: 'drop' });
+      // One broken record, then the export is cut off inside the next one
+      const truncated = RECORDS.replace(/\]\}$/, '').replace('"source"', '"source": , "x"');
+      mockFiles.set('file:///Records.json', encode(`${truncated}, {"latitudeE7": 1`));
+      mockFiles.set('file:///Semantic.json', encode(SEMANTIC.replace(`"latitudeE7":${e7(52.53)}`, `"latitudeE7":${e7(CLINIC.latitude)}`)
+        .replace(`"longitudeE7":${e7(13.43)}`, `"longitudeE7":${e7(CLINIC.longitude)}`)));
+      const progress = [];
+
+      const result = await GoogleTakeoutImportService.importFiles(
+        ['file:///Records.json', 'file:///Semantic.json'],
+        { onProgress: update => progress.push(update) }
+      );
+
+      expect(result).toMatchObject({ imported: 4, invalid: 2, privacyDropped: 1 });
+      expect(progress[progress.length - 1]).toMatchObject({ phase: 'done', privacyDropped: 1 });
+    });
+  });
+});
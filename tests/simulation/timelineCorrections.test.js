@@ -0,0 +1,160 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const TOKEN = 'simulated-auth-token';
+const at = (time) => Date.parse(`2025-03-06T${time}Z`);
+
+const home = {
+  id: 1,
+  type: 'visit',
+  start_time: '2025-03-06T07:00:00Z',
+  end_time: '2025-03-06T09:00:00Z',
+  duration: 7200,
+  center_latitude: 52.52,
+  center_longitude: 13.405,
+  location: { name: 'Home', address: 'Torstr. 1, Berlin' }
+};
+
+const commute = {
+  id: 2,
+  type: 'travel',
+  start_time: '2025-03-06T09:00:00Z',
+  end_time: '2025-03-06T10:00:00Z',
+  duration: 3600,
+  distance: 6000,
+  center_latitude: 52.51,
+  center_longitude: 13.39
+};
+
+const bakery = {
+  id: 3,
+  type: 'visit',
+  start_time: '2025-03-06T10:00:00Z',
+  end_time: '2025-03-06T10:30:00Z',
+  duration: 1800,
+  center_latitude: 52.5,
+  center_longitude: 13.37,
+  location: { name: 'Bakery', address: 'Kantstr. 5, Berlin' }
+};
+
+const serveTimeline = (api, timeline = [home, commute, bakery]) => api.respondWith(request => (request.path === '/api/timeline'
+  ? { status: 200, body: { date: '2025-03-06', timezone: 'UTC', timeline } }
+  : { status: 201, body: { success: true } }));
+
+describe('timeline corrections', () => {
+  let simulation;
+  let TimelineService;
+  let TimelineDatabase;
+  let TimelineCorrectionService;
+
+  const seedLocalSegment = ({ type, start, end, distance = 0 }) => simulation.services.LocationCacheService.db.runAsync(`
+    INSERT INTO local_timeline_segments (
+      type, start_time, end_time, center_latitude, center_longitude, distance, location_count, confidence
+    ) VALUES (?, ?, ?, 52.51, 13.39, ?, 12, 0.5)
+  `, [type, start, end, distance]);
+
+  const localSegments = () => simulation.services.LocationCacheService.db.getAllAsync(`
+    SELECT type, start_time, end_time, distance, user_corrected FROM local_timeline_segments ORDER BY start_time
+  `);
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: at('12:00:00') });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'UTC' });
+    TimelineService = require('../../services/TimelineService').default;
+    TimelineDatabase = require('../../services/TimelineDatabase').default;
+    TimelineCorrectionService = require('../../services/TimelineCorrectionService').default;
+    serveTimeline(simulation.api);
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('an offline split shows at once, survives a refetch and uploads with the next sync', async () => {
+    const { api, services } = simulation;
+    const day = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+    await seedLocalSegment({ type: 'travel', start: at('09:00:00'), end: at('10:00:00'), distance: 6 });
+
+    api.respondWith(() => {
+      throw new TypeError('Network request failed');
+    });
+    const [travel] = day.travels;
+    const correction = await TimelineCorrectionService.splitItem(travel, at('09:20:00'), { timeZone: 'UTC' });
+    const shown = TimelineService.applyCorrectionToDay(day, correction);
+    const offline = await TimelineCorrectionService.syncPendingCorrections(TOKEN);
+
+    // The server still has the whole travel until the split arrives
+    serveTimeline(api);
+    const refetched = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+    const segments = await localSegments();
+
+    const result = await services.LocationSyncService.syncNow('manual');
+    const [post] = api.requestsTo('/api/timeline/corrections');
+
+    expect(shown.travels.map(item => [item.start_time, item.distance, item.duration])).toEqual([
+      ['2025-03-06T09:00:00.000Z', 2000, 1200],
+      ['2025-03-06T09:20:00.000Z', 4000, 2400]
+    ]);
+    expect(shown.travels[1].id).toBeLessThan(0);
+    expect(offline.errors).toBe(1);
+    expect(refetched.travels.map(item => item.id)).toEqual([2, shown.travels[1].id]);
+    expect(refetched.visits).toHaveLength(2);
+    expect(segments).toEqual([
+      { type: 'travel', start_time: at('09:00:00'), end_time: at('09:20:00'), distance: 2, user_corrected: 1 },
+      { type: 'travel', start_time: at('09:20:00'), end_time: at('10:00:00'), distance: 4, user_corrected: 1 }
+    ]);
+    expect(result.correctionResult.synced).toBe(1);
+    expect(post.body.correction).toMatchObject({
+      action: 'split',
+      split_at: '2025-03-06T09:20:00.000Z',
+      items: [{ id: 2, type: 'travel' }],
+      result: [{ id: 2, distance: 2000 }, { id: null, distance: 4000, start_time: '2025-03-06T09:20:00.000Z' }]
+    });
+    expect(await TimelineCorrectionService.getPendingCorrections()).toEqual([]);
+  });
+
+  test('a merge keeps the longest item and the detector leaves the merged stretch alone', async () => {
+    const { api, services } = simulation;
+    const day = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+    await seedLocalSegment({ type: 'visit', start: at('07:00:00'), end: at('09:00:00') });
+    await seedLocalSegment({ type: 'travel', start: at('09:00:00'), end: at('10:00:00'), distance: 6 });
+
+    const correction = await TimelineCorrectionService.mergeItems(
+      [...day.visits, ...day.travels],
+      { timeZone: 'UTC' }
+    );
+    const cached = await TimelineDatabase.getTimelineForDate('2025-03-06');
+    const segments = await localSegments();
+    const redetected = await services.ClientTimelineProcessor.storeTimelineSegments([{
+      type: 'movement',
+      startTime: at('09:10:00'),
+      endTime: at('09:40:00'),
+      locations: [{ coords: { latitude: 52.51, longitude: 13.39 } }],
+      centerLat: 52.51,
+      centerLon: 13.39,
+      distanceKm: 3
+    }]);
+
+    const synced = await TimelineCorrectionService.syncPendingCorrections(TOKEN);
+    const [post] = api.requestsTo('/api/timeline/corrections');
+
+    expect(correction.result).toHaveLength(1);
+    expect(cached.travels).toEqual([]);
+    expect(cached.visits).toHaveLength(1);
+    expect(cached.visits[0]).toMatchObject({
+      id: 1,
+      start_time: '2025-03-06T07:00:00.000Z',
+      end_time: '2025-03-06T10:30:00.000Z',
+      duration: 12600,
+      location_name: 'Home'
+    });
+    expect(segments).toEqual([
+      { type: 'visit', start_time: at('07:00:00'), end_time: at('10:30:00'), distance: 0, user_corrected: 1 }
+    ]);
+    expect(redetected).toEqual([]);
+    expect(synced.synced).toBe(1);
+    expect(post.body.correction.items.map(item => item.id)).toEqual([1, 2, 3]);
+    expect(post.body.correction.result).toEqual([expect.objectContaining({ id: 1, type: 'visit', location: home.location })]);
+  });
+});
@@ -0,0 +1,114 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const TOKEN = 'simulated-auth-token';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const visit = (date, name) => ({
+  id: 1,
+  type: 'visit',
+  start_time: `${date}T08:00:00Z`,
+  end_time: `${date}T09:00:00Z`,
+  duration: 3600,
+  location: { name }
+});
+
+describe('timeline freshness', () => {
+  let simulation;
+  let TimelineService;
+  let TimelineDatabase;
+
+  // Answers like the server: 304 when the client already has this version
+  const serveDay = (date, name, validators) => simulation.api.respondWith(({ headers }) => (
+    headers['If-None-Match'] === validators.ETag
+      ? { status: 304, body: null, headers: validators }
+      : { status: 200, body: { date, timezone: 'UTC', timeline: [visit(date, name)] }, headers: validators }
+  ));
+
+  const timelineRequests = () => simulation.api.requestsTo('/api/timeline');
+
+  // Resolves with the view a background refetch hands over
+  const nextUpdate = () => {
+    let onUpdate;
+    const update = new Promise(resolve => { onUpdate = resolve; });
+    return { onUpdate, update };
+  };
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-09T12:00:00Z') });
+    simulation.services.LocationSyncService.stopAutoSync();
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'UTC' });
+    TimelineService = require('../../services/TimelineService').default;
+    TimelineDatabase = require('../../services/TimelineDatabase').default;
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('fresh days come from the cache and stale ones are refetched in the background', async () => {
+    serveDay('2025-03-09', 'Cafe', { ETag: '"v1"' });
+    const first = await TimelineService.getTimelineForDate('2025-03-09', TOKEN);
+    jest.setSystemTime(Date.parse('2025-03-09T12:04:00Z'));
+    const fresh = await TimelineService.getTimelineForDate('2025-03-09', TOKEN);
+
+    // Today is stale after five minutes
+    jest.setSystemTime(Date.parse('2025-03-09T12:06:00Z'));
+    serveDay('2025-03-09', 'Cafe Anna', { ETag: '"v2"' });
+    const { onUpdate, update } = nextUpdate();
+    const stale = await TimelineService.getTimelineForDate('2025-03-09', TOKEN, { onUpdate });
+    const updated = await update;
+    const day = await TimelineDatabase.getTimelineDay('2025-03-09');
+
+    expect(first).toMatchObject({ syncedAt: '2025-03-09T12:00:00.000Z', visits: [{ location: { name: 'Cafe' } }] });
+    expect(first.fromCache).toBeUndefined();
+    expect(fresh).toMatchObject({ fromCache: true, syncedAt: '2025-03-09T12:00:00.000Z' });
+    expect(fresh.revalidating).toBeUndefined();
+    expect(stale).toMatchObject({ fromCache: true, revalidating: true, visits: [{ location: { name: 'Cafe' } }] });
+    expect(updated).toMatchObject({ syncedAt: '2025-03-09T12:06:00.000Z', visits: [{ location: { name: 'Cafe Anna' } }] });
+    expect(timelineRequests()).toHaveLength(2);
+    expect(timelineRequests()[1].headers['If-None-Match']).toBe('"v1"');
+    expect(day).toMatchObject({ etag: '"v2"', synced_at: '2025-03-09T12:06:00.000Z' });
+  });
+
+  test('old days stay fresh longer and an unchanged day only moves its sync time', async () => {
+    const validators = { ETag: '"feb"', 'Last-Modified': 'Mon, 10 Feb 2025 20:00:00 GMT' };
+    serveDay('2025-02-10', 'Office', validators);
+    await TimelineService.getTimelineForDate('2025-02-10', TOKEN);
+
+    // A month-old day is good for a day
+    jest.setSystemTime(Date.parse('2025-03-10T10:00:00Z'));
+    const fresh = await TimelineService.getTimelineForDate('2025-02-10', TOKEN);
+
+    jest.setSystemTime(Date.parse('2025-03-10T13:00:00Z'));
+    const { onUpdate, update } = nextUpdate();
+    const stale = await TimelineService.getTimelineForDate('2025-02-10', TOKEN, { onUpdate });
+    const notModified = await update;
+    const revalidation = timelineRequests()[1];
+
+    simulation.api.respondWith(() => {
+      throw new TypeError('Network request failed');
+    });
+    const offline = await TimelineService.getTimelineForDate('2025-02-10', TOKEN, { force: true });
+
+    expect(fresh.revalidating).toBeUndefined();
+    expect(stale.revalidating).toBe(true);
+    expect(revalidation.headers).toMatchObject({
+      'If-None-Match': '"feb"',
+      'If-Modified-Since': 'Mon, 10 Feb 2025 20:00:00 GMT'
+    });
+    expect(notModified).toMatchObject({
+      fromCache: true,
+      syncedAt: '2025-03-10T13:00:00.000Z',
+      visits: [{ location: { name: 'Office' } }]
+    });
+    expect(offline).toMatchObject({ fromCache: true, refreshFailed: true, sessionExpired: false, syncedAt: '2025-03-10T13:00:00.000Z' });
+    expect(TimelineService.getMaxAge('2025-03-10')).toBe(5 * MINUTE);
+    expect(TimelineService.getMaxAge('2025-03-09')).toBe(30 * MINUTE);
+    expect(TimelineService.getMaxAge('2025-03-03')).toBe(6 * HOUR);
+    expect(TimelineService.getMaxAge('2024-01-01')).toBe(30 * 24 * HOUR);
+    expect(TimelineService.formatUpdatedAgo('2025-03-10T12:58:30.000Z')).toBe('Updated 1 min ago');
+  });
+});
@@ -0,0 +1,134 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const TOKEN = 'simulated-auth-token';
+
+const gym = {
+  id: 1,
+  type: 'visit',
+  start_time: '2025-03-03T18:00:00Z',
+  end_time: '2025-03-03T19:00:00Z',
+  duration: 3600,
+  location: { name: 'Gym' }
+};
+
+const night = {
+  id: 2,
+  type: 'visit',
+  start_time: '2025-03-04T22:00:00Z',
+  end_time: '2025-03-05T07:00:00Z',
+  duration: 9 * 3600,
+  location: { name: 'Home' }
+};
+
+const commute = {
+  id: 3,
+  type: 'travel',
+  start_time: '2025-03-05T07:00:00Z',
+  end_time: '2025-03-05T07:30:00Z',
+  duration: 1800,
+  distance: 5000
+};
+
+describe('timeline ranges', () => {
+  let simulation;
+  let TimelineService;
+  let TimelineDatabase;
+
+  const serveRange = (timeline) => simulation.api.respondWith(() => ({
+    status: 200,
+    body: { start_date: '2025-03-03', end_date: '2025-03-09', timezone: 'UTC', timeline }
+  }));
+
+  const timelineQueries = () => global.fetch.mock.calls
+    .map(([url]) => new URL(url))
+    .filter(url => url.pathname === '/api/timeline')
+    .map(url => Object.fromEntries(url.searchParams));
+
+  beforeEach(async () => {
+    // Sunday 9 March 2025
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-09T12:00:00Z') });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'UTC' });
+    TimelineService = require('../../services/TimelineService').default;
+    TimelineDatabase = require('../../services/TimelineDatabase').default;
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('a week loads in one request and every day of it is cached', async () => {
+    serveRange([gym, night, commute]);
+
+    const week = await TimelineService.fetchTimelineForDateRange('2025-03-03', '2025-03-09', TOKEN);
+    const cachedDay = await TimelineDatabase.getTimelineForDate('2025-03-05');
+    const { days } = await TimelineDatabase.getTimelineForRange('2025-03-01', '2025-03-09');
+
+    expect(timelineQueries()).toEqual([{ start_date: '2025-03-03', end_date: '2025-03-09', timezone: 'UTC' }]);
+    expect(week.visits.map(visit => visit.id)).toEqual([1, 2]);
+    expect(week.days.map(day => [day.date, day.visits.length, day.travels.length])).toEqual([
+      ['2025-03-03', 1, 0],
+      ['2025-03-04', 1, 0],
+      ['2025-03-05', 1, 1],
+      ['2025-03-06', 0, 0],
+      ['2025-03-07', 0, 0],
+      ['2025-03-08', 0, 0],
+      ['2025-03-09', 0, 0]
+    ]);
+    expect(week.days[1].visits[0]).toMatchObject({ id: 2, continues_next_day: true, display_duration: 2 * 3600 });
+    expect(week.days[2].visits[0]).toMatchObject({ id: 2, continued_from_previous_day: true, display_duration: 7 * 3600 });
+    expect(week.days.every(day => day.synced_at === '2025-03-09T12:00:00.000Z')).toBe(true);
+    expect(cachedDay.visits.map(visit => visit.id)).toEqual([2]);
+    expect(cachedDay.travels.map(travel => travel.id)).toEqual([3]);
+    // Empty days are recorded as loaded too
+    expect(days.map(day => day.date)).toEqual([
+      '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07', '2025-03-08', '2025-03-09'
+    ]);
+  });
+
+  test('offline ranges come from the cache and a refetch drops deleted items', async () => {
+    serveRange([gym, night, commute]);
+    await TimelineService.syncRecentTimeline(TOKEN);
+
+    simulation.api.respondWith(() => {
+      throw new TypeError('Network request failed');
+    });
+    const offline = await TimelineService.fetchTimelineForDateRange('2025-03-01', '2025-03-09', TOKEN);
+    const neverLoaded = await TimelineService.fetchTimelineForDateRange('2025-02-01', '2025-02-28', TOKEN).catch(error => error);
+
+    serveRange([night, commute]);
+    const refetched = await TimelineService.fetchTimelineForDateRange('2025-03-03', '2025-03-09', TOKEN);
+    const cached = await TimelineDatabase.getTimelineForRange('2025-03-03', '2025-03-09');
+
+    expect(timelineQueries()[0]).toEqual({ start_date: '2025-03-03', end_date: '2025-03-09', timezone: 'UTC' });
+    expect(offline.fromCache).toBe(true);
+    expect(offline.visits.map(visit => visit.id)).toEqual([1, 2]);
+    expect(offline.days.slice(0, 3).map(day => [day.date, day.synced_at])).toEqual([
+      ['2025-03-01', null],
+      ['2025-03-02', null],
+      ['2025-03-03', '2025-03-09T12:00:00.000Z']
+    ]);
+    expect(neverLoaded.message).toBe('Network request failed');
+    expect(refetched.fromCache).toBeUndefined();
+    expect(cached.visits.map(visit => visit.id)).toEqual([2]);
+  });
+
+  test('weeks run Monday to Sunday and months to their last day, stopping at today', () => {
+    expect(TimelineService.getSpanRange('2025-03-05', 'week')).toEqual({
+      startDate: '2025-03-03', endDate: '2025-03-09', includesToday: true
+    });
+    expect(TimelineService.getSpanRange('2025-03-09', 'month')).toEqual({
+      startDate: '2025-03-01', endDate: '2025-03-09', includesToday: true
+    });
+    expect(TimelineService.getSpanRange('2024-02-10', 'month')).toEqual({
+      startDate: '2024-02-01', endDate: '2024-02-29', includesToday: false
+    });
+    expect(TimelineService.getSpanRange('2024-12-29', 'week')).toEqual({
+      startDate: '2024-12-23', endDate: '2024-12-29', includesToday: false
+    });
+    expect(TimelineService.getSpanRange('2025-03-02', 'day')).toEqual({
+      startDate: '2025-03-02', endDate: '2025-03-02', includesToday: false
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const DENTIST = { latitude: 52.5, longitude: 13.37 };
+const CAFE = { latitude: 52.52, longitude: 13.405 };
+const at = (day, time) => `2025-03-0${day}T${time}Z`;
+
+describe('timeline search', () => {
+  let simulation;
+  let TimelineService;
+  let TimelineDatabase;
+  let PlaceService;
+
+  // 3 March 2025 is a Monday
+  const saveVisit = (id, day, { latitude, longitude }, location, duration) => TimelineDatabase.saveTimelineData(`2025-03-0${day}`, {
+    timezone: 'UTC',
+    visits: [{
+      id,
+      start_time: at(day, '09:00:00'),
+      end_time: new Date(Date.parse(at(day, '09:00:00')) + duration * 1000).toISOString(),
+      duration,
+      center_latitude: latitude,
+      center_longitude: longitude,
+      location
+    }],
+    travels: []
+  });
+
+  const ids = (result) => result.visits.map(visit => visit.id);
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: Date.parse(at(9, '12:00:00')) });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'UTC' });
+    TimelineService = require('../../services/TimelineService').default;
+    TimelineDatabase = require('../../services/TimelineDatabase').default;
+    PlaceService = require('../../services/PlaceService').default;
+
+    await saveVisit(1, 3, DENTIST, { name: 'Dr. Müller Zahnärzte', address: 'Kantstr. 5, Berlin' }, 1800);
+    await saveVisit(2, 4, CAFE, { name: 'Cafe Anna', address: 'Torstr. 1, Berlin' }, 3600);
+    await saveVisit(3, 5, DENTIST, { name: 'Praxis Kantstraße', address: null }, 2700);
+    await saveVisit(4, 7, DENTIST, null, 3600);
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('visits are found by place name, address, note and My Places tag', async () => {
+    await PlaceService.learnPlaces();
+    const [dentist] = await PlaceService.getPlaces();
+    await PlaceService.updatePlace(dentist.id, { name: 'Dentist', category: 'health', radius_meters: 150 });
+    await TimelineService.saveVisitNote({ id: 2 }, '  Birthday breakfast with Anna ');
+
+    // A refetch replaces the visit rows; the note and tag stay with the visit
+    await saveVisit(2, 4, CAFE, { name: 'Café Anna', address: 'Torstr. 1, Berlin' }, 3600);
+
+    const byName = await TimelineService.searchVisits({ query: 'zahnarzte' });
+    const byPlace = await TimelineService.searchVisits({ query: 'dent' });
+    const byCategory = await TimelineService.searchVisits({ query: 'health' });
+    const byAddress = await TimelineService.searchVisits({ query: 'kantstr berlin' });
+    const byNote = await TimelineService.searchVisits({ query: 'birthday anna' });
+    const nothing = await TimelineService.searchVisits({ query: 'dentist birthday' });
+    const cached = await TimelineDatabase.getTimelineForDate('2025-03-04');
+    const { visits: [shown] } = await TimelineService.withLocalChanges(cached.visits, [], '2025-03-04', 'UTC');
+
+    expect(ids(byName)).toEqual([1]);
+    expect(ids(byPlace)).toEqual([4, 3, 1]);
+    expect(byPlace.visits[0]).toMatchObject({ date: '2025-03-07', place_name: 'Dentist', category: 'health', timezone: 'UTC' });
+    expect(ids(byCategory)).toEqual([4, 3, 1]);
+    expect(ids(byAddress)).toEqual([1]);
+    expect(ids(byNote)).toEqual([2]);
+    expect(byNote.visits[0]).toMatchObject({ note: 'Birthday breakfast with Anna', location: { name: 'Café Anna' } });
+    expect(nothing.total).toBe(0);
+    expect(shown.note).toBe('Birthday breakfast with Anna');
+  });
+
+  test('date, duration, weekday and category filters narrow the results and facets count the rest', async () => {
+    await PlaceService.learnPlaces();
+    const [dentist] = await PlaceService.getPlaces();
+    await PlaceService.updatePlace(dentist.id, { name: 'Dentist', category: 'health', radius_meters: 150 });
+
+    const all = await TimelineService.searchVisits();
+    const lastWeek = await TimelineService.searchVisits({ days: 5 });
+    const dated = await TimelineService.searchVisits({ startDate: '2025-03-04', endDate: '2025-03-05' });
+    const long = await TimelineService.searchVisits({ minDuration: 2700 });
+    const short = await TimelineService.searchVisits({ maxDuration: 1800 });
+    const mondays = await TimelineService.searchVisits({ weekdays: [1] });
+    const health = await TimelineService.searchVisits({ category: 'health', weekdays: [1, 5] });
+
+    expect(ids(all)).toEqual([4, 3, 2, 1]);
+    expect(all.facets).toEqual({ categories: { health: 3 }, weekdays: [0, 1, 1, 1, 0, 1, 0] });
+    expect(ids(lastWeek)).toEqual([4, 3]);
+    expect(ids(dated)).toEqual([3, 2]);
+    expect(ids(long)).toEqual([4, 3, 2]);
+    expect(ids(short)).toEqual([1]);
+    expect(ids(mondays)).toEqual([1]);
+    // Each facet ignores its own filter
+    expect(mondays.facets.weekdays).toEqual([0, 1, 1, 1, 0, 1, 0]);
+    expect(mondays.facets.categories).toEqual({ health: 1 });
+    expect(ids(health)).toEqual([4, 1]);
+    expect(health.total).toBe(2);
+    expect(health.facets.weekdays).toEqual([0, 1, 0, 1, 0, 1, 0]);
+  });
+
+  test('visits without a server id stay out of the index', async () => {
+    await saveVisit(null, 6, CAFE, { name: 'Cafe Anna', address: 'Torstr. 1, Berlin' }, 3600);
+    await TimelineService.saveVisitNote({ id: 5 }, 'Not a cached visit');
+    // Refetching the day deletes the id-less visit again
+    await TimelineDatabase.saveTimelineData('2025-03-06', { timezone: 'UTC', visits: [], travels: [] });
+    await saveVisit(null, 6, CAFE, { name: 'Cafe Anna', address: 'Torstr. 1, Berlin' }, 3600);
+
+    const indexed = await TimelineDatabase.db.getAllAsync('SELECT rowid FROM visit_search ORDER BY rowid');
+    const cafe = await TimelineService.searchVisits({ query: 'cafe' });
+
+    expect(indexed.map(row => row.rowid)).toEqual([1, 2, 3, 4]);
+    expect(ids(cafe)).toEqual([2]);
+  });
+});
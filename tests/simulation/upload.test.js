@@ -0,0 +1,240 @@
+import { cacheTrace } from './TraceReplaySimulator';
+import { createSizeBoundedBatches, deltaDecode, deltaEncode } from '../../services/UploadPayload';
+
+const MINUTE = 60 * 1000;
+
+const syncStates = async ({ services }) => {
+  const rows = await services.LocationCacheService.db.getAllAsync(`
+    SELECT uuid, synced, sync_attempts, quarantine_reason FROM cached_locations
+    WHERE filter_status != 'rejected'
+  `);
+  return new Map(rows.map(row => [row.uuid, row]));
+};
+
+describe('uuid-acknowledged location upload', () => {
+  let simulation;
+
+  beforeEach(async () => {
+    simulation = await cacheTrace('tunnel_gap');
+  });
+
+  afterEach(() => {
+    simulation.clock.uninstall();
+  });
+
+  test('marks exactly the acknowledged rows and quarantines permanent rejections', async () => {
+    const { api, services } = simulation;
+    let batch = null;
+
+    api.respondWith(({ body }) => {
+      batch = body.locations.map(location => location.uuid);
+      return {
+        status: 200,
+        body: {
+          accepted: batch.slice(2),
+          rejected: [
+            { uuid: batch[0], reason: 'timestamp_in_future', retryable: false },
+            { uuid: batch[1], reason: 'rate_limited', retryable: true }
+          ]
+        }
+      };
+    });
+
+    const result = await services.LocationSyncService.syncLocations('token');
+    const states = await syncStates(simulation);
+
+    expect(result).toEqual(expect.objectContaining({ synced: batch.length - 2, quarantined: 1, retrying: 1 }));
+    expect(states.get(batch[0])).toEqual(expect.objectContaining({ synced: 0, quarantine_reason: 'timestamp_in_future' }));
+    expect(states.get(batch[1])).toEqual(expect.objectContaining({ synced: 0, sync_attempts: 1, quarantine_reason: null }));
+    expect(batch.slice(2).every(uuid => states.get(uuid).synced === 1)).toBe(true);
+  });
+
+  test('backs off retryable rows and never re-sends quarantined ones', async () => {
+    const { api, clock, services } = simulation;
+    const syncAll = async () => (await services.LocationSyncService.syncLocations('token')).synced;
+    let poisoned = null;
+
+    api.respondWith(({ body }) => {
+      const uuids = body.locations.map(location => location.uuid);
+      poisoned = poisoned || uuids[0];
+      return {
+        status: 200,
+        body: { accepted: [], rejected: uuids.map(uuid => ({ uuid, reason: 'busy', retryable: uuid !== poisoned })) }
+      };
+    });
+    await syncAll();
+    const attempted = api.requests.length;
+
+    const duringBackoff = await syncAll();
+    expect(duringBackoff).toBe(0);
+    expect(api.requests).toHaveLength(attempted);
+
+    await clock.advanceBy(MINUTE);
+    api.respondWith(({ body }) => ({ status: 200, body: { accepted: body.locations.map(location => location.uuid) } }));
+    const afterBackoff = await syncAll();
+
+    const resent = api.requests.slice(attempted).flatMap(request => request.body.locations.map(location => location.uuid));
+    const states = await syncStates(simulation);
+
+    expect(afterBackoff).toBe(states.size - 1);
+    expect(resent).not.toContain(poisoned);
+  });
+
+  test('does not quarantine anything during a server outage', async () => {
+    const { api, clock, services } = simulation;
+
+    // 429/503 are throttling and leave the rows alone; see circuitBreaker.test.js
+    api.respondWith(() => ({ status: 500, body: { error: 'internal' } }));
+    for (let attempt = 0; attempt < 15; attempt++) {
+      await services.LocationSyncService.syncLocations('token', { ignoreBackoff: true });
+      await clock.advanceBy(MINUTE);
+    }
+
+    const states = [...(await syncStates(simulation)).values()];
+    const stats = await services.LocationCacheService.getCacheStats();
+
+    expect(states.some(row => row.quarantine_reason)).toBe(false);
+    expect(stats.locations.quarantined).toBe(0);
+    expect(stats.locations.retrying).toBeGreaterThan(0);
+  });
+});
+
+describe('compressed batched upload', () => {
+  let simulation;
+
+  afterEach(() => {
+    simulation?.clock.uninstall();
+    simulation = null;
+  });
+
+  test('delta encoding round-trips coordinates and timestamps', () => {
+    const points = [
+      { uuid: 'a', latitude: 52.520008, longitude: 13.404954, timestamp: 1741276800000 },
+      { uuid: 'b', latitude: 52.520123, longitude: 13.405001, timestamp: 1741276815000 },
+      { uuid: 'c', latitude: null, longitude: null, timestamp: 1741276830000 },
+      { uuid: 'd', latitude: 52.519987, longitude: 13.404321, timestamp: 1741276845000 }
+    ];
+
+    const { encoding, items } = deltaEncode(points);
+
+    expect(items[1]).toEqual(expect.objectContaining({ latitude: 115, longitude: 47, timestamp: 15000 }));
+    expect(deltaDecode(items, encoding).map(point => point.latitude)).toEqual(points.map(point => point.latitude));
+    expect(deltaDecode(items, encoding)).toEqual(points.map(point => expect.objectContaining({
+      longitude: point.longitude === null ? null : expect.closeTo(point.longitude, 6),
+      timestamp: point.timestamp
+    })));
+  });
+
+  test('keeps every batch under the byte budget', () => {
+    const items = Array.from({ length: 100 }, (_, index) => ({ uuid: `uuid-${index}`, padding: 'x'.repeat(100) }));
+
+    const batches = createSizeBoundedBatches(items, { maxBytes: 1000, maxItems: 8 });
+
+    expect(batches.flat()).toEqual(items);
+    expect(batches.every(batch => batch.length <= 8 && JSON.stringify(batch).length <= 1000)).toBe(true);
+  });
+
+  test('sends plain JSON until the server lists its formats, then drains the backlog gzipped', async () => {
+    simulation = await cacheTrace('commute');
+    const { api, services } = simulation;
+
+    // The first response lists delta, gzip and heartbeat_batch
+    const first = await services.LocationSyncService.syncLocations('token', { limit: 20 });
+    const result = await services.LocationSyncService.syncLocations('token');
+    const [plain, ...uploads] = api.requestsTo('/users/locations');
+    const rows = await simulation.simulator.getCachedLocations();
+    const accepted = rows.filter(row => row.filter_status !== 'rejected');
+
+    expect(first.synced + result.synced).toBe(accepted.length);
+    expect(plain.headers['Content-Encoding']).toBeUndefined();
+    expect(plain.body.encoding).toBeUndefined();
+    expect(uploads.length).toBeGreaterThan(0);
+    expect(uploads.every(request => request.headers['Content-Encoding'] === 'gzip')).toBe(true);
+    expect(uploads.every(request => request.body.encoding?.type === 'delta')).toBe(true);
+    expect(uploads.every(request => request.bytes < JSON.stringify(request.body).length / 3)).toBe(true);
+
+    const uploaded = new Map([plain, ...uploads].flatMap(request => request.body.locations).map(location => [location.uuid, location]));
+    for (const row of accepted) {
+      expect(uploaded.get(row.uuid).latitude).toBeCloseTo(row.latitude, 6);
+      expect(uploaded.get(row.uuid).timestamp).toBe(row.timestamp * 1000);
+    }
+  });
+
+  test('servers that list no formats get absolute coordinates and one heartbeat per request', async () => {
+    simulation = await cacheTrace('tunnel_gap');
+    const { api, services } = simulation;
+    const acknowledged = [];
+    for (const minute of [1, 2]) {
+      await services.LocationCacheService.cacheHeartbeat({ timestamp: new Date(simulation.trace.startTime + minute * MINUTE).toISOString() });
+    }
+
+    // An older server: no X-Upload-Formats and no per-uuid acknowledgement
+    api.respondWith(({ body }) => {
+      acknowledged.push(...(body.locations || []).map(location => location.uuid));
+      return { status: 200, body: { success: true } };
+    });
+    const locations = await services.LocationSyncService.syncLocations('token');
+    const heartbeats = await services.LocationSyncService.syncHeartbeats('token');
+    const uploads = api.requestsTo('/users/locations');
+    const states = [...(await syncStates(simulation)).values()];
+
+    expect(locations.synced).toBe(states.length);
+    expect(states.every(row => row.synced === 1)).toBe(true);
+    expect(uploads[0].headers['Content-Encoding']).toBeUndefined();
+    expect(uploads[0].body.encoding).toBeUndefined();
+    expect(heartbeats.synced).toBeGreaterThanOrEqual(2);
+    expect(uploads.slice(1).every(request => request.body.type === 'heartbeat' && request.body.timestamp)).toBe(true);
+    expect(uploads.slice(1)).toHaveLength(heartbeats.synced);
+  });
+
+  test('an encoded batch answered without an acknowledgement stays unsynced', async () => {
+    simulation = await cacheTrace('tunnel_gap');
+    const { api, services } = simulation;
+    await services.LocationSyncService.syncLocations('token', { limit: 5 });
+
+    api.respondWith(() => ({ status: 200, body: { success: true }, headers: { 'X-Upload-Formats': 'delta, gzip' } }));
+    const result = await services.LocationSyncService.syncLocations('token');
+    const states = [...(await syncStates(simulation)).values()];
+
+    expect(api.requestsTo('/users/locations')[1].body.encoding?.type).toBe('delta');
+    expect(result).toEqual(expect.objectContaining({ synced: 0, errors: 1 }));
+    expect(states.filter(row => row.synced === 1)).toHaveLength(5);
+  });
+
+  test('sends each raw location to the hybrid timeline only once', async () => {
+    simulation = await cacheTrace('tunnel_gap');
+    const { api, services } = simulation;
+
+    await services.LocationSyncService.syncHybridTimeline('token');
+    const first = api.requestsTo('/users/hybrid_timeline');
+    await services.LocationSyncService.syncHybridTimeline('token');
+    const all = api.requestsTo('/users/hybrid_timeline');
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(first[first.length - 1].body.client_insights.segments.length).toBeGreaterThan(0);
+    expect(all).toHaveLength(first.length);
+  });
+
+  test('sends segments that change without new raw locations', async () => {
+    simulation = await cacheTrace('tunnel_gap');
+    const { api, services } = simulation;
+    await services.LocationSyncService.syncHybridTimeline('token');
+    const before = api.requestsTo('/users/hybrid_timeline').length;
+
+    // A split the user made offline replaces the detector's segment
+    const [segment] = await services.LocationCacheService.db.getAllAsync('SELECT * FROM local_timeline_segments ORDER BY start_time LIMIT 1');
+    await services.LocationCacheService.db.runAsync(`
+      INSERT INTO local_timeline_segments (type, start_time, end_time, center_latitude, center_longitude, synced, user_corrected)
+      VALUES ('visit', ?, ?, ?, ?, 0, 1)
+    `, [segment.start_time, segment.end_time, segment.center_latitude, segment.center_longitude]);
+    await services.LocationSyncService.syncHybridTimeline('token');
+    await services.LocationSyncService.syncHybridTimeline('token');
+    const after = api.requestsTo('/users/hybrid_timeline').slice(before);
+
+    expect(after).toHaveLength(1);
+    expect(after[0].body.raw_locations).toEqual([]);
+    expect(after[0].body.client_insights.segments).toEqual([
+      expect.objectContaining({ type: 'visit', start_time: segment.start_time, end_time: segment.end_time })
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { createSimulation } from './TraceReplaySimulator';
+
+const TOKEN = 'simulated-auth-token';
+
+const cafe = {
+  id: 7,
+  type: 'visit',
+  start_time: '2025-03-06T09:00:00Z',
+  end_time: '2025-03-06T10:00:00Z',
+  duration: 3600,
+  center_latitude: 52.52,
+  center_longitude: 13.405,
+  location: { name: 'Alexanderplatz', address: 'Alexanderplatz, Berlin' },
+  suggested_locations: [
+    { name: 'Alexanderplatz', address: 'Alexanderplatz, Berlin' },
+    { name: 'Cafe Anna', address: 'Rathausstr. 1, Berlin', latitude: 52.5201, longitude: 13.4051 }
+  ]
+};
+
+const serveTimeline = (api, visit = cafe) => api.respondWith(request => (request.path === '/api/timeline'
+  ? { status: 200, body: { date: '2025-03-06', timezone: 'UTC', timeline: [visit] } }
+  : { status: 200, body: { success: true } }));
+
+describe('visit edits', () => {
+  let simulation;
+  let TimelineService;
+  let VisitEditService;
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ startTime: Date.parse('2025-03-06T12:00:00Z') });
+    jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'UTC' });
+    TimelineService = require('../../services/TimelineService').default;
+    VisitEditService = require('../../services/VisitEditService').default;
+    serveTimeline(simulation.api);
+  });
+
+  afterEach(() => {
+    simulation.services.LocationSyncService.stopAutoSync();
+    simulation.clock.uninstall();
+    jest.restoreAllMocks();
+  });
+
+  test('an offline edit shows at once, survives a refetch and uploads with the next sync', async () => {
+    const { api, services } = simulation;
+    const SmartGeocodingService = require('../../services/SmartGeocodingService').default;
+    const { visits: [visit] } = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+
+    // An automatic geocode closer to the lookup below than the visit centre
+    await SmartGeocodingService.initialize();
+    await SmartGeocodingService.cacheGeocode(52.5202, 13.405, { place_name: 'Alexanderplatz' }, 'expo_location');
+
+    api.respondWith(() => {
+      throw new TypeError('Network request failed');
+    });
+    const [, suggestion] = VisitEditService.getPlaceOptions(visit);
+    const edited = await VisitEditService.editVisit(visit, suggestion, 'suggestion');
+    const offline = await VisitEditService.syncPendingEdits(TOKEN);
+
+    // The server still has the old place until the edit arrives
+    serveTimeline(api);
+    const refetched = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+    const nearby = await SmartGeocodingService.getCachedGeocode(52.5203, 13.405);
+
+    const result = await services.LocationSyncService.syncNow('manual');
+    const [patch] = api.requestsTo('/api/timeline/visits/7');
+
+    expect(edited).toMatchObject({ location: { name: 'Cafe Anna' }, confirmed: true, edit_pending: true });
+    expect(offline.errors).toBe(1);
+    expect(refetched.visits[0]).toMatchObject({ location: { name: 'Cafe Anna', latitude: 52.5201 }, edit_pending: true });
+    expect(nearby).toMatchObject({ place_name: 'Cafe Anna', source: 'manual' });
+    expect(result.visitEditResult.synced).toBe(1);
+    expect(patch.method).toBe('PATCH');
+    expect(patch.body.visit).toMatchObject({ location: { name: 'Cafe Anna' }, source: 'suggestion', confirmed: true });
+    expect(await VisitEditService.getPendingEdits()).toEqual([]);
+  });
+
+  test('a re-edit replaces the queued edit and a refused edit is not retried', async () => {
+    const { api } = simulation;
+    const { visits: [visit] } = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+
+    await VisitEditService.editVisit(visit, { name: 'Office' }, 'custom');
+    await VisitEditService.editVisit(visit, { name: ' Studio ' }, 'custom');
+    const queued = await VisitEditService.getPendingEdits();
+
+    api.respondWith(request => (request.method === 'PATCH' ? { status: 422, body: { error: 'invalid' } } : { status: 200, body: {} }));
+    const refused = await VisitEditService.syncPendingEdits(TOKEN);
+    const retried = await VisitEditService.syncPendingEdits(TOKEN);
+
+    serveTimeline(api);
+    const refetched = await TimelineService.fetchTimelineForDate('2025-03-06', TOKEN);
+
+    expect(queued).toHaveLength(1);
+    expect(queued[0].place).toMatchObject({ name: 'Studio', latitude: 52.52, longitude: 13.405 });
+    expect(refused).toMatchObject({ synced: 0, failed: 1, errors: 0 });
+    expect(retried.failed).toBe(0);
+    expect(api.requestsTo('/api/timeline/visits/7')).toHaveLength(1);
+    expect(refetched.visits[0]).toMatchObject({ location: { name: 'Alexanderplatz' }, edit_failed: true });
+  });
+});